@@ -0,0 +1,331 @@
+// evostitch Autofocus — find the sharpest Z-plane in the current view
+// Scores every Z-plane of the viewport with a focus metric (variance of the
+// Laplacian) on a coarse read, then re-scores the planes around the best
+// focal peaks at a finer resolution and picks the sharpest. Each viewer
+// supplies a scorePlane(z, maxPixels) callback that reads its own pixels;
+// bindPanel() draws the focus-score curve across Z so several focal peaks
+// are visible. Used by viewer.js (DZI) and zarr-viewer.js.
+//
+// Dependencies: none (viewers pass in their pixel reads)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        coarsePixels: 128 * 128,  // Pixel budget per plane, first pass (all planes)
+        finePixels: 512 * 512,    // Pixel budget per plane, refinement pass
+        refineRadius: 2,          // Planes re-scored on each side of a peak
+        maxRefinePeaks: 2,        // Highest coarse peaks refined
+        peakFraction: 0.5,        // Local maxima below this fraction of the best are not peaks
+        concurrency: 4,           // Planes read at once
+        debug: false
+    };
+
+    /**
+     * Focus metric: variance of the 4-neighbour Laplacian over the interior
+     * pixels. Higher is sharper. NaN pixels (float data) are skipped.
+     * @param {ArrayLike} values - One value per pixel, row-major
+     * @param {number} width
+     * @param {number} height
+     * @returns {number} Score (0 for planes too small or flat)
+     */
+    function focusScore(values, width, height) {
+        var sum = 0;
+        var sumSq = 0;
+        var count = 0;
+        for (var y = 1; y < height - 1; y++) {
+            for (var x = 1; x < width - 1; x++) {
+                var i = y * width + x;
+                var lap = values[i - 1] + values[i + 1] + values[i - width] + values[i + width] - 4 * values[i];
+                if (lap !== lap) continue;  // NaN
+                sum += lap;
+                sumSq += lap * lap;
+                count++;
+            }
+        }
+        if (count === 0) return 0;
+        var mean = sum / count;
+        return Math.max(0, sumSq / count - mean * mean);
+    }
+
+    /**
+     * Luminance of RGBA pixels (canvas ImageData), for focusScore()
+     * @param {Uint8ClampedArray} rgba
+     * @returns {Float32Array} One value per pixel
+     */
+    function rgbaToGray(rgba) {
+        var gray = new Float32Array(rgba.length / 4);
+        for (var i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+        }
+        return gray;
+    }
+
+    /**
+     * Local maxima of a score curve, highest first. Plateaus count once (at
+     * their first plane); planes without a score (null) are skipped.
+     * @param {Array} scores - Score per plane (number or null)
+     * @param {number} [fraction] - Minimum score as a fraction of the best
+     * @returns {number[]} Plane indices
+     */
+    function findPeaks(scores, fraction) {
+        var minFraction = fraction === undefined ? CONFIG.peakFraction : fraction;
+        var best = -Infinity;
+        scores.forEach(function(score) {
+            if (score !== null && score > best) best = score;
+        });
+        if (best === -Infinity) return [];
+
+        var peaks = [];
+        for (var z = 0; z < scores.length; z++) {
+            var score = scores[z];
+            if (score === null || score < best * minFraction) continue;
+            var prev = z > 0 ? scores[z - 1] : null;
+            var next = z + 1;
+            while (next < scores.length && scores[next] === score) next++;
+            var after = next < scores.length ? scores[next] : null;
+            if ((prev === null || score > prev) && (after === null || score > after)) {
+                peaks.push(z);
+            }
+        }
+        return peaks.sort(function(a, b) { return scores[b] - scores[a]; });
+    }
+
+    /**
+     * Map items through an async function, at most `limit` at a time
+     * @param {Array} items
+     * @param {number} limit
+     * @param {Function} fn - item → Promise
+     * @returns {Promise<Array>} Results in item order
+     */
+    function mapLimit(items, limit, fn) {
+        var results = new Array(items.length);
+        var next = 0;
+        function worker() {
+            if (next >= items.length) return Promise.resolve();
+            var i = next++;
+            return fn(items[i]).then(function(result) {
+                results[i] = result;
+                return worker();
+            });
+        }
+        var workers = [];
+        for (var w = 0; w < Math.min(limit, items.length); w++) {
+            workers.push(worker());
+        }
+        return Promise.all(workers).then(function() { return results; });
+    }
+
+    /**
+     * Coarse-to-fine search for the sharpest plane. Every plane is scored at
+     * CONFIG.coarsePixels; the planes within CONFIG.refineRadius of the
+     * highest coarse peaks are re-scored at CONFIG.finePixels, and the best
+     * fine score wins.
+     * @param {Object} options
+     * @param {number} options.zCount - Planes in the stack
+     * @param {Function} options.scorePlane - (z, maxPixels) → Promise<number|null>
+     *   (null when the plane could not be read)
+     * @param {Function} [options.onProgress] - ({ pass, done, total }) after each plane
+     * @returns {Promise<Object|null>} { bestZ, scores (coarse, per plane),
+     *   fineScores ({ z: score }), peaks }, or null if no plane could be scored
+     */
+    function findBestFocus(options) {
+        var planes = [];
+        for (var z = 0; z < options.zCount; z++) planes.push(z);
+
+        function scoreAll(list, maxPixels, pass) {
+            var done = 0;
+            return mapLimit(list, CONFIG.concurrency, function(z) {
+                return Promise.resolve(options.scorePlane(z, maxPixels)).then(function(score) {
+                    done++;
+                    if (options.onProgress) options.onProgress({ pass: pass, done: done, total: list.length });
+                    return typeof score === 'number' && isFinite(score) ? score : null;
+                });
+            });
+        }
+
+        return scoreAll(planes, CONFIG.coarsePixels, 'coarse').then(function(scores) {
+            var peaks = findPeaks(scores);
+            if (peaks.length === 0) return null;
+
+            var candidates = [];
+            peaks.slice(0, CONFIG.maxRefinePeaks).forEach(function(peak) {
+                var from = Math.max(0, peak - CONFIG.refineRadius);
+                var to = Math.min(options.zCount - 1, peak + CONFIG.refineRadius);
+                for (var z = from; z <= to; z++) {
+                    if (candidates.indexOf(z) < 0) candidates.push(z);
+                }
+            });
+
+            return scoreAll(candidates, CONFIG.finePixels, 'fine').then(function(fine) {
+                var fineScores = {};
+                var bestZ = peaks[0];
+                var best = -Infinity;
+                candidates.forEach(function(z, i) {
+                    if (fine[i] === null) return;
+                    fineScores[z] = fine[i];
+                    if (fine[i] > best) {
+                        best = fine[i];
+                        bestZ = z;
+                    }
+                });
+                log('Best Z ' + bestZ + ' (' + peaks.length + ' peak' + (peaks.length === 1 ? '' : 's') + ')');
+                return { bestZ: bestZ, scores: scores, fineScores: fineScores, peaks: peaks };
+            });
+        });
+    }
+
+    /**
+     * Draw the coarse focus-score curve across Z: scores scaled to the
+     * canvas height, peaks as dots, the best plane and current plane as
+     * vertical markers
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} result - From findBestFocus()
+     * @param {number} currentZ
+     */
+    function drawCurve(canvas, result, currentZ) {
+        var ctx = canvas.getContext('2d');
+        var w = canvas.width;
+        var h = canvas.height;
+        ctx.clearRect(0, 0, w, h);
+        if (!result) return;
+
+        var scores = result.scores;
+        var max = Math.max.apply(null, scores.map(function(s) { return s || 0; })) || 1;
+        var xOf = function(z) { return scores.length > 1 ? 2 + z / (scores.length - 1) * (w - 4) : w / 2; };
+        var yOf = function(s) { return h - 2 - (s / max) * (h - 4); };
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillRect(Math.round(xOf(currentZ)), 0, 1, h);
+        ctx.fillStyle = '#2ecc71';
+        ctx.fillRect(Math.round(xOf(result.bestZ)), 0, 1, h);
+
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        var drawing = false;
+        scores.forEach(function(s, z) {
+            if (s === null) {
+                drawing = false;
+                return;
+            }
+            if (drawing) {
+                ctx.lineTo(xOf(z), yOf(s));
+            } else {
+                ctx.moveTo(xOf(z), yOf(s));
+                drawing = true;
+            }
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffd54f';
+        result.peaks.forEach(function(z) {
+            ctx.beginPath();
+            ctx.arc(xOf(z), yOf(scores[z]), 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    /**
+     * Wire an autofocus panel: a .autofocus-status line, a .autofocus-curve
+     * canvas (click to go to that plane) and a .autofocus-close-btn
+     * @param {HTMLElement} panel
+     * @param {Function} onSelect - (z) when a plane is clicked on the curve
+     * @returns {Object} { show(status, result, currentZ), hide(), setCurrentZ(z) }
+     */
+    function bindPanel(panel, onSelect) {
+        var status = panel && panel.querySelector('.autofocus-status');
+        var canvas = panel && panel.querySelector('.autofocus-curve');
+        var closeBtn = panel && panel.querySelector('.autofocus-close-btn');
+        var shown = { result: null, currentZ: 0 };
+
+        function draw() {
+            if (canvas) drawCurve(canvas, shown.result, shown.currentZ);
+        }
+
+        if (canvas) {
+            canvas.addEventListener('click', function(e) {
+                if (!shown.result) return;
+                var count = shown.result.scores.length;
+                var rect = canvas.getBoundingClientRect();
+                var z = Math.round((e.clientX - rect.left) / rect.width * (count - 1));
+                onSelect(Math.max(0, Math.min(count - 1, z)));
+            });
+        }
+        if (closeBtn) {
+            closeBtn.addEventListener('click', function() {
+                panel.hidden = true;
+            });
+        }
+
+        return {
+            show: function(text, result, currentZ) {
+                if (!panel) return;
+                shown = { result: result, currentZ: currentZ };
+                panel.hidden = false;
+                if (status) status.textContent = text;
+                draw();
+            },
+            hide: function() {
+                if (panel) panel.hidden = true;
+            },
+            setCurrentZ: function(z) {
+                if (!panel || panel.hidden || shown.currentZ === z) return;
+                shown.currentZ = z;
+                draw();
+            }
+        };
+    }
+
+    /**
+     * Status line for a finished search, e.g. "Best Z 12 · 2 focal peaks"
+     * (1-based planes, as the Z display)
+     * @param {Object|null} result - From findBestFocus()
+     * @returns {string}
+     */
+    function formatResult(result) {
+        if (!result) return 'No planes could be read';
+        var peaks = result.peaks.length;
+        return 'Best Z ' + (result.bestZ + 1) + ' · ' + peaks + ' focal peak' + (peaks === 1 ? '' : 's');
+    }
+
+    /**
+     * Status line while searching, e.g. "Scanning 12/40…"
+     * @param {Object} progress - From findBestFocus() onProgress
+     * @returns {string}
+     */
+    function formatProgress(progress) {
+        return (progress.pass === 'coarse' ? 'Scanning ' : 'Refining ') +
+            progress.done + '/' + progress.total + '…';
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] Autofocus: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.autofocus = {
+        focusScore: focusScore,
+        rgbaToGray: rgbaToGray,
+        findPeaks: findPeaks,
+        findBestFocus: findBestFocus,
+        drawCurve: drawCurve,
+        bindPanel: bindPanel,
+        formatResult: formatResult,
+        formatProgress: formatProgress,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -43,8 +43,12 @@
         // Use zarr-viewer for OME-Zarr format mosaics
         if (mosaic.format === 'zarr') {
             // If mosaic has a zarrUrl, pass it; otherwise use default demo
+            // A series other than 0 of a bioformats2raw container is passed as ?series=
             if (mosaic.zarrUrl) {
                 card.href = `zarr-viewer.html?zarr=${encodeURIComponent(mosaic.zarrUrl)}`;
+                if (Number.isInteger(mosaic.series) && mosaic.series > 0) {
+                    card.href += `&series=${mosaic.series}`;
+                }
             } else {
                 card.href = 'zarr-viewer.html';
             }
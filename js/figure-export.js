@@ -0,0 +1,247 @@
+// evostitch Figure Export — save the current view as a PNG figure
+// Renders the viewport at a multiple of the screen resolution and burns in
+// the scale bar, Z depth label and an optional channel legend, which live in
+// the DOM on screen and so are missing from a plain canvas capture. Each
+// viewer re-renders its own tiles at the output resolution (zarr-viewer.js
+// draws the deck in pieces planned by planPieces(); viewer.js composites DZI
+// tiles of a finer level) and hands the canvas to drawOverlays(). Also draws
+// the burned-in overlays of zarr-video-export.js. Used by viewer.js (DZI)
+// and zarr-viewer.js.
+//
+// Dependencies: none (DOM only for the panel and the download)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        maxSide: 16384,                 // Largest output width or height (browser canvas limit)
+        maxPixels: 128 * 1024 * 1024,   // Largest output area
+        scaleBarPixels: 100             // Preferred scale bar width (CSS pixels), as on screen
+    };
+
+    /**
+     * Largest scale up to the requested one whose output fits CONFIG.maxSide
+     * and CONFIG.maxPixels
+     * @param {number} scale - Requested multiple of the screen size
+     * @param {number} width - Screen size in output pixels at scale 1
+     * @param {number} height
+     * @returns {number} Integer scale ≥ 1
+     */
+    function clampScale(scale, width, height) {
+        var value = Math.max(1, Math.floor(Number(scale)) || 1);
+        while (value > 1 && (Math.max(width, height) * value > CONFIG.maxSide ||
+                width * height * value * value > CONFIG.maxPixels)) {
+            value--;
+        }
+        return value;
+    }
+
+    /**
+     * Pieces of a render at scale × the screen size, each one screen in size:
+     * a scale × scale grid, row by row
+     * @param {number} scale - Integer scale
+     * @returns {Object[]} { col, row, cx, cy } with the piece center as an
+     *   offset from the view center, in view widths / heights (-0.5..0.5)
+     */
+    function planPieces(scale) {
+        var pieces = [];
+        for (var row = 0; row < scale; row++) {
+            for (var col = 0; col < scale; col++) {
+                pieces.push({
+                    col: col,
+                    row: row,
+                    cx: (col + 0.5) / scale - 0.5,
+                    cy: (row + 0.5) / scale - 0.5
+                });
+            }
+        }
+        return pieces;
+    }
+
+    /**
+     * Scale bar for a resolution: the largest "nice" length (1, 2, 5 × 10ⁿ µm)
+     * up to 1.5× the target width (the zarr viewer's on-screen rule)
+     * @param {number} umPerPixel - µm per pixel
+     * @param {number} targetPixels - Preferred bar width
+     * @returns {Object} { um, pixels, label }
+     */
+    function niceScaleBar(umPerPixel, targetPixels) {
+        var niceValues = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000];
+        var targetUm = targetPixels * umPerPixel;
+        var um = niceValues[0];
+        niceValues.forEach(function(value) {
+            if (value <= targetUm * 1.5) um = value;
+        });
+        return {
+            um: um,
+            pixels: um / umPerPixel,
+            label: um >= 1000 ? (um / 1000) + ' mm' : um + ' µm'
+        };
+    }
+
+    /**
+     * Burn the scale bar (bottom left), a label (top left) and a channel
+     * legend (top right) into a canvas
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} overlay
+     * @param {number} [overlay.scale] - Canvas pixels per CSS pixel (default 1)
+     * @param {Object|null} [overlay.scaleBar] - { pixels, label }, width in CSS pixels
+     * @param {string|null} [overlay.label] - E.g. the Z depth
+     * @param {Object[]|null} [overlay.legend] - { name, colors: [[r, g, b], ...] }
+     *   per channel; colors run from low to high intensity
+     */
+    function drawOverlays(ctx, overlay) {
+        var s = overlay.scale || 1;
+        var width = ctx.canvas.width;
+        var height = ctx.canvas.height;
+        ctx.save();
+        ctx.font = Math.round(13 * s) + 'px monospace';
+        ctx.textBaseline = 'middle';
+
+        function box(x, y, w, h) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(x, y, w, h);
+        }
+
+        if (overlay.scaleBar) {
+            var barWidth = Math.round(overlay.scaleBar.pixels * s);
+            var labelWidth = ctx.measureText(overlay.scaleBar.label).width;
+            var x = 16 * s;
+            var y = height - 40 * s;
+            box(x, y, barWidth + labelWidth + 28 * s, 24 * s);
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(x + 8 * s, y + 10 * s, barWidth, 4 * s);
+            ctx.fillText(overlay.scaleBar.label, x + barWidth + 18 * s, y + 12 * s);
+        }
+        if (overlay.label) {
+            box(16 * s, 16 * s, ctx.measureText(overlay.label).width + 16 * s, 24 * s);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(overlay.label, 24 * s, 28 * s);
+        }
+        if (overlay.legend && overlay.legend.length > 0) {
+            var swatch = 24 * s;
+            var nameWidth = Math.max.apply(null, overlay.legend.map(function(entry) {
+                return ctx.measureText(entry.name).width;
+            }));
+            var legendWidth = swatch + nameWidth + 24 * s;
+            var left = width - 16 * s - legendWidth;
+            box(left, 16 * s, legendWidth, overlay.legend.length * 20 * s + 8 * s);
+            overlay.legend.forEach(function(entry, i) {
+                var rowY = 20 * s + i * 20 * s;
+                var stripe = swatch / entry.colors.length;
+                entry.colors.forEach(function(rgb, k) {
+                    ctx.fillStyle = 'rgb(' + rgb[0] + ', ' + rgb[1] + ', ' + rgb[2] + ')';
+                    ctx.fillRect(left + 8 * s + k * stripe, rowY + 4 * s, Math.ceil(stripe), 8 * s);
+                });
+                ctx.fillStyle = '#fff';
+                ctx.fillText(entry.name, left + 16 * s + swatch, rowY + 8 * s);
+            });
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Encode a canvas as PNG
+     * @param {HTMLCanvasElement} canvas
+     * @returns {Promise<Blob>}
+     */
+    function toPng(canvas) {
+        return new Promise(function(resolve, reject) {
+            canvas.toBlob(function(blob) {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('PNG encoding failed (' + canvas.width + '×' + canvas.height + ')'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * Save a blob as a file
+     * @param {Blob} blob
+     * @param {string} filename
+     */
+    function download(blob, filename) {
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        setTimeout(function() { URL.revokeObjectURL(link.href); }, 0);
+    }
+
+    /**
+     * Wire a save-image panel: resolution select, burn-in checkboxes, Save
+     * and close buttons and a status line
+     * @param {HTMLElement} panel - Panel element (.save-image-* children)
+     * @param {Function} onSave - (options) → Promise<string|null> (file name
+     *   saved), with options { scale, scaleBar, label, legend } from the panel
+     * @returns {Object} { toggle(), setStatus(text) }
+     */
+    function bindPanel(panel, onSave) {
+        function field(name) {
+            return panel && panel.querySelector('.save-image-' + name);
+        }
+        var saveBtn = field('save-btn');
+        var closeBtn = field('close-btn');
+
+        function setStatus(text) {
+            var status = field('status');
+            if (status) status.textContent = text;
+        }
+
+        function checked(name) {
+            var input = field(name);
+            return !!(input && input.checked);
+        }
+
+        if (saveBtn) {
+            saveBtn.addEventListener('click', function() {
+                var scale = field('scale');
+                saveBtn.disabled = true;
+                setStatus('Rendering…');
+                Promise.resolve(onSave({
+                    scale: scale ? parseInt(scale.value, 10) : 1,
+                    scaleBar: checked('scale-bar'),
+                    label: checked('label'),
+                    legend: checked('legend')
+                })).then(function(saved) {
+                    setStatus(saved ? 'Saved ' + saved : 'Nothing to save');
+                }, function(error) {
+                    console.warn('[evostitch] FigureExport: save failed:', error.message);
+                    setStatus('Save failed');
+                }).then(function() {
+                    saveBtn.disabled = false;
+                });
+            });
+        }
+        if (closeBtn) {
+            closeBtn.addEventListener('click', function() {
+                panel.hidden = true;
+            });
+        }
+
+        return {
+            toggle: function() {
+                if (!panel) return;
+                panel.hidden = !panel.hidden;
+                if (!panel.hidden) setStatus('');
+            },
+            setStatus: setStatus
+        };
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.figureExport = {
+        clampScale: clampScale,
+        planPieces: planPieces,
+        niceScaleBar: niceScaleBar,
+        drawOverlays: drawOverlays,
+        toPng: toPng,
+        download: download,
+        bindPanel: bindPanel,
+        CONFIG: CONFIG
+    };
+
+})();
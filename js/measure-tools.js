@@ -0,0 +1,402 @@
+// evostitch Measure Tools — calibrated ruler for both viewers
+// Distance, polyline length, polygon area and angle measurements. Points are
+// full-resolution image pixels; results are computed in µm with separate X/Y
+// pixel sizes, so anisotropic scaling is measured correctly. Each viewer feeds
+// clicks into a session and draws the points; bindPanel() renders the results
+// table and copies it as tab-separated text (pastes into a spreadsheet).
+// Used by viewer.js (DZI) and zarr-viewer.js.
+//
+// Dependencies: view-link.js (clipboard copy)
+
+(function() {
+    'use strict';
+
+    var MODES = ['distance', 'polyline', 'area', 'angle'];
+
+    var MODE_LABELS = {
+        distance: 'Distance',
+        polyline: 'Polyline',
+        area: 'Area',
+        angle: 'Angle'
+    };
+
+    // Points per measurement (distance and angle complete on their last click)
+    var POINT_LIMITS = {
+        distance: { min: 2, max: 2 },
+        polyline: { min: 2, max: Infinity },
+        area: { min: 3, max: Infinity },
+        angle: { min: 3, max: 3 }
+    };
+
+    var UNITS = {
+        distance: 'µm',
+        polyline: 'µm',
+        area: 'µm²',
+        angle: '°'
+    };
+
+    // Scale a pixel point to µm
+    function toMicrons(p, pixelSize) {
+        return [p[0] * pixelSize.x, p[1] * pixelSize.y];
+    }
+
+    function pathLength(points) {
+        var length = 0;
+        for (var i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+        }
+        return length;
+    }
+
+    // Shoelace formula over the closed ring
+    function polygonArea(points) {
+        var area = 0;
+        for (var i = 0; i < points.length; i++) {
+            var a = points[i];
+            var b = points[(i + 1) % points.length];
+            area += a[0] * b[1] - b[0] * a[1];
+        }
+        return Math.abs(area) / 2;
+    }
+
+    // Angle at the middle point, 0–180°
+    function angleAt(a, vertex, b) {
+        var ux = a[0] - vertex[0];
+        var uy = a[1] - vertex[1];
+        var vx = b[0] - vertex[0];
+        var vy = b[1] - vertex[1];
+        var lengths = Math.hypot(ux, uy) * Math.hypot(vx, vy);
+        if (lengths === 0) return 0;
+        var cos = Math.max(-1, Math.min(1, (ux * vx + uy * vy) / lengths));
+        return Math.acos(cos) * 180 / Math.PI;
+    }
+
+    /**
+     * Measure points in µm
+     * @param {string} mode - 'distance' | 'polyline' | 'area' | 'angle'
+     * @param {Array} points - [[x, y], ...] in image pixels
+     * @param {Object} pixelSize - { x, y } µm per pixel
+     * @returns {Object|null} { value, unit } (µm, µm² or °), or null if too few points
+     */
+    function measure(mode, points, pixelSize) {
+        var limits = POINT_LIMITS[mode];
+        if (!limits || !points || points.length < limits.min) return null;
+
+        var um = points.map(function(p) { return toMicrons(p, pixelSize); });
+        var value;
+        if (mode === 'area') {
+            value = polygonArea(um);
+        } else if (mode === 'angle') {
+            value = angleAt(um[0], um[1], um[2]);
+        } else {
+            value = pathLength(um);
+        }
+        return { value: value, unit: UNITS[mode] };
+    }
+
+    /**
+     * Format a length, switching to mm from 1000 µm
+     * @param {number} um
+     * @returns {string}
+     */
+    function formatLength(um) {
+        if (um >= 1000) return (um / 1000).toFixed(3) + ' mm';
+        return um.toFixed(um < 10 ? 2 : 1) + ' µm';
+    }
+
+    /**
+     * Format an area, switching to mm² from 1 mm²
+     * @param {number} um2
+     * @returns {string}
+     */
+    function formatArea(um2) {
+        if (um2 >= 1e6) return (um2 / 1e6).toFixed(4) + ' mm²';
+        return um2.toFixed(1) + ' µm²';
+    }
+
+    /**
+     * Format a measure() result for display
+     * @param {Object} result - { value, unit }
+     * @returns {string}
+     */
+    function format(result) {
+        if (result.unit === 'µm²') return formatArea(result.value);
+        if (result.unit === '°') return result.value.toFixed(1) + '°';
+        return formatLength(result.value);
+    }
+
+    /**
+     * Measurements as a tab-separated table with a header row. Values stay in
+     * µm / µm² / ° so the table pastes into a spreadsheet as numbers.
+     * @param {Array} measurements - Session measurements
+     * @returns {string}
+     */
+    function toTable(measurements) {
+        var rows = [['#', 'Tool', 'Value', 'Unit', 'Z', 'T', 'Points (px)'].join('\t')];
+        measurements.forEach(function(m, i) {
+            rows.push([
+                i + 1,
+                MODE_LABELS[m.mode],
+                +m.value.toFixed(4),
+                m.unit,
+                m.z !== undefined ? m.z : '',
+                m.t !== undefined ? m.t : '',
+                m.points.map(function(p) { return Math.round(p[0]) + ',' + Math.round(p[1]); }).join(' ')
+            ].join('\t'));
+        });
+        return rows.join('\n');
+    }
+
+    /**
+     * Create a ruler session: the active tool, the measurement being drawn and
+     * the finished measurements
+     * @param {Object} options
+     * @param {Function} options.getPixelSize - Returns { x, y } µm per pixel
+     * @param {Function} [options.getPlane] - Returns { z, t } recorded with each measurement
+     * @param {Function} [options.onChange] - Called after any change (redraw overlay and panel)
+     * @returns {Object} Session
+     */
+    function createSession(options) {
+        var active = false;
+        var mode = MODES[0];
+        var measurements = [];
+        var draft = [];
+        var cursor = null;
+        var nextId = 1;
+
+        function changed() {
+            if (options.onChange) options.onChange();
+        }
+
+        function getDraftPoints() {
+            return cursor ? draft.concat([cursor]) : draft.slice();
+        }
+
+        function commit() {
+            var result = measure(mode, draft, options.getPixelSize());
+            if (!result) return null;
+            var plane = options.getPlane ? options.getPlane() : {};
+            var measurement = {
+                id: nextId++,
+                mode: mode,
+                points: draft,
+                value: result.value,
+                unit: result.unit,
+                z: plane.z,
+                t: plane.t
+            };
+            measurements.push(measurement);
+            draft = [];
+            cursor = null;
+            changed();
+            return measurement;
+        }
+
+        return {
+            isActive: function() { return active; },
+
+            /**
+             * Turn the ruler on or off (drops the measurement being drawn)
+             * @param {boolean} enabled
+             */
+            setActive: function(enabled) {
+                active = !!enabled;
+                draft = [];
+                cursor = null;
+                changed();
+            },
+
+            getMode: function() { return mode; },
+
+            /**
+             * Choose the tool (drops the measurement being drawn)
+             * @param {string} newMode - One of MODES
+             */
+            setMode: function(newMode) {
+                if (MODES.indexOf(newMode) < 0) return;
+                mode = newMode;
+                draft = [];
+                cursor = null;
+                changed();
+            },
+
+            /**
+             * Add a point; distance and angle finish on their last point.
+             * A repeat of the previous point is ignored.
+             * @param {number[]} point - [x, y] in image pixels
+             * @returns {Object|null} The finished measurement, if any
+             */
+            addPoint: function(point) {
+                // Both clicks of a double-click land on the same point
+                var last = draft[draft.length - 1];
+                if (last && last[0] === point[0] && last[1] === point[1]) return null;
+                draft.push([point[0], point[1]]);
+                if (draft.length >= POINT_LIMITS[mode].max) return commit();
+                changed();
+                return null;
+            },
+
+            /**
+             * Follow the mouse with the measurement being drawn
+             * @param {number[]|null} point - [x, y] in image pixels
+             */
+            setCursor: function(point) {
+                if (draft.length === 0) return;
+                cursor = point ? [point[0], point[1]] : null;
+                changed();
+            },
+
+            /**
+             * Finish a polyline or area (Enter / double-click)
+             * @returns {Object|null} The measurement, or null if too few points
+             */
+            finish: function() {
+                return commit();
+            },
+
+            /**
+             * Drop the measurement being drawn
+             * @returns {boolean} Whether there was one
+             */
+            cancel: function() {
+                var had = draft.length > 0;
+                draft = [];
+                cursor = null;
+                if (had) changed();
+                return had;
+            },
+
+            /**
+             * Points of the measurement being drawn, with the cursor as the next point
+             * @returns {Array} [[x, y], ...]
+             */
+            getDraftPoints: getDraftPoints,
+
+            /**
+             * Live result for the measurement being drawn
+             * @returns {Object|null} { mode, value, unit }
+             */
+            getDraftResult: function() {
+                var result = measure(mode, getDraftPoints(), options.getPixelSize());
+                return result && { mode: mode, value: result.value, unit: result.unit };
+            },
+
+            getMeasurements: function() { return measurements.slice(); },
+
+            /**
+             * Remove one measurement
+             * @param {number} id
+             */
+            remove: function(id) {
+                measurements = measurements.filter(function(m) { return m.id !== id; });
+                changed();
+            },
+
+            clear: function() {
+                measurements = [];
+                draft = [];
+                cursor = null;
+                changed();
+            },
+
+            toTable: function() {
+                return toTable(measurements);
+            }
+        };
+    }
+
+    /**
+     * Wire a measurement panel to a session. The panel contains a
+     * .measure-mode select, .measure-copy-btn and .measure-clear-btn buttons
+     * and a .measure-results tbody, and is shown while the ruler is active.
+     * @param {HTMLElement} panel
+     * @param {Object} session - From createSession()
+     * @returns {Function} render - Call from the session's onChange
+     */
+    function bindPanel(panel, session) {
+        if (!panel) return function() {};
+        var modeSelect = panel.querySelector('.measure-mode');
+        var copyBtn = panel.querySelector('.measure-copy-btn');
+        var clearBtn = panel.querySelector('.measure-clear-btn');
+        var results = panel.querySelector('.measure-results');
+
+        if (modeSelect) {
+            modeSelect.addEventListener('change', function() {
+                session.setMode(modeSelect.value);
+            });
+        }
+        if (clearBtn) {
+            clearBtn.addEventListener('click', function() {
+                session.clear();
+            });
+        }
+        if (copyBtn) {
+            copyBtn.addEventListener('click', function() {
+                window.evostitch.viewLink.copyText(session.toTable()).then(function() {
+                    copyBtn.textContent = 'Copied';
+                }).catch(function(err) {
+                    console.warn('[evostitch] MeasureTools: copy failed:', err.message);
+                    copyBtn.textContent = 'Copy failed';
+                }).then(function() {
+                    setTimeout(function() { copyBtn.textContent = 'Copy'; }, 1500);
+                });
+            });
+        }
+
+        function addRow(cells, id) {
+            var row = document.createElement('tr');
+            cells.forEach(function(text) {
+                var cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            var action = document.createElement('td');
+            if (id !== undefined) {
+                var removeBtn = document.createElement('button');
+                removeBtn.className = 'measure-remove-btn';
+                removeBtn.title = 'Remove measurement';
+                removeBtn.textContent = '×';
+                removeBtn.addEventListener('click', function() {
+                    session.remove(id);
+                });
+                action.appendChild(removeBtn);
+            } else {
+                row.className = 'measure-draft';
+            }
+            row.appendChild(action);
+            results.appendChild(row);
+        }
+
+        return function render() {
+            panel.hidden = !session.isActive();
+            if (modeSelect) modeSelect.value = session.getMode();
+            if (!results) return;
+
+            results.textContent = '';
+            session.getMeasurements().forEach(function(m, i) {
+                var plane = m.z !== undefined ? 'Z ' + m.z + (m.t ? ' T ' + m.t : '') : '';
+                addRow([String(i + 1), MODE_LABELS[m.mode], format(m), plane], m.id);
+            });
+            var draft = session.getDraftResult();
+            if (draft) {
+                addRow(['…', MODE_LABELS[draft.mode], format(draft), '']);
+            }
+            if (copyBtn) copyBtn.disabled = session.getMeasurements().length === 0;
+        };
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.measureTools = {
+        MODES: MODES,
+        POINT_LIMITS: POINT_LIMITS,
+        measure: measure,
+        format: format,
+        formatLength: formatLength,
+        formatArea: formatArea,
+        toTable: toTable,
+        createSession: createSession,
+        bindPanel: bindPanel
+    };
+
+})();
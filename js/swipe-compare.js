@@ -0,0 +1,186 @@
+// evostitch Swipe Compare — before/after divider for the DZI viewer
+// viewer.js shows one TiledImage left of a draggable vertical divider and
+// another right of it, by clipping both at the divider (TiledImage.setClip()
+// in image pixels). The left side is the current Z-plane; the right side is
+// another plane of the stack (all planes are already open as TiledImages)
+// or a second mosaic from the catalog, added to the world at its physical
+// size so both line up in µm.
+//
+// Dependencies: none (DOM only for the divider)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        defaultPosition: 0.5,   // Divider position (fraction of the viewer width)
+        debug: false
+    };
+
+    /**
+     * Divider position clamped to the viewer
+     * @param {number} position - Fraction of the viewer width
+     * @returns {number} 0-1, CONFIG.defaultPosition if not a number
+     */
+    function clampPosition(position) {
+        var value = Number(position);
+        if (!isFinite(value)) return CONFIG.defaultPosition;
+        return Math.max(0, Math.min(1, value));
+    }
+
+    /**
+     * Clip rectangles of the two sides of an image split at a column
+     * @param {number} boundaryX - Divider column in image pixels (may lie outside the image)
+     * @param {number} width - Image width (pixels)
+     * @param {number} height - Image height (pixels)
+     * @returns {Object} { left, right }: { x, y, width, height } in image pixels
+     */
+    function splitClip(boundaryX, width, height) {
+        var x = Math.max(0, Math.min(width, boundaryX));
+        return {
+            left: { x: 0, y: 0, width: x, height: height },
+            right: { x: x, y: 0, width: width - x, height: height }
+        };
+    }
+
+    /**
+     * Select value of a right-side source
+     * @param {Object} source - { type: 'plane', z } or { type: 'mosaic', id }
+     * @returns {string} e.g. 'z:3', 'mosaic:SCH-55-22B_50xt_global'
+     */
+    function getSourceValue(source) {
+        return source.type === 'mosaic' ? 'mosaic:' + source.id : 'z:' + source.z;
+    }
+
+    /**
+     * Right-side source of a select value
+     * @param {string} value - From getSourceValue()
+     * @returns {Object|null} { type: 'plane', z } or { type: 'mosaic', id }, null if invalid
+     */
+    function parseSource(value) {
+        var match = /^z:(\d+)$/.exec(value || '');
+        if (match) return { type: 'plane', z: parseInt(match[1], 10) };
+        match = /^mosaic:(.+)$/.exec(value || '');
+        return match ? { type: 'mosaic', id: match[1] } : null;
+    }
+
+    /**
+     * Catalog mosaics that can be shown on the right: DZI mosaics other than
+     * the one open (OME-Zarr entries open in zarr-viewer.html instead)
+     * @param {Object} catalog - catalog.json contents
+     * @param {string} currentId - Mosaic open in the viewer
+     * @returns {Object[]} Catalog entries, in catalog order
+     */
+    function listMosaics(catalog, currentId) {
+        var mosaics = catalog && Array.isArray(catalog.mosaics) ? catalog.mosaics : [];
+        var listed = mosaics.filter(function(mosaic) {
+            return mosaic && mosaic.id && mosaic.id !== currentId && mosaic.format !== 'zarr';
+        });
+        log('Catalog: ' + listed.length + ' other DZI mosaics');
+        return listed;
+    }
+
+    /**
+     * DZI of a mosaic as viewer.js opens it: the named DZI of a 2D mosaic,
+     * the middle plane of a Z-stack
+     * @param {string} baseUrl - Tile server URL
+     * @param {string} id - Mosaic ID
+     * @param {Object} metadata - The mosaic's metadata.json
+     * @returns {string}
+     */
+    function getMosaicDziUrl(baseUrl, id, metadata) {
+        var zCount = metadata.zCount || 1;
+        if (zCount > 1) {
+            var z = Math.floor((zCount - 1) / 2);
+            return baseUrl + '/' + id + '/z_' + String(z).padStart(2, '0') + '/mosaic.dzi';
+        }
+        return baseUrl + '/' + id + '/' + (metadata.name || metadata.title || id) + '.dzi';
+    }
+
+    /**
+     * World width of a second mosaic so it matches the open one in µm (the
+     * open mosaic is 1 wide); 1 if either lacks a physical width
+     * @param {Object} entry - Catalog entry of the second mosaic
+     * @param {Object} mainEntry - Catalog entry of the open mosaic
+     * @returns {number}
+     */
+    function getPhysicalWidth(entry, mainEntry) {
+        var width = entry && entry.physicalWidth;
+        var mainWidth = mainEntry && mainEntry.physicalWidth;
+        return width > 0 && mainWidth > 0 ? width / mainWidth : 1;
+    }
+
+    /**
+     * Make an element a draggable divider over a container. Pointer presses
+     * on it do not reach the viewer underneath (no panning while dragging).
+     * @param {HTMLElement} divider - Divider element (positioned by left: %)
+     * @param {HTMLElement} container - Element the divider spans
+     * @param {Function} onMove - (position) while dragging, position 0-1
+     * @returns {Object} { setPosition(position) }
+     */
+    function bindDivider(divider, container, onMove) {
+        var pointerId = null;
+
+        function setPosition(position) {
+            divider.style.left = (clampPosition(position) * 100) + '%';
+        }
+
+        function move(e) {
+            var rect = container.getBoundingClientRect();
+            var position = clampPosition(rect.width > 0 ? (e.clientX - rect.left) / rect.width : CONFIG.defaultPosition);
+            setPosition(position);
+            onMove(position);
+        }
+
+        divider.addEventListener('pointerdown', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            pointerId = e.pointerId;
+            if (divider.setPointerCapture) divider.setPointerCapture(pointerId);
+            divider.classList.add('dragging');
+        });
+        divider.addEventListener('pointermove', function(e) {
+            if (pointerId === null || e.pointerId !== pointerId) return;
+            e.stopPropagation();
+            move(e);
+        });
+        function release(e) {
+            if (pointerId === null || e.pointerId !== pointerId) return;
+            pointerId = null;
+            divider.classList.remove('dragging');
+        }
+        divider.addEventListener('pointerup', release);
+        divider.addEventListener('pointercancel', release);
+
+        return { setPosition: setPosition };
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] SwipeCompare: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.swipeCompare = {
+        clampPosition: clampPosition,
+        splitClip: splitClip,
+        getSourceValue: getSourceValue,
+        parseSource: parseSource,
+        listMosaics: listMosaics,
+        getMosaicDziUrl: getMosaicDziUrl,
+        getPhysicalWidth: getPhysicalWidth,
+        bindDivider: bindDivider,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -0,0 +1,203 @@
+// evostitch View Link — shareable deep links to a view
+// Serializes view state (center in µm, zoom, Z, T, channel visibility and
+// contrast) into the URL hash, so the dataset query (?zarr= / ?mosaic=) stays
+// untouched. Used by viewer.js (DZI) and zarr-viewer.js.
+//
+// Hash format: #x=1234.5&y=678.9&zoom=-1.25&z=12&t=3&ch=1:100:2000,0:0:65535
+//   x, y  - view center in µm (top-left origin, as in the coordinate display)
+//   zoom  - viewer-native zoom (deck.gl log2 zoom or OpenSeadragon zoom)
+//   z, t  - 0-based plane / timepoint index
+//   ch    - per channel visible(1/0):min:max, in channel order
+//
+// Dependencies: none (DOM only for clipboard and button feedback)
+
+(function() {
+    'use strict';
+
+    var COPIED_FEEDBACK_MS = 1500;
+
+    // Decimal places kept per field (µm to 0.1, zoom to 0.01)
+    var PRECISION = {
+        x: 1,
+        y: 1,
+        zoom: 2
+    };
+
+    function round(value, digits) {
+        var factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    function isFiniteNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    /**
+     * Serialize a view state to a hash string (without the leading '#').
+     * Missing or non-finite fields are left out.
+     * @param {Object} view - { x, y, zoom, z, t, channels: [{ visible, min, max }] }
+     * @returns {string}
+     */
+    function serialize(view) {
+        var parts = [];
+        ['x', 'y', 'zoom'].forEach(function(key) {
+            if (isFiniteNumber(view[key])) {
+                parts.push(key + '=' + round(view[key], PRECISION[key]));
+            }
+        });
+        ['z', 't'].forEach(function(key) {
+            if (isFiniteNumber(view[key])) {
+                parts.push(key + '=' + Math.round(view[key]));
+            }
+        });
+        if (view.channels && view.channels.length > 0) {
+            parts.push('ch=' + view.channels.map(function(c) {
+                return (c.visible ? 1 : 0) + ':' + c.min + ':' + c.max;
+            }).join(','));
+        }
+        return parts.join('&');
+    }
+
+    /**
+     * Parse a hash string into a view state. Invalid fields are dropped, so a
+     * hand-edited link still restores whatever it gets right.
+     * @param {string} hash - Hash with or without the leading '#'
+     * @returns {Object} Subset of { x, y, zoom, z, t, channels }
+     */
+    function parse(hash) {
+        var params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        var view = {};
+
+        ['x', 'y', 'zoom'].forEach(function(key) {
+            var value = parseFloat(params.get(key));
+            if (isFinite(value)) view[key] = value;
+        });
+        ['z', 't'].forEach(function(key) {
+            var value = parseInt(params.get(key), 10);
+            if (isFinite(value) && value >= 0) view[key] = value;
+        });
+
+        var ch = params.get('ch');
+        if (ch) {
+            var channels = ch.split(',').map(function(entry) {
+                var fields = entry.split(':');
+                var min = parseFloat(fields[1]);
+                var max = parseFloat(fields[2]);
+                if (fields.length !== 3 || !isFinite(min) || !isFinite(max) || max <= min) return null;
+                return { visible: fields[0] === '1', min: min, max: max };
+            });
+            if (channels.every(Boolean)) view.channels = channels;
+        }
+
+        return view;
+    }
+
+    /**
+     * Whether a parsed view has a center and zoom to restore
+     * @param {Object} view - Result of parse()
+     * @returns {boolean}
+     */
+    function hasPosition(view) {
+        return isFiniteNumber(view.x) && isFiniteNumber(view.y) && isFiniteNumber(view.zoom);
+    }
+
+    /**
+     * View state linked from the current page URL
+     * @returns {Object} Result of parse() for window.location.hash
+     */
+    function read() {
+        return parse(window.location.hash);
+    }
+
+    /**
+     * Build a link to a view of the current page (same path and query)
+     * @param {Object} view - View state (see serialize)
+     * @returns {string} Absolute URL
+     */
+    function buildUrl(view) {
+        var loc = window.location;
+        return loc.origin + loc.pathname + loc.search + '#' + serialize(view);
+    }
+
+    /**
+     * Copy text to the clipboard. Falls back to a hidden textarea where the
+     * async Clipboard API is unavailable (http:// origins, older browsers).
+     * @param {string} text
+     * @returns {Promise<void>}
+     */
+    function copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            return navigator.clipboard.writeText(text);
+        }
+        return new Promise(function(resolve, reject) {
+            var textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.setAttribute('readonly', '');
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+            var ok = false;
+            try {
+                ok = document.execCommand('copy');
+            } catch (e) {
+                ok = false;
+            }
+            document.body.removeChild(textarea);
+            if (ok) {
+                resolve();
+            } else {
+                reject(new Error('Copy command failed'));
+            }
+        });
+    }
+
+    /**
+     * Wire a "copy link" button: on click, copy a link to the view returned by
+     * getView(), update the address bar to match and flash the button.
+     * @param {HTMLElement} button
+     * @param {Function} getView - Returns the current view state (see serialize)
+     */
+    function bindCopyButton(button, getView) {
+        if (!button) return;
+        var defaultTitle = button.title;
+        var resetTimer = null;
+
+        function flash(className, title) {
+            button.classList.remove('copied', 'copy-failed');
+            button.classList.add(className);
+            button.title = title;
+            clearTimeout(resetTimer);
+            resetTimer = setTimeout(function() {
+                button.classList.remove(className);
+                button.title = defaultTitle;
+            }, COPIED_FEEDBACK_MS);
+        }
+
+        button.addEventListener('click', function() {
+            var view = getView();
+            if (!view) return;  // Viewer not ready yet
+            var url = buildUrl(view);
+            history.replaceState(null, '', url);
+            copyText(url).then(function() {
+                flash('copied', 'Link copied');
+            }).catch(function(err) {
+                console.warn('[evostitch] ViewLink: copy failed, link is in the address bar:', err.message);
+                flash('copy-failed', 'Copy failed - link is in the address bar');
+            });
+        });
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.viewLink = {
+        serialize: serialize,
+        parse: parse,
+        hasPosition: hasPosition,
+        read: read,
+        buildUrl: buildUrl,
+        copyText: copyText,
+        bindCopyButton: bindCopyButton
+    };
+
+})();
@@ -20,6 +20,7 @@
     let catalogEntry = null;
     let viewer = null;
     let scaleUmPerPixel = null;
+    let pixelSize = { x: 1, y: 1 };  // µm per pixel, per axis (measurements)
 
     // Z-stack state
     let currentZ = 0;
@@ -27,6 +28,33 @@
     let zLabels = null;
     let deviceConfig = null;
 
+    // View shared via a deep link (#x=..&y=..&zoom=..&z=..), restored once on open
+    const linkedView = window.evostitch.viewLink.read();
+
+    // Ruler mode (measure-tools.js session, results panel and SVG overlay)
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    let measureSession = null;
+    let measureOverlay = null;
+
+    // Autofocus (autofocus.js focus-curve panel; generation drops superseded searches)
+    let autofocusPanel = null;
+    let autofocusGeneration = 0;
+
+    // Swipe compare (swipe-compare.js): the current plane left of a divider,
+    // another plane or a catalog mosaic right of it
+    let swipeActive = false;
+    let swipeSource = null;     // { type: 'plane', z } or { type: 'mosaic', id }
+    let swipePosition = window.evostitch.swipeCompare.CONFIG.defaultPosition;
+    let swipeItem = null;       // TiledImage of a compared mosaic, added after the planes
+    let swipeItems = [];        // Clipped TiledImages [left, right] while split
+    let swipeGeneration = 0;    // Drops superseded mosaic loads
+    let swipeDivider = null;
+    let catalogMosaics = [];    // Other DZI mosaics of the catalog
+
+    // Letter shortcuts taken over from OpenSeadragon's canvas keys (f flips,
+    // w/s pan), so one press does not do both
+    const claimedCanvasKeys = new Set();
+
     // Device capability detection for adaptive caching
     function getDeviceConfig() {
         const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent)
@@ -130,6 +158,7 @@
             if (catalogResponse.ok) {
                 const catalog = await catalogResponse.json();
                 catalogEntry = catalog.mosaics.find(m => m.id === mosaicId);
+                catalogMosaics = window.evostitch.swipeCompare.listMosaics(catalog, mosaicId);
             }
 
             // Update title and description from catalog (fall back to metadata)
@@ -144,6 +173,7 @@
             // Get scale (µm per pixel)
             if (metadata.scale) {
                 scaleUmPerPixel = (metadata.scale.x + metadata.scale.y) / 2;
+                pixelSize = { x: metadata.scale.x, y: metadata.scale.y };
             }
 
             // Check for 3D mosaic
@@ -156,6 +186,26 @@
                 await init2D();
             }
 
+            // Restore a linked center/zoom once the image is open
+            viewer.addOnceHandler('open', function() {
+                applyLinkedPosition(linkedView);
+            });
+
+            // Copy link to the current view
+            window.evostitch.viewLink.bindCopyButton(document.getElementById('copy-link-btn'), getViewLinkState);
+
+            // Ruler: distance, polyline, area and angle in µm
+            initMeasureTools();
+
+            // Autofocus: jump to the sharpest plane in view (Z-stacks)
+            initAutofocus();
+
+            // Save image: the view as PNG with a burned-in scale bar
+            initSaveImage();
+
+            // Swipe compare: divider between two planes, or this and another mosaic
+            initSwipeCompare();
+
             // Fullscreen button
             document.getElementById('fullscreen-btn').addEventListener('click', toggleFullscreen);
 
@@ -240,8 +290,9 @@
         viewer.world.addHandler('add-item', function() {
             imagesLoaded++;
             if (imagesLoaded === zCount) {
-                // Start at middle Z-plane (more useful default for 3D exploration)
-                currentZ = Math.floor((zCount - 1) / 2);
+                // Start at the linked Z-plane, else the middle one (more useful default for 3D exploration)
+                currentZ = linkedView.z !== undefined ?
+                    Math.min(zCount - 1, linkedView.z) : Math.floor((zCount - 1) / 2);
 
                 // All planes loaded - set visibility (only show initial plane)
                 for (let z = 0; z < zCount; z++) {
@@ -607,6 +658,9 @@
 
         // Update loading indicator - Z window has shifted
         updateLoadingProgress();
+
+        // Keep the new plane on the left of the swipe divider
+        if (swipeActive) applySwipe();
     }
 
     function handleKeyboardZ(e) {
@@ -687,6 +741,8 @@
 
         // Plane index (1-based for humans)
         indexDisplay.textContent = `(${currentZ + 1}/${zCount})`;
+
+        if (autofocusPanel) autofocusPanel.setCurrentZ(currentZ);
     }
 
     // Tile loading progress tracking
@@ -962,6 +1018,14 @@
         const scaleLine = scaleBar.querySelector('.scale-bar-line');
         const scaleLabel = scaleBar.querySelector('.scale-bar-label');
 
+        // Update scale bar display (saved images burn in the same bar)
+        const bar = getScaleBar();
+        scaleLine.style.width = `${Math.round(bar.pixels)}px`;
+        scaleLabel.textContent = bar.label;
+    }
+
+    // Scale bar for the current zoom: { pixels (screen), label }
+    function getScaleBar() {
         // Get current zoom level
         const zoom = viewer.viewport.getZoom(true);
         const containerWidth = viewer.viewport.getContainerSize().x;
@@ -984,10 +1048,7 @@
             }
         }
 
-        // Update scale bar display
-        const barWidth = bestStep.value / umPerScreenPixel;
-        scaleLine.style.width = `${Math.round(barWidth)}px`;
-        scaleLabel.textContent = bestStep.label;
+        return { pixels: bestStep.value / umPerScreenPixel, label: bestStep.label };
     }
 
     function updateCoordinates() {
@@ -1010,6 +1071,11 @@
         displayCoordinates(imagePoint.x, imagePoint.y);
     }
 
+    // Depth of the current plane, from metadata labels or the Z spacing
+    function getZLabel(z = currentZ) {
+        return normalizeUnit(zLabels?.[z] || `${(z * (metadata.zSpacing || 1)).toFixed(1)} µm`);
+    }
+
     function displayCoordinates(pixelX, pixelY) {
         // Convert to µm (QuPath-style: origin top-left, Y down)
         const umX = pixelX * scaleUmPerPixel;
@@ -1019,15 +1085,575 @@
 
         if (zCount > 1) {
             // Include Z coordinate and plane index for 3D mosaics
-            let zLabel = zLabels?.[currentZ] || `${(currentZ * (metadata.zSpacing || 1)).toFixed(1)} µm`;
-            zLabel = normalizeUnit(zLabel);
             const planeIndex = `(plane ${currentZ + 1}/${zCount})`;
-            display.textContent = `X: ${umX.toFixed(1)} µm  Y: ${umY.toFixed(1)} µm  Z: ${zLabel} ${planeIndex}`;
+            display.textContent = `X: ${umX.toFixed(1)} µm  Y: ${umY.toFixed(1)} µm  Z: ${getZLabel()} ${planeIndex}`;
         } else {
             display.textContent = `X: ${umX.toFixed(1)} µm  Y: ${umY.toFixed(1)} µm`;
         }
     }
 
+    // Current view as a shareable link state (see view-link.js).
+    // DZI mosaics have no channels or timepoints, so only center, zoom and Z.
+    function getViewLinkState() {
+        const tiledImage = viewer && viewer.world.getItemAt(zCount > 1 ? currentZ : 0);
+        if (!tiledImage) return null;
+
+        const umPerPixel = scaleUmPerPixel || 1;
+        const imagePoint = tiledImage.viewportToImageCoordinates(viewer.viewport.getCenter());
+        const view = {
+            x: imagePoint.x * umPerPixel,
+            y: imagePoint.y * umPerPixel,
+            zoom: viewer.viewport.getZoom()
+        };
+        if (zCount > 1) view.z = currentZ;
+        return view;
+    }
+
+    // Pan/zoom to a linked center (µm) and zoom
+    function applyLinkedPosition(view) {
+        const tiledImage = viewer.world.getItemAt(0);
+        if (!tiledImage || !window.evostitch.viewLink.hasPosition(view)) return;
+
+        const umPerPixel = scaleUmPerPixel || 1;
+        const center = tiledImage.imageToViewportCoordinates(view.x / umPerPixel, view.y / umPerPixel);
+        viewer.viewport.panTo(center, true);
+        viewer.viewport.zoomTo(view.zoom, null, true);
+        updateScaleBar();
+        updateCoordinates();
+    }
+
+    // Ruler mode: clicks add measurement points instead of zooming, results
+    // are listed in the measure panel and drawn in an SVG overlay
+    function initMeasureTools() {
+        const tools = window.evostitch.measureTools;
+        const button = document.getElementById('measure-btn');
+        let renderPanel = null;
+
+        measureSession = tools.createSession({
+            getPixelSize: function() { return pixelSize; },
+            getPlane: function() { return zCount > 1 ? { z: currentZ } : {}; },
+            onChange: function() {
+                if (button) button.classList.toggle('active', measureSession.isActive());
+                renderPanel();
+                drawMeasureOverlay();
+            }
+        });
+        renderPanel = tools.bindPanel(document.getElementById('measure-panel'), measureSession);
+
+        measureOverlay = document.createElementNS(SVG_NS, 'svg');
+        measureOverlay.setAttribute('class', 'measure-overlay');
+        viewer.canvas.appendChild(measureOverlay);
+        viewer.addHandler('update-viewport', drawMeasureOverlay);
+
+        if (button) {
+            button.addEventListener('click', function() {
+                measureSession.setActive(!measureSession.isActive());
+            });
+        }
+
+        viewer.addHandler('canvas-click', function(event) {
+            if (!measureSession.isActive() || !event.quick) return;
+            event.preventDefaultAction = true;  // No click-to-zoom while measuring
+            const point = elementToImage(event.position);
+            if (point) measureSession.addPoint(point);
+        });
+
+        viewer.addHandler('canvas-double-click', function(event) {
+            if (!measureSession.isActive()) return;
+            event.preventDefaultAction = true;
+            measureSession.finish();
+        });
+
+        viewer.canvas.addEventListener('mousemove', function(e) {
+            if (!measureSession.isActive()) return;
+            measureSession.setCursor(elementToImage(new OpenSeadragon.Point(e.offsetX, e.offsetY)));
+        });
+
+        claimCanvasKey('m');
+        document.addEventListener('keydown', function(e) {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
+                return;
+            }
+            if (e.ctrlKey || e.metaKey || e.altKey) return;  // Leave Ctrl/Cmd+M (minimize) to the browser
+            if (e.key === 'm' || e.key === 'M') {
+                measureSession.setActive(!measureSession.isActive());
+            } else if (measureSession.isActive() && e.key === 'Escape') {
+                measureSession.cancel();
+            } else if (measureSession.isActive() && e.key === 'Enter') {
+                measureSession.finish();
+            }
+        });
+
+        renderPanel();
+    }
+
+    // Viewer element pixel -> full-resolution image pixel [x, y]
+    function elementToImage(position) {
+        const tiledImage = viewer.world.getItemAt(zCount > 1 ? currentZ : 0);
+        if (!tiledImage) return null;
+        const imagePoint = tiledImage.viewerElementToImageCoordinates(position);
+        return [imagePoint.x, imagePoint.y];
+    }
+
+    // Redraw measurements (and the one being drawn) in viewer element pixels
+    function drawMeasureOverlay() {
+        if (!measureOverlay) return;
+        measureOverlay.textContent = '';
+
+        const tiledImage = viewer.world.getItemAt(zCount > 1 ? currentZ : 0);
+        if (!tiledImage || !measureSession.isActive()) return;
+
+        const tools = window.evostitch.measureTools;
+        const shapes = measureSession.getMeasurements().map(function(m) {
+            return { mode: m.mode, points: m.points, label: tools.format(m) };
+        });
+        const draftPoints = measureSession.getDraftPoints();
+        if (draftPoints.length > 0) {
+            shapes.push({ mode: measureSession.getMode(), points: draftPoints, draft: true });
+        }
+
+        shapes.forEach(function(shape) {
+            const points = shape.points.map(function(p) {
+                return tiledImage.imageToViewerElementCoordinates(new OpenSeadragon.Point(p[0], p[1]));
+            });
+
+            const outline = document.createElementNS(SVG_NS,
+                shape.mode === 'area' && points.length >= 3 ? 'polygon' : 'polyline');
+            outline.setAttribute('points', points.map(function(p) { return p.x + ',' + p.y; }).join(' '));
+            outline.setAttribute('class', shape.draft ? 'measure-shape measure-shape-draft' : 'measure-shape');
+            measureOverlay.appendChild(outline);
+
+            points.forEach(function(p) {
+                const vertex = document.createElementNS(SVG_NS, 'circle');
+                vertex.setAttribute('cx', p.x);
+                vertex.setAttribute('cy', p.y);
+                vertex.setAttribute('r', 3);
+                vertex.setAttribute('class', 'measure-vertex');
+                measureOverlay.appendChild(vertex);
+            });
+
+            if (shape.label) {
+                const last = points[points.length - 1];
+                const label = document.createElementNS(SVG_NS, 'text');
+                label.setAttribute('x', last.x + 8);
+                label.setAttribute('y', last.y - 6);
+                label.setAttribute('class', 'measure-label');
+                label.textContent = shape.label;
+                measureOverlay.appendChild(label);
+            }
+        });
+    }
+
+    // Stop OpenSeadragon from handling a letter key the viewer uses as a shortcut
+    function claimCanvasKey(key) {
+        if (claimedCanvasKeys.size === 0) {
+            viewer.addHandler('canvas-key', function(event) {
+                const pressed = event.originalEvent && event.originalEvent.key;
+                if (pressed && claimedCanvasKeys.has(pressed.toLowerCase())) {
+                    event.preventDefaultAction = true;
+                }
+            });
+        }
+        claimedCanvasKeys.add(key);
+    }
+
+    // Autofocus button, F key and focus-curve panel (clicking the curve goes
+    // to that plane). Z-stacks only.
+    function initAutofocus() {
+        const button = document.getElementById('autofocus-btn');
+        autofocusPanel = window.evostitch.autofocus.bindPanel(document.getElementById('autofocus-panel'), goToPlane);
+        if (zCount <= 1) return;
+
+        if (button) {
+            button.hidden = false;
+            button.addEventListener('click', runAutofocus);
+        }
+        claimCanvasKey('f');
+        document.addEventListener('keydown', function(e) {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
+                return;
+            }
+            if (e.ctrlKey || e.metaKey || e.altKey) return;  // Leave Ctrl/Cmd+F (find) to the browser
+            if (e.key === 'f' || e.key === 'F') {
+                e.preventDefault();
+                runAutofocus();
+            }
+        });
+    }
+
+    function goToPlane(z) {
+        setZPlane(z);
+        document.getElementById('z-slider').value = currentZ;
+    }
+
+    // Score the viewport of every plane and go to the sharpest: all planes at a
+    // coarse DZI level, then a finer one around the focal peaks
+    async function runAutofocus() {
+        if (zCount <= 1 || !viewer) return null;
+        const tools = window.evostitch.autofocus;
+        const button = document.getElementById('autofocus-btn');
+        const generation = ++autofocusGeneration;
+        if (button) button.classList.add('active');
+        autofocusPanel.show('Scanning…', null, currentZ);
+
+        try {
+            const result = await tools.findBestFocus({
+                zCount: zCount,
+                scorePlane: async function(z, maxPixels) {
+                    const plane = await readViewportGray(z, maxPixels);
+                    return plane ? tools.focusScore(plane.data, plane.width, plane.height) : null;
+                },
+                onProgress: function(progress) {
+                    if (generation !== autofocusGeneration) return;
+                    autofocusPanel.show(tools.formatProgress(progress), null, currentZ);
+                }
+            });
+            if (generation !== autofocusGeneration) return null;
+
+            if (result) goToPlane(result.bestZ);
+            autofocusPanel.show(tools.formatResult(result), result, currentZ);
+            return result;
+        } catch (error) {
+            if (generation !== autofocusGeneration) return null;
+            console.warn('[evostitch] Autofocus failed:', error.message);
+            autofocusPanel.show('Autofocus failed', null, currentZ);
+            return null;
+        } finally {
+            if (generation === autofocusGeneration && button) button.classList.remove('active');
+        }
+    }
+
+    // The current viewport of one plane as luminance, from the finest DZI level
+    // that keeps it within maxPixels. Tiles are fetched by URL like OSD's
+    // (served by the SW cache when already viewed) and drawn into a canvas.
+    async function readViewportGray(z, maxPixels) {
+        const tiledImage = viewer.world.getItemAt(z);
+        if (!tiledImage) return null;
+        const source = tiledImage.source;
+        const rect = tiledImage.viewportToImageRectangle(viewer.viewport.getBounds(true));
+        const minX = Math.max(0, Math.floor(rect.x));
+        const minY = Math.max(0, Math.floor(rect.y));
+        const maxX = Math.min(source.dimensions.x, Math.ceil(rect.x + rect.width));
+        const maxY = Math.min(source.dimensions.y, Math.ceil(rect.y + rect.height));
+        if (maxX <= minX || maxY <= minY) return null;
+
+        // Level scale is 1 at maxLevel and halves per level below
+        let level = source.maxLevel;
+        let scale = source.getLevelScale(level);
+        while (level > source.minLevel && (maxX - minX) * (maxY - minY) * scale * scale > maxPixels) {
+            level--;
+            scale = source.getLevelScale(level);
+        }
+
+        const x0 = Math.floor(minX * scale);
+        const y0 = Math.floor(minY * scale);
+        const width = Math.max(1, Math.ceil(maxX * scale) - x0);
+        const height = Math.max(1, Math.ceil(maxY * scale) - y0);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        await drawLevelTiles(ctx, source, level, { x: x0 / scale, y: y0 / scale, width: width / scale, height: height / scale }, scale);
+
+        const rgba = ctx.getImageData(0, 0, width, height).data;
+        return { data: window.evostitch.autofocus.rgbaToGray(rgba), width: width, height: height };
+    }
+
+    // Draw the tiles of one DZI level covering a full-resolution image
+    // rectangle into ctx, pixelScale canvas pixels per full-resolution pixel.
+    // Tiles are fetched by URL like OSD's (served by the SW cache when
+    // already viewed).
+    async function drawLevelTiles(ctx, source, level, rect, pixelScale) {
+        const levelScale = source.getLevelScale(level);
+        const k = pixelScale / levelScale;  // Canvas pixels per level pixel
+        const x0 = rect.x * levelScale;
+        const y0 = rect.y * levelScale;
+        const x1 = (rect.x + rect.width) * levelScale;
+        const y1 = (rect.y + rect.height) * levelScale;
+        const tileWidth = source.getTileWidth(level);
+        const tileHeight = source.getTileHeight(level);
+        const overlap = source.tileOverlap || 0;
+        const numTiles = source.getNumTiles(level);
+
+        const draws = [];
+        for (let ty = Math.max(0, Math.floor(y0 / tileHeight)); ty < numTiles.y && ty * tileHeight < y1; ty++) {
+            for (let tx = Math.max(0, Math.floor(x0 / tileWidth)); tx < numTiles.x && tx * tileWidth < x1; tx++) {
+                draws.push(window.evostitch.browserDecode.decodeMainThread(source.getTileUrl(level, tx, ty))
+                    .then(function(image) {
+                        // Inner tile edges carry `overlap` extra pixels
+                        ctx.drawImage(image,
+                            (tx * tileWidth - (tx > 0 ? overlap : 0) - x0) * k,
+                            (ty * tileHeight - (ty > 0 ? overlap : 0) - y0) * k,
+                            image.width * k, image.height * k);
+                        if (image.close) image.close();
+                    }));
+            }
+        }
+        await Promise.all(draws);
+    }
+
+    // Save image button, S key and panel (output resolution, burned-in
+    // scale bar and Z depth)
+    function initSaveImage() {
+        const panel = window.evostitch.figureExport.bindPanel(document.getElementById('save-image-panel'), async function(options) {
+            const saved = await saveImage(options);
+            return saved && `${saved.filename} (${saved.width}×${saved.height})`;
+        });
+        const button = document.getElementById('save-image-btn');
+        if (button) button.addEventListener('click', panel.toggle);
+
+        claimCanvasKey('s');
+        document.addEventListener('keydown', function(e) {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
+                return;
+            }
+            if ((e.key === 's' || e.key === 'S') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                panel.toggle();
+            }
+        });
+    }
+
+    // The current view as PNG at options.scale × the screen resolution:
+    // tiles of the DZI level matching the output resolution are composited
+    // into a canvas, then the scale bar and Z depth are burned in
+    // (figure-export.js). Resolves to { blob, filename, width, height }.
+    async function saveImage(options) {
+        const tiledImage = viewer && viewer.world.getItemAt(zCount > 1 ? currentZ : 0);
+        if (!tiledImage) return null;
+        const figure = window.evostitch.figureExport;
+        const source = tiledImage.source;
+        const container = viewer.viewport.getContainerSize();
+        const pixelRatio = window.devicePixelRatio || 1;
+        const scale = figure.clampScale(options.scale, container.x * pixelRatio, container.y * pixelRatio);
+        const width = Math.round(container.x * pixelRatio * scale);
+        const height = Math.round(container.y * pixelRatio * scale);
+
+        // Finest level needed: the first with at least one tile pixel per canvas pixel
+        const rect = tiledImage.viewportToImageRectangle(viewer.viewport.getBounds(true));
+        const pixelScale = width / rect.width;  // Canvas pixels per full-resolution pixel
+        let level = source.minLevel;
+        while (level < source.maxLevel && source.getLevelScale(level) < pixelScale) level++;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = getComputedStyle(viewer.element).backgroundColor;
+        ctx.fillRect(0, 0, width, height);
+        await drawLevelTiles(ctx, source, level, rect, pixelScale);
+
+        figure.drawOverlays(ctx, {
+            scale: width / container.x,
+            scaleBar: options.scaleBar && scaleUmPerPixel ? getScaleBar() : null,
+            label: options.label && zCount > 1 ? `Z ${currentZ + 1}/${zCount} · ${getZLabel()}` : null
+        });
+        const blob = await figure.toPng(canvas);
+        const filename = `${mosaicId}${zCount > 1 ? '-z' + (currentZ + 1) : ''}.png`;
+        figure.download(blob, filename);
+        return { blob: blob, filename: filename, width: width, height: height };
+    }
+
+    // Swipe compare button, W key and bar: the current plane (or this mosaic)
+    // left of a draggable divider, the plane or mosaic picked in the bar
+    // right of it. Hidden when there is nothing to compare with.
+    function initSwipeCompare() {
+        const tools = window.evostitch.swipeCompare;
+        const button = document.getElementById('swipe-btn');
+        const panel = document.getElementById('swipe-panel');
+        if (!panel || (zCount <= 1 && catalogMosaics.length === 0)) return;
+        const select = panel.querySelector('.swipe-source');
+
+        panel.querySelector('.swipe-left').textContent = zCount > 1 ? 'Left: current plane' : 'Left: this mosaic';
+        if (zCount > 1) {
+            const planes = document.createElement('optgroup');
+            planes.label = 'Z-planes';
+            for (let z = 0; z < zCount; z++) {
+                planes.appendChild(new Option(`Z ${z + 1} · ${getZLabel(z)}`, tools.getSourceValue({ type: 'plane', z: z })));
+            }
+            select.appendChild(planes);
+        }
+        if (catalogMosaics.length > 0) {
+            const mosaics = document.createElement('optgroup');
+            mosaics.label = 'Mosaics';
+            catalogMosaics.forEach(function(mosaic) {
+                mosaics.appendChild(new Option(mosaic.title || mosaic.id, tools.getSourceValue({ type: 'mosaic', id: mosaic.id })));
+            });
+            select.appendChild(mosaics);
+        }
+        select.addEventListener('change', function() {
+            setSwipeSource(tools.parseSource(select.value));
+        });
+        panel.querySelector('.swipe-close-btn').addEventListener('click', function() {
+            setSwipeActive(false);
+        });
+
+        swipeDivider = document.createElement('div');
+        swipeDivider.className = 'swipe-divider';
+        swipeDivider.title = 'Drag to compare';
+        swipeDivider.hidden = true;
+        viewer.container.appendChild(swipeDivider);
+        tools.bindDivider(swipeDivider, viewer.container, function(position) {
+            swipePosition = position;
+            updateSwipeClips();
+        }).setPosition(swipePosition);
+
+        // Before each redraw, so the clips follow pans and zooms in the same frame
+        viewer.addHandler('viewport-change', updateSwipeClips);
+
+        if (button) {
+            button.hidden = false;
+            button.addEventListener('click', function() {
+                setSwipeActive(!swipeActive);
+            });
+        }
+        claimCanvasKey('w');
+        document.addEventListener('keydown', function(e) {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
+                return;
+            }
+            if (e.ctrlKey || e.metaKey || e.altKey) return;  // Ctrl/Cmd+W closes the tab
+            if (e.key === 'w' || e.key === 'W') {
+                setSwipeActive(!swipeActive);
+            }
+        });
+    }
+
+    function setSwipeActive(active) {
+        const panel = document.getElementById('swipe-panel');
+        const button = document.getElementById('swipe-btn');
+        if (!swipeDivider || active === swipeActive) return;
+        swipeActive = active;
+        panel.hidden = !active;
+        swipeDivider.hidden = !active;
+        if (button) button.classList.toggle('active', active);
+
+        if (active) {
+            // Default: the next plane down (or up from the deepest), else the first mosaic
+            if (!swipeSource) {
+                swipeSource = zCount > 1 ?
+                    { type: 'plane', z: currentZ < zCount - 1 ? currentZ + 1 : currentZ - 1 } :
+                    { type: 'mosaic', id: catalogMosaics[0].id };
+            }
+            panel.querySelector('.swipe-source').value = window.evostitch.swipeCompare.getSourceValue(swipeSource);
+            setSwipeSource(swipeSource);
+        } else {
+            swipeGeneration++;
+            removeSwipeMosaic();
+            setSwipeStatus('');
+            applySwipe();
+        }
+    }
+
+    // Show a plane or catalog mosaic on the right of the divider
+    function setSwipeSource(source) {
+        if (!source) return;
+        swipeSource = source;
+        swipeGeneration++;
+        removeSwipeMosaic();
+        setSwipeStatus('');
+        if (source.type === 'mosaic') loadSwipeMosaic(source.id, swipeGeneration);
+        applySwipe();
+    }
+
+    // Add a catalog mosaic to the world after the planes (plane indices are
+    // unchanged), as wide as its physical size relative to this mosaic so
+    // both line up in µm
+    async function loadSwipeMosaic(id, generation) {
+        const tools = window.evostitch.swipeCompare;
+        const entry = catalogMosaics.find(m => m.id === id);
+        setSwipeStatus('Loading…');
+        try {
+            const response = await fetch(`${TILES_BASE_URL}/${id}/metadata.json`);
+            if (!response.ok) {
+                throw new Error(`Failed to load metadata: ${response.status}`);
+            }
+            const mosaicMetadata = await response.json();
+            if (generation !== swipeGeneration) return;
+
+            viewer.addTiledImage({
+                tileSource: tools.getMosaicDziUrl(TILES_BASE_URL, id, mosaicMetadata),
+                width: tools.getPhysicalWidth(entry, catalogEntry),
+                opacity: 0,
+                success: function(event) {
+                    if (generation !== swipeGeneration) {
+                        viewer.world.removeItem(event.item);
+                        return;
+                    }
+                    swipeItem = event.item;
+                    setSwipeStatus('');
+                    applySwipe();
+                },
+                error: function(event) {
+                    if (generation !== swipeGeneration) return;
+                    console.warn('[evostitch] Swipe compare: failed to open', id, event.message);
+                    setSwipeStatus('Failed to open');
+                }
+            });
+        } catch (error) {
+            if (generation !== swipeGeneration) return;
+            console.warn('[evostitch] Swipe compare: failed to open', id, error.message);
+            setSwipeStatus('Failed to open');
+        }
+    }
+
+    function removeSwipeMosaic() {
+        if (!swipeItem) return;
+        swipeItems = swipeItems.filter(item => item !== swipeItem);
+        viewer.world.removeItem(swipeItem);
+        swipeItem = null;
+    }
+
+    function setSwipeStatus(text) {
+        const status = document.querySelector('#swipe-panel .swipe-status');
+        if (status) status.textContent = text;
+    }
+
+    // Show the current plane and the compared plane or mosaic, clipped at
+    // the divider. Images no longer split lose their clip; planes other than
+    // the current one are hidden again.
+    function applySwipe() {
+        const left = viewer.world.getItemAt(zCount > 1 ? currentZ : 0);
+        let right = null;
+        if (swipeActive && swipeSource) {
+            right = swipeSource.type === 'plane' ? viewer.world.getItemAt(swipeSource.z) : swipeItem;
+        }
+        const shown = left && right && right !== left ? [left, right] : [];
+
+        swipeItems.forEach(function(item) {
+            if (shown.includes(item)) return;
+            item.setClip(null);
+            if (item !== left) item.setOpacity(0);
+        });
+        swipeItems = shown;
+
+        if (shown.length > 0) {
+            right.setOpacity(1);
+            right.setPreload(false);  // Viewport-based loading, as for the current plane
+            updateSwipeClips();
+        }
+    }
+
+    // Clip both sides at the divider, each in its own image pixels. Clips are
+    // only set when they change (setClip() always requests a redraw).
+    function updateSwipeClips() {
+        if (swipeItems.length < 2) return;
+        const tools = window.evostitch.swipeCompare;
+        const dividerX = viewer.viewport.getContainerSize().x * swipePosition;
+
+        swipeItems.forEach(function(item, i) {
+            const dimensions = item.source.dimensions;
+            const boundary = item.viewerElementToImageCoordinates(new OpenSeadragon.Point(dividerX, 0)).x;
+            const clips = tools.splitClip(boundary, dimensions.x, dimensions.y);
+            const clip = i === 0 ? clips.left : clips.right;
+            const current = item.getClip();
+            if (current && current.x === clip.x && current.width === clip.width && current.height === clip.height) {
+                return;
+            }
+            item.setClip(new OpenSeadragon.Rect(clip.x, clip.y, clip.width, clip.height));
+        });
+    }
+
     function toggleFullscreen() {
         const elem = document.documentElement;
 
@@ -0,0 +1,357 @@
+// evostitch Zarr Annotations — annotation model, GeoJSON and persistence
+// Point, line, rectangle and polygon annotations in full-resolution image
+// pixel coordinates, each tied to a Z (and T) index. Converts to/from GeoJSON
+// (pixel coordinates, as QuPath does, with µm measurements in properties) and
+// persists per dataset in localStorage. Used by zarr-viewer.js, which draws
+// the annotations as deck.gl layers and handles mouse editing.
+//
+// Dependencies: none (localStorage only)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        storagePrefix: 'evostitch-annotations:',
+        debug: false
+    };
+
+    var SHAPES = ['point', 'line', 'rectangle', 'polygon'];
+
+    // Minimum vertices per shape (rectangles are stored as two opposite corners)
+    var MIN_VERTICES = {
+        point: 1,
+        line: 2,
+        rectangle: 2,
+        polygon: 3
+    };
+
+    var STORAGE_VERSION = 1;
+
+    var idCounter = 0;
+
+    function generateId() {
+        idCounter++;
+        return 'a' + Date.now().toString(36) + idCounter.toString(36);
+    }
+
+    function isPoint(value) {
+        return Array.isArray(value) && value.length >= 2 &&
+            typeof value[0] === 'number' && isFinite(value[0]) &&
+            typeof value[1] === 'number' && isFinite(value[1]);
+    }
+
+    /**
+     * Create an annotation
+     * @param {string} shape - 'point' | 'line' | 'rectangle' | 'polygon'
+     * @param {Array} coordinates - [[x, y], ...] in image pixels (rectangle: two opposite corners)
+     * @param {Object} [options] - { z, t, label, id }
+     * @returns {Object|null} { id, shape, coordinates, z, t, label }, or null if invalid
+     */
+    function createAnnotation(shape, coordinates, options) {
+        var opts = options || {};
+        if (SHAPES.indexOf(shape) < 0) return null;
+        if (!Array.isArray(coordinates) || !coordinates.every(isPoint)) return null;
+        if (coordinates.length < MIN_VERTICES[shape]) return null;
+
+        var coords = coordinates.map(function(p) { return [p[0], p[1]]; });
+        if (shape === 'point') coords = coords.slice(0, 1);
+        if (shape === 'rectangle') coords = coords.slice(0, 2);
+
+        return {
+            id: opts.id || generateId(),
+            shape: shape,
+            coordinates: coords,
+            z: opts.z || 0,
+            t: opts.t || 0,
+            label: opts.label || ''
+        };
+    }
+
+    /**
+     * Vertices as drawn: rectangles expand to their 4 corners, other shapes
+     * return their coordinates
+     * @param {Object} annotation
+     * @returns {Array} [[x, y], ...]
+     */
+    function getVertices(annotation) {
+        var c = annotation.coordinates;
+        if (annotation.shape !== 'rectangle') return c;
+        return [[c[0][0], c[0][1]], [c[1][0], c[0][1]], [c[1][0], c[1][1]], [c[0][0], c[1][1]]];
+    }
+
+    /**
+     * Move one drawn vertex (index into getVertices). Dragging a rectangle
+     * corner keeps the opposite corner fixed.
+     * @param {Object} annotation - Updated in place
+     * @param {number} index - Vertex index
+     * @param {number[]} point - New [x, y] in image pixels
+     */
+    function moveVertex(annotation, index, point) {
+        if (annotation.shape === 'rectangle') {
+            var opposite = getVertices(annotation)[(index + 2) % 4];
+            annotation.coordinates = [opposite, [point[0], point[1]]];
+        } else if (index >= 0 && index < annotation.coordinates.length) {
+            annotation.coordinates[index] = [point[0], point[1]];
+        }
+    }
+
+    /**
+     * Annotations on one plane
+     * @param {Array} annotations
+     * @param {number} z
+     * @param {number} t
+     * @returns {Array}
+     */
+    function onPlane(annotations, z, t) {
+        return annotations.filter(function(a) { return a.z === z && a.t === t; });
+    }
+
+    // Scale a pixel vertex to µm
+    function toMicrons(p, pixelSize) {
+        return [p[0] * pixelSize.x, p[1] * pixelSize.y];
+    }
+
+    function pathLength(points) {
+        var length = 0;
+        for (var i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+        }
+        return length;
+    }
+
+    /**
+     * Measurements in µm (pixel sizes may differ in X and Y)
+     * @param {Object} annotation
+     * @param {Object} pixelSize - { x, y } µm per pixel
+     * @returns {Object} point: { xUm, yUm }; line: { lengthUm };
+     *   rectangle/polygon: { areaUm2, perimeterUm }
+     */
+    function measure(annotation, pixelSize) {
+        var points = getVertices(annotation).map(function(p) { return toMicrons(p, pixelSize); });
+
+        if (annotation.shape === 'point') {
+            return { xUm: points[0][0], yUm: points[0][1] };
+        }
+        if (annotation.shape === 'line') {
+            return { lengthUm: pathLength(points) };
+        }
+
+        // Shoelace formula over the closed ring
+        var area = 0;
+        for (var i = 0; i < points.length; i++) {
+            var a = points[i];
+            var b = points[(i + 1) % points.length];
+            area += a[0] * b[1] - b[0] * a[1];
+        }
+        return {
+            areaUm2: Math.abs(area) / 2,
+            perimeterUm: pathLength(points.concat([points[0]]))
+        };
+    }
+
+    /**
+     * GeoJSON geometry for an annotation (pixel coordinates, closed polygon rings)
+     * @param {Object} annotation
+     * @returns {Object} GeoJSON geometry
+     */
+    function toGeometry(annotation) {
+        var vertices = getVertices(annotation).map(function(p) { return [p[0], p[1]]; });
+        switch (annotation.shape) {
+            case 'point':
+                return { type: 'Point', coordinates: vertices[0] };
+            case 'line':
+                return { type: 'LineString', coordinates: vertices };
+            default:
+                return { type: 'Polygon', coordinates: [vertices.concat([vertices[0].slice()])] };
+        }
+    }
+
+    /**
+     * Export annotations as a GeoJSON FeatureCollection. Coordinates are
+     * full-resolution image pixels; properties carry shape, plane, label and
+     * µm measurements.
+     * @param {Array} annotations
+     * @param {Object} pixelSize - { x, y } µm per pixel
+     * @returns {Object} FeatureCollection
+     */
+    function toGeoJSON(annotations, pixelSize) {
+        return {
+            type: 'FeatureCollection',
+            features: annotations.map(function(a) {
+                var properties = { shape: a.shape, z: a.z, t: a.t, label: a.label };
+                var measurements = measure(a, pixelSize);
+                Object.keys(measurements).forEach(function(key) {
+                    properties[key] = measurements[key];
+                });
+                return {
+                    type: 'Feature',
+                    id: a.id,
+                    geometry: toGeometry(a),
+                    properties: properties
+                };
+            })
+        };
+    }
+
+    // Axis-aligned 4-corner ring → two opposite corners, else null
+    function ringToRectangle(ring) {
+        if (ring.length !== 4) return null;
+        var xs = ring.map(function(p) { return p[0]; });
+        var ys = ring.map(function(p) { return p[1]; });
+        var minX = Math.min.apply(null, xs);
+        var maxX = Math.max.apply(null, xs);
+        var minY = Math.min.apply(null, ys);
+        var maxY = Math.max.apply(null, ys);
+        var aligned = ring.every(function(p) {
+            return (p[0] === minX || p[0] === maxX) && (p[1] === minY || p[1] === maxY);
+        });
+        return aligned ? [[minX, minY], [maxX, maxY]] : null;
+    }
+
+    /**
+     * Import annotations from GeoJSON (FeatureCollection, Feature or an array
+     * of Features). Point, LineString and Polygon (outer ring) geometries are
+     * supported; anything else is skipped.
+     * @param {Object|Array} geojson
+     * @param {Object} [defaults] - { z, t } for features without plane properties
+     * @returns {Object} { annotations, skipped }
+     */
+    function fromGeoJSON(geojson, defaults) {
+        var defs = defaults || {};
+        var features;
+        if (Array.isArray(geojson)) {
+            features = geojson;
+        } else if (geojson && geojson.type === 'FeatureCollection') {
+            features = geojson.features || [];
+        } else if (geojson && geojson.type === 'Feature') {
+            features = [geojson];
+        } else {
+            throw new Error('Not a GeoJSON FeatureCollection or Feature');
+        }
+
+        var annotations = [];
+        var skipped = 0;
+        features.forEach(function(feature) {
+            var geometry = feature && feature.geometry;
+            var props = (feature && feature.properties) || {};
+            var options = {
+                z: typeof props.z === 'number' ? props.z : defs.z,
+                t: typeof props.t === 'number' ? props.t : defs.t,
+                label: typeof props.label === 'string' ? props.label : (props.name || '')
+            };
+
+            var annotation = null;
+            if (geometry && geometry.type === 'Point') {
+                annotation = createAnnotation('point', [geometry.coordinates], options);
+            } else if (geometry && geometry.type === 'LineString') {
+                annotation = createAnnotation('line', geometry.coordinates, options);
+            } else if (geometry && geometry.type === 'Polygon' && Array.isArray(geometry.coordinates[0])) {
+                var ring = geometry.coordinates[0].slice();
+                var first = ring[0];
+                var last = ring[ring.length - 1];
+                if (ring.length > 1 && isPoint(first) && isPoint(last) && first[0] === last[0] && first[1] === last[1]) {
+                    ring.pop();
+                }
+                var corners = props.shape === 'rectangle' && ring.every(isPoint) ? ringToRectangle(ring) : null;
+                annotation = corners ?
+                    createAnnotation('rectangle', corners, options) :
+                    createAnnotation('polygon', ring, options);
+            }
+
+            if (annotation) {
+                annotations.push(annotation);
+            } else {
+                skipped++;
+            }
+        });
+
+        log('Imported ' + annotations.length + ' annotations, skipped ' + skipped);
+        return { annotations: annotations, skipped: skipped };
+    }
+
+    /**
+     * localStorage key for a dataset
+     * @param {string} datasetUrl - Zarr store URL
+     * @returns {string}
+     */
+    function storageKey(datasetUrl) {
+        return CONFIG.storagePrefix + datasetUrl;
+    }
+
+    /**
+     * Load a dataset's saved annotations
+     * @param {string} datasetUrl - Zarr store URL
+     * @returns {Array} Annotations (empty if none or unreadable)
+     */
+    function load(datasetUrl) {
+        try {
+            var raw = localStorage.getItem(storageKey(datasetUrl));
+            if (!raw) return [];
+            var saved = JSON.parse(raw);
+            if (!saved || saved.version !== STORAGE_VERSION || !Array.isArray(saved.annotations)) return [];
+            return saved.annotations.map(function(a) {
+                return createAnnotation(a.shape, a.coordinates, a);
+            }).filter(Boolean);
+        } catch (e) {
+            console.warn('[evostitch] ZarrAnnotations: failed to load saved annotations:', e.message);
+            return [];
+        }
+    }
+
+    /**
+     * Save a dataset's annotations (removes the entry when empty)
+     * @param {string} datasetUrl - Zarr store URL
+     * @param {Array} annotations
+     * @returns {boolean} Whether the annotations were saved
+     */
+    function save(datasetUrl, annotations) {
+        try {
+            if (annotations.length === 0) {
+                localStorage.removeItem(storageKey(datasetUrl));
+            } else {
+                localStorage.setItem(storageKey(datasetUrl), JSON.stringify({
+                    version: STORAGE_VERSION,
+                    annotations: annotations
+                }));
+            }
+            return true;
+        } catch (e) {
+            // Quota exceeded or storage disabled (private browsing)
+            console.warn('[evostitch] ZarrAnnotations: failed to save annotations:', e.message);
+            return false;
+        }
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrAnnotations: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrAnnotations = {
+        SHAPES: SHAPES,
+        createAnnotation: createAnnotation,
+        getVertices: getVertices,
+        moveVertex: moveVertex,
+        onPlane: onPlane,
+        measure: measure,
+        toGeometry: toGeometry,
+        toGeoJSON: toGeoJSON,
+        fromGeoJSON: fromGeoJSON,
+        load: load,
+        save: save,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -0,0 +1,217 @@
+// evostitch Zarr Colormaps — per-channel lookup tables for the Zarr viewer
+// Defines the channel colormaps (viridis, magma, inferno, fire, grays,
+// inverted grays) and builds the per-channel LUT uniform consumed by the
+// ChannelLutExtension shader in the zarr-viewer bundle. A channel either uses
+// one of these colormaps or a solid color (black → color ramp, like Viv's
+// default ColorPaletteExtension).
+//
+// Dependencies: none (pure functions)
+
+(function() {
+    'use strict';
+
+    // Must match LUT_SIZE / MAX_CHANNELS in src/channel-lut-extension.js
+    var LUT_SIZE = 16;
+    var MAX_CHANNELS = 6;
+
+    // Pseudo-colormap id for a solid black → color ramp
+    var SOLID_COLOR = 'color';
+
+    var DEFAULT_COLOR = 'FFFFFF';
+
+    // Colormap id -> label and evenly spaced RGB stops (0-255), low to high
+    var COLORMAPS = {
+        grays: {
+            label: 'Grays',
+            stops: [[0, 0, 0], [255, 255, 255]]
+        },
+        'inverted-grays': {
+            label: 'Inverted grays',
+            stops: [[255, 255, 255], [0, 0, 0]]
+        },
+        viridis: {
+            label: 'Viridis',
+            stops: [[68, 1, 84], [71, 44, 122], [59, 81, 139], [44, 113, 142], [33, 144, 141],
+                [39, 173, 129], [92, 200, 99], [170, 220, 50], [253, 231, 37]]
+        },
+        magma: {
+            label: 'Magma',
+            stops: [[0, 0, 4], [28, 16, 68], [79, 18, 123], [129, 37, 129], [181, 54, 122],
+                [229, 80, 100], [251, 135, 97], [254, 194, 135], [252, 253, 191]]
+        },
+        inferno: {
+            label: 'Inferno',
+            stops: [[0, 0, 4], [31, 12, 72], [85, 15, 109], [136, 34, 106], [186, 54, 85],
+                [227, 89, 51], [249, 140, 10], [249, 201, 50], [252, 255, 164]]
+        },
+        // ImageJ "Fire"
+        fire: {
+            label: 'Fire',
+            stops: [[0, 0, 0], [0, 0, 61], [1, 0, 96], [25, 0, 130], [49, 0, 165], [73, 0, 192],
+                [98, 0, 220], [122, 0, 227], [146, 0, 210], [162, 0, 181], [173, 0, 151],
+                [184, 0, 122], [195, 0, 93], [207, 14, 64], [217, 35, 35], [229, 57, 5],
+                [240, 79, 0], [252, 101, 0], [255, 117, 0], [255, 133, 0], [255, 147, 0],
+                [255, 161, 0], [255, 175, 0], [255, 190, 0], [255, 205, 0], [255, 219, 0],
+                [255, 234, 0], [255, 248, 35], [255, 255, 98], [255, 255, 160], [255, 255, 223],
+                [255, 255, 255]]
+        }
+    };
+
+    /**
+     * Colormap ids in display order (excluding the solid color option)
+     * @returns {string[]}
+     */
+    function getColormapIds() {
+        return Object.keys(COLORMAPS);
+    }
+
+    /**
+     * @param {string} id - Colormap id
+     * @returns {boolean} Whether id names a colormap (not the solid color option)
+     */
+    function isColormap(id) {
+        return COLORMAPS.hasOwnProperty(id);
+    }
+
+    /**
+     * @param {string} id - Colormap id or 'color'
+     * @returns {string} Display label
+     */
+    function getColormapLabel(id) {
+        if (isColormap(id)) return COLORMAPS[id].label;
+        return 'Color';
+    }
+
+    /**
+     * Parse a hex color ('FF00FF', '#ff00ff') to [r, g, b]
+     * @param {string} hex
+     * @returns {number[]} RGB (0-255); white if unparseable
+     */
+    function hexToRgb(hex) {
+        var match = /^#?([0-9a-f]{6})$/i.exec(typeof hex === 'string' ? hex.trim() : '');
+        var value = match ? match[1] : DEFAULT_COLOR;
+        return [
+            parseInt(value.slice(0, 2), 16),
+            parseInt(value.slice(2, 4), 16),
+            parseInt(value.slice(4, 6), 16)
+        ];
+    }
+
+    /**
+     * Format [r, g, b] as an uppercase hex string without '#' (omero style)
+     * @param {number[]} rgb
+     * @returns {string}
+     */
+    function rgbToHex(rgb) {
+        return rgb.map(function(v) {
+            var clamped = Math.max(0, Math.min(255, Math.round(v)));
+            return (clamped < 16 ? '0' : '') + clamped.toString(16);
+        }).join('').toUpperCase();
+    }
+
+    /**
+     * Stops for a channel: the colormap's stops, or black → color
+     * @param {string} colormap - Colormap id or 'color'
+     * @param {string} color - Hex color used when colormap is 'color'
+     * @returns {number[][]}
+     */
+    function getStops(colormap, color) {
+        if (isColormap(colormap)) return COLORMAPS[colormap].stops;
+        return [[0, 0, 0], hexToRgb(color)];
+    }
+
+    /**
+     * Linearly interpolate evenly spaced stops at position t
+     * @param {number[][]} stops
+     * @param {number} t - Position in [0, 1]
+     * @returns {number[]} RGB (0-255)
+     */
+    function interpolateStops(stops, t) {
+        var x = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+        var i = Math.min(Math.floor(x), stops.length - 2);
+        var f = x - i;
+        return [0, 1, 2].map(function(k) {
+            return stops[i][k] + (stops[i + 1][k] - stops[i][k]) * f;
+        });
+    }
+
+    /**
+     * Sample a channel's LUT at LUT_SIZE evenly spaced positions
+     * @param {string} colormap - Colormap id or 'color'
+     * @param {string} [color] - Hex color for the solid color option
+     * @returns {number[][]} LUT_SIZE RGB entries (0-255)
+     */
+    function buildLut(colormap, color) {
+        var stops = getStops(colormap, color);
+        var lut = [];
+        for (var i = 0; i < LUT_SIZE; i++) {
+            lut.push(interpolateStops(stops, i / (LUT_SIZE - 1)));
+        }
+        return lut;
+    }
+
+    /**
+     * Build the flat LUT uniform for the ChannelLutExtension: MAX_CHANNELS x
+     * LUT_SIZE RGB entries normalized to [0, 1]. Hidden and missing channels
+     * are all zero so they add nothing to the composite.
+     * @param {Array} channelSettings - Viewer channel settings ({ visible, colormap, color })
+     * @returns {number[]} MAX_CHANNELS * LUT_SIZE * 3 values
+     */
+    function buildLutUniform(channelSettings) {
+        var values = [];
+        for (var c = 0; c < MAX_CHANNELS; c++) {
+            var settings = channelSettings[c];
+            var lut = settings && settings.visible ? buildLut(settings.colormap, settings.color) : null;
+            for (var i = 0; i < LUT_SIZE; i++) {
+                for (var k = 0; k < 3; k++) {
+                    values.push(lut ? lut[i][k] / 255 : 0);
+                }
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Whether any visible channel uses a colormap. Solid colors render with
+     * Viv's default color palette, so the LUT shader is only needed otherwise.
+     * @param {Array} channelSettings
+     * @returns {boolean}
+     */
+    function needsLut(channelSettings) {
+        return channelSettings.some(function(settings) {
+            return settings.visible && isColormap(settings.colormap);
+        });
+    }
+
+    /**
+     * CSS background previewing a channel's LUT (for the channel swatch)
+     * @param {string} colormap - Colormap id or 'color'
+     * @param {string} [color] - Hex color for the solid color option
+     * @returns {string}
+     */
+    function getSwatchBackground(colormap, color) {
+        if (!isColormap(colormap)) return '#' + rgbToHex(hexToRgb(color));
+        var stops = COLORMAPS[colormap].stops.map(function(rgb) {
+            return '#' + rgbToHex(rgb);
+        });
+        return 'linear-gradient(to right, ' + stops.join(', ') + ')';
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrColormaps = {
+        getColormapIds: getColormapIds,
+        isColormap: isColormap,
+        getColormapLabel: getColormapLabel,
+        hexToRgb: hexToRgb,
+        rgbToHex: rgbToHex,
+        buildLut: buildLut,
+        buildLutUniform: buildLutUniform,
+        needsLut: needsLut,
+        getSwatchBackground: getSwatchBackground,
+        SOLID_COLOR: SOLID_COLOR,
+        LUT_SIZE: LUT_SIZE,
+        MAX_CHANNELS: MAX_CHANNELS
+    };
+
+})();
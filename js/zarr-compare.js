@@ -0,0 +1,135 @@
+// evostitch Zarr Compare — side-by-side comparison of two OME-Zarr datasets
+// zarr-viewer.js shows a second dataset in its own deck.gl view next to the
+// main one. Views are synchronized in physical coordinates: the center in µm
+// and the screen scale in pixels per µm, so a 20× and a 50× scan of the same
+// section line up even though their pixel grids differ. Z follows the main
+// view by depth in µm (optional); the timepoint follows by index.
+//
+// Dependencies: zarr-metadata.js (default contrast), zarr-colormaps.js (colors)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        debug: false
+    };
+
+    // Query parameter holding the compared dataset (?compare=name or full URL)
+    var COMPARE_PARAM = 'compare';
+
+    /**
+     * Physical view of a deck.gl orthographic view state
+     * @param {Object} viewState - { target: [x, y, z] in pixels, zoom }
+     * @param {Object} pixelSize - { x, y } µm per pixel
+     * @returns {Object} { x, y, scale }: center in µm, scale in screen pixels per µm
+     */
+    function toPhysicalView(viewState, pixelSize) {
+        return {
+            x: viewState.target[0] * pixelSize.x,
+            y: viewState.target[1] * pixelSize.y,
+            scale: Math.pow(2, viewState.zoom) / pixelSize.x
+        };
+    }
+
+    /**
+     * deck.gl orthographic view state showing a physical view
+     * @param {Object} view - From toPhysicalView()
+     * @param {Object} pixelSize - { x, y } µm per pixel of the target dataset
+     * @returns {Object} { target: [x, y, 0], zoom }
+     */
+    function fromPhysicalView(view, pixelSize) {
+        return {
+            target: [view.x / pixelSize.x, view.y / pixelSize.y, 0],
+            zoom: Math.log2(view.scale * pixelSize.x)
+        };
+    }
+
+    /**
+     * View state of one dataset showing the same physical area as another's
+     * @param {Object} viewState - Source view state
+     * @param {Object} fromPixelSize - { x, y } µm per pixel of the source dataset
+     * @param {Object} toPixelSize - { x, y } µm per pixel of the target dataset
+     * @returns {Object} { target, zoom } (other view state properties are kept)
+     */
+    function syncViewState(viewState, fromPixelSize, toPixelSize) {
+        return Object.assign({}, viewState, fromPhysicalView(toPhysicalView(viewState, fromPixelSize), toPixelSize));
+    }
+
+    /**
+     * Z-plane of a dataset at the depth of another dataset's Z-plane
+     * @param {number} z - Source Z index
+     * @param {number} fromSizeZ - Source Z spacing (µm)
+     * @param {number} toSizeZ - Target Z spacing (µm)
+     * @param {number} toCount - Target Z-plane count
+     * @returns {number} Nearest target Z index, clamped
+     */
+    function mapZ(z, fromSizeZ, toSizeZ, toCount) {
+        var mapped = Math.round(z * fromSizeZ / (toSizeZ || 1));
+        return Math.max(0, Math.min(toCount - 1, mapped));
+    }
+
+    /**
+     * Channel settings of the compared dataset. Channels the main view has
+     * share its visibility, colormap and (for the same pixel type) contrast,
+     * so both sides are displayed alike; the rest use the compared dataset's
+     * omero metadata.
+     * @param {Object[]} mainSettings - Main view channel settings (zarr-viewer.js)
+     * @param {Object} options
+     * @param {number} options.channelCount - Channels of the compared dataset
+     * @param {string} options.dtype - Pixel type of the compared dataset
+     * @param {string} options.mainDtype - Pixel type of the main dataset
+     * @param {Object} [options.omero] - omero metadata of the compared dataset
+     * @returns {Object[]} [{ visible, min, max, color, colormap }]
+     */
+    function getChannelSettings(mainSettings, options) {
+        var zarrMetadata = window.evostitch.zarrMetadata;
+        var colormaps = window.evostitch.zarrColormaps;
+        var omeroChannels = (options.omero && options.omero.channels) || [];
+        var settings = [];
+        for (var c = 0; c < options.channelCount; c++) {
+            var main = mainSettings[c];
+            var omero = omeroChannels[c] || {};
+            var contrast = main && options.dtype === options.mainDtype
+                ? [main.min, main.max]
+                : zarrMetadata.getDefaultContrast(options.dtype, omero.window);
+            settings.push({
+                visible: main ? main.visible : true,
+                min: contrast[0],
+                max: contrast[1],
+                color: main ? main.color : colormaps.rgbToHex(colormaps.hexToRgb(omero.color)),
+                colormap: main ? main.colormap : colormaps.SOLID_COLOR
+            });
+        }
+        log('Channel settings: ' + settings.length + ' channels, ' +
+            Math.min(settings.length, mainSettings.length) + ' from the main view');
+        return settings;
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrCompare: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrCompare = {
+        toPhysicalView: toPhysicalView,
+        fromPhysicalView: fromPhysicalView,
+        syncViewState: syncViewState,
+        mapZ: mapZ,
+        getChannelSettings: getChannelSettings,
+        setDebug: setDebug,
+        COMPARE_PARAM: COMPARE_PARAM,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -0,0 +1,47 @@
+// evostitch Zarr Compute Worker
+// Off-thread pixel math for the Zarr viewer (channel histograms, extended
+// depth of field, focus peaking), so Z-scrubbing and pan/zoom never wait on per-pixel loops.
+// Messages: { id, op, params } → { id, success, result } or { id, success: false, error }
+//
+// Dependencies: zarr-image-math.js (importScripts)
+
+'use strict';
+
+importScripts('zarr-image-math.js');
+
+var imageMath = self.evostitch.imageMath;
+
+// op name → function(params) returning { result, transfer }
+var OPS = {
+    histogram: function(params) {
+        var result = imageMath.computeHistogram(params.data, params.bins, params.domain);
+        return { result: result, transfer: [result.counts.buffer] };
+    },
+    focusStack: function(params) {
+        var result = imageMath.focusStack(params.planes, params.width, params.height, params.radius);
+        return { result: result, transfer: [result.data.buffer, result.depth.buffer] };
+    },
+    gradientEnergy: function(params) {
+        var result = imageMath.gradientEnergy(params.plane, params.width, params.height, params.radius);
+        return { result: result, transfer: [result.buffer] };
+    }
+};
+
+self.onmessage = function(e) {
+    var id = e.data.id;
+    var op = OPS[e.data.op];
+
+    try {
+        if (!op) {
+            throw new Error('Unknown op: ' + e.data.op);
+        }
+        var output = op(e.data.params);
+        self.postMessage({ id: id, success: true, result: output.result }, output.transfer);
+    } catch (error) {
+        self.postMessage({
+            id: id,
+            success: false,
+            error: error.message || 'Unknown error'
+        });
+    }
+};
@@ -0,0 +1,226 @@
+// evostitch Zarr Compute — main-thread client for zarr-compute-worker.js
+// Runs pixel math (channel histograms, extended depth of field, focus
+// peaking) in a dedicated Web Worker, transferring pixel buffers instead of
+// copying them where the caller owns them. Falls back to computing on the main thread when workers
+// are unavailable or the worker script fails to load. Used by zarr-viewer.js
+// (channel histograms), zarr-projection.js (all-in-focus tiles),
+// zarr-depth-map.js (best-focus depth tiles) and zarr-focus-peaking.js
+// (gradient energy tiles).
+//
+// Dependencies: zarr-image-math.js (main-thread fallback)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        workerUrl: 'js/zarr-compute-worker.js',
+        debug: false
+    };
+
+    var state = {
+        worker: null,
+        workerFailed: false,
+        pendingJobs: new Map(),  // id -> { resolve, reject }
+        nextJobId: 0
+    };
+
+    var stats = {
+        workerJobs: 0,
+        fallbackJobs: 0,
+        errors: 0
+    };
+
+    // Main-thread equivalents of the worker's ops (same params and results)
+    var FALLBACK_OPS = {
+        histogram: function(params) {
+            return window.evostitch.imageMath.computeHistogram(params.data, params.bins, params.domain);
+        },
+        focusStack: function(params) {
+            return window.evostitch.imageMath.focusStack(params.planes, params.width, params.height, params.radius);
+        },
+        gradientEnergy: function(params) {
+            return window.evostitch.imageMath.gradientEnergy(params.plane, params.width, params.height, params.radius);
+        }
+    };
+
+    /**
+     * Lazily create the worker; null if workers are unavailable or failed
+     * @returns {Worker|null}
+     */
+    function getWorker() {
+        if (state.worker || state.workerFailed) return state.worker;
+        if (typeof Worker === 'undefined') {
+            state.workerFailed = true;
+            log('Web Workers unavailable, computing on main thread');
+            return null;
+        }
+        try {
+            state.worker = new Worker(CONFIG.workerUrl);
+            state.worker.onmessage = handleWorkerMessage;
+            state.worker.onerror = handleWorkerError;
+            log('Worker started');
+        } catch (e) {
+            state.workerFailed = true;
+            console.warn('[evostitch] ZarrCompute: worker failed to start, computing on main thread:', e);
+        }
+        return state.worker;
+    }
+
+    function handleWorkerMessage(e) {
+        var job = state.pendingJobs.get(e.data.id);
+        if (!job) {
+            log('Warning: response for unknown job ' + e.data.id);
+            return;
+        }
+        state.pendingJobs.delete(e.data.id);
+
+        if (e.data.success) {
+            job.resolve(e.data.result);
+        } else {
+            stats.errors++;
+            job.reject(new Error(e.data.error || 'Worker compute failed'));
+        }
+    }
+
+    // Uncaught worker error (e.g. script failed to load): fail pending jobs
+    // (their buffers were transferred) and use the main thread from now on
+    function handleWorkerError(e) {
+        console.warn('[evostitch] ZarrCompute: worker error, computing on main thread:', e.message);
+        if (e.preventDefault) e.preventDefault();
+        state.pendingJobs.forEach(function(job) {
+            stats.errors++;
+            job.reject(new Error('Worker error: ' + (e.message || 'unknown')));
+        });
+        state.pendingJobs.clear();
+        state.worker.terminate();
+        state.worker = null;
+        state.workerFailed = true;
+    }
+
+    /**
+     * Run an op in the worker (or on the main thread as a fallback)
+     * @param {string} op - Op name ('histogram', 'focusStack', 'gradientEnergy')
+     * @param {Object} params - Op parameters
+     * @param {Transferable[]} [transfer] - Buffers to transfer to the worker
+     * @returns {Promise<Object>} Op result
+     */
+    function run(op, params, transfer) {
+        var worker = getWorker();
+
+        if (!worker) {
+            var fallback = FALLBACK_OPS[op];
+            if (!fallback) return Promise.reject(new Error('Unknown op: ' + op));
+            stats.fallbackJobs++;
+            try {
+                return Promise.resolve(fallback(params));
+            } catch (e) {
+                stats.errors++;
+                return Promise.reject(e);
+            }
+        }
+
+        return new Promise(function(resolve, reject) {
+            var id = state.nextJobId++;
+            state.pendingJobs.set(id, { resolve: resolve, reject: reject });
+            stats.workerJobs++;
+            worker.postMessage({ id: id, op: op, params: params }, transfer || []);
+        });
+    }
+
+    /**
+     * Histogram of pixel values (see imageMath.computeHistogram).
+     * The pixel buffer is transferred to the worker and unusable afterwards.
+     * @param {TypedArray} data - Pixel values
+     * @param {number} bins - Number of bins
+     * @param {Object} [domain] - { min, max } to include in the binned domain
+     * @returns {Promise<Object>} { counts, min, max, total }
+     */
+    function histogram(data, bins, domain) {
+        return run('histogram', { data: data, bins: bins, domain: domain }, [data.buffer]);
+    }
+
+    /**
+     * Extended depth of field over same-sized planes (see imageMath.focusStack).
+     * Planes are copied to the worker, not transferred: decoded tiles may
+     * share buffers with the loader.
+     * @param {TypedArray[]} planes - width * height pixel values per plane
+     * @param {number} width
+     * @param {number} height
+     * @param {number} [radius] - Sharpness neighbourhood radius in pixels
+     * @returns {Promise<Object>} { data, depth }
+     */
+    function focusStack(planes, width, height, radius) {
+        return run('focusStack', { planes: planes, width: width, height: height, radius: radius });
+    }
+
+    /**
+     * Local gradient energy of a plane (see imageMath.gradientEnergy).
+     * The plane is copied to the worker, not transferred.
+     * @param {TypedArray} plane - width * height pixel values
+     * @param {number} width
+     * @param {number} height
+     * @param {number} [radius] - Neighbourhood radius in pixels
+     * @returns {Promise<Float32Array>} Energy per pixel
+     */
+    function gradientEnergy(plane, width, height, radius) {
+        return run('gradientEnergy', { plane: plane, width: width, height: height, radius: radius });
+    }
+
+    /**
+     * Get compute statistics
+     * @returns {Object}
+     */
+    function getStats() {
+        return {
+            workerJobs: stats.workerJobs,
+            fallbackJobs: stats.fallbackJobs,
+            errors: stats.errors,
+            pendingJobs: state.pendingJobs.size,
+            usingWorker: !!state.worker
+        };
+    }
+
+    /**
+     * Terminate the worker and reject pending jobs
+     */
+    function destroy() {
+        state.pendingJobs.forEach(function(job) {
+            job.reject(new Error('ZarrCompute destroyed'));
+        });
+        state.pendingJobs.clear();
+        if (state.worker) {
+            state.worker.terminate();
+            state.worker = null;
+        }
+        state.workerFailed = false;
+        log('Destroyed');
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrCompute: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrCompute = {
+        run: run,
+        histogram: histogram,
+        focusStack: focusStack,
+        gradientEnergy: gradientEnergy,
+        getStats: getStats,
+        destroy: destroy,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -0,0 +1,163 @@
+// evostitch Zarr Depth Map — best-focus height map of a Z-stack
+// Wraps Viv pixel sources so each tile holds, per pixel, the index of the
+// Z-plane where its neighbourhood is sharpest (variance of the Laplacian over
+// the full stack, computed in the zarr-compute worker). zarr-viewer.js draws
+// these Uint16 tiles as a colormapped overlay and looks up the depth under the
+// cursor in the tiles computed so far.
+//
+// Dependencies: zarr-compute.js (focus stacking), zarr-region-reader.js (level sizes)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        concurrency: 8,       // Planes read at once per tile
+        focusRadius: 4,       // Sharpness neighbourhood radius (pixels)
+        maxCachedTiles: 64,   // Depth tiles kept for hover lookups
+        colormap: 'viridis',  // Overlay / legend colormap (zarr-colormaps.js id)
+        debug: false
+    };
+
+    /**
+     * Map items through an async function, at most `limit` at a time
+     * @param {Array} items
+     * @param {number} limit
+     * @param {Function} fn - item → Promise
+     * @returns {Promise<Array>} Results in item order
+     */
+    function mapLimit(items, limit, fn) {
+        var results = new Array(items.length);
+        var next = 0;
+        function worker() {
+            if (next >= items.length) return Promise.resolve();
+            var i = next++;
+            return fn(items[i]).then(function(result) {
+                results[i] = result;
+                return worker();
+            });
+        }
+        var workers = [];
+        for (var w = 0; w < Math.min(limit, items.length); w++) {
+            workers.push(worker());
+        }
+        return Promise.all(workers).then(function() { return results; });
+    }
+
+    /**
+     * Cache key for a tile: level, tile position and the non-Z selection
+     * @param {number} level
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @param {Object} selection - Viv selection (z is ignored)
+     * @returns {string}
+     */
+    function tileKey(level, x, y, selection) {
+        var axes = Object.keys(selection || {}).filter(function(axis) { return axis !== 'z'; }).sort();
+        var parts = axes.map(function(axis) { return axis + '=' + selection[axis]; });
+        return level + '/' + x + '/' + y + '/' + parts.join(',');
+    }
+
+    /**
+     * Depth map over a pyramid. Tiles are computed from every plane of the
+     * stack, so selection.z does not matter; the other axes (c, t) pick the
+     * channel and timepoint analysed.
+     * @param {Array} loaderData - Viv pixel sources (level 0 first) with a z axis
+     * @returns {Object|null} { sources, zCount, depthAt(x, y, selection) }, or
+     *   null if the sources have no z axis
+     */
+    function createDepthMap(loaderData) {
+        if (!loaderData || loaderData.length === 0) return null;
+        var zIndex = loaderData[0].labels.indexOf('z');
+        if (zIndex < 0) return null;
+        var zCount = loaderData[0].shape[zIndex];
+        var cache = new Map();  // tileKey → { data, width, height }, oldest first
+
+        function remember(key, tile) {
+            cache.delete(key);
+            cache.set(key, tile);
+            while (cache.size > CONFIG.maxCachedTiles) {
+                cache.delete(cache.keys().next().value);
+            }
+        }
+
+        var sources = loaderData.map(function(source, level) {
+            var depthSource = Object.create(source);
+            // Viv pixel sources define dtype as a getter, so it cannot be assigned
+            Object.defineProperty(depthSource, 'dtype', { value: 'Uint16' });
+            depthSource.getTile = function(args) {
+                var planes = [];
+                for (var z = 0; z < zCount; z++) planes.push(z);
+
+                return mapLimit(planes, CONFIG.concurrency, function(z) {
+                    var selection = Object.assign({}, args.selection, { z: z });
+                    return source.getTile(Object.assign({}, args, { selection: selection }));
+                }).then(function(tiles) {
+                    var width = tiles[0].width;
+                    var height = tiles[0].height;
+                    var data = tiles.map(function(tile) { return tile.data; });
+                    return window.evostitch.zarrCompute.focusStack(data, width, height, CONFIG.focusRadius)
+                        .then(function(result) {
+                            var tile = { data: result.depth, width: width, height: height };
+                            remember(tileKey(level, args.x, args.y, args.selection), tile);
+                            return tile;
+                        });
+                });
+            };
+            return depthSource;
+        });
+
+        /**
+         * Best-focus plane at a full-res pixel, from the finest level whose
+         * tile there has been computed
+         * @param {number} x - Full-res x
+         * @param {number} y - Full-res y
+         * @param {Object} selection - Selection the overlay was drawn with
+         * @returns {number|null} Z-plane index, or null if not computed yet
+         */
+        function depthAt(x, y, selection) {
+            var reader = window.evostitch.zarrRegionReader;
+            var fullWidth = reader.getImageSize(loaderData[0]).width;
+            for (var level = 0; level < loaderData.length; level++) {
+                var source = loaderData[level];
+                var size = reader.getImageSize(source);
+                var downsample = fullWidth / size.width;
+                var px = Math.floor(x / downsample);
+                var py = Math.floor(y / downsample);
+                if (px < 0 || py < 0 || px >= size.width || py >= size.height) return null;
+                var tileX = Math.floor(px / source.tileSize);
+                var tileY = Math.floor(py / source.tileSize);
+                var tile = cache.get(tileKey(level, tileX, tileY, selection));
+                if (tile) {
+                    return tile.data[(py - tileY * source.tileSize) * tile.width + (px - tileX * source.tileSize)];
+                }
+            }
+            return null;
+        }
+
+        log('Depth map over ' + zCount + ' planes, ' + loaderData.length + ' levels');
+        return { sources: sources, zCount: zCount, depthAt: depthAt };
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrDepthMap: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrDepthMap = {
+        createDepthMap: createDepthMap,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -0,0 +1,87 @@
+// evostitch Zarr Focus Peaking — highlight in-focus edges of the current plane
+// Wraps Viv pixel sources so each tile holds the local gradient energy of the
+// plane it was requested for (computed in the zarr-compute worker from the
+// decoded chunk data). zarr-viewer.js draws these Float32 tiles as a tint
+// whose contrast limits come from the channel's contrast window, so the
+// threshold follows the display and low-energy (blurred) regions stay
+// transparent. Tiles are requested at the current Z, so the overlay updates
+// with the image layer after the Z debounce.
+//
+// Dependencies: zarr-compute.js (gradient energy)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        radius: 1,               // Gradient energy neighbourhood radius (pixels)
+        threshold: 0.15,         // Energy where the tint starts, as a fraction of the contrast window
+        color: [255, 0, 255],    // Tint color (magenta stands out against most channel colors)
+        opacity: 0.8,
+        debug: false
+    };
+
+    /**
+     * Gradient energy sources over a pyramid: same tiles, axes and selection
+     * as the image, with dtype Float32
+     * @param {Array} loaderData - Viv pixel sources (level 0 first)
+     * @returns {Array|null} Wrapped sources, or null without sources
+     */
+    function createPeakingSources(loaderData) {
+        if (!loaderData || loaderData.length === 0) return null;
+
+        var sources = loaderData.map(function(source) {
+            var peakingSource = Object.create(source);
+            // Viv pixel sources define dtype as a getter, so it cannot be assigned
+            Object.defineProperty(peakingSource, 'dtype', { value: 'Float32' });
+            peakingSource.getTile = function(args) {
+                return source.getTile(args).then(function(tile) {
+                    return window.evostitch.zarrCompute.gradientEnergy(tile.data, tile.width, tile.height, CONFIG.radius)
+                        .then(function(energy) {
+                            return { data: energy, width: tile.width, height: tile.height };
+                        });
+                });
+            };
+            return peakingSource;
+        });
+
+        log('Peaking sources over ' + loaderData.length + ' levels');
+        return sources;
+    }
+
+    /**
+     * Overlay contrast limits for a channel's contrast window: transparent
+     * below threshold × window, full tint from twice that
+     * @param {number[]} contrastLimits - Channel [min, max]
+     * @param {number|null} [threshold] - Fraction of the window (default CONFIG.threshold)
+     * @returns {number[]} [low, high] gradient energy
+     */
+    function getPeakingLimits(contrastLimits, threshold) {
+        var fraction = threshold === undefined || threshold === null ? CONFIG.threshold : threshold;
+        var range = Math.max(Number.EPSILON, Math.abs(contrastLimits[1] - contrastLimits[0]));
+        return [fraction * range, 2 * fraction * range];
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrFocusPeaking: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrFocusPeaking = {
+        createPeakingSources: createPeakingSources,
+        getPeakingLimits: getPeakingLimits,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -0,0 +1,294 @@
+// evostitch Image Math — pixel statistics for decoded zarr tiles
+// Percentile-based value ranges, intensity histograms, focus stacking and
+// gradient energy over typed pixel arrays (any Viv dtype). Used by
+// zarr-viewer.js (auto-contrast) and, via importScripts, by
+// zarr-compute-worker.js (channel histograms, extended depth of field, focus
+// peaking).
+//
+// Dependencies: none (pure math, no DOM or network; runs in window or worker)
+
+(function() {
+    'use strict';
+
+    // Integer array types small enough to percentile by counting values
+    // instead of sorting a copy (keyed by Object.prototype.toString tag)
+    var COUNTABLE_TYPES = {
+        '[object Uint8Array]': { min: 0, max: 255 },
+        '[object Uint8ClampedArray]': { min: 0, max: 255 },
+        '[object Int8Array]': { min: -128, max: 127 },
+        '[object Uint16Array]': { min: 0, max: 65535 },
+        '[object Int16Array]': { min: -32768, max: 32767 }
+    };
+
+    /**
+     * Convert a percentile (0-100) to a 0-based rank among n sorted values
+     * @param {number} percentile
+     * @param {number} n
+     * @returns {number}
+     */
+    function percentileRank(percentile, n) {
+        var p = Math.max(0, Math.min(100, percentile)) / 100;
+        return Math.min(n - 1, Math.max(0, Math.round(p * (n - 1))));
+    }
+
+    /**
+     * Percentiles by counting values (integer arrays with small value ranges)
+     * @param {TypedArray} data
+     * @param {number[]} percentiles
+     * @param {Object} range - { min, max } of representable values
+     * @returns {number[]}
+     */
+    function countingPercentiles(data, percentiles, range) {
+        var counts = new Uint32Array(range.max - range.min + 1);
+        for (var i = 0; i < data.length; i++) {
+            counts[data[i] - range.min]++;
+        }
+        var ranks = percentiles.map(function(p) { return percentileRank(p, data.length); });
+        var results = new Array(percentiles.length);
+        var seen = 0;
+        var v = 0;
+        // Walk the cumulative counts once, resolving ranks in ascending order
+        var order = ranks.map(function(r, idx) { return idx; }).sort(function(a, b) { return ranks[a] - ranks[b]; });
+        for (var k = 0; k < order.length; k++) {
+            var rank = ranks[order[k]];
+            while (seen + counts[v] <= rank) {
+                seen += counts[v];
+                v++;
+            }
+            results[order[k]] = v + range.min;
+        }
+        return results;
+    }
+
+    /**
+     * Compute percentiles of pixel values. NaN values (float data) are ignored.
+     * @param {TypedArray|Array} data - Pixel values
+     * @param {number[]} percentiles - Percentiles in [0, 100]
+     * @returns {number[]|null} Values at each percentile, or null if there are no values
+     */
+    function computePercentiles(data, percentiles) {
+        if (!data || data.length === 0) return null;
+
+        var range = COUNTABLE_TYPES[Object.prototype.toString.call(data)];
+        if (range) {
+            return countingPercentiles(data, percentiles, range);
+        }
+
+        var values = Float64Array.from(data).filter(function(value) { return value === value; });
+        if (values.length === 0) return null;
+        values.sort();
+        return percentiles.map(function(p) {
+            return values[percentileRank(p, values.length)];
+        });
+    }
+
+    /**
+     * Histogram of pixel values. The binned domain is the data's value extent,
+     * widened to include `domain` when given (so contrast limits outside the
+     * data still fall on the histogram). NaN values are ignored.
+     * @param {TypedArray|Array} data - Pixel values
+     * @param {number} bins - Number of bins
+     * @param {Object} [domain] - { min, max } that must be inside the binned domain
+     * @returns {Object} { counts: Uint32Array, min, max, total } where min/max is the binned domain
+     */
+    function computeHistogram(data, bins, domain) {
+        var lo = Infinity;
+        var hi = -Infinity;
+        var i;
+        for (i = 0; i < data.length; i++) {
+            var value = data[i];
+            if (value < lo) lo = value;
+            if (value > hi) hi = value;
+        }
+        if (domain) {
+            lo = Math.min(lo, domain.min);
+            hi = Math.max(hi, domain.max);
+        }
+        if (!isFinite(lo) || !isFinite(hi)) {
+            return { counts: new Uint32Array(bins), min: 0, max: 1, total: 0 };
+        }
+        if (hi <= lo) hi = lo + 1;
+
+        var counts = new Uint32Array(bins);
+        var scale = bins / (hi - lo);
+        var total = 0;
+        for (i = 0; i < data.length; i++) {
+            var v = data[i];
+            if (v !== v) continue;
+            counts[Math.min(bins - 1, Math.floor((v - lo) * scale))]++;
+            total++;
+        }
+        return { counts: counts, min: lo, max: hi, total: total };
+    }
+
+    /**
+     * Percentile-based display range, e.g. 0.1%-99.9% for auto-contrast
+     * @param {TypedArray|Array} data - Pixel values
+     * @param {number} lowPercentile - Lower percentile (0-100)
+     * @param {number} highPercentile - Upper percentile (0-100)
+     * @returns {Object|null} { min, max }, or null if there are no values
+     */
+    function percentileRange(data, lowPercentile, highPercentile) {
+        var values = computePercentiles(data, [lowPercentile, highPercentile]);
+        if (!values) return null;
+        return { min: values[0], max: values[1] };
+    }
+
+    /**
+     * Laplacian (4-neighbour, edges clamped) of a plane into `out`. NaN
+     * pixels (float data) count as 0.
+     * @param {TypedArray} plane - width * height pixel values
+     * @param {number} width
+     * @param {number} height
+     * @param {Float64Array} out - width * height
+     */
+    function laplacian(plane, width, height, out) {
+        function at(x, y) {
+            var v = plane[y * width + x];
+            return v === v ? v : 0;
+        }
+        for (var y = 0; y < height; y++) {
+            var up = Math.max(0, y - 1);
+            var down = Math.min(height - 1, y + 1);
+            for (var x = 0; x < width; x++) {
+                out[y * width + x] = at(Math.max(0, x - 1), y) + at(Math.min(width - 1, x + 1), y) +
+                    at(x, up) + at(x, down) - 4 * at(x, y);
+            }
+        }
+    }
+
+    /**
+     * Summed-area tables of values and squared values, (width + 1) * (height + 1)
+     * with a zero first row and column
+     * @param {Float64Array} values - width * height
+     * @param {number} width
+     * @param {number} height
+     * @param {Float64Array} sum - Output
+     * @param {Float64Array} sumSq - Output
+     */
+    function integralImages(values, width, height, sum, sumSq) {
+        var stride = width + 1;
+        for (var y = 0; y < height; y++) {
+            var rowSum = 0;
+            var rowSumSq = 0;
+            for (var x = 0; x < width; x++) {
+                var v = values[y * width + x];
+                rowSum += v;
+                rowSumSq += v * v;
+                sum[(y + 1) * stride + x + 1] = sum[y * stride + x + 1] + rowSum;
+                sumSq[(y + 1) * stride + x + 1] = sumSq[y * stride + x + 1] + rowSumSq;
+            }
+        }
+    }
+
+    /**
+     * Extended depth of field: for each pixel, take the value from the plane
+     * that is locally sharpest, measured as the variance of the Laplacian in
+     * a (2 * radius + 1)² neighbourhood. Ties keep the lower plane.
+     * @param {TypedArray[]} planes - Same-sized planes, width * height each
+     * @param {number} width
+     * @param {number} height
+     * @param {number} [radius=2] - Neighbourhood radius in pixels
+     * @returns {Object} { data, depth } - data: composite in the planes' array
+     *   type; depth: Uint16Array index of the chosen plane per pixel
+     */
+    function focusStack(planes, width, height, radius) {
+        var r = radius === undefined ? 2 : radius;
+        var n = width * height;
+        var stride = width + 1;
+        var depth = new Uint16Array(n);
+        var best = new Float64Array(n).fill(-1);
+        var lap = new Float64Array(n);
+        var sum = new Float64Array(stride * (height + 1));
+        var sumSq = new Float64Array(stride * (height + 1));
+
+        for (var p = 0; p < planes.length; p++) {
+            laplacian(planes[p], width, height, lap);
+            integralImages(lap, width, height, sum, sumSq);
+            for (var y = 0; y < height; y++) {
+                var y0 = Math.max(0, y - r);
+                var y1 = Math.min(height, y + r + 1);
+                for (var x = 0; x < width; x++) {
+                    var x0 = Math.max(0, x - r);
+                    var x1 = Math.min(width, x + r + 1);
+                    var count = (x1 - x0) * (y1 - y0);
+                    var s = sum[y1 * stride + x1] - sum[y0 * stride + x1] - sum[y1 * stride + x0] + sum[y0 * stride + x0];
+                    var s2 = sumSq[y1 * stride + x1] - sumSq[y0 * stride + x1] - sumSq[y1 * stride + x0] + sumSq[y0 * stride + x0];
+                    var mean = s / count;
+                    var variance = s2 / count - mean * mean;
+                    var i = y * width + x;
+                    if (variance > best[i]) {
+                        best[i] = variance;
+                        depth[i] = p;
+                    }
+                }
+            }
+        }
+
+        var data = new planes[0].constructor(n);
+        for (var j = 0; j < n; j++) {
+            data[j] = planes[depth[j]][j];
+        }
+        return { data: data, depth: depth };
+    }
+
+    /**
+     * Local gradient energy: root mean square of the gradient magnitude
+     * (forward differences, so single-pixel detail counts; edges clamped) in
+     * a (2 * radius + 1)² neighbourhood, in the plane's value units. In-focus
+     * edges score high, blurred ones low. NaN pixels (float data) count as 0.
+     * @param {TypedArray} plane - width * height pixel values
+     * @param {number} width
+     * @param {number} height
+     * @param {number} [radius=1] - Neighbourhood radius in pixels
+     * @returns {Float32Array} Energy per pixel
+     */
+    function gradientEnergy(plane, width, height, radius) {
+        var r = radius === undefined ? 1 : radius;
+        var n = width * height;
+        var stride = width + 1;
+        var squared = new Float64Array(n);
+        var sum = new Float64Array(stride * (height + 1));
+        var sumSq = new Float64Array(stride * (height + 1));
+
+        function at(x, y) {
+            var v = plane[y * width + x];
+            return v === v ? v : 0;
+        }
+        for (var y = 0; y < height; y++) {
+            var down = Math.min(height - 1, y + 1);
+            for (var x = 0; x < width; x++) {
+                var here = at(x, y);
+                var gx = at(Math.min(width - 1, x + 1), y) - here;
+                var gy = at(x, down) - here;
+                squared[y * width + x] = gx * gx + gy * gy;
+            }
+        }
+        integralImages(squared, width, height, sum, sumSq);
+
+        var energy = new Float32Array(n);
+        for (var yy = 0; yy < height; yy++) {
+            var y0 = Math.max(0, yy - r);
+            var y1 = Math.min(height, yy + r + 1);
+            for (var xx = 0; xx < width; xx++) {
+                var x0 = Math.max(0, xx - r);
+                var x1 = Math.min(width, xx + r + 1);
+                var s = sum[y1 * stride + x1] - sum[y0 * stride + x1] - sum[y1 * stride + x0] + sum[y0 * stride + x0];
+                energy[yy * width + xx] = Math.sqrt(s / ((x1 - x0) * (y1 - y0)));
+            }
+        }
+        return energy;
+    }
+
+    // Expose public API (self in a worker)
+    var root = typeof window !== 'undefined' ? window : self;
+    root.evostitch = root.evostitch || {};
+    root.evostitch.imageMath = {
+        computePercentiles: computePercentiles,
+        percentileRange: percentileRange,
+        computeHistogram: computeHistogram,
+        focusStack: focusStack,
+        gradientEnergy: gradientEnergy
+    };
+
+})();
@@ -0,0 +1,284 @@
+// evostitch Zarr Labels — OME-NGFF label images (segmentation masks)
+// Discovers the label images listed in {store}/labels/.zattrs (or zarr.json),
+// reads their 'image-label' colors and properties, and wraps their Viv pixel
+// sources so each tile becomes three Uint8 planes (red, green, blue) holding
+// every label's color. zarr-viewer.js draws these as an additive RGB overlay
+// with black (background and fully transparent labels) made transparent, and
+// looks up the label ID under the cursor in the tiles fetched so far.
+//
+// Dependencies: zarr-metadata.js (group attributes),
+//   zarr-region-reader.js (level sizes)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        opacity: 0.5,         // Overlay opacity
+        maxCachedTiles: 64,   // Label tiles kept for hover lookups
+        debug: false
+    };
+
+    // Selection key that picks the color component (0 red, 1 green, 2 blue)
+    var COMPONENT_KEY = 'rgb';
+
+    /**
+     * Names of the label images of a store, from labels/.zattrs (NGFF 0.4)
+     * or labels/zarr.json (NGFF 0.5)
+     * @param {string} url - Store URL
+     * @returns {Promise<string[]>} Label image names (empty if there are none)
+     */
+    function fetchLabelNames(url) {
+        var labelsUrl = url.replace(/\/$/, '') + '/labels';
+        return window.evostitch.zarrMetadata.fetchGroupAttributes(labelsUrl).then(function(attrs) {
+            var names = (attrs && Array.isArray(attrs.labels) ? attrs.labels : []).filter(function(name) {
+                return typeof name === 'string' && name.length > 0;
+            });
+            log('Label images: ' + (names.length > 0 ? names.join(', ') : '(none)'));
+            return names;
+        });
+    }
+
+    /**
+     * Colors and properties of a label image
+     * @param {Object} attrs - Label image attributes (unwrapped, with 'image-label')
+     * @returns {Object} { colors: Map(id → [r, g, b, a]), properties: Map(id → Object) }
+     */
+    function parseImageLabel(attrs) {
+        var imageLabel = (attrs && attrs['image-label']) || {};
+        var colors = new Map();
+        var properties = new Map();
+
+        (Array.isArray(imageLabel.colors) ? imageLabel.colors : []).forEach(function(entry) {
+            if (!entry || !Array.isArray(entry.rgba) || typeof entry['label-value'] !== 'number') return;
+            var rgba = entry.rgba.slice(0, 4).map(function(v) { return Math.max(0, Math.min(255, Math.round(v))); });
+            while (rgba.length < 4) rgba.push(255);
+            colors.set(entry['label-value'], rgba);
+        });
+
+        (Array.isArray(imageLabel.properties) ? imageLabel.properties : []).forEach(function(entry) {
+            if (!entry || typeof entry['label-value'] !== 'number') return;
+            var props = {};
+            Object.keys(entry).forEach(function(key) {
+                if (key !== 'label-value') props[key] = entry[key];
+            });
+            properties.set(entry['label-value'], props);
+        });
+
+        return { colors: colors, properties: properties };
+    }
+
+    /**
+     * Display color of a label: its 'image-label' color, or a generated one
+     * (hues stepped by the golden ratio, so neighbouring IDs differ)
+     * @param {number} id - Label value
+     * @param {Map} colors - From parseImageLabel()
+     * @returns {number[]|null} [r, g, b] 1-255, or null for background (0)
+     *   and labels with alpha 0
+     */
+    function labelColor(id, colors) {
+        if (id === 0) return null;
+        var rgba = colors && colors.get(id);
+        if (rgba) {
+            if (rgba[3] === 0) return null;
+            // Pure black is the transparent color; keep dark labels visible
+            return rgba[0] + rgba[1] + rgba[2] === 0 ? [1, 1, 1] : rgba.slice(0, 3);
+        }
+
+        var hue = (Math.abs(id) * 0.618033988749895) % 1;
+        var i = Math.floor(hue * 6);
+        var f = hue * 6 - i;
+        var v = 242;
+        var p = Math.round(v * 0.35);
+        var q = Math.round(v * (1 - 0.65 * f));
+        var t = Math.round(v * (1 - 0.65 * (1 - f)));
+        return [[v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]][i % 6];
+    }
+
+    /**
+     * Color planes of a label tile
+     * @param {TypedArray} data - Label values
+     * @param {Map} colors - From parseImageLabel()
+     * @returns {Uint8Array[]} [red, green, blue], 0 where transparent
+     */
+    function colorize(data, colors) {
+        var planes = [new Uint8Array(data.length), new Uint8Array(data.length), new Uint8Array(data.length)];
+        var lastId = null;
+        var lastColor = null;
+        for (var i = 0; i < data.length; i++) {
+            var id = Number(data[i]);
+            if (id !== lastId) {
+                lastId = id;
+                lastColor = labelColor(id, colors);
+            }
+            if (lastColor) {
+                planes[0][i] = lastColor[0];
+                planes[1][i] = lastColor[1];
+                planes[2][i] = lastColor[2];
+            }
+        }
+        return planes;
+    }
+
+    /**
+     * Cache key for a tile: level, tile position and selection (without the
+     * color component)
+     * @param {number} level
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @param {Object} selection - Viv selection
+     * @returns {string}
+     */
+    function tileKey(level, x, y, selection) {
+        var axes = Object.keys(selection || {}).filter(function(axis) { return axis !== COMPONENT_KEY; }).sort();
+        var parts = axes.map(function(axis) { return axis + '=' + selection[axis]; });
+        return level + '/' + x + '/' + y + '/' + parts.join(',');
+    }
+
+    /**
+     * Color sources over a label pyramid. Each label tile is fetched once and
+     * colored into three Uint8 planes; selection.rgb (0-2) picks the plane.
+     * @param {Array} loaderData - Viv pixel sources of the label image (level 0 first)
+     * @param {Object} imageLabel - From parseImageLabel()
+     * @returns {Object|null} { sources, getSelection(z, t), labelAt(x, y, selection) },
+     *   or null without sources
+     */
+    function createLabelSources(loaderData, imageLabel) {
+        if (!loaderData || loaderData.length === 0) return null;
+        // tileKey → { promise, tile } (tile set once the fetch resolves), oldest first
+        var cache = new Map();
+
+        function remember(key, entry) {
+            cache.delete(key);
+            cache.set(key, entry);
+            while (cache.size > CONFIG.maxCachedTiles) {
+                cache.delete(cache.keys().next().value);
+            }
+        }
+
+        var sources = loaderData.map(function(source, level) {
+            var labelSource = Object.create(source);
+            // Viv pixel sources define dtype as a getter, so it cannot be assigned
+            Object.defineProperty(labelSource, 'dtype', { value: 'Uint8' });
+            labelSource.getTile = function(args) {
+                var component = (args.selection && args.selection[COMPONENT_KEY]) || 0;
+                var selection = Object.assign({}, args.selection);
+                delete selection[COMPONENT_KEY];
+                var key = tileKey(level, args.x, args.y, selection);
+
+                var entry = cache.get(key);
+                if (!entry) {
+                    entry = { promise: null, tile: null };
+                    entry.promise = source.getTile(Object.assign({}, args, { selection: selection })).then(function(raw) {
+                        entry.tile = {
+                            data: raw.data,
+                            width: raw.width,
+                            height: raw.height,
+                            planes: colorize(raw.data, imageLabel.colors)
+                        };
+                        return entry.tile;
+                    });
+                    // Aborted or failed fetches are retried on the next request
+                    entry.promise.catch(function() {
+                        if (cache.get(key) === entry) cache.delete(key);
+                    });
+                    remember(key, entry);
+                }
+                return entry.promise.then(function(colored) {
+                    return { data: colored.planes[component], width: colored.width, height: colored.height };
+                });
+            };
+            return labelSource;
+        });
+
+        /**
+         * Selection of the label image at a plane of the image: its own z and
+         * t (clamped to its size), index 0 on any other axis
+         * @param {number} z - Image Z-plane
+         * @param {number} t - Image timepoint
+         * @returns {Object} Viv selection
+         */
+        function getSelection(z, t) {
+            var selection = {};
+            loaderData[0].labels.forEach(function(axis, i) {
+                if (axis === 'x' || axis === 'y') return;
+                var size = loaderData[0].shape[i];
+                var index = axis === 'z' ? z : axis === 't' ? t : 0;
+                selection[axis] = Math.max(0, Math.min(size - 1, index || 0));
+            });
+            return selection;
+        }
+
+        /**
+         * Label value at a full-res pixel, from the finest level whose tile
+         * there has been fetched
+         * @param {number} x - Full-res x
+         * @param {number} y - Full-res y
+         * @param {Object} selection - Selection the overlay was drawn with
+         * @returns {number|null} Label value, or null if not fetched yet
+         */
+        function labelAt(x, y, selection) {
+            var reader = window.evostitch.zarrRegionReader;
+            var fullWidth = reader.getImageSize(loaderData[0]).width;
+            for (var level = 0; level < loaderData.length; level++) {
+                var source = loaderData[level];
+                var size = reader.getImageSize(source);
+                var downsample = fullWidth / size.width;
+                var px = Math.floor(x / downsample);
+                var py = Math.floor(y / downsample);
+                if (px < 0 || py < 0 || px >= size.width || py >= size.height) return null;
+                var tileX = Math.floor(px / source.tileSize);
+                var tileY = Math.floor(py / source.tileSize);
+                var entry = cache.get(tileKey(level, tileX, tileY, selection));
+                var tile = entry && entry.tile;
+                if (tile) {
+                    return Number(tile.data[(py - tileY * source.tileSize) * tile.width + (px - tileX * source.tileSize)]);
+                }
+            }
+            return null;
+        }
+
+        log('Label sources over ' + loaderData.length + ' levels, ' + imageLabel.colors.size + ' colors');
+        return { sources: sources, getSelection: getSelection, labelAt: labelAt };
+    }
+
+    /**
+     * Hover text for a label: its value and any properties
+     * @param {number} id - Label value
+     * @param {Object} [properties] - The label's 'properties' entry (from parseImageLabel())
+     * @returns {string} e.g. '12 (class: nucleus, area: 1200)'
+     */
+    function formatLabel(id, properties) {
+        var keys = properties ? Object.keys(properties) : [];
+        if (keys.length === 0) return String(id);
+        return id + ' (' + keys.map(function(key) { return key + ': ' + properties[key]; }).join(', ') + ')';
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrLabels: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrLabels = {
+        fetchLabelNames: fetchLabelNames,
+        parseImageLabel: parseImageLabel,
+        labelColor: labelColor,
+        colorize: colorize,
+        createLabelSources: createLabelSources,
+        formatLabel: formatLabel,
+        setDebug: setDebug,
+        COMPONENT_KEY: COMPONENT_KEY,
+        CONFIG: CONFIG
+    };
+
+})();
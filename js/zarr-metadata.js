@@ -0,0 +1,479 @@
+// evostitch Zarr Metadata — array metadata, pixel dtype detection and value ranges
+// Parses Zarr v2 (.zarray) and v3 (zarr.json) array metadata into one shape
+// (chunk key encoding, codec chain, sharding), normalizes dtypes to Viv's
+// dtype names, and derives slider ranges and default contrast limits.
+// Used by zarr-viewer.js (preflight, layer dtype, channel controls) and
+// zarr-prefetch.js (chunk URL generation).
+//
+// Dependencies: none (pure functions; fetchArrayMetadata and fetchGroupAttributes use fetch())
+
+(function() {
+    'use strict';
+
+    // Viv dtype name -> value range and whether the type is floating point
+    var DTYPES = {
+        Uint8:   { min: 0, max: 255, isFloat: false },
+        Uint16:  { min: 0, max: 65535, isFloat: false },
+        Uint32:  { min: 0, max: 4294967295, isFloat: false },
+        Int8:    { min: -128, max: 127, isFloat: false },
+        Int16:   { min: -32768, max: 32767, isFloat: false },
+        Int32:   { min: -2147483648, max: 2147483647, isFloat: false },
+        Float32: { min: 0, max: 1, isFloat: true },
+        Float64: { min: 0, max: 1, isFloat: true }
+    };
+
+    // Zarr v2 typestr kind+size (without byte order) -> Viv dtype name
+    var ZARR_V2_TYPES = {
+        u1: 'Uint8', u2: 'Uint16', u4: 'Uint32',
+        i1: 'Int8', i2: 'Int16', i4: 'Int32',
+        f4: 'Float32', f8: 'Float64'
+    };
+
+    // Number of slider steps across a float range
+    var FLOAT_SLIDER_STEPS = 1000;
+
+    // Integer types too wide for a full-range slider to be usable
+    var WIDE_INT_DTYPES = ['Int32', 'Uint32'];
+
+    var DEFAULT_DTYPE = 'Uint16';
+
+    // Array metadata documents by Zarr format version
+    var ARRAY_METADATA_FILES = { 2: '.zarray', 3: 'zarr.json' };
+
+    // Group attribute documents by Zarr format version (v3 nests them under 'attributes')
+    var GROUP_ATTRIBUTE_FILES = { 2: '.zattrs', 3: 'zarr.json' };
+
+    // Zarr format of the groups read by fetchGroupAttributes(), by URL
+    var groupFormats = new Map();
+
+    // Zarr v3 codec that stores many inner chunks in one shard object
+    var SHARDING_CODEC = 'sharding_indexed';
+
+    function isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    /**
+     * Normalize a dtype string to a Viv dtype name.
+     * Accepts Viv names ('Uint8'), zarr v2 typestrs ('<u2', '|u1', '>f4')
+     * and zarr v3 / numpy names ('uint8', 'float32').
+     * @param {string} raw - dtype as reported by a loader or array metadata
+     * @returns {string|null} Viv dtype name, or null if unsupported
+     */
+    function normalizeDtype(raw) {
+        if (typeof raw !== 'string' || raw.length === 0) return null;
+
+        if (DTYPES.hasOwnProperty(raw)) return raw;
+
+        // Zarr v2 typestr: optional byte order char, kind, byte size
+        var match = /^[<>|=]?([uif][1248])$/.exec(raw);
+        if (match) {
+            return ZARR_V2_TYPES[match[1]] || null;
+        }
+
+        // Zarr v3 / numpy name: 'uint16' -> 'Uint16'
+        var capitalized = raw.charAt(0).toUpperCase() + raw.slice(1).toLowerCase();
+        if (DTYPES.hasOwnProperty(capitalized)) return capitalized;
+
+        return null;
+    }
+
+    /**
+     * Detect the pixel dtype of a multiscale image.
+     * Prefers the Viv loader's dtype for level 0, then the array metadata dtype.
+     * @param {Array} [loaderData] - Viv pixel sources (one per resolution level)
+     * @param {Object} [zarray] - Level-0 array metadata (.zarray JSON or parseArrayMetadata result)
+     * @returns {string} Viv dtype name (Uint16 if nothing could be detected)
+     */
+    function detectDtype(loaderData, zarray) {
+        var fromLoader = normalizeDtype(loaderData && loaderData[0] && loaderData[0].dtype);
+        if (fromLoader) return fromLoader;
+
+        var fromZarray = normalizeDtype(zarray && zarray.dtype);
+        if (fromZarray) return fromZarray;
+
+        return DEFAULT_DTYPE;
+    }
+
+    /**
+     * Return the OME-NGFF attributes of a group. NGFF 0.5 (Zarr v3) nests
+     * multiscales/omero under an 'ome' key; 0.4 and earlier keep them at the
+     * top level of .zattrs.
+     * @param {Object} attrs - Group attributes
+     * @returns {Object|null} Attributes with multiscales/omero at the top level
+     */
+    function unwrapOmeAttributes(attrs) {
+        if (!attrs || typeof attrs !== 'object') return null;
+        if (attrs.ome && typeof attrs.ome === 'object') return attrs.ome;
+        return attrs;
+    }
+
+    /**
+     * Axis names of the first multiscale image
+     * @param {Object} metadata - OME-NGFF attributes (unwrapped)
+     * @returns {string[]} e.g. ['t', 'c', 'z', 'y', 'x'] (the default without axes metadata)
+     */
+    function getAxes(metadata) {
+        var axes = metadata && metadata.multiscales && metadata.multiscales[0] && metadata.multiscales[0].axes;
+        if (!Array.isArray(axes)) return ['t', 'c', 'z', 'y', 'x'];
+        // Axes are names (NGFF 0.3) or objects with a 'name' (0.4+)
+        return axes.map(function(axis) { return typeof axis === 'string' ? axis : axis.name; });
+    }
+
+    /**
+     * Pixel sizes of the full-resolution level from its 'scale' coordinate
+     * transformation (OME-NGFF 0.4+)
+     * @param {Object} metadata - OME-NGFF attributes (unwrapped)
+     * @param {string[]} axes - Axis names, from getAxes()
+     * @returns {Object} { x, y, z } in the axes' units (µm for evostitch data), 1 where unknown
+     */
+    function getPixelSizes(metadata, axes) {
+        var sizes = { x: 1, y: 1, z: 1 };
+        var dataset = metadata && metadata.multiscales && metadata.multiscales[0] &&
+            metadata.multiscales[0].datasets && metadata.multiscales[0].datasets[0];
+        var transforms = dataset && Array.isArray(dataset.coordinateTransformations) ? dataset.coordinateTransformations : [];
+        var scaleTransform = transforms.filter(function(t) { return t && t.type === 'scale'; })[0];
+        if (!scaleTransform || !Array.isArray(scaleTransform.scale)) return sizes;
+        axes.forEach(function(axis, idx) {
+            if (sizes.hasOwnProperty(axis) && idx < scaleTransform.scale.length) {
+                sizes[axis] = scaleTransform.scale[idx];
+            }
+        });
+        return sizes;
+    }
+
+    /**
+     * Parse Zarr array metadata into a format-independent description.
+     *
+     * v2 (.zarray): chunks are stored as {coords joined by dimension_separator}
+     * (default '.'); the codec chain is filters + compressor.
+     * v3 (zarr.json): the chunk key encoding is 'default' ('c' + separator
+     * prefix, separator default '/') or 'v2'. With the sharding_indexed codec
+     * each stored object is a shard holding inner chunks that readers fetch
+     * with byte-range requests; `chunks` is the shard shape (the unit that maps
+     * to a URL) and `innerChunks` the inner chunk shape.
+     *
+     * @param {Object} json - Parsed .zarray or zarr.json document
+     * @returns {Object|null} { zarrFormat, shape, chunks, dtype, separator,
+     *   keyPrefix, codecs, sharded, innerChunks } or null if not array metadata
+     */
+    function parseArrayMetadata(json) {
+        if (!json || typeof json !== 'object') return null;
+
+        if (json.zarr_format === 3) {
+            if (json.node_type !== 'array') return null;
+
+            var grid = json.chunk_grid && json.chunk_grid.configuration;
+            var encoding = json.chunk_key_encoding || { name: 'default' };
+            var encodingConfig = encoding.configuration || {};
+            var isV2Encoding = encoding.name === 'v2';
+            var separator = encodingConfig.separator || (isV2Encoding ? '.' : '/');
+
+            var codecs = json.codecs || [];
+            var sharding = null;
+            for (var i = 0; i < codecs.length; i++) {
+                if (codecs[i] && codecs[i].name === SHARDING_CODEC) {
+                    sharding = codecs[i].configuration || {};
+                }
+            }
+
+            return {
+                zarrFormat: 3,
+                shape: json.shape,
+                chunks: grid ? grid.chunk_shape : null,
+                dtype: json.data_type,
+                separator: separator,
+                keyPrefix: isV2Encoding ? '' : 'c' + separator,
+                codecs: codecs,
+                sharded: !!sharding,
+                innerChunks: sharding ? sharding.chunk_shape : null
+            };
+        }
+
+        if (json.zarr_format === 2 || Array.isArray(json.chunks)) {
+            var v2Codecs = (json.filters || []).slice();
+            if (json.compressor) v2Codecs.push(json.compressor);
+
+            return {
+                zarrFormat: 2,
+                shape: json.shape,
+                chunks: json.chunks,
+                dtype: json.dtype,
+                separator: json.dimension_separator || '.',
+                keyPrefix: '',
+                codecs: v2Codecs.map(function(codec) {
+                    return { name: codec.id, configuration: codec };
+                }),
+                sharded: false,
+                innerChunks: null
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Collect codec ids used by an array, including codecs nested inside a
+     * shard (inner chunk codecs and index codecs).
+     * @param {Object} arrayMeta - Result of parseArrayMetadata
+     * @returns {string[]} Codec ids in chain order
+     */
+    function getCodecIds(arrayMeta) {
+        var ids = [];
+        function collect(codecs) {
+            (codecs || []).forEach(function(codec) {
+                if (!codec || !codec.name) return;
+                ids.push(codec.name);
+                if (codec.name === SHARDING_CODEC && codec.configuration) {
+                    collect(codec.configuration.codecs);
+                    collect(codec.configuration.index_codecs);
+                }
+            });
+        }
+        collect(arrayMeta && arrayMeta.codecs);
+        return ids;
+    }
+
+    /**
+     * Build the store key of a chunk (or shard) relative to its array.
+     * @param {Object} arrayMeta - Result of parseArrayMetadata
+     * @param {number[]} coords - Chunk grid coordinates in axis order
+     * @returns {string} e.g. '0/0/3/1/2' (v2, '/' separator) or 'c/0/0/3/1/2' (v3)
+     */
+    function chunkKey(arrayMeta, coords) {
+        var key = coords.join(arrayMeta.separator);
+        if (arrayMeta.keyPrefix) {
+            // v3 default encoding: a 0-d array's only chunk is just 'c'
+            return coords.length > 0 ? arrayMeta.keyPrefix + key : arrayMeta.keyPrefix.charAt(0);
+        }
+        return coords.length > 0 ? key : '0';
+    }
+
+    /**
+     * Fetch and parse the metadata of a Zarr array (v2 or v3).
+     * Tries the preferred format's document first and falls back to the other.
+     * @param {string} arrayUrl - URL of the array (e.g. {store}/0)
+     * @param {Object} [options]
+     * @param {number} [options.zarrFormat=2] - Format to try first (2 or 3)
+     * @param {Object} [options.fetchOptions] - Extra fetch() init options
+     * @returns {Promise<Object|null>} parseArrayMetadata result, or null if
+     *   neither document could be fetched/parsed
+     */
+    function fetchArrayMetadata(arrayUrl, options) {
+        options = options || {};
+        var base = arrayUrl.replace(/\/$/, '');
+        var formats = options.zarrFormat === 3 ? [3, 2] : [2, 3];
+
+        function tryFormat(idx) {
+            if (idx >= formats.length) return Promise.resolve(null);
+            var url = base + '/' + ARRAY_METADATA_FILES[formats[idx]];
+
+            return fetch(url, options.fetchOptions)
+                .then(function(response) {
+                    return response.ok ? response.json() : null;
+                })
+                .catch(function() {
+                    return null;
+                })
+                .then(function(json) {
+                    var parsed = parseArrayMetadata(json);
+                    return parsed || tryFormat(idx + 1);
+                });
+        }
+
+        return tryFormat(0);
+    }
+
+    /**
+     * Fetch the OME-NGFF attributes of a group: .zattrs (Zarr v2), then the
+     * attributes of zarr.json (Zarr v3), unwrapped with unwrapOmeAttributes().
+     * The format found is remembered (getKnownFormat()); under a group of
+     * known format, that format's document is tried first.
+     * @param {string} groupUrl - URL of the group (no trailing file name)
+     * @returns {Promise<Object|null>} Attributes, or null if neither document exists
+     */
+    function fetchGroupAttributes(groupUrl) {
+        var base = groupUrl.replace(/\/$/, '');
+        var formats = getKnownFormat(base) === 3 ? [3, 2] : [2, 3];
+
+        function tryFormat(idx) {
+            if (idx >= formats.length) return Promise.resolve(null);
+            var url = base + '/' + GROUP_ATTRIBUTE_FILES[formats[idx]];
+
+            return fetch(url)
+                .then(function(response) {
+                    return response.ok ? response.json() : null;
+                })
+                .catch(function() {
+                    return null;
+                })
+                .then(function(json) {
+                    if (json) groupFormats.set(base, formats[idx]);
+                    var attrs = formats[idx] === 3 ? json && json.attributes : json;
+                    return unwrapOmeAttributes(attrs) || tryFormat(idx + 1);
+                });
+        }
+
+        return tryFormat(0);
+    }
+
+    /**
+     * Zarr format of a group read by fetchGroupAttributes(), or of its
+     * nearest parent read so (a hierarchy does not mix formats)
+     * @param {string} url - Group or array URL
+     * @returns {number|null} 2 or 3, null if no group on the path was read
+     */
+    function getKnownFormat(url) {
+        var path = url.replace(/\/$/, '');
+        var root = path.indexOf('//') + 1;
+        while (path) {
+            if (groupFormats.has(path)) return groupFormats.get(path);
+            var slash = path.lastIndexOf('/');
+            if (slash <= root) return null;
+            path = path.substring(0, slash);
+        }
+        return null;
+    }
+
+    /**
+     * Get value range info for a Viv dtype.
+     * Float ranges default to 0-1; getChannelRange() widens them from
+     * OME window metadata or the pixel values when available.
+     * @param {string} dtype - Viv dtype name
+     * @returns {Object} { dtype, min, max, isFloat }
+     */
+    function getDtypeInfo(dtype) {
+        var name = normalizeDtype(dtype) || DEFAULT_DTYPE;
+        var info = DTYPES[name];
+        return {
+            dtype: name,
+            min: info.min,
+            max: info.max,
+            isFloat: info.isFloat
+        };
+    }
+
+    /**
+     * Whether an OME window gives both a min and a max
+     * @param {Object} [omeroWindow] - omero channel window { min, max, start, end }
+     * @returns {boolean}
+     */
+    function hasWindowRange(omeroWindow) {
+        return !!omeroWindow && isNumber(omeroWindow.min) && isNumber(omeroWindow.max);
+    }
+
+    /**
+     * Whether a channel's slider range should come from its pixel values:
+     * float channels without an OME window, and 32-bit integer channels
+     * without a window min/max (their full dtype range would make the slider
+     * unusable)
+     * @param {string} dtype - Viv dtype name
+     * @param {Object} [omeroWindow] - omero channel window { min, max, start, end }
+     * @returns {boolean}
+     */
+    function needsDataRange(dtype, omeroWindow) {
+        var info = getDtypeInfo(dtype);
+        if (WIDE_INT_DTYPES.indexOf(info.dtype) >= 0) return !hasWindowRange(omeroWindow);
+        if (!info.isFloat) return false;
+        return !omeroWindow || !['min', 'max', 'start', 'end'].some(function(key) {
+            return isNumber(omeroWindow[key]);
+        });
+    }
+
+    /**
+     * Compute slider range and step for a channel.
+     * Integer types use the full dtype range with a step of 1 (32-bit types
+     * the OME window min/max when present). Float types have no intrinsic
+     * range, so the OME window min/max is used when present. Where
+     * needsDataRange() is true, the range of the channel's sampled pixel
+     * values is used instead when given.
+     * @param {string} dtype - Viv dtype name
+     * @param {Object} [omeroWindow] - omero channel window { min, max, start, end }
+     * @param {Object} [dataRange] - { min, max } of the channel's pixel values
+     * @returns {Object} { min, max, step }
+     */
+    function getChannelRange(dtype, omeroWindow, dataRange) {
+        var info = getDtypeInfo(dtype);
+        var fromData = !!dataRange && isNumber(dataRange.min) && isNumber(dataRange.max) &&
+            needsDataRange(dtype, omeroWindow);
+        if (!info.isFloat) {
+            var low = info.min;
+            var high = info.max;
+            if (fromData) {
+                low = Math.floor(dataRange.min);
+                high = Math.ceil(dataRange.max);
+            } else if (WIDE_INT_DTYPES.indexOf(info.dtype) >= 0 && hasWindowRange(omeroWindow)) {
+                low = Math.round(omeroWindow.min);
+                high = Math.round(omeroWindow.max);
+            }
+            low = Math.max(info.min, Math.min(info.max - 1, low));
+            high = Math.min(info.max, Math.max(low + 1, high));
+            return { min: low, max: high, step: 1 };
+        }
+
+        var min = info.min;
+        var max = info.max;
+        if (fromData) {
+            min = dataRange.min;
+            max = dataRange.max;
+        } else if (omeroWindow) {
+            if (isNumber(omeroWindow.min)) min = omeroWindow.min;
+            else if (isNumber(omeroWindow.start)) min = Math.min(min, omeroWindow.start);
+            if (isNumber(omeroWindow.max)) max = omeroWindow.max;
+            else if (isNumber(omeroWindow.end)) max = Math.max(max, omeroWindow.end);
+        }
+        if (!(max > min)) max = min + 1;
+
+        return { min: min, max: max, step: (max - min) / FLOAT_SLIDER_STEPS };
+    }
+
+    /**
+     * Default contrast limits for a channel: the OME window start/end when
+     * present, otherwise the full slider range. Always clamped to the range.
+     * @param {string} dtype - Viv dtype name
+     * @param {Object} [omeroWindow] - omero channel window { min, max, start, end }
+     * @param {Object} [dataRange] - { min, max } of the channel's pixel values
+     *   (see getChannelRange())
+     * @returns {number[]} [min, max]
+     */
+    function getDefaultContrast(dtype, omeroWindow, dataRange) {
+        var range = getChannelRange(dtype, omeroWindow, dataRange);
+        var start = range.min;
+        var end = range.max;
+        if (omeroWindow) {
+            if (isNumber(omeroWindow.start)) start = omeroWindow.start;
+            if (isNumber(omeroWindow.end)) end = omeroWindow.end;
+        }
+        start = Math.max(range.min, Math.min(range.max, start));
+        end = Math.max(range.min, Math.min(range.max, end));
+        if (!(end > start)) {
+            start = range.min;
+            end = range.max;
+        }
+        return [start, end];
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrMetadata = {
+        normalizeDtype: normalizeDtype,
+        detectDtype: detectDtype,
+        getDtypeInfo: getDtypeInfo,
+        needsDataRange: needsDataRange,
+        getChannelRange: getChannelRange,
+        getDefaultContrast: getDefaultContrast,
+        unwrapOmeAttributes: unwrapOmeAttributes,
+        getAxes: getAxes,
+        getPixelSizes: getPixelSizes,
+        parseArrayMetadata: parseArrayMetadata,
+        getCodecIds: getCodecIds,
+        chunkKey: chunkKey,
+        fetchArrayMetadata: fetchArrayMetadata,
+        fetchGroupAttributes: fetchGroupAttributes,
+        getKnownFormat: getKnownFormat,
+        DEFAULT_DTYPE: DEFAULT_DTYPE,
+        ARRAY_METADATA_FILES: ARRAY_METADATA_FILES,
+        GROUP_ATTRIBUTE_FILES: GROUP_ATTRIBUTE_FILES
+    };
+
+})();
@@ -0,0 +1,228 @@
+// evostitch Zarr Ortho — orthogonal XZ / YZ slices through a Z-stack
+// Reads one row (XZ) or column (YZ) of pixels from every Z-plane in a range,
+// at the finest resolution level that keeps the line within a sample budget,
+// and stacks them into a slice image. Also composites per-channel slices into
+// RGBA with each channel's contrast and colormap. Used by zarr-viewer.js for
+// the orthoview side panels.
+//
+// Dependencies: zarr-region-reader.js (tile reads), zarr-colormaps.js (LUTs)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        maxSamples: 512,   // Default samples along the line
+        concurrency: 8,    // Planes read at once
+        debug: false
+    };
+
+    // Composite LUT resolution (colormap LUTs are interpolated up to this)
+    var COMPOSITE_LUT_SIZE = 256;
+
+    /**
+     * Pick the finest level at which a line of full-res length fits the budget
+     * @param {Array} loaderData - Viv pixel sources (level 0 first)
+     * @param {number} length - Line length in full-res pixels
+     * @param {number} maxSamples - Sample budget
+     * @returns {Object} { level, downsample }
+     */
+    function pickLineLevel(loaderData, length, maxSamples) {
+        var reader = window.evostitch.zarrRegionReader;
+        var fullWidth = reader.getImageSize(loaderData[0]).width;
+        var last = loaderData.length - 1;
+        for (var level = 0; level <= last; level++) {
+            var downsample = fullWidth / reader.getImageSize(loaderData[level]).width;
+            if (length / downsample <= maxSamples || level === last) {
+                return { level: level, downsample: downsample };
+            }
+        }
+    }
+
+    /**
+     * Map items through an async function, at most `limit` at a time
+     * @param {Array} items
+     * @param {number} limit
+     * @param {Function} fn - item → Promise
+     * @returns {Promise<Array>} Results in item order
+     */
+    function mapLimit(items, limit, fn) {
+        var results = new Array(items.length);
+        var next = 0;
+        function worker() {
+            if (next >= items.length) return Promise.resolve();
+            var i = next++;
+            return fn(items[i]).then(function(result) {
+                results[i] = result;
+                return worker();
+            });
+        }
+        var workers = [];
+        for (var w = 0; w < Math.min(limit, items.length); w++) {
+            workers.push(worker());
+        }
+        return Promise.all(workers).then(function() { return results; });
+    }
+
+    /**
+     * Read an XZ or YZ slice. XZ: the row at y = position, rows are Z-planes
+     * (width = samples, height = planes). YZ: the column at x = position,
+     * columns are Z-planes (width = planes, height = samples).
+     * @param {Array} loaderData - Viv pixel sources (level 0 first)
+     * @param {Object} options
+     * @param {string} options.axis - 'xz' | 'yz'
+     * @param {number} options.position - Full-res y (XZ) or x (YZ) of the line
+     * @param {Object} options.range - { min, max } full-res extent along the line
+     * @param {number} options.zStart - First plane (inclusive)
+     * @param {number} options.zEnd - Last plane (exclusive)
+     * @param {Object} options.selection - Viv selection for the other axes (z is set per plane)
+     * @param {number} [options.maxSamples] - Sample budget along the line
+     * @param {AbortSignal} [options.signal] - Abort signal passed to tile fetches
+     * @returns {Promise<Object|null>} { data, width, height, level, downsample,
+     *   start, zStart, zEnd } (start = first sample in level pixels), or null
+     *   if the line misses the image
+     */
+    function readSlice(loaderData, options) {
+        if (!loaderData || loaderData.length === 0 || options.zEnd <= options.zStart) {
+            return Promise.resolve(null);
+        }
+        var reader = window.evostitch.zarrRegionReader;
+        var size = reader.getImageSize(loaderData[0]);
+        var isXZ = options.axis === 'xz';
+        var lineExtent = isXZ ? size.width : size.height;
+        var crossExtent = isXZ ? size.height : size.width;
+
+        var position = Math.floor(options.position);
+        var min = Math.max(0, options.range.min);
+        var max = Math.min(lineExtent, options.range.max);
+        if (position < 0 || position >= crossExtent || max <= min) return Promise.resolve(null);
+
+        var picked = pickLineLevel(loaderData, max - min, options.maxSamples || CONFIG.maxSamples);
+        var bounds = isXZ ?
+            { minX: min, maxX: max, minY: position, maxY: position + 1 } :
+            { minX: position, maxX: position + 1, minY: min, maxY: max };
+
+        var planes = [];
+        for (var z = options.zStart; z < options.zEnd; z++) planes.push(z);
+
+        log(options.axis.toUpperCase() + ' at ' + position + ', level ' + picked.level + ', ' + planes.length + ' planes');
+
+        return mapLimit(planes, CONFIG.concurrency, function(z) {
+            var selection = Object.assign({}, options.selection, { z: z });
+            return reader.readRegion(loaderData, {
+                selection: selection,
+                bounds: bounds,
+                level: picked.level,
+                signal: options.signal
+            });
+        }).then(function(regions) {
+            var first = regions[0];
+            if (!first) return null;
+            // One row (XZ) or column (YZ) per plane; the region is 1 level pixel thick
+            var samples = isXZ ? first.width : first.height;
+            var count = planes.length;
+            var data = new first.data.constructor(samples * count);
+            regions.forEach(function(region, p) {
+                for (var i = 0; i < samples; i++) {
+                    var value = region.data[isXZ ? i : i * region.width];
+                    data[isXZ ? p * samples + i : i * count + p] = value;
+                }
+            });
+            return {
+                data: data,
+                width: isXZ ? samples : count,
+                height: isXZ ? count : samples,
+                level: picked.level,
+                downsample: picked.downsample,
+                start: isXZ ? first.x : first.y,
+                zStart: options.zStart,
+                zEnd: options.zEnd
+            };
+        });
+    }
+
+    /**
+     * Colormap LUT interpolated to COMPOSITE_LUT_SIZE RGB entries
+     * @param {string} colormap - Colormap id or 'color'
+     * @param {string} [color] - Hex color for the solid color option
+     * @returns {Uint8ClampedArray} COMPOSITE_LUT_SIZE * 3 values
+     */
+    function buildCompositeLut(colormap, color) {
+        var lut = window.evostitch.zarrColormaps.buildLut(colormap, color);
+        var out = new Uint8ClampedArray(COMPOSITE_LUT_SIZE * 3);
+        for (var i = 0; i < COMPOSITE_LUT_SIZE; i++) {
+            var x = i / (COMPOSITE_LUT_SIZE - 1) * (lut.length - 1);
+            var j = Math.min(Math.floor(x), lut.length - 2);
+            var f = x - j;
+            for (var k = 0; k < 3; k++) {
+                out[i * 3 + k] = lut[j][k] + (lut[j + 1][k] - lut[j][k]) * f;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Additively composite same-sized channel slices into RGBA, as the main
+     * view does: each value is windowed to [min, max] and mapped through the
+     * channel's LUT.
+     * @param {Array} slices - [{ data, width, height }] (one per channel)
+     * @param {Array} channels - [{ min, max, colormap, color }] parallel to slices
+     * @returns {Uint8ClampedArray|null} width * height * 4 RGBA, or null if no slices
+     */
+    function composite(slices, channels) {
+        if (slices.length === 0) return null;
+        var pixels = slices[0].width * slices[0].height;
+        var sums = new Float32Array(pixels * 3);
+
+        slices.forEach(function(slice, c) {
+            var settings = channels[c];
+            var lut = buildCompositeLut(settings.colormap, settings.color);
+            var span = settings.max - settings.min || 1;
+            var scale = (COMPOSITE_LUT_SIZE - 1) / span;
+            for (var i = 0; i < pixels; i++) {
+                var idx = Math.round((slice.data[i] - settings.min) * scale);
+                if (!(idx > 0)) {
+                    idx = 0;  // Below the black point, or NaN (float data)
+                } else if (idx >= COMPOSITE_LUT_SIZE) {
+                    idx = COMPOSITE_LUT_SIZE - 1;
+                }
+                sums[i * 3] += lut[idx * 3];
+                sums[i * 3 + 1] += lut[idx * 3 + 1];
+                sums[i * 3 + 2] += lut[idx * 3 + 2];
+            }
+        });
+
+        var rgba = new Uint8ClampedArray(pixels * 4);
+        for (var p = 0; p < pixels; p++) {
+            rgba[p * 4] = sums[p * 3];
+            rgba[p * 4 + 1] = sums[p * 3 + 1];
+            rgba[p * 4 + 2] = sums[p * 3 + 2];
+            rgba[p * 4 + 3] = 255;
+        }
+        return rgba;
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrOrtho: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrOrtho = {
+        pickLineLevel: pickLineLevel,
+        readSlice: readSlice,
+        composite: composite,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -0,0 +1,227 @@
+// evostitch Zarr Plate — OME-NGFF high-content screening plates
+// Reads 'plate' metadata (rows, columns, wells) from the store root and 'well'
+// metadata (its fields of view) from each well group, and loads per-well
+// thumbnails a few at a time. Each field is an ordinary multiscale image that
+// zarr-viewer.js opens with loadZarr(); thumbnails are read from the coarsest
+// level of a well's first field and composited with the current channel
+// settings (zarrOrtho.composite()).
+//
+// Dependencies: zarr-metadata.js (group attributes)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        thumbnailConcurrency: 4,  // Wells read at once for thumbnails
+        debug: false
+    };
+
+    /**
+     * Join a store URL and relative Zarr paths
+     * @param {string} base - Group URL (trailing slash optional)
+     * @param {...string} paths - Relative paths, e.g. 'B/3', '0'
+     * @returns {string}
+     */
+    function joinUrl(base) {
+        var parts = [base.replace(/\/$/, '')];
+        for (var i = 1; i < arguments.length; i++) {
+            parts.push(String(arguments[i]).replace(/^\/|\/$/g, ''));
+        }
+        return parts.join('/');
+    }
+
+    /**
+     * Plate layout from NGFF 'plate' metadata. Wells without rowIndex /
+     * columnIndex (NGFF 0.3) are placed from their 'row/column' path.
+     * @param {Object} attrs - Root group attributes (unwrapped)
+     * @returns {Object|null} { name, rows: [name], columns: [name], fieldCount,
+     *   wells: [{ path, row, column, rowIndex, columnIndex }] }, or null if not a plate
+     */
+    function parsePlate(attrs) {
+        var plate = attrs && attrs.plate;
+        if (!plate || !Array.isArray(plate.rows) || !Array.isArray(plate.columns) || !Array.isArray(plate.wells)) {
+            return null;
+        }
+        var rows = plate.rows.map(function(row) { return String(row.name); });
+        var columns = plate.columns.map(function(column) { return String(column.name); });
+
+        var wells = [];
+        plate.wells.forEach(function(well) {
+            if (!well || typeof well.path !== 'string') return;
+            var parts = well.path.split('/');
+            var rowIndex = typeof well.rowIndex === 'number' ? well.rowIndex : rows.indexOf(parts[0]);
+            var columnIndex = typeof well.columnIndex === 'number' ? well.columnIndex : columns.indexOf(parts[1]);
+            if (!(rowIndex >= 0 && rowIndex < rows.length) || !(columnIndex >= 0 && columnIndex < columns.length)) return;
+            wells.push({
+                path: well.path,
+                row: rows[rowIndex],
+                column: columns[columnIndex],
+                rowIndex: rowIndex,
+                columnIndex: columnIndex
+            });
+        });
+
+        return {
+            name: typeof plate.name === 'string' ? plate.name : '',
+            rows: rows,
+            columns: columns,
+            fieldCount: typeof plate.field_count === 'number' ? plate.field_count : null,
+            wells: wells
+        };
+    }
+
+    /**
+     * Fields of view of a well from NGFF 'well' metadata
+     * @param {Object} attrs - Well group attributes (unwrapped)
+     * @returns {string[]} Field image paths, in metadata order
+     */
+    function parseWell(attrs) {
+        var images = attrs && attrs.well && Array.isArray(attrs.well.images) ? attrs.well.images : [];
+        return images
+            .filter(function(image) { return image && typeof image.path === 'string'; })
+            .map(function(image) { return image.path; });
+    }
+
+    /**
+     * The plate at a store URL
+     * @param {string} url - Store URL
+     * @returns {Promise<Object|null>} parsePlate() result with its url, or null
+     *   if the store root is not a plate
+     */
+    function fetchPlate(url) {
+        return window.evostitch.zarrMetadata.fetchGroupAttributes(url).then(function(attrs) {
+            var plate = parsePlate(attrs);
+            if (!plate) return null;
+            plate.url = url.replace(/\/$/, '');
+            log('Plate ' + (plate.name || plate.url) + ': ' + plate.rows.length + ' x ' +
+                plate.columns.length + ', ' + plate.wells.length + ' wells');
+            return plate;
+        });
+    }
+
+    /**
+     * Field paths of a well
+     * @param {Object} plate - From fetchPlate()
+     * @param {Object} well - One of plate.wells
+     * @returns {Promise<string[]>} Field image paths (empty if the well has none)
+     */
+    function fetchWellFields(plate, well) {
+        return window.evostitch.zarrMetadata.fetchGroupAttributes(joinUrl(plate.url, well.path))
+            .then(parseWell);
+    }
+
+    /**
+     * Well at a grid position
+     * @param {Object} plate - From parsePlate()
+     * @param {number} rowIndex
+     * @param {number} columnIndex
+     * @returns {Object|null}
+     */
+    function getWellAt(plate, rowIndex, columnIndex) {
+        for (var i = 0; i < plate.wells.length; i++) {
+            var well = plate.wells[i];
+            if (well.rowIndex === rowIndex && well.columnIndex === columnIndex) return well;
+        }
+        return null;
+    }
+
+    /**
+     * Selection of one plane of a field: channel c at the given Z and T,
+     * clamped to the field's axes
+     * @param {Object} source - Viv pixel source (level 0) of the field
+     * @param {Object} plane - { c, z, t }
+     * @returns {Object} Viv selection
+     */
+    function getSelection(source, plane) {
+        var selection = {};
+        source.labels.forEach(function(axis, i) {
+            if (axis === 'x' || axis === 'y') return;
+            var index = plane.hasOwnProperty(axis) ? plane[axis] : 0;
+            selection[axis] = Math.max(0, Math.min(source.shape[i] - 1, index || 0));
+        });
+        return selection;
+    }
+
+    /**
+     * Well name as shown to users, e.g. 'B3'
+     * @param {Object} well - One of plate.wells
+     * @returns {string}
+     */
+    function wellName(well) {
+        return well.row + well.column;
+    }
+
+    /**
+     * Read thumbnails for wells, CONFIG.thumbnailConcurrency at a time. A
+     * failed well is reported with a null thumbnail and does not stop the others.
+     * @param {Object} options
+     * @param {Object[]} options.wells - Wells to read, in order
+     * @param {Function} options.readThumbnail - (well) → Promise<thumbnail>
+     * @param {Function} [options.onThumbnail] - (well, thumbnail|null) as each finishes
+     * @param {Function} [options.isCancelled] - () → true to stop starting new wells
+     * @returns {Promise<number>} Thumbnails read
+     */
+    function loadThumbnails(options) {
+        var next = 0;
+        var done = 0;
+
+        function worker() {
+            if (next >= options.wells.length || (options.isCancelled && options.isCancelled())) {
+                return Promise.resolve();
+            }
+            var well = options.wells[next++];
+            return Promise.resolve()
+                .then(function() { return options.readThumbnail(well); })
+                .then(function(thumbnail) {
+                    done++;
+                    return thumbnail;
+                }, function(error) {
+                    log('Thumbnail for ' + well.path + ' failed: ' + (error && error.message));
+                    return null;
+                })
+                .then(function(thumbnail) {
+                    if (options.onThumbnail && !(options.isCancelled && options.isCancelled())) {
+                        options.onThumbnail(well, thumbnail);
+                    }
+                    return worker();
+                });
+        }
+
+        var workers = [];
+        for (var w = 0; w < Math.min(CONFIG.thumbnailConcurrency, options.wells.length); w++) {
+            workers.push(worker());
+        }
+        return Promise.all(workers).then(function() { return done; });
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrPlate: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrPlate = {
+        joinUrl: joinUrl,
+        parsePlate: parsePlate,
+        parseWell: parseWell,
+        fetchPlate: fetchPlate,
+        fetchWellFields: fetchWellFields,
+        getWellAt: getWellAt,
+        getSelection: getSelection,
+        wellName: wellName,
+        loadThumbnails: loadThumbnails,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -0,0 +1,365 @@
+// evostitch Zarr Playback — animate the Z-stack
+// Plays through the Z-planes at a set frame rate, looping (last → first) or
+// bouncing (back and forth), and steps continuously while an arrow key is
+// held. Before playback starts, a preparation phase warms every plane of the
+// viewport through zarr-prefetch.js warmPlane(), so frames are served from
+// the SW cache instead of stalling on the network. zarr-viewer.js supplies
+// the Z accessors and draws each frame.
+//
+// Dependencies: none (zarr-viewer.js passes in zarrPrefetch.warmPlane)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        fps: 10,                  // Default frame rate
+        minFps: 1,
+        maxFps: 30,
+        mode: 'loop',             // Default playback mode (one of MODES)
+        holdDelayMs: 300,         // Key held this long before continuous stepping starts
+        prepareTimeoutMs: 5000,   // Give up waiting on one plane's warm fetches after this
+        prepareRetries: 1,        // Warm a plane again when some of its chunks failed
+        debug: false
+    };
+
+    // Playback modes: loop wraps from the last plane to the first, bounce
+    // reverses direction at either end
+    var MODES = ['loop', 'bounce'];
+
+    /**
+     * Next frame of a playback
+     * @param {number} z - Current plane
+     * @param {number} direction - +1 or -1
+     * @param {number} zCount - Planes in the stack
+     * @param {string} mode - 'loop' or 'bounce'
+     * @returns {Object} { z, direction }
+     */
+    function nextFrame(z, direction, zCount, mode) {
+        if (zCount <= 1) return { z: 0, direction: direction };
+        var next = z + direction;
+        if (mode === 'bounce') {
+            if (next >= zCount || next < 0) {
+                direction = -direction;
+                next = z + direction;
+            }
+            return { z: next, direction: direction };
+        }
+        if (next >= zCount) next = 0;
+        if (next < 0) next = zCount - 1;
+        return { z: next, direction: direction };
+    }
+
+    /**
+     * Playback order starting at a plane: the planes ahead in the play
+     * direction first, wrapping around, so the first frames are warmed first
+     * @param {number} startZ
+     * @param {number} zCount
+     * @returns {number[]}
+     */
+    function playOrder(startZ, zCount) {
+        var order = [];
+        for (var i = 0; i < zCount; i++) {
+            order.push((startZ + i) % zCount);
+        }
+        return order;
+    }
+
+    /**
+     * Warm every plane, one at a time so the warm fetches do not compete
+     * with each other for prefetch slots. A plane whose warm-up resolves
+     * false is tried again (CONFIG.prepareRetries); planes still not warm, or
+     * timed out, are counted as cold. Planes resolving null have nothing
+     * prefetch can fetch (e.g. sharded levels) and are counted as skipped.
+     * @param {Object} options
+     * @param {number[]} options.planes - Planes in warm order
+     * @param {Function} options.warmPlane - (z) → Promise<boolean|null> (zarrPrefetch.warmPlane)
+     * @param {Function} [options.isCancelled] - () → true to stop early
+     * @param {Function} [options.onProgress] - ({ done, total, cold, skipped }) after each plane
+     * @returns {Promise<boolean>} false if cancelled
+     */
+    function prepare(options) {
+        var planes = options.planes;
+        var index = 0;
+        var cold = 0;
+        var skipped = 0;
+
+        function isCancelled() {
+            return !!(options.isCancelled && options.isCancelled());
+        }
+
+        // Resolves warmPlane()'s result, undefined if its warm-up timed out
+        function warm(z, attempt) {
+            var timer = null;
+            var timeout = new Promise(function(resolve) {
+                timer = setTimeout(resolve, CONFIG.prepareTimeoutMs);
+            });
+            return Promise.race([Promise.resolve(options.warmPlane(z)), timeout]).then(function(warmed) {
+                clearTimeout(timer);
+                if (warmed === false && attempt < CONFIG.prepareRetries && !isCancelled()) {
+                    log('Plane ' + z + ' not warm, retrying');
+                    return warm(z, attempt + 1);
+                }
+                return warmed;
+            });
+        }
+
+        function warmNext() {
+            if (isCancelled()) return Promise.resolve(false);
+            if (index >= planes.length) return Promise.resolve(true);
+            var z = planes[index++];
+            return warm(z, 0).then(function(warmed) {
+                if (warmed === null) {
+                    skipped++;
+                } else if (warmed !== true) {
+                    cold++;
+                }
+                if (options.onProgress) {
+                    options.onProgress({ done: index, total: planes.length, cold: cold, skipped: skipped });
+                }
+                return warmNext();
+            });
+        }
+
+        return warmNext();
+    }
+
+    /**
+     * Clamp a frame rate to CONFIG.minFps..CONFIG.maxFps
+     * @param {number} fps
+     * @returns {number}
+     */
+    function clampFps(fps) {
+        var value = Number(fps);
+        if (!isFinite(value)) return CONFIG.fps;
+        return Math.max(CONFIG.minFps, Math.min(CONFIG.maxFps, value));
+    }
+
+    /**
+     * Playback controller for one viewer
+     * @param {Object} options
+     * @param {Function} options.getZ - () → current plane
+     * @param {Function} options.getZCount - () → planes in the stack
+     * @param {Function} options.showZ - (z) draw a frame (no debounce: the
+     *   frame clock already paces the switches)
+     * @param {Function} [options.warmPlane] - (z) → Promise; without it
+     *   playback starts without a preparation phase
+     * @param {Function} [options.onChange] - (status) when the status changes
+     * @returns {Object} { play, pause, toggle, hold, release, setFps, setMode, getStatus }
+     */
+    function createPlayer(options) {
+        var status = {
+            playing: false,
+            preparing: false,
+            progress: null,        // { done, total, cold, skipped } while preparing
+            coldPlanes: 0,         // Planes the last preparation could not warm
+            skippedPlanes: 0,      // Planes with nothing to prefetch (sharded levels)
+            fps: CONFIG.fps,
+            mode: CONFIG.mode,
+            direction: 1
+        };
+        var timer = null;
+        var session = 0;           // Bumped on every start/stop; stale callbacks check it
+        var holding = null;        // { direction } while an arrow key is held
+
+        function changed() {
+            if (options.onChange) options.onChange(getStatus());
+        }
+
+        function clearTimer() {
+            if (timer !== null) {
+                clearTimeout(timer);
+                timer = null;
+            }
+        }
+
+        function frameMs() {
+            return 1000 / status.fps;
+        }
+
+        function tick(id) {
+            if (id !== session || !status.playing) return;
+            var next = nextFrame(options.getZ(), status.direction, options.getZCount(), status.mode);
+            status.direction = next.direction;
+            options.showZ(next.z);
+            timer = setTimeout(function() { tick(id); }, frameMs());
+        }
+
+        function startFrames(id) {
+            status.preparing = false;
+            status.progress = null;
+            changed();
+            timer = setTimeout(function() { tick(id); }, frameMs());
+        }
+
+        /**
+         * Start playback (after warming the viewport's planes)
+         */
+        function play() {
+            if (status.playing || options.getZCount() <= 1) return;
+            release();
+            var id = ++session;
+            status.playing = true;
+
+            if (!options.warmPlane) {
+                startFrames(id);
+                return;
+            }
+
+            status.preparing = true;
+            var planes = playOrder(options.getZ(), options.getZCount());
+            status.progress = { done: 0, total: planes.length, cold: 0, skipped: 0 };
+            status.coldPlanes = 0;
+            status.skippedPlanes = 0;
+            changed();
+            prepare({
+                planes: planes,
+                warmPlane: options.warmPlane,
+                isCancelled: function() { return id !== session; },
+                onProgress: function(progress) {
+                    if (id !== session) return;
+                    status.progress = progress;
+                    status.coldPlanes = progress.cold;
+                    status.skippedPlanes = progress.skipped;
+                    changed();
+                }
+            }).then(function(completed) {
+                if (completed && id === session) {
+                    log('Prepared ' + planes.length + ' planes (' + status.coldPlanes + ' not warm, ' +
+                        status.skippedPlanes + ' not prefetchable)');
+                    startFrames(id);
+                }
+            });
+        }
+
+        /**
+         * Stop playback (or its preparation)
+         */
+        function pause() {
+            if (!status.playing) return;
+            session++;
+            clearTimer();
+            status.playing = false;
+            status.preparing = false;
+            status.progress = null;
+            changed();
+        }
+
+        function toggle() {
+            if (status.playing) {
+                pause();
+            } else {
+                play();
+            }
+        }
+
+        function holdTick(direction) {
+            if (!holding || holding.direction !== direction) return;
+            var z = options.getZ() + direction;
+            if (z < 0 || z >= options.getZCount()) {
+                release();
+                return;
+            }
+            options.showZ(z);
+            timer = setTimeout(function() { holdTick(direction); }, frameMs());
+        }
+
+        /**
+         * Arrow key pressed: after CONFIG.holdDelayMs, step one plane per
+         * frame in the direction until release() or the end of the stack.
+         * Stops playback.
+         * @param {number} direction - +1 or -1
+         */
+        function hold(direction) {
+            if (holding && holding.direction === direction) return;
+            pause();
+            release();
+            holding = { direction: direction };
+            timer = setTimeout(function() { holdTick(direction); }, CONFIG.holdDelayMs);
+        }
+
+        /**
+         * Arrow key released: stop stepping
+         */
+        function release() {
+            if (!holding) return;
+            holding = null;
+            clearTimer();
+        }
+
+        /**
+         * @param {number} fps - Frames per second (clamped)
+         */
+        function setFps(fps) {
+            status.fps = clampFps(fps);
+            changed();
+        }
+
+        /**
+         * @param {string} mode - One of MODES
+         */
+        function setMode(mode) {
+            if (MODES.indexOf(mode) < 0) return;
+            status.mode = mode;
+            changed();
+        }
+
+        /**
+         * @returns {Object} { playing, preparing, progress, coldPlanes, skippedPlanes, fps, mode,
+         *   direction, holding }
+         */
+        function getStatus() {
+            return {
+                playing: status.playing,
+                preparing: status.preparing,
+                progress: status.progress ?
+                    { done: status.progress.done, total: status.progress.total, cold: status.progress.cold,
+                        skipped: status.progress.skipped } : null,
+                coldPlanes: status.coldPlanes,
+                skippedPlanes: status.skippedPlanes,
+                fps: status.fps,
+                mode: status.mode,
+                direction: status.direction,
+                holding: !!holding
+            };
+        }
+
+        return {
+            play: play,
+            pause: pause,
+            toggle: toggle,
+            hold: hold,
+            release: release,
+            setFps: setFps,
+            setMode: setMode,
+            getStatus: getStatus
+        };
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrPlayback: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrPlayback = {
+        MODES: MODES,
+        nextFrame: nextFrame,
+        playOrder: playOrder,
+        prepare: prepare,
+        clampFps: clampFps,
+        createPlayer: createPlayer,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
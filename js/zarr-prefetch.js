@@ -1,6 +1,7 @@
 // evostitch Zarr Prefetch Engine - Intelligent Z-plane prefetching for OME-Zarr viewer
-// Prefetches adjacent Z-plane chunks so the Service Worker caches them before
-// the user navigates. Viv/deck.gl then gets cache hits via the SW.
+// Prefetches adjacent Z-plane chunks (and neighboring timepoints for time-lapse
+// stacks) so the Service Worker caches them before the user navigates.
+// Viv/deck.gl then gets cache hits via the SW.
 //
 // The SW handles all caching/eviction. This module only needs to issue fetch()
 // requests for predicted Z-planes — the SW intercepts and caches automatically.
@@ -14,6 +15,8 @@
         adjacentRadius: 2,
         // Extra planes ahead when scrolling fast
         predictiveDepth: 4,
+        // Neighboring timepoints to prefetch at the current Z (both directions)
+        tAdjacentRadius: 1,
         // Velocity threshold (planes/sec) for predictive mode
         velocityThreshold: 1.5,
         // Velocity decay factor per measurement
@@ -31,11 +34,16 @@
         initialized: false,
         currentZ: 0,
         zCount: 1,
-        zarrStoreUrl: '',   // Full zarr store URL (e.g., https://...r2.dev/dataset/0/)
+        currentT: 0,
+        tCount: 1,
+        zWindow: 0,         // Projection window: planes each side of currentZ (Infinity = full stack)
+        zarrStoreUrl: '',   // Full zarr store URL (e.g., https://...r2.dev/dataset/0/, any series)
         resolutionLevels: [],   // Array of { level, zChunkSize, yChunks, xChunks }
         axes: [],
         levelCount: 0,
         dimensionSeparator: '/',  // Zarr dimension separator ('/' for OME-Zarr, '.' for older)
+        chunkKeyPrefix: '',       // Chunk key prefix ('c/' for Zarr v3 default encoding)
+        zarrFormat: 2,            // Zarr format version (metadata document tried first)
 
         // Velocity tracking
         lastZChangeTime: 0,
@@ -46,11 +54,17 @@
         getViewState: null,         // Function returning current deck.gl viewState
         getContainerSize: null,     // Function returning { width, height }
 
-        // Track which Z-planes have been prefetched this session
+        // Track which Z-planes have been prefetched this session (at currentT)
         prefetchedPlanes: new Set(),
+        // Track which timepoints have been prefetched at currentZ
+        prefetchedTimepoints: new Set(),
+        // Chunk URLs fetched successfully (warmPlane() skips them)
+        fetchedChunks: new Set(),
 
         // In-flight tracking
         pendingFetches: new Map(),  // url -> AbortController
+        fetchPromises: new Map(),   // url -> { controller, promise } (Promise<boolean>, true if fetched)
+        slotWaiters: [],            // warmPlane() calls waiting for a free slot
         prefetchTimeout: null,
 
         // Stats
@@ -75,6 +89,9 @@
      * @param {Array} config.axes - Axes names (e.g., ['t', 'c', 'z', 'y', 'x'])
      * @param {number} [config.levelCount] - Number of resolution levels (from loader.data.length)
      * @param {number} [config.currentZ=0] - Starting Z-plane
+     * @param {number} [config.tCount=1] - Total number of timepoints
+     * @param {number} [config.currentT=0] - Starting timepoint
+     * @param {number} [config.zarrFormat=2] - Zarr format (2 or 3), if known from preflight
      * @param {Object} [config.options] - Override default CONFIG values
      */
     function init(config) {
@@ -87,7 +104,11 @@
         state.zarrStoreUrl = (config.zarrStoreUrl || config.baseUrl || '').replace(/\/$/, '');
         state.zCount = config.zCount;
         state.currentZ = config.currentZ || 0;
+        state.tCount = config.tCount || 1;
+        state.currentT = config.currentT || 0;
+        state.zWindow = 0;
         state.axes = config.axes || ['t', 'c', 'z', 'y', 'x'];
+        state.zarrFormat = config.zarrFormat || 2;
         state.levelCount = config.levelCount || 0;
         state.getViewState = config.getViewState || null;
         state.getContainerSize = config.getContainerSize || null;
@@ -95,6 +116,8 @@
         state.lastZChangeTime = 0;
         state.velocity = 0;
         state.prefetchedPlanes.clear();
+        state.prefetchedTimepoints.clear();
+        state.fetchedChunks.clear();
 
         // Apply config overrides
         if (config.options) {
@@ -105,31 +128,36 @@
             });
         }
 
-        // Fetch resolution level info from .zarray metadata (async)
+        // Fetch resolution level info from array metadata (async)
         extractResolutionInfo(state.levelCount);
 
         state.initialized = true;
         log('Initialized: zarrStoreUrl=' + state.zarrStoreUrl + ', zCount=' + state.zCount +
-            ', levels pending, sep=' + state.dimensionSeparator);
+            ', tCount=' + state.tCount + ', levels pending, sep=' + state.dimensionSeparator);
 
-        // Prefetch adjacent planes for initial position (will re-run after .zarray loads)
+        // Prefetch adjacent planes for initial position (will re-run after metadata loads)
         schedulePrefetch();
 
         return true;
     }
 
     /**
-     * Extract resolution level metadata by fetching .zarray for each level.
+     * Extract resolution level metadata by fetching array metadata for each level.
      * Replaces the old approach of accessing Viv's private _data API.
-     * Fetches {zarrStoreUrl}/{level}/.zarray and parses shape, chunks,
-     * and dimension_separator from the JSON response.
+     * Fetches {zarrStoreUrl}/{level}/.zarray (Zarr v2) or zarr.json (Zarr v3)
+     * and parses shape, chunks, and chunk key encoding from the JSON response.
      * @param {number} levelCount - Number of resolution levels to fetch
      */
     function extractResolutionInfo(levelCount) {
         state.resolutionLevels = [];
 
         if (levelCount === 0 || !state.zarrStoreUrl) {
-            log('No level count or store URL, skipping .zarray fetch');
+            log('No level count or store URL, skipping array metadata fetch');
+            return;
+        }
+
+        if (!window.evostitch || !window.evostitch.zarrMetadata) {
+            log('zarr-metadata.js not loaded, skipping array metadata fetch');
             return;
         }
 
@@ -141,23 +169,27 @@
         var levels = new Array(levelCount);
         var fetches = [];
         for (var i = 0; i < levelCount; i++) {
-            fetches.push(fetchZarrayForLevel(i, levels, zIdx, yIdx, xIdx));
+            fetches.push(fetchArrayMetadataForLevel(i, levels, zIdx, yIdx, xIdx));
         }
 
         Promise.all(fetches).then(function() {
             state.resolutionLevels = levels;  // preserve index→level mapping (nulls = failed fetches)
             var populated = levels.filter(function(l) { return l != null; }).length;
-            log('Resolution levels extracted via .zarray: ' + populated + '/' + levelCount +
-                ', sep=' + state.dimensionSeparator);
+            log('Resolution levels extracted via v' + state.zarrFormat + ' metadata: ' +
+                populated + '/' + levelCount + ', sep=' + state.dimensionSeparator +
+                ', prefix=' + (state.chunkKeyPrefix || '(none)'));
             // Re-schedule prefetch now that we have resolution data
             schedulePrefetch();
         }).catch(function(err) {
-            log('Error fetching .zarray metadata: ' + err.message);
+            log('Error fetching array metadata: ' + err.message);
         });
     }
 
     /**
-     * Fetch and parse .zarray metadata for a single resolution level.
+     * Fetch and parse array metadata (.zarray or zarr.json) for a single resolution level.
+     * Sharded (Zarr v3 sharding_indexed) levels are recorded but marked
+     * `sharded`: their chunks live inside shard objects that Viv reads with
+     * byte-range requests, so whole-chunk prefetch URLs don't apply.
      * @param {number} level - Resolution level index
      * @param {Array} levels - Pre-allocated array to store results by index
      * @param {number} zIdx - Index of z axis
@@ -165,50 +197,50 @@
      * @param {number} xIdx - Index of x axis
      * @returns {Promise}
      */
-    function fetchZarrayForLevel(level, levels, zIdx, yIdx, xIdx) {
-        var url = state.zarrStoreUrl + '/' + level + '/.zarray';
-
-        return fetch(url, { mode: 'cors', credentials: 'omit' })
-            .then(function(response) {
-                if (!response.ok) {
-                    log('.zarray fetch failed for level ' + level + ': ' + response.status);
-                    return null;
-                }
-                return response.json();
-            })
-            .then(function(zarray) {
-                if (!zarray) return;
+    function fetchArrayMetadataForLevel(level, levels, zIdx, yIdx, xIdx) {
+        var arrayUrl = state.zarrStoreUrl + '/' + level;
+
+        return window.evostitch.zarrMetadata.fetchArrayMetadata(arrayUrl, {
+            zarrFormat: state.zarrFormat,
+            fetchOptions: { mode: 'cors', credentials: 'omit' }
+        }).then(function(meta) {
+            if (!meta) {
+                log('Array metadata fetch failed for level ' + level);
+                return;
+            }
 
-                var shape = zarray.shape;
-                var chunks = zarray.chunks;
+            var shape = meta.shape;
+            var chunks = meta.chunks;
 
-                // Extract dimension separator from the first level
-                if (level === 0 && zarray.dimension_separator) {
-                    state.dimensionSeparator = zarray.dimension_separator;
-                }
+            // Extract chunk key encoding from the first level
+            if (level === 0) {
+                state.zarrFormat = meta.zarrFormat;
+                state.dimensionSeparator = meta.separator;
+                state.chunkKeyPrefix = meta.keyPrefix;
+            }
 
-                if (!shape || !chunks) return;
-
-                var ySize = yIdx >= 0 ? shape[yIdx] : 0;
-                var xSize = xIdx >= 0 ? shape[xIdx] : 0;
-                var yChunkSize = yIdx >= 0 ? chunks[yIdx] : 256;
-                var xChunkSize = xIdx >= 0 ? chunks[xIdx] : 256;
-                var zChunkSize = zIdx >= 0 ? chunks[zIdx] : 1;
-
-                levels[level] = {
-                    level: level,
-                    shape: shape,
-                    chunks: chunks,
-                    zChunkSize: zChunkSize,
-                    yChunks: ySize > 0 ? Math.ceil(ySize / yChunkSize) : 0,
-                    xChunks: xSize > 0 ? Math.ceil(xSize / xChunkSize) : 0,
-                    yChunkSize: yChunkSize,
-                    xChunkSize: xChunkSize
-                };
-            })
-            .catch(function(err) {
-                log('.zarray fetch error for level ' + level + ': ' + err.message);
-            });
+            if (!shape || !chunks) return;
+
+            var ySize = yIdx >= 0 ? shape[yIdx] : 0;
+            var xSize = xIdx >= 0 ? shape[xIdx] : 0;
+            var yChunkSize = yIdx >= 0 ? chunks[yIdx] : 256;
+            var xChunkSize = xIdx >= 0 ? chunks[xIdx] : 256;
+            var zChunkSize = zIdx >= 0 ? chunks[zIdx] : 1;
+
+            levels[level] = {
+                level: level,
+                shape: shape,
+                chunks: chunks,
+                sharded: meta.sharded,
+                zChunkSize: zChunkSize,
+                yChunks: ySize > 0 ? Math.ceil(ySize / yChunkSize) : 0,
+                xChunks: xSize > 0 ? Math.ceil(xSize / xChunkSize) : 0,
+                yChunkSize: yChunkSize,
+                xChunkSize: xChunkSize
+            };
+        }).catch(function(err) {
+            log('Array metadata error for level ' + level + ': ' + err.message);
+        });
     }
 
     /**
@@ -219,6 +251,10 @@
      *
      * For OME-Zarr with '/' separator:
      *   {zarrStoreUrl}/{level}/{t}/{c}/{z}/{y}/{x}
+     * For Zarr v3 (default chunk key encoding):
+     *   {zarrStoreUrl}/{level}/c/{t}/{c}/{z}/{y}/{x}
+     *
+     * Sharded levels return no URLs (see fetchArrayMetadataForLevel).
      *
      * @param {number} z - Z-plane index
      * @param {number} levelIdx - Resolution level index
@@ -227,12 +263,13 @@
      * @param {number} tileRange.maxTileX
      * @param {number} tileRange.minTileY
      * @param {number} tileRange.maxTileY
+     * @param {number} [t] - Timepoint index (defaults to the current timepoint)
      * @returns {string[]} Array of chunk URLs
      */
-    function getChunkUrlsForZ(z, levelIdx, tileRange) {
+    function getChunkUrlsForZ(z, levelIdx, tileRange, t) {
         var urls = [];
         var info = state.resolutionLevels[levelIdx];
-        if (!info) return urls;
+        if (!info || info.sharded) return urls;
 
         var zIdx = state.axes.indexOf('z');
         if (zIdx < 0) return urls;
@@ -240,6 +277,10 @@
         var sep = state.dimensionSeparator;
         var zChunk = Math.floor(z / info.zChunkSize);
 
+        if (t === undefined || t === null) t = state.currentT;
+        var tIdx = state.axes.indexOf('t');
+        var tChunk = tIdx >= 0 && info.chunks ? Math.floor(t / info.chunks[tIdx]) : 0;
+
         var cIdx = state.axes.indexOf('c');
         var cCount = cIdx >= 0 && info.shape ? info.shape[cIdx] : 1;
 
@@ -256,7 +297,7 @@
                     var coords = [];
                     for (var a = 0; a < state.axes.length; a++) {
                         var axis = state.axes[a];
-                        if (axis === 't') coords.push(0);
+                        if (axis === 't') coords.push(tChunk);
                         else if (axis === 'c') coords.push(c);
                         else if (axis === 'z') coords.push(zChunk);
                         else if (axis === 'y') coords.push(y);
@@ -264,9 +305,9 @@
                     }
 
                     // Viv builds: keyPrefix + coords.join(sep)
-                    // keyPrefix = level + '/' (from pathToPrefix)
+                    // keyPrefix = level + '/' (from pathToPrefix), plus 'c/' for v3 arrays
                     // Then resolveUrl(storeUrl, key) makes the full URL
-                    var chunkKey = levelIdx + '/' + coords.join(sep);
+                    var chunkKey = levelIdx + '/' + state.chunkKeyPrefix + coords.join(sep);
                     var url = state.zarrStoreUrl + '/' + chunkKey;
                     urls.push(url);
                 }
@@ -331,6 +372,38 @@
         schedulePrefetch();
     }
 
+    /**
+     * Called when the timepoint changes. Z-plane tracking is per timepoint,
+     * so the prefetched-plane set is reset and re-evaluated for the new T.
+     * @param {number} newT - New timepoint index
+     */
+    function onTChange(newT) {
+        if (!state.initialized) return;
+        if (newT === state.currentT) return;
+
+        state.currentT = newT;
+        state.prefetchedPlanes.clear();
+        state.prefetchedTimepoints.clear();
+
+        log('T changed to ' + newT);
+
+        abortStalePrefetches();
+        schedulePrefetch();
+    }
+
+    /**
+     * Set the projection window, so the planes a projection reads around the
+     * current Z are prefetched. 0 turns it off.
+     * @param {number} radius - Planes on each side of the current Z (Infinity = full stack)
+     */
+    function setZWindow(radius) {
+        if (!state.initialized) return;
+        state.zWindow = radius > 0 ? radius : 0;
+        log('Z window set to ' + state.zWindow);
+        abortStalePrefetches();
+        schedulePrefetch();
+    }
+
     /**
      * Schedule prefetch with debounce
      */
@@ -354,7 +427,19 @@
         var speed = Math.abs(state.velocity);
         var direction = Math.sign(state.velocity);
 
-        if (speed >= CONFIG.velocityThreshold) {
+        if (state.zWindow > 0) {
+            // Projection: every plane in the window, nearest first, plus the
+            // adjacent planes the window moves onto next
+            var radius = Math.min(state.zWindow + CONFIG.adjacentRadius, state.zCount);
+            for (var w = 1; w <= radius; w++) {
+                if (state.currentZ + w < state.zCount) {
+                    planes.push(state.currentZ + w);
+                }
+                if (state.currentZ - w >= 0) {
+                    planes.push(state.currentZ - w);
+                }
+            }
+        } else if (speed >= CONFIG.velocityThreshold) {
             // Fast navigation: prefetch further ahead in direction of travel
             var depth = Math.min(CONFIG.predictiveDepth,
                 Math.ceil(speed / CONFIG.velocityThreshold));
@@ -387,6 +472,26 @@
         return planes;
     }
 
+    /**
+     * Determine which neighboring timepoints to prefetch at the current Z.
+     * Nearest timepoints first, forward before backward (playback direction).
+     * @returns {number[]} Ordered list of timepoints to prefetch
+     */
+    function predictTimepointsToPrefetch() {
+        var timepoints = [];
+        if (state.tCount <= 1) return timepoints;
+
+        for (var r = 1; r <= CONFIG.tAdjacentRadius; r++) {
+            if (state.currentT + r < state.tCount) {
+                timepoints.push(state.currentT + r);
+            }
+            if (state.currentT - r >= 0) {
+                timepoints.push(state.currentT - r);
+            }
+        }
+        return timepoints;
+    }
+
     /**
      * Execute prefetch for predicted Z-planes.
      * Filters to viewport-visible chunks + 2-tile margin when viewport info is available.
@@ -396,9 +501,11 @@
         if (!state.initialized) return;
 
         var planes = predictPlanesToPrefetch();
-        if (planes.length === 0) return;
+        var timepoints = predictTimepointsToPrefetch();
+        if (planes.length === 0 && timepoints.length === 0) return;
 
-        log('Prefetching planes: [' + planes.join(', ') + ']');
+        log('Prefetching planes: [' + planes.join(', ') + ']' +
+            (timepoints.length > 0 ? ', timepoints: [' + timepoints.join(', ') + ']' : ''));
 
         // Determine which resolution level(s) to prefetch
         var levelsToFetch = choosePrefetchLevels();
@@ -423,6 +530,16 @@
                 prefetchPlane(z, levelsToFetch[l], tileRanges[levelsToFetch[l]]);
             }
         }
+
+        // Neighboring timepoints at the current Z (after same-T planes)
+        for (var i = 0; i < timepoints.length; i++) {
+            var t = timepoints[i];
+            if (state.prefetchedTimepoints.has(t)) continue;
+
+            for (var m = 0; m < levelsToFetch.length; m++) {
+                prefetchPlane(state.currentZ, levelsToFetch[m], tileRanges[levelsToFetch[m]], t);
+            }
+        }
     }
 
     /**
@@ -474,60 +591,111 @@
      * @param {number} z - Z-plane index
      * @param {number} levelIdx - Resolution level index
      * @param {Object} [tileRange] - Optional viewport tile range from getViewportTileRange
+     * @param {number} [t] - Timepoint index (defaults to the current timepoint)
+     * @returns {Promise[]} One promise per chunk fetch started, settled when it completes
      */
-    function prefetchPlane(z, levelIdx, tileRange) {
-        var urls = getChunkUrlsForZ(z, levelIdx, tileRange);
-        if (urls.length === 0) return;
+    function prefetchPlane(z, levelIdx, tileRange, t) {
+        var isOtherT = t !== undefined && t !== null && t !== state.currentT;
+        var urls = isOtherT
+            ? getChunkUrlsForZ(z, levelIdx, tileRange, t)
+            : getChunkUrlsForZ(z, levelIdx, tileRange);
+        if (urls.length === 0) return [];
 
         // Limit concurrent requests
         var activeFetches = state.pendingFetches.size;
         var slotsAvailable = CONFIG.maxConcurrent - activeFetches;
-        if (slotsAvailable <= 0) return;
+        if (slotsAvailable <= 0) return [];
 
         var toFetch = urls.slice(0, slotsAvailable);
 
-        log('Prefetching Z=' + z + ' level=' + levelIdx +
+        log('Prefetching Z=' + z + (isOtherT ? ' T=' + t : '') + ' level=' + levelIdx +
             ' (' + toFetch.length + '/' + urls.length + ' chunks)');
 
+        var fetches = [];
         toFetch.forEach(function(url) {
             if (state.pendingFetches.has(url)) return;
+            fetches.push(startFetch(url, z, isOtherT ? t : undefined));
+        });
+        return fetches;
+    }
 
-            var controller = new AbortController();
-            state.pendingFetches.set(url, controller);
+    /**
+     * Fetch one chunk, tracked in pendingFetches until it completes.
+     * Just issues fetch() — the SW intercepts and caches the response.
+     * @param {string} url - Chunk URL
+     * @param {number} z - Z-plane of the chunk
+     * @param {number} [t] - Timepoint, when not the current one
+     * @returns {Promise<boolean>} Settles when the fetch completes; true if the chunk was fetched
+     */
+    function startFetch(url, z, t) {
+        var isOtherT = t !== undefined;
+        var controller = new AbortController();
+        state.pendingFetches.set(url, controller);
+
+        var promise = fetch(url, {
+            signal: controller.signal,
+            mode: 'cors',
+            credentials: 'omit'
+        }).then(function(response) {
+            finishFetch(url, controller);
+
+            if (!response.ok) {
+                state.stats.errors++;
+                return false;
+            }
 
-            // Just fetch — the SW will intercept and cache the response
-            fetch(url, {
-                signal: controller.signal,
-                mode: 'cors',
-                credentials: 'omit'
-            }).then(function(response) {
-                state.pendingFetches.delete(url);
+            state.stats.prefetched++;
+            state.fetchedChunks.add(url);
+            if (isOtherT) {
+                state.prefetchedTimepoints.add(t);
+            } else {
+                state.prefetchedPlanes.add(z);
+            }
 
-                if (!response.ok) {
-                    state.stats.errors++;
-                    return;
-                }
+            // Track prefetched bytes from Content-Length header
+            var contentLength = response.headers.get('Content-Length');
+            if (contentLength) {
+                state.stats.prefetchedBytes += parseInt(contentLength, 10) || 0;
+            }
 
-                state.stats.prefetched++;
-                state.prefetchedPlanes.add(z);
+            log('Prefetched: ' + url);
+            return true;
+        }).catch(function(err) {
+            finishFetch(url, controller);
 
-                // Track prefetched bytes from Content-Length header
-                var contentLength = response.headers.get('Content-Length');
-                if (contentLength) {
-                    state.stats.prefetchedBytes += parseInt(contentLength, 10) || 0;
-                }
+            if (err.name === 'AbortError') {
+                state.stats.aborted++;
+                return false;
+            }
+            state.stats.errors++;
+            log('Prefetch error for ' + url + ': ' + err.message);
+            return false;
+        });
+        state.fetchPromises.set(url, { controller: controller, promise: promise });
+        return promise;
+    }
 
-                log('Prefetched: ' + url);
-            }).catch(function(err) {
-                state.pendingFetches.delete(url);
+    /**
+     * Stop tracking a completed or aborted fetch and wake warmPlane() calls
+     * waiting for a slot. A newer fetch of the same URL is left alone.
+     * @param {string} url - Chunk URL
+     * @param {AbortController} controller - Controller of the fetch
+     */
+    function finishFetch(url, controller) {
+        if (state.pendingFetches.get(url) === controller) state.pendingFetches.delete(url);
+        var tracked = state.fetchPromises.get(url);
+        if (tracked && tracked.controller === controller) state.fetchPromises.delete(url);
+        while (state.slotWaiters.length > 0 && state.pendingFetches.size < CONFIG.maxConcurrent) {
+            state.slotWaiters.shift()();
+        }
+    }
 
-                if (err.name === 'AbortError') {
-                    state.stats.aborted++;
-                    return;
-                }
-                state.stats.errors++;
-                log('Prefetch error for ' + url + ': ' + err.message);
-            });
+    /**
+     * @returns {Promise} Resolves when a prefetch slot may be free
+     */
+    function waitForSlot() {
+        return new Promise(function(resolve) {
+            state.slotWaiters.push(resolve);
         });
     }
 
@@ -539,9 +707,10 @@
         var relevantPlanes = new Set([state.currentZ]);
         var predicted = predictPlanesToPrefetch();
         predicted.forEach(function(z) { relevantPlanes.add(z); });
+        var relevantTimepoints = predictTimepointsToPrefetch();
 
         state.pendingFetches.forEach(function(controller, url) {
-            // Check if URL belongs to a relevant Z-plane
+            // Check if URL belongs to a relevant Z-plane (or neighboring timepoint)
             var isRelevant = false;
             relevantPlanes.forEach(function(z) {
                 for (var l = 0; l < state.resolutionLevels.length; l++) {
@@ -551,6 +720,13 @@
                     }
                 }
             });
+            relevantTimepoints.forEach(function(t) {
+                for (var l = 0; l < state.resolutionLevels.length; l++) {
+                    if (getChunkUrlsForZ(state.currentZ, l, null, t).indexOf(url) >= 0) {
+                        isRelevant = true;
+                    }
+                }
+            });
 
             if (!isRelevant) {
                 controller.abort();
@@ -580,19 +756,57 @@
     }
 
     /**
-     * Explicitly request a plane be prefetched
+     * Explicitly request a plane be prefetched (viewport chunks + margin when
+     * the viewport is known, else the whole plane). Unlike prefetchPlane(),
+     * every chunk is fetched: chunks already in flight are awaited, the rest
+     * wait for free slots (CONFIG.maxConcurrent). Chunks fetched before are
+     * skipped (a plane in prefetchedPlanes may have only some of them).
      * @param {number} z - Z-plane index to warm
+     * @returns {Promise<boolean|null>} Settles when all chunks of the plane are
+     *   fetched or failed; true if every chunk was fetched, null if the plane
+     *   has no chunks prefetch can fetch (sharded levels, metadata not read)
      */
     function warmPlane(z) {
-        if (!state.initialized) return;
-        if (z < 0 || z >= state.zCount) return;
-        if (state.prefetchedPlanes.has(z)) return;
+        if (!state.initialized) return Promise.resolve(false);
+        if (z < 0 || z >= state.zCount) return Promise.resolve(false);
 
         var levels = choosePrefetchLevels();
+        var planeUrls = [];
         for (var l = 0; l < levels.length; l++) {
-            prefetchPlane(z, levels[l]);
+            planeUrls = planeUrls.concat(getChunkUrlsForZ(z, levels[l], getViewportTileRange(levels[l])));
+        }
+        if (planeUrls.length === 0) {
+            var sharded = levels.length > 0 && levels.every(function(level) {
+                return state.resolutionLevels[level] && state.resolutionLevels[level].sharded;
+            });
+            log('Plane Z=' + z + ' cannot be warmed: ' + (sharded ? 'sharded levels' : 'no chunk URLs'));
+            return Promise.resolve(null);
         }
-        log('Warming plane Z=' + z);
+        var urls = planeUrls.filter(function(url) { return !state.fetchedChunks.has(url); });
+        log('Warming plane Z=' + z + ' (' + urls.length + '/' + planeUrls.length + ' chunks)');
+
+        var fetches = [];
+        var index = 0;
+        function startNext() {
+            for (; index < urls.length; index++) {
+                if (!state.initialized) return Promise.resolve();
+                var inFlight = state.fetchPromises.get(urls[index]);
+                if (inFlight) {
+                    fetches.push(inFlight.promise);
+                } else if (state.pendingFetches.size >= CONFIG.maxConcurrent) {
+                    return waitForSlot().then(startNext);
+                } else {
+                    fetches.push(startFetch(urls[index], z));
+                }
+            }
+            return Promise.resolve();
+        }
+
+        return startNext().then(function() {
+            return Promise.all(fetches);
+        }).then(function(results) {
+            return index === urls.length && results.every(Boolean);
+        });
     }
 
     /**
@@ -613,6 +827,7 @@
             viewportChangeTimer = null;
             // Clear tracking — old viewport tiles may not match new viewport
             state.prefetchedPlanes.clear();
+            state.prefetchedTimepoints.clear();
             log('Viewport changed, re-evaluating prefetch');
             executePrefetch();
         }, 200);
@@ -648,13 +863,19 @@
             prefetchedBytes: state.stats.prefetchedBytes,
             prefetchedBytesPerZSwitch: zSwitches > 0 ? Math.round(state.stats.prefetchedBytes / zSwitches) : 0,
             prefetchedPlanes: Array.from(state.prefetchedPlanes),
+            prefetchedTimepoints: Array.from(state.prefetchedTimepoints),
             pendingFetches: state.pendingFetches.size,
             velocity: Math.round(state.velocity * 10) / 10,
             currentZ: state.currentZ,
             zCount: state.zCount,
+            currentT: state.currentT,
+            tCount: state.tCount,
+            zWindow: state.zWindow,
             resolutionLevels: state.resolutionLevels.length,
             zarrStoreUrl: state.zarrStoreUrl,
-            dimensionSeparator: state.dimensionSeparator
+            zarrFormat: state.zarrFormat,
+            dimensionSeparator: state.dimensionSeparator,
+            chunkKeyPrefix: state.chunkKeyPrefix
         };
     }
 
@@ -684,14 +905,18 @@
             viewportChangeTimer = null;
         }
 
-        // Abort all pending fetches
+        // Abort all pending fetches and release warmPlane() calls waiting for a slot
         state.pendingFetches.forEach(function(controller) {
             controller.abort();
         });
         state.pendingFetches.clear();
+        state.fetchPromises.clear();
+        state.slotWaiters.splice(0).forEach(function(resolve) { resolve(); });
 
         // Reset state
         state.prefetchedPlanes.clear();
+        state.prefetchedTimepoints.clear();
+        state.fetchedChunks.clear();
         state.initialized = false;
         state.velocity = 0;
         state.getViewState = null;
@@ -748,6 +973,8 @@
     window.evostitch.zarrPrefetch = {
         init: init,
         onZChange: onZChange,
+        onTChange: onTChange,
+        setZWindow: setZWindow,
         onViewportChange: onViewportChange,
         onViewportLoad: onViewportLoad,
         getPrefetchState: getPrefetchState,
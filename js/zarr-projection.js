@@ -0,0 +1,197 @@
+// evostitch Zarr Projection — intensity projections and all-in-focus tiles
+// Wraps Viv pixel sources so each tile is the projection of the same tile
+// across a window of Z-planes (±N around the selected Z, or the full stack):
+// maximum, minimum, mean, or extended depth of field (each pixel from its
+// locally sharpest plane, computed in the zarr-compute worker). The planes are
+// read with the wrapped source's getTile(), i.e. decoded by the loader's codec
+// from the same chunk URLs zarr-prefetch.js warms, so the Service Worker cache
+// is shared. Used by zarr-viewer.js for its render modes.
+//
+// Dependencies: zarr-compute.js (extended depth of field)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        concurrency: 8,    // Planes read at once per tile
+        focusRadius: 2,    // EDF sharpness neighbourhood radius (pixels)
+        debug: false
+    };
+
+    var MODES = ['max', 'min', 'mean', 'edf'];
+
+    var MODE_LABELS = {
+        max: 'Max',
+        min: 'Min',
+        mean: 'Mean',
+        edf: 'EDF'
+    };
+
+    /**
+     * Planes in the projection window, clamped to the stack
+     * @param {number} z - Window center (selected Z)
+     * @param {number} zCount - Planes in the stack
+     * @param {number} radius - Planes on each side; Infinity for the full stack
+     * @returns {Object} { zStart, zEnd } (zEnd exclusive)
+     */
+    function getWindow(z, zCount, radius) {
+        if (!isFinite(radius)) return { zStart: 0, zEnd: zCount };
+        return {
+            zStart: Math.max(0, z - radius),
+            zEnd: Math.min(zCount, z + radius + 1)
+        };
+    }
+
+    /**
+     * Project same-sized planes pixel by pixel. The result has the planes'
+     * array type; integer means are rounded.
+     * @param {Array} planes - Typed arrays, one per Z-plane
+     * @param {string} mode - 'max' | 'min' | 'mean'
+     * @returns {TypedArray}
+     */
+    function project(planes, mode) {
+        var first = planes[0];
+        var length = first.length;
+        var out = new first.constructor(length);
+        var i;
+        var p;
+
+        if (mode === 'mean') {
+            var sums = new Float64Array(length);
+            for (p = 0; p < planes.length; p++) {
+                for (i = 0; i < length; i++) sums[i] += planes[p][i];
+            }
+            var isFloat = /Float/.test(Object.prototype.toString.call(first));
+            for (i = 0; i < length; i++) {
+                var mean = sums[i] / planes.length;
+                out[i] = isFloat ? mean : Math.round(mean);
+            }
+            return out;
+        }
+
+        out.set(first);
+        for (p = 1; p < planes.length; p++) {
+            var plane = planes[p];
+            for (i = 0; i < length; i++) {
+                if (mode === 'max' ? plane[i] > out[i] : plane[i] < out[i]) out[i] = plane[i];
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Map items through an async function, at most `limit` at a time
+     * @param {Array} items
+     * @param {number} limit
+     * @param {Function} fn - item → Promise
+     * @returns {Promise<Array>} Results in item order
+     */
+    function mapLimit(items, limit, fn) {
+        var results = new Array(items.length);
+        var next = 0;
+        function worker() {
+            if (next >= items.length) return Promise.resolve();
+            var i = next++;
+            return fn(items[i]).then(function(result) {
+                results[i] = result;
+                return worker();
+            });
+        }
+        var workers = [];
+        for (var w = 0; w < Math.min(limit, items.length); w++) {
+            workers.push(worker());
+        }
+        return Promise.all(workers).then(function() { return results; });
+    }
+
+    /**
+     * Combine a tile's planes for a mode. EDF picks planes per tile and per
+     * channel: sharpness at tile edges is measured on clamped pixels, so seams
+     * can show where neighbouring tiles chose different planes, and channels
+     * of one pixel may come from different planes.
+     * @param {Array} tiles - [{ data, width, height }] one per plane
+     * @param {string} mode - One of MODES
+     * @returns {Promise<TypedArray>}
+     */
+    function combineTiles(tiles, mode) {
+        var planes = tiles.map(function(tile) { return tile.data; });
+        if (mode !== 'edf') return Promise.resolve(project(planes, mode));
+        return window.evostitch.zarrCompute.focusStack(planes, tiles[0].width, tiles[0].height, CONFIG.focusRadius)
+            .then(function(result) { return result.data; });
+    }
+
+    /**
+     * Wrap one pixel source: getTile() returns the projection of the tile over
+     * the window around selection.z. Everything else (shape, labels, tileSize,
+     * dtype, ...) is inherited from the source.
+     * @param {Object} source - Viv pixel source
+     * @param {Object} options - { mode, radius }
+     * @returns {Object} Projected pixel source
+     */
+    function projectSource(source, options) {
+        var zCount = source.shape[source.labels.indexOf('z')];
+        var projected = Object.create(source);
+
+        projected.getTile = function(args) {
+            var center = args.selection.z || 0;
+            var range = getWindow(center, zCount, options.radius);
+            var planes = [];
+            for (var z = range.zStart; z < range.zEnd; z++) planes.push(z);
+
+            return mapLimit(planes, CONFIG.concurrency, function(z) {
+                var selection = Object.assign({}, args.selection, { z: z });
+                return source.getTile(Object.assign({}, args, { selection: selection }));
+            }).then(function(tiles) {
+                return combineTiles(tiles, options.mode).then(function(data) {
+                    return { data: data, width: tiles[0].width, height: tiles[0].height };
+                });
+            });
+        };
+        return projected;
+    }
+
+    /**
+     * Projected pixel sources for every resolution level
+     * @param {Array} loaderData - Viv pixel sources (level 0 first) with a z axis
+     * @param {Object} options
+     * @param {string} options.mode - 'max' | 'min' | 'mean' | 'edf'
+     * @param {number} options.radius - Planes on each side of the selected Z; Infinity for the full stack
+     * @returns {Array|null} Pixel sources for MultiscaleImageLayer, or null if
+     *   the mode is unknown or the sources have no z axis
+     */
+    function createProjectedSources(loaderData, options) {
+        if (MODES.indexOf(options.mode) < 0 || !loaderData || loaderData.length === 0) return null;
+        if (loaderData[0].labels.indexOf('z') < 0) return null;
+        log(MODE_LABELS[options.mode] + ' projection, radius ' + options.radius);
+        return loaderData.map(function(source) {
+            return projectSource(source, options);
+        });
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrProjection: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrProjection = {
+        MODES: MODES,
+        MODE_LABELS: MODE_LABELS,
+        getWindow: getWindow,
+        project: project,
+        createProjectedSources: createProjectedSources,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -0,0 +1,191 @@
+// evostitch Zarr Region Reader — read decoded pixels for a region of a plane
+// Picks the finest resolution level that keeps the region under a pixel
+// budget, fetches the Viv tiles covering it (through the SW cache) and
+// stitches them into one typed array. Used by zarr-viewer.js (auto-contrast,
+// autofocus, OME-TIFF region export).
+//
+// Dependencies: none (operates on Viv pixel sources passed in by the caller)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        maxPixels: 1024 * 1024,  // Default pixel budget for one region read
+        debug: false
+    };
+
+    /**
+     * Width and height of a pixel source, from its axis labels and shape
+     * @param {Object} source - Viv pixel source ({ shape, labels })
+     * @returns {Object} { width, height }
+     */
+    function getImageSize(source) {
+        var labels = source.labels || [];
+        var xIdx = labels.indexOf('x');
+        var yIdx = labels.indexOf('y');
+        var shape = source.shape;
+        return {
+            width: shape[xIdx >= 0 ? xIdx : shape.length - 1],
+            height: shape[yIdx >= 0 ? yIdx : shape.length - 2]
+        };
+    }
+
+    /**
+     * Clip full-resolution bounds to the image
+     * @param {Object} bounds - { minX, maxX, minY, maxY } in full-res pixels
+     * @param {Object} size - Full-res { width, height }
+     * @returns {Object|null} Clipped bounds, or null if outside the image
+     */
+    function clipBounds(bounds, size) {
+        var clipped = {
+            minX: Math.max(0, bounds.minX),
+            maxX: Math.min(size.width, bounds.maxX),
+            minY: Math.max(0, bounds.minY),
+            maxY: Math.min(size.height, bounds.maxY)
+        };
+        if (clipped.maxX <= clipped.minX || clipped.maxY <= clipped.minY) return null;
+        return clipped;
+    }
+
+    /**
+     * Pick the finest resolution level at which the bounds fit the pixel budget.
+     * Downsample factors come from the level shapes, not an assumed 2x pyramid.
+     * @param {Array} loaderData - Viv pixel sources (level 0 first)
+     * @param {Object} bounds - { minX, maxX, minY, maxY } in full-res pixels
+     * @param {number} [maxPixels] - Pixel budget (default CONFIG.maxPixels)
+     * @returns {Object} { level, downsample }
+     */
+    function pickLevel(loaderData, bounds, maxPixels) {
+        var budget = maxPixels || CONFIG.maxPixels;
+        var fullWidth = getImageSize(loaderData[0]).width;
+        var regionPixels = (bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY);
+        for (var level = 0; level < loaderData.length; level++) {
+            var downsample = fullWidth / getImageSize(loaderData[level]).width;
+            if (regionPixels / (downsample * downsample) <= budget) {
+                return { level: level, downsample: downsample };
+            }
+        }
+        var coarsest = loaderData.length - 1;
+        return { level: coarsest, downsample: fullWidth / getImageSize(loaderData[coarsest]).width };
+    }
+
+    /**
+     * The pixels a region covers at a resolution level
+     * @param {Array} loaderData - Viv pixel sources (level 0 first)
+     * @param {Object} bounds - { minX, maxX, minY, maxY } in full-res pixels
+     * @param {number} level - Resolution level
+     * @returns {Object|null} { level, downsample, x, y, width, height } in
+     *   level pixels, or null if the bounds miss the image
+     */
+    function getLevelRegion(loaderData, bounds, level) {
+        var fullSize = getImageSize(loaderData[0]);
+        var clipped = clipBounds(bounds, fullSize);
+        if (!clipped) return null;
+        var size = getImageSize(loaderData[level]);
+        var downsample = fullSize.width / size.width;
+        var x0 = Math.max(0, Math.floor(clipped.minX / downsample));
+        var y0 = Math.max(0, Math.floor(clipped.minY / downsample));
+        var x1 = Math.min(size.width, Math.ceil(clipped.maxX / downsample));
+        var y1 = Math.min(size.height, Math.ceil(clipped.maxY / downsample));
+        if (x1 <= x0 || y1 <= y0) return null;
+        return { level: level, downsample: downsample, x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+    }
+
+    /**
+     * Read the pixels of one plane within full-resolution bounds.
+     * @param {Array} loaderData - Viv pixel sources (level 0 first)
+     * @param {Object} options
+     * @param {Object} options.selection - Viv selection, e.g. { t: 0, c: 1, z: 42 }
+     * @param {Object} options.bounds - { minX, maxX, minY, maxY } in full-res pixels
+     * @param {number} [options.maxPixels] - Pixel budget used to pick the level
+     * @param {number} [options.level] - Force a resolution level
+     * @param {AbortSignal} [options.signal] - Abort signal passed to tile fetches
+     * @returns {Promise<Object|null>} { data, width, height, level, downsample, x, y }
+     *   (x, y = region origin in level pixels), or null if the bounds miss the image
+     */
+    function readRegion(loaderData, options) {
+        if (!loaderData || loaderData.length === 0) return Promise.resolve(null);
+
+        var bounds = clipBounds(options.bounds, getImageSize(loaderData[0]));
+        if (!bounds) return Promise.resolve(null);
+
+        var level = typeof options.level === 'number' ?
+            options.level : pickLevel(loaderData, bounds, options.maxPixels).level;
+        var picked = getLevelRegion(loaderData, bounds, level);
+        if (!picked) return Promise.resolve(null);
+        var source = loaderData[level];
+        var tileSize = source.tileSize;
+
+        // Region in level pixels
+        var x0 = picked.x;
+        var y0 = picked.y;
+        var x1 = picked.x + picked.width;
+        var y1 = picked.y + picked.height;
+
+        var tiles = [];
+        for (var ty = Math.floor(y0 / tileSize); ty <= Math.floor((y1 - 1) / tileSize); ty++) {
+            for (var tx = Math.floor(x0 / tileSize); tx <= Math.floor((x1 - 1) / tileSize); tx++) {
+                tiles.push({ x: tx, y: ty });
+            }
+        }
+
+        log('Level ' + picked.level + ', ' + (x1 - x0) + 'x' + (y1 - y0) + ' px, ' + tiles.length + ' tiles');
+
+        return Promise.all(tiles.map(function(t) {
+            return source.getTile({ x: t.x, y: t.y, selection: options.selection, signal: options.signal });
+        })).then(function(results) {
+            var width = x1 - x0;
+            var height = y1 - y0;
+            var data = null;
+            results.forEach(function(tile, i) {
+                if (!data) data = new tile.data.constructor(width * height);
+                var tileX = tiles[i].x * tileSize;
+                var tileY = tiles[i].y * tileSize;
+                // Overlap of this tile with the region, in level pixels
+                var sx0 = Math.max(x0, tileX);
+                var sx1 = Math.min(x1, tileX + tile.width);
+                var sy0 = Math.max(y0, tileY);
+                var sy1 = Math.min(y1, tileY + tile.height);
+                for (var y = sy0; y < sy1; y++) {
+                    var srcStart = (y - tileY) * tile.width + (sx0 - tileX);
+                    data.set(tile.data.subarray(srcStart, srcStart + (sx1 - sx0)), (y - y0) * width + (sx0 - x0));
+                }
+            });
+            return {
+                data: data,
+                width: width,
+                height: height,
+                level: picked.level,
+                downsample: picked.downsample,
+                x: x0,
+                y: y0
+            };
+        });
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrRegionReader: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrRegionReader = {
+        getImageSize: getImageSize,
+        pickLevel: pickLevel,
+        getLevelRegion: getLevelRegion,
+        readRegion: readRegion,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -2,7 +2,7 @@
  * zarr-render-opt.js - Rendering optimizations for Zarr/deck.gl viewer
  *
  * Eliminates unnecessary work during Z-plane navigation by:
- * 1. Debouncing rapid Z-scrolling to only render the final position
+ * 1. Debouncing rapid Z-scrolling (and T-scrubbing) to only render the final position
  * 2. Calculating zoom caps from OME-Zarr metadata
  * 3. Batching deck.gl setProps calls into single RAF frames
  * 4. Tracking layer recreation vs update statistics
@@ -39,6 +39,11 @@
         zDebounceTimer: null,
         zDebounceCallback: null,
 
+        // Debounce state for T-switches (same interval as Z)
+        pendingT: null,
+        tDebounceTimer: null,
+        tDebounceCallback: null,
+
         // RAF batching state
         pendingProps: null,
         rafId: null,
@@ -54,6 +59,8 @@
             zSwitchDebouncedCount: 0,
             zSwitchTotalMs: 0,
             zSwitchStartTime: null,
+            tSwitchCount: 0,
+            tSwitchDebouncedCount: 0,
             batchedSetPropsCount: 0,
             droppedSetPropsCount: 0
         }
@@ -142,6 +149,66 @@
         return state.zDebounceTimer !== null;
     }
 
+    /**
+     * Debounced T-switch. Shares the Z debounce interval so scrubbing the
+     * T-slider drops intermediate timepoints the same way Z-scrolling does.
+     * T and Z keep separate timers: a pending Z commit is never replaced by
+     * a T change (and vice versa), since each commit only touches its own axis.
+     *
+     * @param {number} t - Target timepoint index
+     * @param {Object} channelSettings - Current channel settings for the layer
+     * @param {Function} commitFn - Function to call with (t, channelSettings)
+     *   when the debounce settles.
+     */
+    function updateT(t, channelSettings, commitFn) {
+        state.stats.tSwitchCount++;
+
+        if (state.tDebounceTimer !== null) {
+            clearTimeout(state.tDebounceTimer);
+            state.stats.tSwitchDebouncedCount++;
+            log('T debounce: dropped intermediate T=' + state.pendingT + ', replaced with T=' + t);
+        }
+
+        state.pendingT = t;
+        state.tDebounceCallback = commitFn;
+
+        state.tDebounceTimer = setTimeout(function() {
+            var finalT = state.pendingT;
+            var cb = state.tDebounceCallback;
+
+            state.tDebounceTimer = null;
+            state.pendingT = null;
+            state.tDebounceCallback = null;
+
+            log('T debounce: committing T=' + finalT);
+            state.stats.layerRecreations++;
+
+            if (cb) {
+                cb(finalT, channelSettings);
+            }
+        }, CONFIG.zDebounceMs);
+    }
+
+    /**
+     * Cancel any pending debounced T-switch.
+     */
+    function cancelPendingT() {
+        if (state.tDebounceTimer !== null) {
+            clearTimeout(state.tDebounceTimer);
+            state.tDebounceTimer = null;
+            state.pendingT = null;
+            state.tDebounceCallback = null;
+        }
+    }
+
+    /**
+     * Check if a T update is currently pending (debounce not yet settled).
+     * @returns {boolean}
+     */
+    function isTPending() {
+        return state.tDebounceTimer !== null;
+    }
+
     // ---------- Core: Zoom cap from OME-Zarr metadata ----------
 
     /**
@@ -327,11 +394,14 @@
             zSwitchCount: s.zSwitchCount,
             zSwitchDebouncedCount: s.zSwitchDebouncedCount,
             zSwitchAvgMs: avgMs,
+            tSwitchCount: s.tSwitchCount,
+            tSwitchDebouncedCount: s.tSwitchDebouncedCount,
             batchedSetPropsCount: s.batchedSetPropsCount,
             droppedSetPropsCount: s.droppedSetPropsCount,
             maxZoom: state.maxZoom,
             nativeZoom: state.nativeZoom,
-            isZPending: isZPending()
+            isZPending: isZPending(),
+            isTPending: isTPending()
         };
     }
 
@@ -388,6 +458,7 @@
      */
     function destroy() {
         cancelPendingZ();
+        cancelPendingT();
         cancelBatch();
         state.initialized = false;
         state.deck = null;
@@ -406,6 +477,9 @@
         updateZ: updateZ,
         cancelPendingZ: cancelPendingZ,
         isZPending: isZPending,
+        updateT: updateT,
+        cancelPendingT: cancelPendingT,
+        isTPending: isTPending,
         calculateMaxZoom: calculateMaxZoom,
         clampZoom: clampZoom,
         getMaxZoom: getMaxZoom,
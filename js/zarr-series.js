@@ -0,0 +1,209 @@
+// evostitch Zarr Series — series of bioformats2raw containers
+// A bioformats2raw container ('bioformats2raw.layout' in the root attributes)
+// holds each series of the source file as a multiscale image in its own group
+// ('0', '1', ..., or the paths listed in OME/.zattrs 'series'). The series
+// names and sizes come from OME/METADATA.ome.xml, one <Image> per series in
+// the same order. zarr-viewer.js loads the selected series (?series=N) and
+// lists the others in a picker.
+//
+// Dependencies: zarr-metadata.js (group attributes)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        debug: false
+    };
+
+    // Query parameter selecting the series of a relative ?zarr= name
+    var SERIES_PARAM = 'series';
+
+    // OME-XML written by bioformats2raw, relative to the container root
+    var OME_XML_PATH = 'OME/METADATA.ome.xml';
+
+    /**
+     * Series index from a query string
+     * @param {string} search - e.g. window.location.search
+     * @returns {number} Non-negative integer, 0 if missing or invalid
+     */
+    function parseSeriesIndex(search) {
+        var value = new URLSearchParams(search || '').get(SERIES_PARAM);
+        return value !== null && /^\d+$/.test(value) ? parseInt(value, 10) : 0;
+    }
+
+    /**
+     * Whether group attributes are those of a bioformats2raw container root
+     * @param {Object} attrs - Root group attributes (unwrapped)
+     * @returns {boolean}
+     */
+    function isContainer(attrs) {
+        return !!attrs && typeof attrs['bioformats2raw.layout'] === 'number';
+    }
+
+    /**
+     * Container of a series URL: its parent group, if the URL ends in a
+     * numbered series group
+     * @param {string} url - Series group URL, e.g. https://host/dataset/2/
+     * @returns {Object|null} { url, index }, e.g. { url: 'https://host/dataset', index: 2 }
+     */
+    function getContainerUrl(url) {
+        var match = /^(.+)\/(\d+)\/?$/.exec(url || '');
+        if (!match) return null;
+        return { url: match[1], index: parseInt(match[2], 10) };
+    }
+
+    /**
+     * Series group URL within a container
+     * @param {string} containerUrl - Container root URL
+     * @param {string} path - Series path, e.g. '2'
+     * @returns {string} With a trailing slash, like getZarrUrl() in zarr-viewer.js
+     */
+    function getSeriesUrl(containerUrl, path) {
+        return containerUrl.replace(/\/$/, '') + '/' + String(path).replace(/^\/|\/$/g, '') + '/';
+    }
+
+    function decodeXml(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&amp;/g, '&');
+    }
+
+    function getAttribute(attributes, name) {
+        var match = new RegExp('\\b' + name + '="([^"]*)"').exec(attributes);
+        return match ? decodeXml(match[1]) : null;
+    }
+
+    function getSize(attributes, name) {
+        var value = parseInt(getAttribute(attributes, name), 10);
+        return isFinite(value) ? value : null;
+    }
+
+    /**
+     * Images of an OME-XML document, in document order (namespace prefixes,
+     * e.g. <ome:Image>, are allowed)
+     * @param {string} xml - OME-XML text
+     * @returns {Object[]} [{ id, name, sizeX, sizeY, sizeZ, sizeC, sizeT, type }];
+     *   sizes are null where the Pixels element lacks them
+     */
+    function parseOmeXml(xml) {
+        var images = [];
+        var imagePattern = /<(?:[\w.-]+:)?Image\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:[\w.-]+:)?Image>)/g;
+        var match;
+        while ((match = imagePattern.exec(xml || '')) !== null) {
+            var pixels = /<(?:[\w.-]+:)?Pixels\b([^>]*)>/.exec(match[2] || '');
+            var pixelAttributes = pixels ? pixels[1] : '';
+            images.push({
+                id: getAttribute(match[1], 'ID'),
+                name: getAttribute(match[1], 'Name'),
+                sizeX: getSize(pixelAttributes, 'SizeX'),
+                sizeY: getSize(pixelAttributes, 'SizeY'),
+                sizeZ: getSize(pixelAttributes, 'SizeZ'),
+                sizeC: getSize(pixelAttributes, 'SizeC'),
+                sizeT: getSize(pixelAttributes, 'SizeT'),
+                type: getAttribute(pixelAttributes, 'Type')
+            });
+        }
+        return images;
+    }
+
+    /**
+     * Series list of a container from its OME group attributes and OME-XML.
+     * Without an OME 'series' list the series are the numbered groups, one
+     * per OME-XML image (or just '0' if the OME-XML is missing too).
+     * @param {Object|null} omeAttrs - OME group attributes (unwrapped)
+     * @param {Object[]} images - From parseOmeXml()
+     * @returns {Object[]} [{ index, path, name, sizeX, sizeY, sizeZ, sizeC, sizeT, type }]
+     */
+    function buildSeriesList(omeAttrs, images) {
+        var paths = omeAttrs && Array.isArray(omeAttrs.series) ? omeAttrs.series.map(String) : null;
+        if (!paths || paths.length === 0) {
+            paths = images.length > 0 ? images.map(function(image, i) { return String(i); }) : ['0'];
+        }
+        return paths.map(function(path, index) {
+            var image = images[index] || {};
+            return {
+                index: index,
+                path: path,
+                name: image.name || 'Series ' + index,
+                sizeX: image.sizeX || null,
+                sizeY: image.sizeY || null,
+                sizeZ: image.sizeZ || null,
+                sizeC: image.sizeC || null,
+                sizeT: image.sizeT || null,
+                type: image.type || null
+            };
+        });
+    }
+
+    /**
+     * Series of a bioformats2raw container
+     * @param {string} url - Container root URL
+     * @returns {Promise<Object[]|null>} buildSeriesList() result, or null if
+     *   the URL is not a bioformats2raw container
+     */
+    function fetchSeries(url) {
+        var metadata = window.evostitch.zarrMetadata;
+        var root = url.replace(/\/$/, '');
+        return metadata.fetchGroupAttributes(root).then(function(attrs) {
+            if (!isContainer(attrs)) return null;
+            var omeAttrs = metadata.fetchGroupAttributes(root + '/OME').catch(function() { return null; });
+            var xml = fetch(root + '/' + OME_XML_PATH)
+                .then(function(response) { return response.ok ? response.text() : ''; })
+                .catch(function() { return ''; });
+            return Promise.all([omeAttrs, xml]).then(function(results) {
+                var series = buildSeriesList(results[0], parseOmeXml(results[1]));
+                log('Container ' + root + ': ' + series.length + ' series');
+                return series;
+            });
+        });
+    }
+
+    /**
+     * Picker label of a series: name and dimensions
+     * @param {Object} series - One of fetchSeries()
+     * @returns {string} e.g. '2: Tile scan (4096 × 3072, 21 Z, 3 C)'
+     */
+    function describeSeries(series) {
+        var dims = [];
+        if (series.sizeX && series.sizeY) dims.push(series.sizeX + ' × ' + series.sizeY);
+        if (series.sizeZ > 1) dims.push(series.sizeZ + ' Z');
+        if (series.sizeC > 1) dims.push(series.sizeC + ' C');
+        if (series.sizeT > 1) dims.push(series.sizeT + ' T');
+        return series.index + ': ' + series.name + (dims.length > 0 ? ' (' + dims.join(', ') + ')' : '');
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrSeries: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrSeries = {
+        parseSeriesIndex: parseSeriesIndex,
+        isContainer: isContainer,
+        getContainerUrl: getContainerUrl,
+        getSeriesUrl: getSeriesUrl,
+        parseOmeXml: parseOmeXml,
+        buildSeriesList: buildSeriesList,
+        fetchSeries: fetchSeries,
+        describeSeries: describeSeries,
+        setDebug: setDebug,
+        SERIES_PARAM: SERIES_PARAM,
+        OME_XML_PATH: OME_XML_PATH,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -0,0 +1,279 @@
+// evostitch Zarr TIFF Export — write a region of a Zarr image as OME-TIFF
+// Plans the planes of a crop (selected channels × a Z range at one
+// resolution level), reads them one at a time through a callback and writes
+// an uncompressed multi-page OME-TIFF: one page per plane in XYZCT order, with
+// the OME-XML (sizes, pixel type, physical pixel sizes in µm, channel names
+// and colors) in the first page's ImageDescription, which Fiji / Bio-Formats
+// read. Classic TIFF uses 32-bit offsets, so files stay under
+// CONFIG.maxBytes. Used by zarr-viewer.js, which reads the planes from the
+// same Zarr chunks it displays (zarrRegionReader.readRegion()).
+//
+// Dependencies: none (zarr-viewer.js reads the pixels)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        maxBytes: 1024 * 1024 * 1024,  // Largest export (pixels are held in memory until saved)
+        creator: 'evostitch',
+        debug: false
+    };
+
+    // Viv dtype → OME pixel type, bytes per sample, TIFF SampleFormat
+    // (1 unsigned, 2 signed, 3 float)
+    var PIXEL_TYPES = {
+        Uint8: { type: 'uint8', bytes: 1, sampleFormat: 1 },
+        Uint16: { type: 'uint16', bytes: 2, sampleFormat: 1 },
+        Uint32: { type: 'uint32', bytes: 4, sampleFormat: 1 },
+        Int8: { type: 'int8', bytes: 1, sampleFormat: 2 },
+        Int16: { type: 'int16', bytes: 2, sampleFormat: 2 },
+        Int32: { type: 'int32', bytes: 4, sampleFormat: 2 },
+        Float32: { type: 'float', bytes: 4, sampleFormat: 3 },
+        Float64: { type: 'double', bytes: 8, sampleFormat: 3 }
+    };
+
+    // Pixel data is written as typed arrays hold it, so the file uses the
+    // platform byte order (little-endian in every current browser)
+    var LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+    // TIFF field types
+    var SHORT = 3;
+    var LONG = 4;
+    var ASCII = 2;
+
+    /**
+     * OME pixel type of a Viv dtype
+     * @param {string} dtype - Viv dtype name, e.g. 'Uint16'
+     * @returns {Object|null} { type, bytes, sampleFormat }, or null if unsupported
+     */
+    function getPixelType(dtype) {
+        return PIXEL_TYPES.hasOwnProperty(dtype) ? PIXEL_TYPES[dtype] : null;
+    }
+
+    /**
+     * Planes of an export in OME XYZCT order: Z varies fastest, then channel
+     * @param {number[]} channels - Channel indices, in export order
+     * @param {number} zStart - First plane (inclusive)
+     * @param {number} zEnd - Last plane (inclusive; swapped if below zStart)
+     * @returns {Object[]} { c, z } per page
+     */
+    function planPlanes(channels, zStart, zEnd) {
+        var first = Math.min(zStart, zEnd);
+        var last = Math.max(zStart, zEnd);
+        var planes = [];
+        channels.forEach(function(c) {
+            for (var z = first; z <= last; z++) {
+                planes.push({ c: c, z: z });
+            }
+        });
+        return planes;
+    }
+
+    /**
+     * Pixel data size of an export
+     * @param {number} width - Pixels per row
+     * @param {number} height - Rows
+     * @param {number} planeCount - Pages
+     * @param {string} dtype - Viv dtype name
+     * @returns {number} Bytes (0 for an unsupported dtype)
+     */
+    function estimateBytes(width, height, planeCount, dtype) {
+        var pixelType = getPixelType(dtype);
+        return pixelType ? width * height * planeCount * pixelType.bytes : 0;
+    }
+
+    /**
+     * Human-readable size
+     * @param {number} bytes
+     * @returns {string} E.g. '512 KB', '241.3 MB'
+     */
+    function formatBytes(bytes) {
+        if (bytes < 1024 * 1024) return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+        if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+        return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * OME Color attribute: RGBA packed into a signed 32-bit integer
+     * @param {number[]} rgb - [r, g, b] 0-255
+     * @returns {number}
+     */
+    function toOmeColor(rgb) {
+        return ((rgb[0] << 24) | (rgb[1] << 16) | (rgb[2] << 8) | 255) | 0;
+    }
+
+    /**
+     * OME-XML for an export
+     * @param {Object} image
+     * @param {string} image.name - Image name
+     * @param {number} image.width - SizeX
+     * @param {number} image.height - SizeY
+     * @param {number} image.sizeZ - Planes per channel
+     * @param {Object[]} image.channels - { name, color: [r, g, b] } per channel
+     * @param {string} image.dtype - Viv dtype name
+     * @param {Object} image.physicalSize - { x, y, z } in µm per pixel / plane
+     * @returns {string}
+     */
+    function buildOmeXml(image) {
+        var pixelType = getPixelType(image.dtype);
+        var size = image.physicalSize;
+        var channels = image.channels.map(function(channel, i) {
+            var color = channel.color ? ' Color="' + toOmeColor(channel.color) + '"' : '';
+            return '<Channel ID="Channel:0:' + i + '" Name="' + escapeXml(channel.name) + '"' +
+                ' SamplesPerPixel="1"' + color + '/>';
+        });
+        return '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<OME xmlns="http://www.openmicroscopy.org/Schemas/OME/2016-06"' +
+            ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"' +
+            ' xsi:schemaLocation="http://www.openmicroscopy.org/Schemas/OME/2016-06' +
+            ' http://www.openmicroscopy.org/Schemas/OME/2016-06/ome.xsd"' +
+            ' Creator="' + escapeXml(CONFIG.creator) + '">' +
+            '<Image ID="Image:0" Name="' + escapeXml(image.name) + '">' +
+            '<Pixels ID="Pixels:0" DimensionOrder="XYZCT" Type="' + pixelType.type + '"' +
+            ' SizeX="' + image.width + '" SizeY="' + image.height + '" SizeZ="' + image.sizeZ + '"' +
+            ' SizeC="' + image.channels.length + '" SizeT="1"' +
+            ' PhysicalSizeX="' + size.x + '" PhysicalSizeXUnit="µm"' +
+            ' PhysicalSizeY="' + size.y + '" PhysicalSizeYUnit="µm"' +
+            ' PhysicalSizeZ="' + size.z + '" PhysicalSizeZUnit="µm"' +
+            ' BigEndian="' + !LITTLE_ENDIAN + '">' +
+            channels.join('') +
+            '<TiffData IFD="0" PlaneCount="' + image.channels.length * image.sizeZ + '"/>' +
+            '</Pixels></Image></OME>';
+    }
+
+    /**
+     * Write an uncompressed multi-page TIFF: header, OME-XML, one IFD per
+     * plane, then the planes (one strip each)
+     * @param {TypedArray[]} planes - width × height samples each, in page order
+     * @param {Object} image - As for buildOmeXml()
+     * @returns {Blob} image/tiff
+     */
+    function writeOmeTiff(planes, image) {
+        var pixelType = getPixelType(image.dtype);
+        if (!pixelType) throw new Error('Unsupported pixel type ' + image.dtype);
+        if (planes.length === 0) throw new Error('No planes to write');
+        var xml = new TextEncoder().encode(buildOmeXml(image));
+        var planeBytes = image.width * image.height * pixelType.bytes;
+        var xmlLength = xml.length + 1 + ((xml.length + 1) % 2);  // NUL-terminated, word-aligned
+        var ifdSize = function(entries) { return 2 + entries * 12 + 4; };
+        var headerBytes = 8 + xmlLength + ifdSize(11) + (planes.length - 1) * ifdSize(10);
+        if (headerBytes + planes.length * planeBytes > 0xffffffff) {
+            throw new Error('Export exceeds the 4 GB TIFF limit');
+        }
+
+        var header = new ArrayBuffer(headerBytes);
+        var view = new DataView(header);
+        var bytes = new Uint8Array(header);
+        var le = LITTLE_ENDIAN;
+        bytes[0] = bytes[1] = le ? 0x49 : 0x4d;  // 'II' or 'MM'
+        view.setUint16(2, 42, le);
+        view.setUint32(4, 8 + xmlLength, le);
+        bytes.set(xml, 8);
+
+        var offset = 8 + xmlLength;
+        var dataOffset = headerBytes;
+        planes.forEach(function(plane, i) {
+            // Tags in ascending order; the OME-XML goes in the first page only
+            var entries = [
+                [256, LONG, 1, image.width],
+                [257, LONG, 1, image.height],
+                [258, SHORT, 1, pixelType.bytes * 8],
+                [259, SHORT, 1, 1],                      // No compression
+                [262, SHORT, 1, 1]                       // BlackIsZero
+            ];
+            if (i === 0) entries.push([270, ASCII, xml.length + 1, 8]);
+            entries.push(
+                [273, LONG, 1, dataOffset + i * planeBytes],
+                [277, SHORT, 1, 1],
+                [278, LONG, 1, image.height],            // One strip per page
+                [279, LONG, 1, planeBytes],
+                [339, SHORT, 1, pixelType.sampleFormat]
+            );
+            view.setUint16(offset, entries.length, le);
+            entries.forEach(function(entry, k) {
+                var at = offset + 2 + k * 12;
+                view.setUint16(at, entry[0], le);
+                view.setUint16(at + 2, entry[1], le);
+                view.setUint32(at + 4, entry[2], le);
+                if (entry[1] === SHORT) {
+                    view.setUint16(at + 8, entry[3], le);
+                } else {
+                    view.setUint32(at + 8, entry[3], le);
+                }
+            });
+            var next = offset + ifdSize(entries.length);
+            view.setUint32(next - 4, i < planes.length - 1 ? next : 0, le);
+            offset = next;
+        });
+
+        var parts = [header];
+        planes.forEach(function(plane) {
+            parts.push(new Uint8Array(plane.buffer, plane.byteOffset, plane.byteLength));
+        });
+        log('Wrote ' + planes.length + ' pages, ' + image.width + 'x' + image.height + ' ' + pixelType.type);
+        return new Blob(parts, { type: 'image/tiff' });
+    }
+
+    /**
+     * Read the planes of an export one at a time
+     * @param {Object} options
+     * @param {Object[]} options.planes - From planPlanes()
+     * @param {Function} options.readPlane - (plane) → Promise<TypedArray>
+     *   (width × height samples)
+     * @param {Function} [options.isCancelled] - () → true to stop
+     * @param {Function} [options.onProgress] - ({ done, total }) after each plane
+     * @returns {Promise<TypedArray[]|null>} The planes, or null if cancelled
+     */
+    function readPlanes(options) {
+        var data = [];
+
+        function next() {
+            if (options.isCancelled && options.isCancelled()) return Promise.resolve(null);
+            if (data.length >= options.planes.length) return Promise.resolve(data);
+            return Promise.resolve(options.readPlane(options.planes[data.length])).then(function(plane) {
+                data.push(plane);
+                if (options.onProgress) options.onProgress({ done: data.length, total: options.planes.length });
+                return next();
+            });
+        }
+
+        return next();
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrTiffExport: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrTiffExport = {
+        getPixelType: getPixelType,
+        planPlanes: planPlanes,
+        estimateBytes: estimateBytes,
+        formatBytes: formatBytes,
+        buildOmeXml: buildOmeXml,
+        writeOmeTiff: writeOmeTiff,
+        readPlanes: readPlanes,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
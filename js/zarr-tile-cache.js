@@ -0,0 +1,211 @@
+// evostitch Zarr Tile Cache — decoded tiles kept across Z-switches
+// Viv's MultiscaleImageLayer drops its tile cache whenever the selections
+// change, so returning to a plane fetches (from the Service Worker cache at
+// best) and decodes every tile again. zarr-viewer.js wraps the pixel sources
+// it passes to the layer with wrapLoader(), and builds the projected, depth
+// map and focus peaking sources on the same wrapped sources: getTile() is
+// answered from a memory-budgeted LRU of decoded tiles keyed by
+// (level, t, c, z, x, y), and only misses reach the loader. Hit and miss counts are reported through
+// zarrViewer.getPerfStats().
+//
+// Dependencies: none
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        maxBytes: getDefaultBudget(typeof navigator !== 'undefined' ? navigator.deviceMemory : undefined),
+        debug: false
+    };
+
+    // Decoded tiles by key, least recently used first: key → { tile, bytes }
+    var entries = new Map();
+    var totalBytes = 0;
+
+    var stats = {
+        hits: 0,
+        misses: 0,
+        evictions: 0
+    };
+
+    // Wrapped sources per loader, so the layer keeps one loader across updates
+    var wrapped = new WeakMap();
+    var nextLoaderId = 1;
+
+    /**
+     * Memory budget for a device (navigator.deviceMemory, GB)
+     * @param {number} [deviceMemory] - Undefined where the browser does not report it
+     * @returns {number} Bytes: 64 MB up to 2 GB, 128 MB up to 4 GB, else 256 MB
+     */
+    function getDefaultBudget(deviceMemory) {
+        var mb = 1024 * 1024;
+        if (deviceMemory && deviceMemory <= 2) return 64 * mb;
+        if (deviceMemory && deviceMemory <= 4) return 128 * mb;
+        return 256 * mb;
+    }
+
+    /**
+     * Cache key of a tile
+     * @param {number} loaderId - Wrapped loader (from wrapLoader())
+     * @param {number} level - Resolution level
+     * @param {Object} selection - Viv selection ({ t, c, z }, missing axes are 0)
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @returns {string} e.g. '1:0/0/2/14/3/5'
+     */
+    function tileKey(loaderId, level, selection, x, y) {
+        var sel = selection || {};
+        return loaderId + ':' + level + '/' + (sel.t || 0) + '/' + (sel.c || 0) + '/' + (sel.z || 0) + '/' + x + '/' + y;
+    }
+
+    /**
+     * Bytes held by a decoded tile
+     * @param {Object} tile - { data, width, height }
+     * @returns {number}
+     */
+    function tileBytes(tile) {
+        var data = tile && tile.data;
+        if (!data) return 0;
+        return typeof data.byteLength === 'number' ? data.byteLength : (data.length || 0) * 8;
+    }
+
+    /**
+     * Cached tile, marked as most recently used
+     * @param {string} key - From tileKey()
+     * @returns {Object|null}
+     */
+    function get(key) {
+        var entry = entries.get(key);
+        if (!entry) return null;
+        entries.delete(key);
+        entries.set(key, entry);
+        return entry.tile;
+    }
+
+    /**
+     * Store a tile, evicting the least recently used ones beyond the budget.
+     * Tiles larger than the whole budget are not kept.
+     * @param {string} key - From tileKey()
+     * @param {Object} tile - { data, width, height }
+     */
+    function set(key, tile) {
+        var bytes = tileBytes(tile);
+        if (bytes > CONFIG.maxBytes) return;
+        var previous = entries.get(key);
+        if (previous) {
+            entries.delete(key);
+            totalBytes -= previous.bytes;
+        }
+        entries.set(key, { tile: tile, bytes: bytes });
+        totalBytes += bytes;
+        while (totalBytes > CONFIG.maxBytes && entries.size > 0) {
+            var oldest = entries.keys().next().value;
+            totalBytes -= entries.get(oldest).bytes;
+            entries.delete(oldest);
+            stats.evictions++;
+        }
+    }
+
+    /**
+     * Pixel sources answering getTile() from the cache. Everything else
+     * (shape, labels, tileSize, dtype, ...) is inherited from the sources.
+     * The same loader always gets the same wrapped array.
+     * @param {Array} loaderData - Viv pixel sources (level 0 first)
+     * @returns {Array} Wrapped pixel sources (loaderData itself if empty)
+     */
+    function wrapLoader(loaderData) {
+        if (!Array.isArray(loaderData) || loaderData.length === 0) return loaderData;
+        var existing = wrapped.get(loaderData);
+        if (existing) return existing;
+
+        var loaderId = nextLoaderId++;
+        var sources = loaderData.map(function(source, level) {
+            var cached = Object.create(source);
+            cached.getTile = function(args) {
+                var key = tileKey(loaderId, level, args.selection, args.x, args.y);
+                var tile = get(key);
+                if (tile) {
+                    stats.hits++;
+                    return Promise.resolve(tile);
+                }
+                stats.misses++;
+                // Aborted or failed reads reject as before and are not cached
+                return source.getTile(args).then(function(result) {
+                    set(key, result);
+                    return result;
+                });
+            };
+            return cached;
+        });
+        wrapped.set(loaderData, sources);
+        log('Wrapped loader ' + loaderId + ' (' + loaderData.length + ' levels)');
+        return sources;
+    }
+
+    /**
+     * Drop every cached tile (e.g. when another dataset is opened). Counts are kept.
+     */
+    function clear() {
+        entries.clear();
+        totalBytes = 0;
+        log('Cleared');
+    }
+
+    /**
+     * Reset hit, miss and eviction counts (cached tiles are kept)
+     */
+    function resetStats() {
+        stats.hits = 0;
+        stats.misses = 0;
+        stats.evictions = 0;
+    }
+
+    /**
+     * Cache statistics
+     * @returns {Object} { hits, misses, evictions, hitRate (0-1, null before any
+     *   request), entries, bytes, maxBytes }
+     */
+    function getStats() {
+        var requests = stats.hits + stats.misses;
+        return {
+            hits: stats.hits,
+            misses: stats.misses,
+            evictions: stats.evictions,
+            hitRate: requests > 0 ? stats.hits / requests : null,
+            entries: entries.size,
+            bytes: totalBytes,
+            maxBytes: CONFIG.maxBytes
+        };
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrTileCache: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrTileCache = {
+        getDefaultBudget: getDefaultBudget,
+        tileKey: tileKey,
+        tileBytes: tileBytes,
+        get: get,
+        set: set,
+        wrapLoader: wrapLoader,
+        clear: clear,
+        resetStats: resetStats,
+        getStats: getStats,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -0,0 +1,214 @@
+// evostitch Zarr Video Export — record a Z-sweep or pan tour as WebM
+// Plans the frames of a Z-sweep (one frame per plane over a Z range) or a
+// tour (views interpolated between a start and an end view), and records
+// them one at a time: the viewer moves to the frame and waits for its tiles,
+// the frame is composited onto a 2D canvas (optionally with the scale bar and
+// Z label burned in) and added to a MediaRecorder stream. The recorder is
+// paused while each frame loads, so the video plays at the chosen frame rate
+// however long the tiles took. MediaRecorder is used rather than WebCodecs,
+// which would need a separate WebM muxer. Used by zarr-viewer.js, which
+// draws the overlays with figure-export.js.
+//
+// Dependencies: none (zarr-viewer.js drives the viewer for each frame)
+
+(function() {
+    'use strict';
+
+    var CONFIG = {
+        fps: 10,                   // Default frame rate
+        tourFrames: 60,            // Default frames in a tour
+        maxFrames: 3600,           // Refuse longer exports
+        // Preferred encodings, first supported wins
+        mimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+        videoBitsPerSecond: 8000000,
+        settleFrames: 3,           // Frames to wait when a view needs no new tiles
+        frameTimeoutMs: 10000,     // Record a frame anyway after waiting this long for its tiles
+        debug: false
+    };
+
+    /**
+     * First WebM encoding this browser can record
+     * @returns {string|null} MIME type, or null without MediaRecorder WebM support
+     */
+    function pickMimeType() {
+        var Recorder = window.MediaRecorder;
+        if (!Recorder || typeof Recorder.isTypeSupported !== 'function') return null;
+        for (var i = 0; i < CONFIG.mimeTypes.length; i++) {
+            if (Recorder.isTypeSupported(CONFIG.mimeTypes[i])) return CONFIG.mimeTypes[i];
+        }
+        return null;
+    }
+
+    /**
+     * Interpolate between two views
+     * @param {Object} from - { target: [x, y], zoom, z }
+     * @param {Object} to - Same shape
+     * @param {number} f - 0 (from) to 1 (to)
+     * @returns {Object} { target, zoom, z } (z rounded to a plane)
+     */
+    function interpolateView(from, to, f) {
+        function lerp(a, b) { return a + (b - a) * f; }
+        return {
+            target: [lerp(from.target[0], to.target[0]), lerp(from.target[1], to.target[1])],
+            zoom: lerp(from.zoom, to.zoom),  // deck.gl zoom is log2 scale: even steps feel even
+            z: Math.round(lerp(from.z, to.z))
+        };
+    }
+
+    /**
+     * Frames of an export
+     * @param {Object} spec - { kind: 'z', zStart, zEnd } (inclusive, either
+     *   direction) or { kind: 'tour', from, to, frames } (views as in
+     *   interpolateView)
+     * @returns {Object[]} { z } per frame for a Z-sweep, { z, view } for a tour
+     */
+    function planFrames(spec) {
+        var frames = [];
+        if (spec.kind === 'z') {
+            var step = spec.zEnd >= spec.zStart ? 1 : -1;
+            for (var z = spec.zStart; z !== spec.zEnd + step; z += step) {
+                frames.push({ z: z });
+            }
+        } else if (spec.kind === 'tour' && spec.from && spec.to) {
+            var count = Math.max(2, Math.round(spec.frames || CONFIG.tourFrames));
+            for (var i = 0; i < count; i++) {
+                var view = interpolateView(spec.from, spec.to, i / (count - 1));
+                frames.push({ z: view.z, view: view });
+            }
+        }
+        return frames.slice(0, CONFIG.maxFrames);
+    }
+
+    /**
+     * MediaRecorder over a canvas that records exactly the frames added:
+     * the recorder only runs for one frame duration after each addFrame()
+     * @param {HTMLCanvasElement} canvas - Frames are captured from here
+     * @param {Object} options - { fps, mimeType }
+     * @returns {Object} { start(), addFrame() → Promise, finish() → Promise<Blob>, cancel() }
+     */
+    function createFrameRecorder(canvas, options) {
+        var stream = canvas.captureStream(0);
+        var track = stream.getVideoTracks()[0];
+        var recorder = new window.MediaRecorder(stream, {
+            mimeType: options.mimeType,
+            videoBitsPerSecond: CONFIG.videoBitsPerSecond
+        });
+        var chunks = [];
+        var frameMs = 1000 / options.fps;
+
+        recorder.ondataavailable = function(e) {
+            if (e.data && e.data.size > 0) chunks.push(e.data);
+        };
+
+        function stopTracks() {
+            stream.getTracks().forEach(function(t) { t.stop(); });
+        }
+
+        return {
+            start: function() {
+                recorder.start();
+                recorder.pause();
+            },
+            addFrame: function() {
+                recorder.resume();
+                track.requestFrame();
+                return new Promise(function(resolve) {
+                    setTimeout(function() {
+                        recorder.pause();
+                        resolve();
+                    }, frameMs);
+                });
+            },
+            finish: function() {
+                return new Promise(function(resolve) {
+                    recorder.onstop = function() {
+                        stopTracks();
+                        resolve(new Blob(chunks, { type: options.mimeType }));
+                    };
+                    recorder.stop();
+                });
+            },
+            cancel: function() {
+                recorder.onstop = null;
+                if (recorder.state !== 'inactive') recorder.stop();
+                stopTracks();
+            }
+        };
+    }
+
+    /**
+     * Record frames one by one
+     * @param {Object} options
+     * @param {Object[]} options.frames - From planFrames()
+     * @param {Function} options.showFrame - (frame) → Promise, settled once
+     *   the viewer shows the frame with its tiles loaded
+     * @param {Function} options.drawFrame - (frame) composite the frame onto
+     *   the recorded canvas
+     * @param {Object} options.recorder - From createFrameRecorder()
+     * @param {Function} [options.isCancelled] - () → true to stop
+     * @param {Function} [options.onProgress] - ({ done, total }) after each frame
+     * @returns {Promise<Blob|null>} The video, or null if cancelled
+     */
+    function recordFrames(options) {
+        var frames = options.frames;
+        var recorder = options.recorder;
+        var index = 0;
+
+        function cancelled() {
+            return !!(options.isCancelled && options.isCancelled());
+        }
+
+        function next() {
+            if (cancelled()) {
+                recorder.cancel();
+                return Promise.resolve(null);
+            }
+            if (index >= frames.length) {
+                log('Recorded ' + frames.length + ' frames');
+                return recorder.finish();
+            }
+            var frame = frames[index++];
+            return Promise.resolve(options.showFrame(frame)).then(function() {
+                if (cancelled()) return null;
+                options.drawFrame(frame);
+                return recorder.addFrame();
+            }).then(function() {
+                if (options.onProgress) options.onProgress({ done: index, total: frames.length });
+                return next();
+            });
+        }
+
+        recorder.start();
+        return next().catch(function(error) {
+            recorder.cancel();
+            throw error;
+        });
+    }
+
+    /**
+     * Toggle debug logging
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    function setDebug(enabled) {
+        CONFIG.debug = !!enabled;
+    }
+
+    function log(message) {
+        if (CONFIG.debug) {
+            console.log('[evostitch] ZarrVideoExport: ' + message);
+        }
+    }
+
+    // Expose public API
+    window.evostitch = window.evostitch || {};
+    window.evostitch.zarrVideoExport = {
+        pickMimeType: pickMimeType,
+        interpolateView: interpolateView,
+        planFrames: planFrames,
+        createFrameRecorder: createFrameRecorder,
+        recordFrames: recordFrames,
+        setDebug: setDebug,
+        CONFIG: CONFIG
+    };
+
+})();
@@ -2,7 +2,10 @@
 // ES module for viewing OME-Zarr data with Z-stack navigation
 
 // Import from local bundle (built via npm run build:zarr)
-import { loadOmeZarr, MultiscaleImageLayer, Deck, OrthographicView, registry } from 'zarr-viewer-bundle';
+import {
+    loadOmeZarr, MultiscaleImageLayer, Deck, OrthographicView, registry, ChannelLutExtension,
+    GeoJsonLayer, ScatterplotLayer, TextLayer
+} from 'zarr-viewer-bundle';
 
 // Register JPEG codec if available (loaded via jpeg-zarr-codec.js IIFE before this module)
 if (window._ImagecodecsJpegCodec) {
@@ -25,6 +28,11 @@ const CONFIG = {
     debug: true
 };
 
+// Per-channel LUT rendering, used instead of Viv's default color palette when a
+// channel has a colormap. One shared instance so deck.gl doesn't see the
+// extensions change (and recompile shaders) on every layer update.
+const channelLutExtensions = [new ChannelLutExtension()];
+
 // Loading indicator helper (uses loading-indicator.js if available)
 const loadingUI = {
     show() {
@@ -52,6 +60,10 @@ let state = {
     axes: null,
     currentZ: 0,
     zCount: 1,
+    currentT: 0,  // Current timepoint (time-lapse stacks)
+    tCount: 1,    // Number of timepoints (1 = no T axis)
+    dtype: 'Uint16',  // Pixel dtype (Viv name), detected from loader or array metadata
+    levelZeroArrayMeta: null,  // Level-0 array metadata from preflight (dtype fallback, zarr format)
     selections: [{ z: 0, c: 0 }],
     initialized: false,
     pixelSizeX: 1,  // µm per pixel (X axis)
@@ -60,7 +72,7 @@ let state = {
     initialViewState: null,  // Stored for reset view
     zTransitionEnabled: true,  // Enable smooth Z-plane transitions
     zTransitionDuration: 100,  // Transition duration in ms (quick fade-in on swap)
-    zSwitchGeneration: 0,      // Generation counter for stale Z-switch detection
+    zSwitchGeneration: 0,      // Generation counter for stale Z/T-switch detection
     zLoadingTimerId: null,       // Delayed loading indicator timer
     // Jank prevention: throttling state for DOM updates during zoom/pan
     scaleBarUpdatePending: false,
@@ -69,11 +81,90 @@ let state = {
     lastMouseX: 0,
     lastMouseY: 0,
     // Channel settings (brightness/contrast)
-    channelSettings: [],  // Array of { visible, min, max, defaultMin, defaultMax }
+    channelSettings: [],  // Array of { visible, min, max, defaultMin, defaultMax, rangeMin, rangeMax, step, colormap, color, defaultColormap, defaultColor }
+    channelDataRanges: [],  // Per channel { min, max } of its pixels where the dtype gives no usable range, else null
     channelControlsExpanded: true,
+    // Channel histograms (computed in zarr-compute-worker.js)
+    histograms: [],            // Per channel { counts, min, max, total } (binned domain min/max)
+    histogramTimerId: null,    // Settle timer before recomputing
+    histogramGeneration: 0,    // Drops results from superseded recomputes
     // Seamless Z-focus: slider visibility tracks zoom level
     zSliderVisible: false,
-    zSliderHideTimer: null
+    zSliderHideTimer: null,
+    // Annotations (model in zarr-annotations.js, drawn above the image layer)
+    imageLayer: null,            // Last MultiscaleImageLayer (reused when only annotations change)
+    annotations: [],             // All annotations for the dataset, in image pixels
+    annotationTool: null,        // null (pan) | 'select' | 'point' | 'line' | 'rectangle' | 'polygon'
+    annotationDraft: null,       // { shape, coordinates, cursor } while drawing
+    selectedAnnotationId: null,
+    annotationDrag: null,        // { id, index } while dragging a vertex
+    // Ruler mode (session from measure-tools.js, drawn above the annotations)
+    measureSession: null,
+    // Orthogonal XZ / YZ views (slices read by zarr-ortho.js)
+    orthoEnabled: false,
+    orthoPosition: null,         // [x, y] full-res pixels the slices pass through (cursor)
+    orthoSlices: { xz: null, yz: null },  // Per axis { key, position, channels: [slice per channel] }
+    orthoTimerId: null,          // Settle timer before re-reading slices
+    orthoAbort: null,            // AbortController for the reads in flight
+    // Z projection (zarr-projection.js): mode null = off; radius in planes, Infinity = full stack
+    projection: { mode: null, radius: 5 },
+    projectedLoaderData: null,   // Projected pixel sources shown instead of the loader's
+    // Depth map overlay (zarr-depth-map.js): best-focus plane per pixel, above the image
+    depthMap: { enabled: false, opacity: 0.6 },
+    depthMapData: null,          // { sources, zCount, depthAt } for the loaded dataset
+    depthLayer: null,            // Last depth MultiscaleImageLayer
+    // Focus peaking overlay (zarr-focus-peaking.js): in-focus edges of the current plane
+    focusPeaking: { enabled: false, threshold: null },  // threshold null: CONFIG default
+    peakingSources: null,        // Gradient energy sources for the loaded dataset
+    peakingLayer: null,          // Last peaking MultiscaleImageLayer
+    // Label images (zarr-labels.js): segmentation masks under labels/
+    labels: [],                  // { name, enabled, loading, imageLabel, data } per label image
+    labelOpacity: null,          // null: zarrLabels.CONFIG.opacity
+    labelLayers: [],             // Last label MultiscaleImageLayers (enabled label images)
+    labelsToken: 0,              // Bumped per dataset, so late label loads are dropped
+    // Autofocus (autofocus.js): search in flight and the focus-curve panel
+    autofocusAbort: null,        // AbortController for the plane reads in flight
+    autofocusPanel: null,        // From autofocus.bindPanel()
+    // Z playback (zarr-playback.js)
+    player: null,                // From zarrPlayback.createPlayer()
+    // Video export (zarr-video-export.js)
+    viewportLoadWaiters: new Set(),  // Called on the image layer's (current) onViewportLoad
+    videoExportAbort: null,      // AbortController for the export in flight
+    videoTour: { from: null, to: null },  // Tour views set in the export panel
+    // Save image (figure-export.js)
+    saveImagePanel: null,        // From figureExport.bindPanel()
+    savingImage: false,          // A render is driving the view
+    // OME-TIFF region export (zarr-tiff-export.js)
+    tiffRegion: null,            // { minX, maxX, minY, maxY } full-res pixels to export
+    tiffRegionDraft: null,       // { corner, cursor } while drawing the region
+    tiffExportAbort: null,       // AbortController for the export in flight
+    // HCS plate (zarr-plate.js): each field of a well is loaded with loadZarr()
+    plate: null,                 // From zarrPlate.fetchPlate(), null for a single image
+    plateWell: null,             // { well, fields, field } of the open field
+    plateFields: new Map(),      // Well path → Promise<field paths>
+    plateThumbnails: new Map(),  // Well path → { channels: [slice] }, or null if it failed
+    plateThumbnailAbort: null,   // AbortController for the thumbnail reads
+    plateSwitching: false,       // A well or field is loading
+    // bioformats2raw series (zarr-series.js): each series is loaded with loadZarr()
+    series: null,                // From zarrSeries.fetchSeries(), null if not a container
+    seriesContainer: null,       // Container root URL
+    seriesIndex: 0,              // Index of the open series
+    seriesSwitching: false,      // A series is loading
+    // Side-by-side compare (zarr-compare.js): a second dataset in its own deck
+    compare: {
+        deck: null,              // deck.gl instance of the compare view (created when first shown)
+        param: null,             // ?compare= value of the loaded dataset
+        loaderData: null,        // Viv pixel sources, null until a dataset is loaded
+        metadata: null,
+        axes: null,
+        dtype: null,
+        pixelSize: null,         // { x, y, z } µm
+        zCount: 1,
+        tCount: 1,
+        z: 0,                    // Own Z-plane while Z is not synced
+        syncZ: true,             // Follow the main view's Z by depth in µm
+        loading: false
+    }
 };
 
 // Zoom threshold for Z-slider visibility: level <= 3 (zoom >= -3)
@@ -83,6 +174,39 @@ const Z_SLIDER_ZOOM_THRESHOLD = -3;
 // Throttle config for DOM updates during animations (ms)
 const SCALE_BAR_THROTTLE_MS = 100;
 
+// Auto-contrast: percentiles of the viewport's pixel values used as black/white points
+const AUTO_CONTRAST_LOW_PERCENTILE = 0.1;
+const AUTO_CONTRAST_HIGH_PERCENTILE = 99.9;
+
+// Float and 32-bit channels without an OME window: pixel budget of the
+// low-resolution read their slider range is taken from
+const CHANNEL_RANGE_MAX_PIXELS = 256 * 256;
+
+// Channel histograms: bin count, pixel budget per channel read, and how long
+// the view must stay still (pan/zoom, Z/T) before recomputing
+const HISTOGRAM_BINS = 64;
+const HISTOGRAM_MAX_PIXELS = 256 * 256;
+const HISTOGRAM_SETTLE_MS = 300;
+
+// Annotation overlay: colors, and the screen distance within which a click on
+// a polygon's first vertex closes it
+const ANNOTATION_COLOR = [255, 213, 79];
+const ANNOTATION_SELECTED_COLOR = [50, 130, 184];
+const ANNOTATION_CLOSE_RADIUS_PX = 10;
+
+// Ruler overlay color (distinct from annotations)
+const MEASURE_COLOR = [0, 229, 255];
+
+// OME-TIFF export region outline (distinct from annotations and the ruler)
+const TIFF_REGION_COLOR = [255, 112, 67];
+
+// Orthogonal views: panel size limits (Z is drawn at the main view's scale
+// within these, otherwise stretched or windowed around the current Z), and how
+// long the cursor and view must stay still before slices are re-read
+const ORTHO_MIN_PANEL_PX = 48;
+const ORTHO_MAX_PANEL_PX = 240;
+const ORTHO_SETTLE_MS = 250;
+
 // Performance tracking
 let perfStats = {
     zSwitchTimes: [],      // Array of Z-switch durations (ms)
@@ -123,10 +247,12 @@ function perfEndZSwitch() {
 
 /**
  * Get performance statistics
- * @returns {Object} Performance stats including Z-switch timing
+ * @returns {Object} Performance stats including Z-switch timing and the
+ *   decoded tile cache (zarrTileCache.getStats(): hits, misses, hitRate, ...)
  */
 function getPerfStats() {
     const times = perfStats.zSwitchTimes;
+    const tileCache = window.evostitch.zarrTileCache.getStats();
     if (times.length === 0) {
         return {
             sampleCount: 0,
@@ -135,7 +261,8 @@ function getPerfStats() {
             maxMs: null,
             p50Ms: null,
             p95Ms: null,
-            lastMs: null
+            lastMs: null,
+            tileCache
         };
     }
 
@@ -156,7 +283,8 @@ function getPerfStats() {
         maxMs: Math.round(max),
         p50Ms: Math.round(p50),
         p95Ms: Math.round(p95),
-        lastMs: Math.round(last)
+        lastMs: Math.round(last),
+        tileCache
     };
 }
 
@@ -170,11 +298,15 @@ function logPerfSummary() {
         return stats;
     }
 
+    const cache = stats.tileCache;
     console.log(`[evostitch] ZarrViewer Performance:`);
     console.log(`  Z-switch timing (${stats.sampleCount} samples):`);
     console.log(`    Average: ${stats.avgMs}ms`);
     console.log(`    Min: ${stats.minMs}ms, Max: ${stats.maxMs}ms`);
     console.log(`    p50: ${stats.p50Ms}ms, p95: ${stats.p95Ms}ms`);
+    console.log(`  Tile cache: ${cache.hits} hits, ${cache.misses} misses` +
+        (cache.hitRate !== null ? ` (${(cache.hitRate * 100).toFixed(1)}% hit rate)` : '') +
+        `, ${cache.entries} tiles, ${(cache.bytes / 1048576).toFixed(1)} / ${(cache.maxBytes / 1048576).toFixed(0)} MB`);
     return stats;
 }
 
@@ -185,6 +317,7 @@ function clearPerfStats() {
     perfStats.zSwitchTimes = [];
     perfStats.zSwitchStart = null;
     perfStats.pendingZSwitch = false;
+    window.evostitch.zarrTileCache.resetStats();
     log('Performance stats cleared');
 }
 
@@ -194,6 +327,9 @@ let elements = {
     zSlider: null,
     zDepth: null,
     zIndex: null,
+    tSlider: null,
+    tIndex: null,
+    tControlsContainer: null,
     coordDisplay: null,
     description: null,
     zoomInBtn: null,
@@ -205,7 +341,39 @@ let elements = {
     channelControls: null,
     channelControlsToggle: null,
     channelList: null,
-    zControlsContainer: null
+    zControlsContainer: null,
+    annotationControls: null,
+    annotationImportInput: null,
+    measureBtn: null,
+    orthoBtn: null,
+    orthoXZ: null,
+    orthoYZ: null,
+    projectionControls: null,
+    projectionMode: null,
+    projectionRadius: null,
+    projectionAll: null,
+    labelControls: null,
+    labelList: null,
+    labelOpacity: null,
+    zWindowLabel: null,
+    zPlayBtn: null,
+    zPlayMode: null,
+    zPlayFps: null,
+    zPlayStatus: null,
+    depthBtn: null,
+    depthLegend: null,
+    peakingBtn: null,
+    autofocusBtn: null,
+    autofocusPanel: null,
+    videoExportBtn: null,
+    videoExportPanel: null,
+    saveImageBtn: null,
+    saveImagePanel: null,
+    plateBtn: null,
+    platePanel: null,
+    seriesSelect: null,
+    compareBtn: null,
+    compareViewer: null
 };
 
 /**
@@ -216,6 +384,9 @@ function initElements() {
     elements.zSlider = document.getElementById('z-slider');
     elements.zDepth = document.getElementById('z-depth');
     elements.zIndex = document.getElementById('z-index');
+    elements.tSlider = document.getElementById('t-slider');
+    elements.tIndex = document.getElementById('t-index');
+    elements.tControlsContainer = document.getElementById('t-controls-container');
     elements.coordDisplay = document.getElementById('coord-display');
     elements.description = document.getElementById('mosaic-description');
     elements.zoomInBtn = document.getElementById('zoom-in-btn');
@@ -228,6 +399,40 @@ function initElements() {
     elements.channelControlsToggle = document.getElementById('channel-controls-toggle');
     elements.channelList = document.getElementById('channel-list');
     elements.zControlsContainer = document.getElementById('z-controls-container');
+    elements.annotationControls = document.getElementById('annotation-controls');
+    elements.annotationImportInput = document.getElementById('annotation-import-input');
+    elements.measureBtn = document.getElementById('measure-btn');
+    elements.orthoBtn = document.getElementById('ortho-btn');
+    elements.orthoXZ = document.getElementById('ortho-xz');
+    elements.orthoYZ = document.getElementById('ortho-yz');
+    elements.projectionControls = document.getElementById('projection-controls');
+    elements.projectionMode = document.getElementById('projection-mode');
+    elements.projectionRadius = document.getElementById('projection-radius');
+    elements.projectionAll = document.getElementById('projection-all');
+    elements.labelControls = document.getElementById('label-controls');
+    elements.labelList = document.getElementById('label-list');
+    elements.labelOpacity = document.getElementById('label-opacity');
+    elements.zWindowLabel = document.getElementById('z-window');
+    elements.zPlayBtn = document.getElementById('z-play-btn');
+    elements.zPlayMode = document.getElementById('z-play-mode');
+    elements.zPlayFps = document.getElementById('z-play-fps');
+    elements.zPlayStatus = document.getElementById('z-play-status');
+    elements.depthBtn = document.getElementById('depth-btn');
+    elements.depthLegend = document.getElementById('depth-legend');
+    elements.peakingBtn = document.getElementById('peaking-btn');
+    elements.autofocusBtn = document.getElementById('autofocus-btn');
+    elements.autofocusPanel = document.getElementById('autofocus-panel');
+    elements.videoExportBtn = document.getElementById('video-export-btn');
+    elements.videoExportPanel = document.getElementById('video-export-panel');
+    elements.saveImageBtn = document.getElementById('save-image-btn');
+    elements.saveImagePanel = document.getElementById('save-image-panel');
+    elements.tiffExportBtn = document.getElementById('tiff-export-btn');
+    elements.tiffExportPanel = document.getElementById('tiff-export-panel');
+    elements.plateBtn = document.getElementById('plate-btn');
+    elements.platePanel = document.getElementById('plate-panel');
+    elements.seriesSelect = document.getElementById('series-select');
+    elements.compareBtn = document.getElementById('compare-btn');
+    elements.compareViewer = document.getElementById('compare-viewer');
 }
 
 /**
@@ -239,18 +444,29 @@ function getZarrUrl() {
     const zarrParam = params.get('zarr');
 
     if (zarrParam) {
-        // If it's a full URL, use as-is
-        if (zarrParam.startsWith('http')) {
-            return zarrParam;
-        }
-        // Otherwise, treat as relative to evostitch base
-        // bioformats2raw layout puts data in /0/ subdirectory
-        return CONFIG.evositchBaseUrl + zarrParam + '/0/';
+        const series = window.evostitch.zarrSeries.parseSeriesIndex(window.location.search);
+        return resolveZarrParam(zarrParam, series);
     }
 
     return CONFIG.defaultZarrUrl;
 }
 
+/**
+ * Store URL of a ?zarr= (or ?compare=) value
+ * @param {string} value - Full URL, or a dataset name relative to the evostitch base
+ * @param {number} [series=0] - bioformats2raw series of a dataset name
+ * @returns {string}
+ */
+function resolveZarrParam(value, series = 0) {
+    // If it's a full URL, use as-is
+    if (value.startsWith('http')) {
+        return value;
+    }
+    // Otherwise, treat as relative to evostitch base
+    // bioformats2raw layout puts each series in a numbered group (?series=N, default 0)
+    return CONFIG.evositchBaseUrl + value + '/' + series + '/';
+}
+
 /**
  * Initialize the deck.gl viewer
  */
@@ -282,10 +498,22 @@ function initDeck() {
             }
             updateScaleBar();
             updateZSliderVisibility(viewState);
+            scheduleHistogramUpdate();
+            positionOrthoViews();
+            scheduleOrthoUpdate();
             // Trigger viewport-aware prefetch when Z-slider is visible
             if (state.zSliderVisible && window.evostitch?.zarrPrefetch?.onViewportChange) {
                 window.evostitch.zarrPrefetch.onViewportChange(viewState);
             }
+            syncCompareView();
+        },
+        // Clicks not handled by an annotation layer (measuring, drawing, deselecting)
+        onClick: handleViewerClick,
+        getCursor: ({ isDragging, isHovering }) => {
+            if (state.measureSession?.isActive()) return 'crosshair';
+            if (state.annotationTool && state.annotationTool !== 'select') return 'crosshair';
+            if (isHovering && state.annotationTool === 'select') return 'pointer';
+            return isDragging ? 'grabbing' : 'grab';
         },
         layers: []
     });
@@ -301,32 +529,15 @@ function initDeck() {
  */
 function extractPixelSizes(metadata, axes) {
     // Default to 1 µm/pixel if not specified
-    state.pixelSizeX = 1;
-    state.pixelSizeY = 1;
-    state.pixelSizeZ = 1;
+    const sizes = window.evostitch.zarrMetadata.getPixelSizes(metadata, axes);
+    state.pixelSizeX = sizes.x;
+    state.pixelSizeY = sizes.y;
+    state.pixelSizeZ = sizes.z;
+    log(`Pixel sizes from coordinateTransformations: X=${state.pixelSizeX}µm, Y=${state.pixelSizeY}µm, Z=${state.pixelSizeZ}µm`);
 
     const multiscales = metadata?.multiscales?.[0];
     if (!multiscales) return;
 
-    // Try to get scale from coordinateTransformations (OME-Zarr v0.3+)
-    const datasets = multiscales.datasets;
-    if (datasets && datasets[0]?.coordinateTransformations) {
-        const transforms = datasets[0].coordinateTransformations;
-        const scaleTransform = transforms.find(t => t.type === 'scale');
-        if (scaleTransform?.scale) {
-            const scale = scaleTransform.scale;
-            // Map scale values to axes
-            axes.forEach((axis, idx) => {
-                if (idx < scale.length) {
-                    if (axis === 'x') state.pixelSizeX = scale[idx];
-                    else if (axis === 'y') state.pixelSizeY = scale[idx];
-                    else if (axis === 'z') state.pixelSizeZ = scale[idx];
-                }
-            });
-            log(`Pixel sizes from coordinateTransformations: X=${state.pixelSizeX}µm, Y=${state.pixelSizeY}µm, Z=${state.pixelSizeZ}µm`);
-        }
-    }
-
     // Also check axes for unit info (some datasets store it there)
     if (multiscales.axes) {
         multiscales.axes.forEach(axisInfo => {
@@ -337,6 +548,47 @@ function extractPixelSizes(metadata, axes) {
     }
 }
 
+/**
+ * Pixel value ranges of the channels whose dtype gives no usable slider
+ * range (zarrMetadata.needsDataRange()), read over the whole image at Z/T 0
+ * from a low-resolution level
+ * @param {Object} metadata - OME-Zarr metadata
+ * @returns {Promise<Array>} Per channel { min, max }, null where not needed or unreadable
+ */
+async function readChannelDataRanges(metadata) {
+    const loaderData = getCachedLoaderData();
+    const source = Array.isArray(loaderData) ? loaderData[0] : null;
+    if (!source) return [];
+
+    const zarrMetadata = window.evostitch.zarrMetadata;
+    const reader = window.evostitch.zarrRegionReader;
+    const size = reader.getImageSize(source);
+    const cIndex = source.labels.indexOf('c');
+    const channelCount = cIndex >= 0 ? source.shape[cIndex] : 1;
+    const channels = metadata?.omero?.channels || [];
+    const ranges = [];
+    for (let c = 0; c < channelCount; c++) {
+        ranges.push(null);
+        if (!zarrMetadata.needsDataRange(state.dtype, channels[c]?.window)) continue;
+        const selection = {};
+        source.labels.forEach(axis => {
+            if (axis !== 'x' && axis !== 'y') selection[axis] = axis === 'c' ? c : 0;
+        });
+        try {
+            const region = await reader.readRegion(loaderData, {
+                selection,
+                bounds: { minX: 0, maxX: size.width, minY: 0, maxY: size.height },
+                maxPixels: CHANNEL_RANGE_MAX_PIXELS
+            });
+            ranges[c] = region && window.evostitch.imageMath.percentileRange(region.data, 0, 100);
+            log(`Channel ${c} value range ` + JSON.stringify(ranges[c]));
+        } catch (e) {
+            log(`Value range read failed for channel ${c}: ${e.message}`);
+        }
+    }
+    return ranges;
+}
+
 /**
  * Update channel controls from OME-Zarr omero metadata
  * Creates visibility toggles and brightness/contrast sliders per channel
@@ -353,16 +605,27 @@ function updateChannelControls(metadata) {
         return;
     }
 
-    // Initialize channel settings from metadata
-    state.channelSettings = omero.channels.map(ch => {
-        const minVal = ch.window?.start ?? 0;
-        const maxVal = ch.window?.end ?? 65535;
+    // Initialize channel settings from metadata, with ranges matching the dtype
+    const zarrMetadata = window.evostitch.zarrMetadata;
+    const colormaps = window.evostitch.zarrColormaps;
+    state.channelSettings = omero.channels.map((ch, idx) => {
+        const dataRange = state.channelDataRanges[idx];
+        const range = zarrMetadata.getChannelRange(state.dtype, ch.window, dataRange);
+        const [minVal, maxVal] = zarrMetadata.getDefaultContrast(state.dtype, ch.window, dataRange);
+        const color = colormaps.rgbToHex(colormaps.hexToRgb(ch.color));
         return {
             visible: true,
             min: minVal,
             max: maxVal,
             defaultMin: minVal,
-            defaultMax: maxVal
+            defaultMax: maxVal,
+            rangeMin: range.min,
+            rangeMax: range.max,
+            step: range.step,
+            colormap: colormaps.SOLID_COLOR,
+            color: color,
+            defaultColormap: colormaps.SOLID_COLOR,
+            defaultColor: color
         };
     });
 
@@ -387,14 +650,15 @@ function updateChannelControls(metadata) {
         visibility.addEventListener('change', () => {
             state.channelSettings[idx].visible = visibility.checked;
             updateLayer();
+            scheduleHistogramUpdate();
             log(`Channel ${idx} visibility: ${visibility.checked}`);
         });
 
-        // Color swatch
+        // Color swatch (previews the channel's LUT)
         const colorSwatch = document.createElement('div');
         colorSwatch.className = 'channel-color';
-        const colorHex = channel.color || 'FFFFFF';
-        colorSwatch.style.backgroundColor = `#${colorHex}`;
+        colorSwatch.style.background = colormaps.getSwatchBackground(
+            state.channelSettings[idx].colormap, state.channelSettings[idx].color);
 
         // Channel name
         const nameLabel = document.createElement('span');
@@ -411,28 +675,62 @@ function updateChannelControls(metadata) {
         const sliders = document.createElement('div');
         sliders.className = 'channel-sliders';
 
+        const settings = state.channelSettings[idx];
+
+        // Colormap picker + custom color
+        sliders.appendChild(createColormapRow(settings, () => {
+            colorSwatch.style.background = colormaps.getSwatchBackground(settings.colormap, settings.color);
+            updateLayer();
+            log(`Channel ${idx} colormap: ${settings.colormap}` +
+                (settings.colormap === colormaps.SOLID_COLOR ? ` #${settings.color}` : ''));
+        }));
+
+        // Intensity histogram with draggable black/white point markers
+        sliders.appendChild(createHistogram(settings, () => {
+            syncContrastSliders(item, settings);
+            updateLayer();
+        }));
+
         // Min slider (black point / brightness)
-        const minRow = createSliderRow('B', 0, 65535, state.channelSettings[idx].min, (val) => {
-            state.channelSettings[idx].min = val;
+        const minRow = createSliderRow('B', settings.rangeMin, settings.rangeMax, settings.min, (val) => {
+            settings.min = val;
             // Ensure min doesn't exceed max
-            if (val >= state.channelSettings[idx].max) {
-                state.channelSettings[idx].min = state.channelSettings[idx].max - 1;
+            if (val >= settings.max) {
+                settings.min = settings.max - settings.step;
             }
+            syncHistogramMarkers(item, settings);
             updateLayer();
-        });
+        }, settings.step);
         sliders.appendChild(minRow);
 
         // Max slider (white point / contrast)
-        const maxRow = createSliderRow('C', 0, 65535, state.channelSettings[idx].max, (val) => {
-            state.channelSettings[idx].max = val;
+        const maxRow = createSliderRow('C', settings.rangeMin, settings.rangeMax, settings.max, (val) => {
+            settings.max = val;
             // Ensure max doesn't go below min
-            if (val <= state.channelSettings[idx].min) {
-                state.channelSettings[idx].max = state.channelSettings[idx].min + 1;
+            if (val <= settings.min) {
+                settings.max = settings.min + settings.step;
             }
+            syncHistogramMarkers(item, settings);
             updateLayer();
-        });
+        }, settings.step);
         sliders.appendChild(maxRow);
 
+        const buttons = document.createElement('div');
+        buttons.className = 'channel-button-row';
+
+        // Auto-contrast button
+        const autoBtn = document.createElement('button');
+        autoBtn.className = 'channel-auto-btn';
+        autoBtn.textContent = 'Auto';
+        autoBtn.title = `Auto-contrast from the current view (${AUTO_CONTRAST_LOW_PERCENTILE}%–${AUTO_CONTRAST_HIGH_PERCENTILE}%)`;
+        autoBtn.addEventListener('click', () => {
+            autoBtn.disabled = true;
+            autoContrastChannel(idx).finally(() => {
+                autoBtn.disabled = false;
+            });
+        });
+        buttons.appendChild(autoBtn);
+
         // Reset button
         const resetBtn = document.createElement('button');
         resetBtn.className = 'channel-reset-btn';
@@ -442,22 +740,17 @@ function updateChannelControls(metadata) {
             state.channelSettings[idx].min = state.channelSettings[idx].defaultMin;
             state.channelSettings[idx].max = state.channelSettings[idx].defaultMax;
             state.channelSettings[idx].visible = true;
+            state.channelSettings[idx].colormap = state.channelSettings[idx].defaultColormap;
+            state.channelSettings[idx].color = state.channelSettings[idx].defaultColor;
             // Update slider values in UI
-            const sliderInputs = item.querySelectorAll('.channel-slider');
-            const sliderValues = item.querySelectorAll('.channel-slider-value');
-            if (sliderInputs[0]) {
-                sliderInputs[0].value = state.channelSettings[idx].min;
-                sliderValues[0].textContent = state.channelSettings[idx].min;
-            }
-            if (sliderInputs[1]) {
-                sliderInputs[1].value = state.channelSettings[idx].max;
-                sliderValues[1].textContent = state.channelSettings[idx].max;
-            }
+            syncContrastSliders(item, settings);
+            syncColormapControls(item, settings);
             visibility.checked = true;
             updateLayer();
             log(`Channel ${idx} reset to defaults`);
         });
-        sliders.appendChild(resetBtn);
+        buttons.appendChild(resetBtn);
+        sliders.appendChild(buttons);
 
         item.appendChild(sliders);
         elements.channelList.appendChild(item);
@@ -472,6 +765,274 @@ function updateChannelControls(metadata) {
     log(`Channel controls updated: ${omero.channels.length} channels`);
 }
 
+/**
+ * Create the colormap row for a channel: a LUT picker plus a color input that
+ * is shown for the solid color option
+ * @param {Object} settings - Channel settings (colormap and color are updated in place)
+ * @param {Function} onChange - Callback after the colormap or color changes
+ * @returns {HTMLElement} The colormap row element
+ */
+function createColormapRow(settings, onChange) {
+    const colormaps = window.evostitch.zarrColormaps;
+
+    const row = document.createElement('div');
+    row.className = 'channel-colormap-row';
+
+    const labelEl = document.createElement('span');
+    labelEl.className = 'channel-slider-label';
+    labelEl.textContent = 'L';
+    labelEl.title = 'Lookup table (colormap)';
+
+    const select = document.createElement('select');
+    select.className = 'channel-colormap';
+    select.title = 'Colormap';
+    [colormaps.SOLID_COLOR].concat(colormaps.getColormapIds()).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = colormaps.getColormapLabel(id);
+        select.appendChild(option);
+    });
+
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.className = 'channel-color-input';
+    colorInput.title = 'Channel color';
+
+    select.addEventListener('change', () => {
+        settings.colormap = select.value;
+        colorInput.hidden = settings.colormap !== colormaps.SOLID_COLOR;
+        onChange();
+    });
+    colorInput.addEventListener('input', () => {
+        settings.color = colormaps.rgbToHex(colormaps.hexToRgb(colorInput.value));
+        onChange();
+    });
+
+    row.appendChild(labelEl);
+    row.appendChild(select);
+    row.appendChild(colorInput);
+    syncColormapControls(row, settings);
+    return row;
+}
+
+/**
+ * Update a channel's colormap picker, color input and swatch from its settings
+ * @param {HTMLElement} container - Channel item (or colormap row) element
+ * @param {Object} settings - Channel settings
+ */
+function syncColormapControls(container, settings) {
+    const colormaps = window.evostitch.zarrColormaps;
+    const select = container.querySelector('.channel-colormap');
+    const colorInput = container.querySelector('.channel-color-input');
+    const swatch = container.querySelector('.channel-color');
+    if (select) {
+        select.value = settings.colormap;
+    }
+    if (colorInput) {
+        colorInput.value = '#' + settings.color.toLowerCase();
+        colorInput.hidden = settings.colormap !== colormaps.SOLID_COLOR;
+    }
+    if (swatch) {
+        swatch.style.background = colormaps.getSwatchBackground(settings.colormap, settings.color);
+    }
+}
+
+/**
+ * Update a channel's B/C slider positions and value labels from its settings
+ * @param {HTMLElement} item - Channel item element
+ * @param {Object} settings - Channel settings
+ */
+function syncContrastSliders(item, settings) {
+    const inputs = item.querySelectorAll('.channel-slider');
+    const values = item.querySelectorAll('.channel-slider-value');
+    if (inputs[0]) {
+        inputs[0].value = settings.min;
+        values[0].textContent = formatSliderValue(settings.min, settings.step);
+    }
+    if (inputs[1]) {
+        inputs[1].value = settings.max;
+        values[1].textContent = formatSliderValue(settings.max, settings.step);
+    }
+    syncHistogramMarkers(item, settings);
+}
+
+/**
+ * Create a channel's histogram: a canvas with black/white point markers that
+ * can be dragged. The binned domain (data.min/data.max on the element) starts
+ * as the slider range and is replaced by each computed histogram's domain.
+ * @param {Object} settings - Channel settings (min and max are updated in place)
+ * @param {Function} onChange - Callback after a marker moves the contrast limits
+ * @returns {HTMLElement} The histogram element
+ */
+function createHistogram(settings, onChange) {
+    const wrap = document.createElement('div');
+    wrap.className = 'channel-histogram';
+    wrap.dataset.min = settings.rangeMin;
+    wrap.dataset.max = settings.rangeMax;
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'channel-histogram-canvas';
+    canvas.width = HISTOGRAM_BINS * 2;
+    canvas.height = 24;
+    wrap.appendChild(canvas);
+
+    ['min', 'max'].forEach(key => {
+        const marker = document.createElement('div');
+        marker.className = `channel-histogram-marker channel-histogram-${key}`;
+        marker.title = key === 'min' ? 'Black point (drag)' : 'White point (drag)';
+
+        marker.addEventListener('pointerdown', (e) => {
+            marker.setPointerCapture(e.pointerId);
+            e.preventDefault();
+        });
+        marker.addEventListener('pointermove', (e) => {
+            if (!marker.hasPointerCapture(e.pointerId)) return;
+            const rect = wrap.getBoundingClientRect();
+            const frac = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+            const domainMin = parseFloat(wrap.dataset.min);
+            const domainMax = parseFloat(wrap.dataset.max);
+            let value = domainMin + frac * (domainMax - domainMin);
+            value = Math.round(value / settings.step) * settings.step;
+            value = Math.max(settings.rangeMin, Math.min(settings.rangeMax, value));
+            if (key === 'min') {
+                settings.min = Math.min(value, settings.max - settings.step);
+            } else {
+                settings.max = Math.max(value, settings.min + settings.step);
+            }
+            onChange();
+        });
+        marker.addEventListener('pointerup', (e) => {
+            marker.releasePointerCapture(e.pointerId);
+        });
+
+        wrap.appendChild(marker);
+    });
+
+    syncHistogramMarkers(wrap, settings);
+    return wrap;
+}
+
+/**
+ * Position a channel's histogram markers at its contrast limits
+ * @param {HTMLElement} container - Channel item (or histogram) element
+ * @param {Object} settings - Channel settings
+ */
+function syncHistogramMarkers(container, settings) {
+    const wrap = container.classList.contains('channel-histogram') ?
+        container : container.querySelector('.channel-histogram');
+    if (!wrap) return;
+    const domainMin = parseFloat(wrap.dataset.min);
+    const domainMax = parseFloat(wrap.dataset.max);
+    const toPercent = (value) =>
+        Math.max(0, Math.min(100, (value - domainMin) / (domainMax - domainMin) * 100));
+    const minMarker = wrap.querySelector('.channel-histogram-min');
+    const maxMarker = wrap.querySelector('.channel-histogram-max');
+    if (minMarker) minMarker.style.left = `${toPercent(settings.min)}%`;
+    if (maxMarker) maxMarker.style.left = `${toPercent(settings.max)}%`;
+}
+
+/**
+ * Draw a computed histogram (log-scaled counts) in a channel item
+ * @param {HTMLElement} item - Channel item element
+ * @param {Object} settings - Channel settings (bar color, marker positions)
+ * @param {Object} histogram - { counts, min, max } from zarrCompute.histogram
+ */
+function drawHistogram(item, settings, histogram) {
+    const wrap = item.querySelector('.channel-histogram');
+    const canvas = wrap?.querySelector('canvas');
+    const ctx = canvas?.getContext('2d');
+    if (!ctx) return;
+
+    wrap.dataset.min = histogram.min;
+    wrap.dataset.max = histogram.max;
+
+    const counts = histogram.counts;
+    const peak = Math.log1p(Math.max(...counts));
+    const barWidth = canvas.width / counts.length;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = window.evostitch.zarrColormaps.isColormap(settings.colormap) ?
+        '#bbb' : `#${settings.color}`;
+    counts.forEach((count, i) => {
+        const h = peak > 0 ? Math.log1p(count) / peak * canvas.height : 0;
+        ctx.fillRect(i * barWidth, canvas.height - h, Math.max(1, barWidth - 0.5), h);
+    });
+
+    syncHistogramMarkers(wrap, settings);
+}
+
+/**
+ * Whether the channel panel is on screen (histograms are only computed then)
+ * @returns {boolean}
+ */
+function isChannelPanelShown() {
+    const panel = elements.channelControls;
+    return !!panel && state.channelControlsExpanded && getComputedStyle(panel).display !== 'none';
+}
+
+/**
+ * Recompute channel histograms once the view has settled. Called on pan/zoom,
+ * Z/T switches and visibility changes; restarting the timer on each call keeps
+ * scrubbing from queuing reads.
+ */
+function scheduleHistogramUpdate() {
+    if (state.histogramTimerId !== null) {
+        clearTimeout(state.histogramTimerId);
+    }
+    state.histogramTimerId = setTimeout(() => {
+        state.histogramTimerId = null;
+        updateHistograms();
+    }, HISTOGRAM_SETTLE_MS);
+}
+
+/**
+ * Compute and draw histograms of visible channels for the current viewport
+ * at the current Z/T. Pixels are read on the main thread (Viv loader, SW
+ * cache) and binned in zarr-compute-worker.js.
+ * @returns {Promise<void>}
+ */
+async function updateHistograms() {
+    const loaderData = getDisplayLoaderData();
+    const bounds = getViewportBounds();
+    if (!loaderData || !bounds || !isChannelPanelShown()) {
+        return;
+    }
+
+    const generation = ++state.histogramGeneration;
+    const items = elements.channelList.querySelectorAll('.channel-item');
+
+    await Promise.all(state.channelSettings.map(async (settings, idx) => {
+        if (!settings.visible || !items[idx]) return;
+        try {
+            const region = await window.evostitch.zarrRegionReader.readRegion(loaderData, {
+                selection: getChannelSelection(idx),
+                bounds,
+                maxPixels: HISTOGRAM_MAX_PIXELS
+            });
+            if (!region || generation !== state.histogramGeneration) return;
+
+            const histogram = await window.evostitch.zarrCompute.histogram(
+                region.data, HISTOGRAM_BINS, { min: settings.min, max: settings.max });
+            if (generation !== state.histogramGeneration) return;
+
+            state.histograms[idx] = histogram;
+            drawHistogram(items[idx], settings, histogram);
+        } catch (e) {
+            log(`Histogram update failed for channel ${idx}: ${e.message}`);
+        }
+    }));
+}
+
+/**
+ * Get the last computed histogram for a channel
+ * @param {number} channelIndex - Channel index (0-based)
+ * @returns {Object|null} { counts, min, max, total }
+ */
+function getHistogram(channelIndex) {
+    const histogram = state.histograms[channelIndex];
+    if (!histogram) return null;
+    return { ...histogram, counts: Array.from(histogram.counts) };
+}
+
 /**
  * Create a slider row for brightness/contrast control
  * @param {string} label - Short label (B for brightness/black point, C for contrast/white point)
@@ -479,9 +1040,10 @@ function updateChannelControls(metadata) {
  * @param {number} max - Maximum slider value
  * @param {number} value - Initial value
  * @param {Function} onChange - Callback when value changes
+ * @param {number} [step=1] - Slider step (fractional for float dtypes)
  * @returns {HTMLElement} The slider row element
  */
-function createSliderRow(label, min, max, value, onChange) {
+function createSliderRow(label, min, max, value, onChange, step = 1) {
     const row = document.createElement('div');
     row.className = 'channel-slider-row';
 
@@ -495,15 +1057,16 @@ function createSliderRow(label, min, max, value, onChange) {
     slider.className = 'channel-slider';
     slider.min = min;
     slider.max = max;
+    slider.step = step;
     slider.value = value;
 
     const valueEl = document.createElement('span');
     valueEl.className = 'channel-slider-value';
-    valueEl.textContent = value;
+    valueEl.textContent = formatSliderValue(value, step);
 
     slider.addEventListener('input', () => {
-        const val = parseInt(slider.value, 10);
-        valueEl.textContent = val;
+        const val = parseFloat(slider.value);
+        valueEl.textContent = formatSliderValue(val, step);
         onChange(val);
     });
 
@@ -513,6 +1076,19 @@ function createSliderRow(label, min, max, value, onChange) {
     return row;
 }
 
+/**
+ * Format a slider value for display: integers as-is, floats to the
+ * precision implied by the slider step
+ * @param {number} value - Slider value
+ * @param {number} step - Slider step
+ * @returns {string} Display text
+ */
+function formatSliderValue(value, step) {
+    if (step >= 1) return String(Math.round(value));
+    const decimals = Math.min(6, Math.max(0, Math.ceil(-Math.log10(step))));
+    return value.toFixed(decimals);
+}
+
 /**
  * Toggle channel controls expand/collapse
  */
@@ -521,9 +1097,29 @@ function toggleChannelControls() {
     if (elements.channelControls) {
         elements.channelControls.classList.toggle('collapsed', !state.channelControlsExpanded);
     }
+    if (state.channelControlsExpanded) {
+        scheduleHistogramUpdate();
+    }
     log(`Channel controls ${state.channelControlsExpanded ? 'expanded' : 'collapsed'}`);
 }
 
+/**
+ * Convert a position in the viewer element to full-resolution image pixels
+ * @param {number} screenX - X relative to the viewer element
+ * @param {number} screenY - Y relative to the viewer element
+ * @returns {number[]} [x, y] in image pixels (not clamped to the image)
+ */
+function screenToImage(screenX, screenY) {
+    const rect = elements.viewer.getBoundingClientRect();
+
+    // zoom = log2(scale), so scale = 2^zoom; the screen center is the target
+    const scale = Math.pow(2, state.viewState.zoom);
+    return [
+        state.viewState.target[0] + (screenX - rect.width / 2) / scale,
+        state.viewState.target[1] + (screenY - rect.height / 2) / scale
+    ];
+}
+
 /**
  * Update coordinate display based on mouse position (core implementation)
  * @param {number} screenX - Mouse X position relative to viewer
@@ -537,25 +1133,8 @@ function updateCoordinatesCore(screenX, screenY) {
     const container = elements.viewer;
     if (!container) return;
 
-    const rect = container.getBoundingClientRect();
-    const containerWidth = rect.width;
-    const containerHeight = rect.height;
-
     // Convert screen to data coordinates
-    // zoom = log2(scale), so scale = 2^zoom
-    const scale = Math.pow(2, state.viewState.zoom);
-
-    // Center of screen in data coordinates is target
-    const centerX = state.viewState.target[0];
-    const centerY = state.viewState.target[1];
-
-    // Offset from center in screen pixels
-    const offsetXScreen = screenX - containerWidth / 2;
-    const offsetYScreen = screenY - containerHeight / 2;
-
-    // Convert screen offset to data offset (divide by scale)
-    const dataX = centerX + offsetXScreen / scale;
-    const dataY = centerY + offsetYScreen / scale;
+    const [dataX, dataY] = screenToImage(screenX, screenY);
 
     // Clamp to image bounds
     const clampedX = Math.max(0, Math.min(state.imageWidth || 0, dataX));
@@ -565,8 +1144,10 @@ function updateCoordinatesCore(screenX, screenY) {
     const xMicrons = clampedX * state.pixelSizeX;
     const yMicrons = clampedY * state.pixelSizeY;
 
-    // Format the display with Z plane info
-    elements.coordDisplay.textContent = `X: ${xMicrons.toFixed(1)} µm, Y: ${yMicrons.toFixed(1)} µm, Z: ${state.currentZ + 1}/${state.zCount}`;
+    // Format the display with Z plane (and timepoint) info, the best-focus
+    // depth while the depth map is shown and the labels under the cursor
+    elements.coordDisplay.textContent = `X: ${xMicrons.toFixed(1)} µm, Y: ${yMicrons.toFixed(1)} µm, ` +
+        `${formatPlaneInfo()}${formatDepthAt(clampedX, clampedY)}${formatLabelsAt(clampedX, clampedY)}`;
 
     state.coordUpdatePending = false;
 }
@@ -594,11 +1175,21 @@ function updateCoordinates(screenX, screenY) {
 }
 
 /**
- * Update coordinate display to show only Z info (when mouse not hovering)
+ * Format the Z plane (and timepoint, if the dataset has a T axis) for display
+ * @returns {string} e.g. "Z: 3/20" or "Z: 3/20, T: 5/12"
+ */
+function formatPlaneInfo() {
+    const zText = `Z: ${state.currentZ + 1}/${state.zCount}`;
+    if (state.tCount <= 1) return zText;
+    return `${zText}, T: ${state.currentT + 1}/${state.tCount}`;
+}
+
+/**
+ * Update coordinate display to show only Z/T info (when mouse not hovering)
  */
 function updateCoordinatesZOnly() {
     if (!elements.coordDisplay) return;
-    elements.coordDisplay.textContent = `Z: ${state.currentZ + 1}/${state.zCount}`;
+    elements.coordDisplay.textContent = formatPlaneInfo();
 }
 
 /**
@@ -614,48 +1205,29 @@ function updateScaleBarCore() {
         return;
     }
 
-    // Calculate pixels per µm at current zoom
-    // zoom = log2(scale), so scale = 2^zoom
-    const scale = Math.pow(2, state.viewState.zoom);
-    // scale tells us how many screen pixels per data pixel
-    // µm per screen pixel = pixelSize / scale
-    const umPerScreenPixel = state.pixelSizeX / scale;
-
-    // Choose a "nice" scale bar value (in µm)
-    // Nice values: 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, etc.
-    const niceValues = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000];
-
-    // Target scale bar width in pixels (aim for 80-150 pixels)
-    const targetPixels = 100;
-    const targetUm = targetPixels * umPerScreenPixel;
-
-    // Find the nice value closest to our target
-    let scaleBarUm = niceValues[0];
-    for (const val of niceValues) {
-        if (val <= targetUm * 1.5) {
-            scaleBarUm = val;
-        }
-    }
-
-    // Calculate actual pixel width for the chosen value
-    const scaleBarPixels = scaleBarUm / umPerScreenPixel;
+    // Choose a "nice" scale bar value (1, 2, 5 × 10ⁿ µm) near 100 pixels wide;
+    // exported images burn in the same bar (figure-export.js)
+    const scaleBar = getScaleBar();
 
     // Update DOM
-    elements.scaleBarLine.style.width = `${Math.round(scaleBarPixels)}px`;
-
-    // Format label (use mm for values >= 1000 µm)
-    let label;
-    if (scaleBarUm >= 1000) {
-        label = `${scaleBarUm / 1000} mm`;
-    } else {
-        label = `${scaleBarUm} µm`;
-    }
-    elements.scaleBarLabel.textContent = label;
+    elements.scaleBarLine.style.width = `${Math.round(scaleBar.pixels)}px`;
+    elements.scaleBarLabel.textContent = scaleBar.label;
 
     state.scaleBarLastUpdate = performance.now();
     state.scaleBarUpdatePending = false;
 }
 
+/**
+ * Scale bar for the current zoom, in CSS pixels
+ * @returns {Object} { um, pixels, label } (figureExport.niceScaleBar())
+ */
+function getScaleBar() {
+    // zoom = log2(screen pixels per data pixel), so µm per screen pixel = pixelSize / 2^zoom
+    const umPerScreenPixel = state.pixelSizeX / Math.pow(2, state.viewState.zoom);
+    const figure = window.evostitch.figureExport;
+    return figure.niceScaleBar(umPerScreenPixel, figure.CONFIG.scaleBarPixels);
+}
+
 /**
  * Update scale bar with throttling to prevent jank during rapid zoom/pan
  * Uses requestAnimationFrame to batch updates
@@ -683,29 +1255,36 @@ function updateScaleBar() {
 }
 
 /**
- * Preflight check: fetch .zarray for level 0 and verify JPEG codec is
- * registered if the dataset uses JPEG compression.
- * @param {string} url - OME-Zarr store URL (the /0/ group for bioformats2raw)
- * @returns {Promise<boolean>} true if OK to proceed, false if codec missing
+ * Preflight check: fetch level-0 array metadata (.zarray for Zarr v2,
+ * zarr.json for Zarr v3) and verify every codec in its chain is registered,
+ * in particular the JPEG codec. The parsed metadata is kept as a dtype
+ * fallback for loaders that don't report one, and its format tells the
+ * prefetch engine which chunk key encoding to use.
+ * @param {string} url - OME-Zarr store URL (the series group, e.g. /0/, for bioformats2raw)
+ * @returns {Promise<boolean>} true if OK to proceed, false if a codec is missing
  */
 async function preflightCodecCheck(url) {
-    // Level 0 .zarray is at {storeUrl}/0/.zarray
-    const zarrayUrl = url.replace(/\/$/, '') + '/0/.zarray';
-    log('Preflight: fetching ' + zarrayUrl);
+    // Level 0 array metadata is at {storeUrl}/0/.zarray or {storeUrl}/0/zarr.json.
+    // The store's format, if its group was read already, is tried first.
+    const arrayUrl = url.replace(/\/$/, '') + '/0';
+    const zarrFormat = window.evostitch.zarrMetadata.getKnownFormat(url);
+    log('Preflight: fetching array metadata for ' + arrayUrl + (zarrFormat ? ' (zarr v' + zarrFormat + ')' : ''));
 
     try {
-        const resp = await fetch(zarrayUrl);
-        if (!resp.ok) {
+        const arrayMeta = await window.evostitch.zarrMetadata.fetchArrayMetadata(arrayUrl, { zarrFormat });
+        if (!arrayMeta) {
             // Can't check — let loadOmeZarr handle any errors
-            log('Preflight: .zarray fetch returned ' + resp.status + ', skipping check');
+            log('Preflight: no .zarray or zarr.json found, skipping check');
             return true;
         }
 
-        const zarray = await resp.json();
-        const compressorId = zarray?.compressor?.id;
-        log('Preflight: compressor.id = ' + (compressorId || '(none)'));
+        state.levelZeroArrayMeta = arrayMeta;
+        const codecIds = window.evostitch.zarrMetadata.getCodecIds(arrayMeta);
+        log('Preflight: zarr v' + arrayMeta.zarrFormat + ', codecs = ' +
+            (codecIds.length > 0 ? codecIds.join(', ') : '(none)') +
+            (arrayMeta.sharded ? ' (sharded)' : ''));
 
-        if (compressorId === 'imagecodecs_jpeg' && !registry.has('imagecodecs_jpeg')) {
+        if (codecIds.includes('imagecodecs_jpeg') && !registry.has('imagecodecs_jpeg')) {
             console.error('[evostitch] JPEG codec required but not registered. ' +
                 'Ensure jpeg-zarr-codec.js is loaded before zarr-viewer.js.');
             showErrorBanner('JPEG codec not available. Cannot display this dataset. ' +
@@ -713,6 +1292,15 @@ async function preflightCodecCheck(url) {
             return false;
         }
 
+        // Sharding is built into zarrita; every other codec must be in the registry
+        const missing = codecIds.filter(id => id !== 'sharding_indexed' && !registry.has(id));
+        if (missing.length > 0) {
+            console.error('[evostitch] Unsupported Zarr codec(s): ' + missing.join(', '));
+            showErrorBanner('Unsupported Zarr codec: ' + missing.join(', ') +
+                '. Cannot display this dataset.');
+            return false;
+        }
+
         return true;
     } catch (err) {
         // Network error or JSON parse — let loadOmeZarr handle it
@@ -749,12 +1337,18 @@ function showErrorBanner(message) {
 }
 
 /**
- * Load OME-Zarr data from URL
+ * Load OME-Zarr data from URL. The dataset opens at Z and T 0 unless the
+ * view link in the URL hash says otherwise.
  * @param {string} url - OME-Zarr URL
+ * @param {Object} [options]
+ * @param {boolean} [options.applyViewLink=true] - Restore the view from the
+ *   URL hash; false when switching series, wells or fields, since the hash
+ *   belongs to the dataset opened first
  */
-async function loadZarr(url) {
+async function loadZarr(url, options = {}) {
     log('Loading OME-Zarr from: ' + url);
     state.zarrStoreUrl = url;
+    state.levelZeroArrayMeta = null;
 
     // Show loading indicator
     loadingUI.show();
@@ -769,7 +1363,7 @@ async function loadZarr(url) {
     if (!codecOk) {
         loadingUI.hide();
         if (elements.description) {
-            elements.description.textContent = 'Error: JPEG codec not available';
+            elements.description.textContent = 'Error: required Zarr codec not available';
         }
         return false;
     }
@@ -779,32 +1373,38 @@ async function loadZarr(url) {
         const result = await loadOmeZarr(url, { type: "multiscales" });
         loadingUI.setProgress(0.5, 0.5);  // Metadata loaded
         state.loader = result;
-
-        // Extract metadata
-        if (result.metadata) {
-            state.metadata = result.metadata;
-            log('Metadata loaded: ' + JSON.stringify(Object.keys(result.metadata)));
+        // Decoded tiles of the previous dataset are no longer shown
+        window.evostitch.zarrTileCache.clear();
+
+        // Extract metadata (NGFF 0.5 nests everything under the 'ome' key)
+        const metadata = window.evostitch.zarrMetadata.unwrapOmeAttributes(result.metadata);
+        if (metadata) {
+            state.metadata = metadata;
+            log('Metadata loaded: ' + JSON.stringify(Object.keys(metadata)));
         }
 
         // Get dimensions from metadata or data shape
         const data = result.data || result;
-        const metadata = result.metadata;
-
-        // Determine axes order from metadata
-        let axes = ['t', 'c', 'z', 'y', 'x']; // default assumption
-        if (metadata?.multiscales?.[0]?.axes) {
-            const axesInfo = metadata.multiscales[0].axes;
-            // axes can be array of strings or array of objects with 'name' property
-            axes = axesInfo.map(a => typeof a === 'string' ? a : a.name);
-            log('Axes from metadata: ' + JSON.stringify(axes));
-        }
+
+        // Determine axes order from metadata (t, c, z, y, x if it has none)
+        const axes = window.evostitch.zarrMetadata.getAxes(metadata);
+        log('Axes: ' + JSON.stringify(axes));
         state.axes = axes;
 
         // Extract pixel sizes from coordinate transformations
         extractPixelSizes(metadata, axes);
 
+        // Detect pixel dtype (drives layer dtype, slider ranges, default contrast)
+        state.dtype = window.evostitch.zarrMetadata.detectDtype(
+            Array.isArray(data) ? data : null, state.levelZeroArrayMeta);
+        log('Pixel dtype: ' + state.dtype);
+
+        // Float and 32-bit data carry no usable value range: sample the pixels
+        state.channelDataRanges = await readChannelDataRanges(metadata);
+
         // Update channel controls from omero metadata
         updateChannelControls(metadata);
+        scheduleHistogramUpdate();
 
         if (Array.isArray(data) && data.length > 0) {
             const shape = data[0].shape;
@@ -822,6 +1422,13 @@ async function loadZarr(url) {
             }
             log('Z-planes detected: ' + state.zCount);
 
+            // Time-lapse stacks carry a 't' axis; anything else has a single timepoint
+            const tIndex = axes.indexOf('t');
+            state.tCount = tIndex >= 0 && tIndex < shape.length ? shape[tIndex] : 1;
+            state.currentZ = 0;
+            state.currentT = 0;
+            log('Timepoints detected: ' + state.tCount);
+
             // Set up selections based on axes (exclude y, x)
             state.selections = [{}];
             axes.forEach((axis, idx) => {
@@ -833,11 +1440,53 @@ async function loadZarr(url) {
         }
 
         if (elements.description) {
-            elements.description.textContent = `Loaded: ${state.zCount} Z-planes`;
+            elements.description.textContent = state.tCount > 1
+                ? `Loaded: ${state.zCount} Z-planes, ${state.tCount} timepoints`
+                : `Loaded: ${state.zCount} Z-planes`;
         }
 
-        // Update Z slider range
+        // Update Z and T slider ranges
         updateZSlider();
+        updateTSlider();
+        if (elements.orthoBtn) {
+            elements.orthoBtn.hidden = state.zCount <= 1;
+        }
+        if (state.orthoEnabled) {
+            setOrthoViews(false);
+        }
+        // Projected sources wrap the previous dataset's loader
+        state.projection.mode = null;
+        state.projectedLoaderData = null;
+        if (elements.projectionControls) {
+            elements.projectionControls.hidden = state.zCount <= 1;
+        }
+        updateProjectionUI();
+        // Depth map sources also wrap the previous loader
+        state.depthMap.enabled = false;
+        state.depthMapData = null;
+        state.depthLayer = null;
+        if (elements.depthBtn) {
+            elements.depthBtn.hidden = state.zCount <= 1;
+        }
+        updateDepthMapUI();
+        state.focusPeaking.enabled = false;
+        state.peakingSources = null;
+        state.peakingLayer = null;
+        if (elements.peakingBtn) {
+            elements.peakingBtn.hidden = state.zCount <= 1;
+            elements.peakingBtn.classList.remove('active');
+        }
+        state.autofocusAbort?.abort();
+        state.autofocusPanel?.hide();
+        state.player?.pause();
+        cancelVideoExport();
+        resetVideoExportPanel();
+        cancelTiffExport();
+        resetTiffExportPanel();
+        resetLabels();
+        if (elements.autofocusBtn) {
+            elements.autofocusBtn.hidden = state.zCount <= 1;
+        }
 
         // Center view on the image
         if (Array.isArray(data) && data.length > 0) {
@@ -874,8 +1523,21 @@ async function loadZarr(url) {
 
             // Update scale bar with initial zoom
             updateScaleBar();
+            syncCompareView();
         }
 
+        // Restore a shared view (#x=..&zoom=..&z=..) before prefetch starts at the current Z
+        if (options.applyViewLink !== false) {
+            applyViewLink(window.evostitch.viewLink.read());
+        }
+
+        // Annotations saved for this dataset
+        state.annotations = window.evostitch.zarrAnnotations.load(url);
+        log(`Loaded ${state.annotations.length} saved annotations`);
+
+        // Label images are listed in the background; each opens when toggled on
+        discoverLabels(url);
+
         // Initialize optimization modules if available
         initOptimizationModules();
 
@@ -907,6 +1569,9 @@ function initOptimizationModules() {
                 zarrStoreUrl: state.zarrStoreUrl || CONFIG.evositchBaseUrl,
                 baseUrl: CONFIG.evositchBaseUrl,
                 zCount: state.zCount,
+                zarrFormat: state.levelZeroArrayMeta?.zarrFormat,
+                tCount: state.tCount,
+                currentT: state.currentT,
                 axes: state.axes,
                 levelCount: loaderData ? loaderData.length : 0,
                 getViewState: function() { return state.viewState; },
@@ -939,6 +1604,34 @@ function initOptimizationModules() {
 
 }
 
+/**
+ * Viv selection for a channel at the current Z and T
+ * @param {number} c - Channel index
+ * @returns {Object} Selection keyed by non-spatial axis, e.g. { t, c, z }
+ */
+function getChannelSelection(c) {
+    const sel = {};
+    if (state.axes) {
+        state.axes.forEach(axis => {
+            if (axis !== 'y' && axis !== 'x') {
+                if (axis === 'z') {
+                    sel[axis] = state.currentZ;
+                } else if (axis === 't') {
+                    sel[axis] = state.currentT;
+                } else if (axis === 'c') {
+                    sel[axis] = c;
+                } else {
+                    sel[axis] = 0;  // other non-spatial axes
+                }
+            }
+        });
+    } else {
+        sel.z = state.currentZ;
+        sel.c = c;
+    }
+    return sel;
+}
+
 /**
  * Update the visualization layer
  */
@@ -947,32 +1640,15 @@ function updateLayer() {
         return;
     }
 
-    // Get channel count from loader data
-    const loaderData = state.loader.data || state.loader;
+    // Get channel count from loader data (projected sources when projecting)
+    const loaderData = getDisplayLoaderData();
     const channelCount = state.axes?.includes('c') ?
         loaderData[0]?.shape[state.axes.indexOf('c')] || 1 : 1;
 
-    // Build selections array - one per channel, all at current Z
+    // Build selections array - one per channel, all at current Z and T
     const selections = [];
     for (let c = 0; c < channelCount; c++) {
-        const sel = {};
-        if (state.axes) {
-            state.axes.forEach(axis => {
-                if (axis !== 'y' && axis !== 'x') {
-                    if (axis === 'z') {
-                        sel[axis] = state.currentZ;
-                    } else if (axis === 'c') {
-                        sel[axis] = c;
-                    } else {
-                        sel[axis] = 0;  // t, etc.
-                    }
-                }
-            });
-        } else {
-            sel.z = state.currentZ;
-            sel.c = c;
-        }
-        selections.push(sel);
+        selections.push(getChannelSelection(c));
     }
     log('Selections: ' + JSON.stringify(selections));
 
@@ -984,21 +1660,16 @@ function updateLayer() {
 
     if (state.channelSettings.length > 0) {
         // Use channel settings from state (user-adjusted values)
-        state.channelSettings.forEach((settings, idx) => {
+        state.channelSettings.forEach((settings) => {
             contrastLimits.push([settings.min, settings.max]);
             channelsVisible.push(settings.visible);
-            // Get color from metadata
-            const colorHex = omero?.channels?.[idx]?.color || 'FFFFFF';
-            colors.push([
-                parseInt(colorHex.slice(0, 2), 16),
-                parseInt(colorHex.slice(2, 4), 16),
-                parseInt(colorHex.slice(4, 6), 16)
-            ]);
+            colors.push(window.evostitch.zarrColormaps.hexToRgb(settings.color));
         });
     } else if (omero?.channels) {
         // Fall back to omero metadata
-        omero.channels.forEach(ch => {
-            contrastLimits.push([ch.window?.start || 0, ch.window?.end || 65535]);
+        omero.channels.forEach((ch, idx) => {
+            contrastLimits.push(window.evostitch.zarrMetadata.getDefaultContrast(
+                state.dtype, ch.window, state.channelDataRanges[idx]));
             channelsVisible.push(true);
             const colorHex = ch.color || 'FFFFFF';
             colors.push([
@@ -1008,28 +1679,38 @@ function updateLayer() {
             ]);
         });
     } else {
-        // Default for unknown channels
+        // Default for unknown channels: full dtype range (value range for float and 32-bit data)
         for (let i = 0; i < channelCount; i++) {
-            contrastLimits.push([0, 65535]);
+            contrastLimits.push(window.evostitch.zarrMetadata.getDefaultContrast(
+                state.dtype, undefined, state.channelDataRanges[i]));
             colors.push([255, 255, 255]);
             channelsVisible.push(true);
         }
     }
 
+    // Per-channel colormaps need the LUT shader; solid colors use Viv's default palette
+    const lutProps = {};
+    if (window.evostitch.zarrColormaps.needsLut(state.channelSettings)) {
+        lutProps.extensions = channelLutExtensions;
+        lutProps.channelLuts = window.evostitch.zarrColormaps.buildLutUniform(state.channelSettings);
+    }
+
     // Capture generation at layer creation time for stale detection
     const generation = state.zSwitchGeneration;
 
     const layer = new MultiscaleImageLayer({
+        ...lutProps,
         id: 'zarr-layer',
-        loader: loaderData,
+        // Decoded tiles outlive the layer's own cache, which each Z-switch drops
+        loader: window.evostitch.zarrTileCache.wrapLoader(loaderData),
         selections: selections,
         contrastLimits: contrastLimits,
         colors: colors,
         channelsVisible: channelsVisible,
-        dtype: 'Uint16',
+        dtype: state.dtype,
         refinementStrategy: 'best-available',
         onViewportLoad: () => {
-            // Ignore stale callbacks — user already moved to a different Z-plane
+            // Ignore stale callbacks — user already moved to a different Z-plane or timepoint
             if (generation !== state.zSwitchGeneration) {
                 log('Viewport load ignored (stale generation ' + generation + ' != ' + state.zSwitchGeneration + ')');
                 return;
@@ -1045,6 +1726,8 @@ function updateLayer() {
             if (window.evostitch && window.evostitch.zarrPrefetch) {
                 window.evostitch.zarrPrefetch.onViewportLoad();
             }
+            // Video export waits for each frame's tiles
+            state.viewportLoadWaiters.forEach(waiter => waiter());
 
             // Tiles for current viewport finished loading
             loadingUI.setProgress(1, 1);  // Complete
@@ -1057,8 +1740,15 @@ function updateLayer() {
         }
     });
 
-    state.deck.setProps({ layers: [layer] });
-    log('Layer updated for Z=' + state.currentZ + ', channels=' + channelCount);
+    state.imageLayer = layer;
+    state.depthLayer = buildDepthLayer();
+    state.peakingLayer = buildPeakingLayer();
+    state.labelLayers = buildLabelLayers();
+    renderLayers();
+    drawOrthoViews();
+    scheduleOrthoUpdate();
+    updateCompareLayer();
+    log('Layer updated for Z=' + state.currentZ + ', T=' + state.currentT + ', channels=' + channelCount);
 }
 
 /**
@@ -1079,6 +1769,26 @@ function updateZSlider() {
         const zMicrons = state.currentZ * state.pixelSizeZ;
         elements.zDepth.textContent = `${zMicrons.toFixed(1)} µm`;
     }
+
+    updateZWindow();
+    state.autofocusPanel?.setCurrentZ(state.currentZ);
+}
+
+/**
+ * Update T slider UI. The T controls are only shown for time-lapse stacks.
+ */
+function updateTSlider() {
+    if (elements.tControlsContainer) {
+        elements.tControlsContainer.style.display = state.tCount > 1 ? 'flex' : 'none';
+    }
+    if (!elements.tSlider) return;
+
+    elements.tSlider.max = Math.max(0, state.tCount - 1);
+    elements.tSlider.value = state.currentT;
+
+    if (elements.tIndex) {
+        elements.tIndex.textContent = `(${state.currentT + 1}/${state.tCount})`;
+    }
 }
 
 /**
@@ -1158,9 +1868,22 @@ function executeZSwitch(z) {
 
     state.currentZ = z;
 
-    // Smart loading indicator: only show if tiles take >150ms to load
-    // This prevents the loading indicator from flashing during rapid scrubbing
-    // or when tiles load quickly from the service worker cache.
+    scheduleSwitchLoadingIndicator(z / Math.max(1, state.zCount - 1));
+
+    updateZSlider();
+    updateLayer();
+    updateCoordinatesZOnly();  // Update Z in coordinate display
+    scheduleHistogramUpdate();
+    log('Z-plane set to ' + z);
+}
+
+/**
+ * Smart loading indicator for Z/T switches: only show if tiles take >150ms to load.
+ * This prevents the loading indicator from flashing during rapid scrubbing
+ * or when tiles load quickly from the service worker cache.
+ * @param {number} progress - Position of the new plane within its axis (0-1)
+ */
+function scheduleSwitchLoadingIndicator(progress) {
     if (state.zLoadingTimerId !== null) {
         clearTimeout(state.zLoadingTimerId);
     }
@@ -1169,14 +1892,52 @@ function executeZSwitch(z) {
         // Only show loading if tiles haven't already arrived
         if (perfStats.pendingZSwitch) {
             loadingUI.show();
-            loadingUI.setProgress(0.3, z / Math.max(1, state.zCount - 1));
+            loadingUI.setProgress(0.3, progress);
         }
     }, 150);
+}
 
-    updateZSlider();
+/**
+ * Set current timepoint
+ * @param {number} t - Timepoint index
+ */
+function setT(t) {
+    t = Math.max(0, Math.min(state.tCount - 1, t));
+    if (t === state.currentT) return;
+
+    // Notify prefetch engine so it re-targets chunks at the new timepoint
+    if (window.evostitch?.zarrPrefetch?.onTChange) {
+        window.evostitch.zarrPrefetch.onTChange(t);
+    }
+
+    // Share the Z debounce so scrubbing the T slider only renders the final timepoint
+    if (window.evostitch?.zarrRenderOpt?.isInitialized?.()) {
+        window.evostitch.zarrRenderOpt.updateT(t, state.channelSettings, function(finalT) {
+            executeTSwitch(finalT);
+        });
+    } else {
+        executeTSwitch(t);
+    }
+}
+
+/**
+ * Execute the actual timepoint switch (called directly or via debounce)
+ * @param {number} t - Timepoint index
+ */
+function executeTSwitch(t) {
+    // Timepoint switches reuse the Z-switch timing and stale-generation tracking
+    perfStartZSwitch();
+    state.zSwitchGeneration++;
+
+    state.currentT = t;
+
+    scheduleSwitchLoadingIndicator(t / Math.max(1, state.tCount - 1));
+
+    updateTSlider();
     updateLayer();
-    updateCoordinatesZOnly();  // Update Z in coordinate display
-    log('Z-plane set to ' + z);
+    updateCoordinatesZOnly();  // Update T in coordinate display
+    scheduleHistogramUpdate();
+    log('Timepoint set to ' + t);
 }
 
 /**
@@ -1189,6 +1950,7 @@ function zoomIn(step = 0.5) {
     state.viewState = { ...state.viewState, zoom: newZoom };
     state.deck.setProps({ viewState: state.viewState });
     updateScaleBar();
+    syncCompareView();
     log('Zoom in to ' + newZoom.toFixed(2));
 }
 
@@ -1202,6 +1964,7 @@ function zoomOut(step = 0.5) {
     state.viewState = { ...state.viewState, zoom: newZoom };
     state.deck.setProps({ viewState: state.viewState });
     updateScaleBar();
+    syncCompareView();
     log('Zoom out to ' + newZoom.toFixed(2));
 }
 
@@ -1213,6 +1976,7 @@ function resetView() {
     state.viewState = { ...state.initialViewState };
     state.deck.setProps({ viewState: state.viewState });
     updateScaleBar();
+    syncCompareView();
     log('View reset to initial state');
 }
 
@@ -1223,10 +1987,18 @@ function setupEventHandlers() {
     // Z slider change
     if (elements.zSlider) {
         elements.zSlider.addEventListener('input', (e) => {
+            state.player?.pause();
             setZ(parseInt(e.target.value, 10));
         });
     }
 
+    // T slider change
+    if (elements.tSlider) {
+        elements.tSlider.addEventListener('input', (e) => {
+            setT(parseInt(e.target.value, 10));
+        });
+    }
+
     // Zoom button handlers
     if (elements.zoomInBtn) {
         elements.zoomInBtn.addEventListener('click', () => zoomIn());
@@ -1238,17 +2010,35 @@ function setupEventHandlers() {
         elements.homeBtn.addEventListener('click', () => resetView());
     }
 
-    // Keyboard shortcuts for Z navigation and zoom
+    // Keyboard shortcuts for Z/T navigation and zoom
     document.addEventListener('keydown', (e) => {
-        if (e.target.tagName === 'INPUT') return;
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT' ||
+            e.target.isContentEditable) return;
+        // Leave browser shortcuts (copy, find, print, select all, ...) alone
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
 
         switch (e.key) {
             case 'ArrowUp':
-                setZ(state.currentZ + 1);
+            case 'ArrowDown':
+                // Key repeat is ignored: holding the key steps at the playback frame rate
+                if (!e.repeat) {
+                    const direction = e.key === 'ArrowUp' ? 1 : -1;
+                    state.player?.hold(direction);
+                    setZ(state.currentZ + direction);
+                }
                 e.preventDefault();
                 break;
-            case 'ArrowDown':
-                setZ(state.currentZ - 1);
+            case ' ':
+                if (e.target.tagName === 'BUTTON') break;  // Space clicks the focused button
+                state.player?.toggle();
+                e.preventDefault();
+                break;
+            case ']':
+                setT(state.currentT + 1);
+                e.preventDefault();
+                break;
+            case '[':
+                setT(state.currentT - 1);
                 e.preventDefault();
                 break;
             case '+':
@@ -1266,13 +2056,116 @@ function setupEventHandlers() {
                 resetView();
                 e.preventDefault();
                 break;
-        }
-    });
-
-    // Fullscreen button
-    const fullscreenBtn = document.getElementById('fullscreen-btn');
-    if (fullscreenBtn) {
-        fullscreenBtn.addEventListener('click', () => {
+            case 'a':
+            case 'A':
+                autoContrast();
+                e.preventDefault();
+                break;
+            case 'o':
+            case 'O':
+                setOrthoViews(!state.orthoEnabled);
+                e.preventDefault();
+                break;
+            case 'p':
+            case 'P':
+                cycleProjectionMode();
+                e.preventDefault();
+                break;
+            case 'e':
+            case 'E':
+                setProjection(state.projection.mode === 'edf' ? null : 'edf');
+                e.preventDefault();
+                break;
+            case 'd':
+            case 'D':
+                setDepthMap(!state.depthMap.enabled);
+                e.preventDefault();
+                break;
+            case 'k':
+            case 'K':
+                setFocusPeaking(!state.focusPeaking.enabled);
+                e.preventDefault();
+                break;
+            case 'f':
+            case 'F':
+                autofocus();
+                e.preventDefault();
+                break;
+            case 's':
+            case 'S':
+                state.saveImagePanel?.toggle();
+                e.preventDefault();
+                break;
+            case 'x':
+            case 'X':
+                toggleTiffExportPanel();
+                e.preventDefault();
+                break;
+            case 'g':
+            case 'G':
+                if (!state.plate) break;
+                togglePlatePanel();
+                e.preventDefault();
+                break;
+            case 'c':
+            case 'C':
+                toggleCompare();
+                e.preventDefault();
+                break;
+            case 'm':
+            case 'M':
+                setMeasureTool(state.measureSession?.isActive() ? null : state.measureSession?.getMode());
+                e.preventDefault();
+                break;
+            case 'Escape':
+                if (cancelTiffRegionDraw()) break;
+                if (!state.measureSession?.cancel()) {
+                    cancelAnnotationDraft();
+                }
+                break;
+            case 'Enter':
+                if (state.measureSession?.isActive()) {
+                    state.measureSession.finish();
+                    e.preventDefault();
+                } else if (state.annotationDraft?.shape === 'polygon') {
+                    finishAnnotationDraft();
+                    e.preventDefault();
+                }
+                break;
+            case 'Delete':
+            case 'Backspace':
+                if (state.selectedAnnotationId !== null) {
+                    deleteSelectedAnnotation();
+                    e.preventDefault();
+                }
+                break;
+        }
+    });
+
+    setupAnnotationControls();
+    setupMeasureTools();
+    setupOrthoViews();
+    setupProjectionControls();
+    setupDepthMap();
+    setupLabelControls();
+    elements.peakingBtn?.addEventListener('click', () => setFocusPeaking(!state.focusPeaking.enabled));
+    setupAutofocus();
+    setupPlayback();
+    setupVideoExport();
+    setupSaveImage();
+    setupTiffExport();
+    setupPlate();
+    setupSeriesSelect();
+    setupCompare();
+
+    // Copy a link to the current view (center, zoom, Z/T, channels)
+    window.evostitch.viewLink.bindCopyButton(
+        document.getElementById('copy-link-btn'), getViewLinkState);
+
+    // Fullscreen button
+    const fullscreenBtn = document.getElementById('fullscreen-btn');
+    if (fullscreenBtn) {
+        fullscreenBtn.addEventListener('click', () => {
             if (document.fullscreenElement) {
                 document.exitFullscreen();
             } else {
@@ -1284,10 +2177,16 @@ function setupEventHandlers() {
     // Mouse tracking for coordinate display
     if (elements.viewer) {
         elements.viewer.addEventListener('mousemove', (e) => {
+            // The ortho panels sit inside the viewer but show other axes
+            if (e.target.closest?.('.ortho-panel')) return;
             const rect = elements.viewer.getBoundingClientRect();
             const x = e.clientX - rect.left;
             const y = e.clientY - rect.top;
             updateCoordinates(x, y);
+            updateAnnotationDraftCursor(x, y);
+            updateMeasureCursor(x, y);
+            updateTiffRegionCursor(x, y);
+            updateOrthoPosition(x, y);
         });
 
         elements.viewer.addEventListener('mouseleave', () => {
@@ -1357,11 +2256,16 @@ async function init() {
     await waitForServiceWorker();
 
     const zarrUrl = getZarrUrl();
-    const loaded = await loadZarr(zarrUrl);
+    const loaded = await openStore(zarrUrl);
+    // Other series of a bioformats2raw container are listed in the background
+    if (!state.plate) discoverSeries(zarrUrl);
 
     if (loaded) {
         updateLayer();
         updateCoordinatesZOnly();  // Show initial Z position
+        // A linked comparison (?compare=) opens next to the main view
+        const compareParam = new URLSearchParams(window.location.search).get(window.evostitch.zarrCompare.COMPARE_PARAM);
+        if (compareParam) openCompare(compareParam);
         // Set up canvas transition for smooth Z-plane changes
         // Delay slightly to ensure canvas exists
         setTimeout(setupCanvasTransition, 100);
@@ -1381,10 +2285,76 @@ function getState() {
         initialized: state.initialized,
         currentZ: state.currentZ,
         zCount: state.zCount,
+        currentT: state.currentT,
+        tCount: state.tCount,
+        dtype: state.dtype,
         hasLoader: !!state.loader,
         hasDeck: !!state.deck,
-        metadata: state.metadata
+        metadata: state.metadata,
+        view: getViewLinkState()
+    };
+}
+
+/**
+ * Current view as a shareable link state (see view-link.js)
+ * @returns {Object|null} { x, y, zoom, z, t, channels } with x/y in µm, or null before the view exists
+ */
+function getViewLinkState() {
+    if (!state.viewState) return null;
+    const view = {
+        x: state.viewState.target[0] * state.pixelSizeX,
+        y: state.viewState.target[1] * state.pixelSizeY,
+        zoom: state.viewState.zoom,
+        channels: state.channelSettings.map(s => ({ visible: s.visible, min: s.min, max: s.max }))
     };
+    if (state.zCount > 1) view.z = state.currentZ;
+    if (state.tCount > 1) view.t = state.currentT;
+    return view;
+}
+
+/**
+ * Apply a linked view state: center/zoom, Z, T and channel visibility/contrast.
+ * Out-of-range planes are clamped; channels beyond the dataset's are ignored.
+ * @param {Object} view - Parsed link state (see view-link.js parse)
+ */
+function applyViewLink(view) {
+    const viewLink = window.evostitch.viewLink;
+
+    if (viewLink.hasPosition(view)) {
+        state.viewState = {
+            target: [view.x / state.pixelSizeX, view.y / state.pixelSizeY, 0],
+            zoom: view.zoom
+        };
+        state.deck.setProps({ viewState: state.viewState });
+        updateScaleBar();
+        updateZSliderVisibility(state.viewState);
+        syncCompareView();
+    }
+
+    if (view.z !== undefined) {
+        state.currentZ = Math.min(state.zCount - 1, view.z);
+        updateZSlider();
+    }
+    if (view.t !== undefined) {
+        state.currentT = Math.min(state.tCount - 1, view.t);
+        updateTSlider();
+    }
+
+    if (view.channels) {
+        const items = elements.channelList?.querySelectorAll('.channel-item') || [];
+        view.channels.slice(0, state.channelSettings.length).forEach((linked, idx) => {
+            const settings = state.channelSettings[idx];
+            settings.visible = linked.visible;
+            settings.min = Math.max(settings.rangeMin, Math.min(settings.rangeMax - settings.step, linked.min));
+            settings.max = Math.min(settings.rangeMax, Math.max(settings.min + settings.step, linked.max));
+            if (items[idx]) {
+                items[idx].querySelector('.channel-visibility').checked = settings.visible;
+                syncContrastSliders(items[idx], settings);
+            }
+        });
+    }
+
+    log('Applied view link: ' + viewLink.serialize(view));
 }
 
 /**
@@ -1479,6 +2449,10 @@ function getChannelSettings() {
 function setChannelVisible(channelIndex, visible) {
     if (channelIndex >= 0 && channelIndex < state.channelSettings.length) {
         state.channelSettings[channelIndex].visible = visible;
+        const checkbox = elements.channelList?.querySelectorAll('.channel-visibility')[channelIndex];
+        if (checkbox) {
+            checkbox.checked = visible;
+        }
         updateLayer();
         log(`Channel ${channelIndex} visibility set to ${visible}`);
     }
@@ -1494,11 +2468,108 @@ function setChannelContrast(channelIndex, min, max) {
     if (channelIndex >= 0 && channelIndex < state.channelSettings.length) {
         state.channelSettings[channelIndex].min = min;
         state.channelSettings[channelIndex].max = max;
+        const item = elements.channelList?.querySelectorAll('.channel-item')[channelIndex];
+        if (item) {
+            syncContrastSliders(item, state.channelSettings[channelIndex]);
+        }
         updateLayer();
         log(`Channel ${channelIndex} contrast set to [${min}, ${max}]`);
     }
 }
 
+/**
+ * Full-resolution data bounds of the current viewport
+ * @returns {Object|null} { minX, maxX, minY, maxY }, or null before the view exists
+ */
+function getViewportBounds() {
+    if (!state.viewState || !elements.viewer) return null;
+    return window.evostitch.viewportMath.viewStateToBounds(state.viewState, {
+        width: elements.viewer.offsetWidth,
+        height: elements.viewer.offsetHeight
+    });
+}
+
+/**
+ * Auto-contrast one channel: read its pixels in the current viewport at the
+ * current Z/T and set the black/white points to the 0.1% / 99.9% percentiles
+ * @param {number} channelIndex - Channel index (0-based)
+ * @returns {Promise<number[]|null>} Applied [min, max], or null if nothing was sampled
+ */
+async function autoContrastChannel(channelIndex) {
+    const settings = state.channelSettings[channelIndex];
+    const loaderData = getDisplayLoaderData();
+    const bounds = getViewportBounds();
+    if (!settings || !loaderData || !bounds) {
+        return null;
+    }
+
+    let region;
+    try {
+        region = await window.evostitch.zarrRegionReader.readRegion(loaderData, {
+            selection: getChannelSelection(channelIndex),
+            bounds
+        });
+    } catch (e) {
+        console.warn(`[evostitch] ZarrViewer: auto-contrast failed for channel ${channelIndex}:`, e);
+        return null;
+    }
+    const range = region && window.evostitch.imageMath.percentileRange(
+        region.data, AUTO_CONTRAST_LOW_PERCENTILE, AUTO_CONTRAST_HIGH_PERCENTILE);
+    if (!range) {
+        return null;
+    }
+
+    // Clamp to the slider range and keep at least one step between black and white points
+    let min = Math.max(settings.rangeMin, Math.min(settings.rangeMax, range.min));
+    let max = Math.max(settings.rangeMin, Math.min(settings.rangeMax, range.max));
+    if (max - min < settings.step) {
+        max = Math.min(settings.rangeMax, min + settings.step);
+        min = max - settings.step;
+    }
+
+    setChannelContrast(channelIndex, min, max);
+    log(`Channel ${channelIndex} auto-contrast [${min}, ${max}] from ${region.width}x${region.height} px at level ${region.level}`);
+    return [min, max];
+}
+
+/**
+ * Auto-contrast all visible channels from the current viewport
+ * @returns {Promise<Array>} Per-channel [min, max] (null for skipped channels)
+ */
+function autoContrast() {
+    return Promise.all(state.channelSettings.map((settings, idx) =>
+        settings.visible ? autoContrastChannel(idx) : Promise.resolve(null)));
+}
+
+/**
+ * Set a channel's lookup table
+ * @param {number} channelIndex - Channel index (0-based)
+ * @param {string} colormap - Colormap id ('viridis', 'magma', 'inferno', 'fire',
+ *   'grays', 'inverted-grays') or 'color' for a solid color ramp
+ * @param {string} [color] - Hex color (e.g. 'FF00FF') for the solid color ramp
+ */
+function setChannelColormap(channelIndex, colormap, color) {
+    const colormaps = window.evostitch.zarrColormaps;
+    if (channelIndex < 0 || channelIndex >= state.channelSettings.length) {
+        return;
+    }
+    if (colormap !== colormaps.SOLID_COLOR && !colormaps.isColormap(colormap)) {
+        console.warn(`[evostitch] ZarrViewer: unknown colormap "${colormap}"`);
+        return;
+    }
+    const settings = state.channelSettings[channelIndex];
+    settings.colormap = colormap;
+    if (color !== undefined) {
+        settings.color = colormaps.rgbToHex(colormaps.hexToRgb(color));
+    }
+    const item = elements.channelList?.querySelectorAll('.channel-item')[channelIndex];
+    if (item) {
+        syncColormapControls(item, settings);
+    }
+    updateLayer();
+    log(`Channel ${channelIndex} colormap set to ${colormap}`);
+}
+
 /**
  * Reset all channels to default settings
  */
@@ -1507,29 +2578,2929 @@ function resetChannels() {
         settings.visible = true;
         settings.min = settings.defaultMin;
         settings.max = settings.defaultMax;
+        settings.colormap = settings.defaultColormap;
+        settings.color = settings.defaultColor;
     });
     // Update UI sliders
     const sliders = elements.channelList?.querySelectorAll('.channel-item');
     sliders?.forEach((item, idx) => {
-        const inputs = item.querySelectorAll('.channel-slider');
-        const values = item.querySelectorAll('.channel-slider-value');
         const checkbox = item.querySelector('.channel-visibility');
-        if (inputs[0]) {
-            inputs[0].value = state.channelSettings[idx].min;
-            values[0].textContent = state.channelSettings[idx].min;
-        }
-        if (inputs[1]) {
-            inputs[1].value = state.channelSettings[idx].max;
-            values[1].textContent = state.channelSettings[idx].max;
-        }
+        const settings = state.channelSettings[idx];
+        syncContrastSliders(item, settings);
         if (checkbox) {
             checkbox.checked = true;
         }
+        syncColormapControls(item, settings);
     });
     updateLayer();
     log('All channels reset to defaults');
 }
 
+// ========== Annotations ==========
+
+/**
+ * Set the deck.gl layers: the image layer with the depth map, focus peaking,
+ * label image, annotation, ruler and export region overlays on top
+ */
+function renderLayers() {
+    if (!state.deck) return;
+    state.deck.setProps({
+        layers: [state.imageLayer, state.depthLayer, state.peakingLayer, ...state.labelLayers, ...buildAnnotationLayers(), ...buildMeasureLayers(), ...buildTiffRegionLayers()].filter(Boolean)
+    });
+}
+
+/**
+ * Build the annotation overlay layers for the current Z/T: annotations, the
+ * shape being drawn, labels and (select tool) vertex handles of the selection
+ * @returns {Array} deck.gl layers
+ */
+function buildAnnotationLayers() {
+    const annotationsApi = window.evostitch.zarrAnnotations;
+    const visible = annotationsApi.onPlane(state.annotations, state.currentZ, state.currentT);
+    const colorOf = (a) => a.id === state.selectedAnnotationId ? ANNOTATION_SELECTED_COLOR : ANNOTATION_COLOR;
+
+    const layers = [
+        new GeoJsonLayer({
+            id: 'annotation-layer',
+            data: visible.map(a => ({ type: 'Feature', geometry: annotationsApi.toGeometry(a), properties: a })),
+            pickable: true,
+            stroked: true,
+            filled: true,
+            lineWidthUnits: 'pixels',
+            getLineWidth: 2,
+            pointRadiusUnits: 'pixels',
+            getPointRadius: 5,
+            getLineColor: f => colorOf(f.properties),
+            getFillColor: f => [...colorOf(f.properties), f.properties.shape === 'point' ? 255 : 40],
+            onClick: handleAnnotationLayerClick
+        }),
+        new TextLayer({
+            id: 'annotation-labels',
+            data: visible.filter(a => a.label),
+            getPosition: a => annotationsApi.getVertices(a)[0],
+            getText: a => a.label,
+            getColor: a => colorOf(a),
+            getSize: 13,
+            getTextAnchor: 'start',
+            getAlignmentBaseline: 'bottom',
+            getPixelOffset: [8, -6],
+            characterSet: 'auto',
+            fontFamily: 'IBM Plex Mono, monospace'
+        })
+    ];
+
+    const draft = getDraftAnnotation();
+    if (draft) {
+        layers.push(new GeoJsonLayer({
+            id: 'annotation-draft',
+            data: [{ type: 'Feature', geometry: annotationsApi.toGeometry(draft), properties: {} }],
+            stroked: true,
+            filled: true,
+            lineWidthUnits: 'pixels',
+            getLineWidth: 2,
+            pointRadiusUnits: 'pixels',
+            getPointRadius: 4,
+            getLineColor: ANNOTATION_SELECTED_COLOR,
+            getFillColor: [...ANNOTATION_SELECTED_COLOR, 40]
+        }));
+    }
+
+    const selected = state.annotationTool === 'select' && visible.find(a => a.id === state.selectedAnnotationId);
+    if (selected) {
+        layers.push(new ScatterplotLayer({
+            id: 'annotation-handles',
+            data: annotationsApi.getVertices(selected).map((position, index) => ({ position, index })),
+            pickable: true,
+            radiusUnits: 'pixels',
+            getRadius: 6,
+            stroked: true,
+            lineWidthUnits: 'pixels',
+            getLineWidth: 2,
+            getPosition: d => d.position,
+            getFillColor: [255, 255, 255],
+            getLineColor: ANNOTATION_SELECTED_COLOR,
+            // Dragging a handle moves the vertex; stopping propagation keeps
+            // the view controller from panning
+            onDragStart: (info, event) => {
+                state.annotationDrag = { id: selected.id, index: info.object.index };
+                event.stopImmediatePropagation();
+                return true;
+            },
+            onDrag: (info, event) => {
+                const annotation = findAnnotation(state.annotationDrag?.id);
+                if (!annotation || !info.coordinate) return false;
+                annotationsApi.moveVertex(annotation, state.annotationDrag.index, info.coordinate);
+                renderLayers();
+                event.stopImmediatePropagation();
+                return true;
+            },
+            onDragEnd: (info, event) => {
+                if (!state.annotationDrag) return false;
+                state.annotationDrag = null;
+                saveAnnotations();
+                event.stopImmediatePropagation();
+                return true;
+            }
+        }));
+    }
+
+    return layers;
+}
+
+/**
+ * The shape being drawn, with the cursor as its next vertex
+ * @returns {Object|null} Annotation-like object for rendering
+ */
+function getDraftAnnotation() {
+    const draft = state.annotationDraft;
+    if (!draft) return null;
+    const coordinates = draft.cursor ? [...draft.coordinates, draft.cursor] : draft.coordinates;
+    // Polygons render as an open path until they have three vertices
+    const shape = draft.shape === 'polygon' && coordinates.length < 3 ? 'line' : draft.shape;
+    return window.evostitch.zarrAnnotations.createAnnotation(shape, coordinates) ||
+        window.evostitch.zarrAnnotations.createAnnotation('point', coordinates);
+}
+
+/**
+ * Find an annotation by id
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+function findAnnotation(id) {
+    return state.annotations.find(a => a.id === id);
+}
+
+/**
+ * Persist the dataset's annotations to localStorage
+ */
+function saveAnnotations() {
+    if (state.zarrStoreUrl) {
+        window.evostitch.zarrAnnotations.save(state.zarrStoreUrl, state.annotations);
+    }
+}
+
+/**
+ * Choose the annotation tool. Choosing the active tool again returns to panning.
+ * @param {string|null} tool - 'select', a shape name, or null to pan
+ */
+function setAnnotationTool(tool) {
+    state.annotationTool = tool === state.annotationTool ? null : tool;
+    if (state.annotationTool && state.measureSession?.isActive()) {
+        state.measureSession.setActive(false);
+    }
+    if (state.annotationTool) cancelTiffRegionDraw();
+    state.annotationDraft = null;
+    if (state.annotationTool !== 'select') {
+        state.selectedAnnotationId = null;
+    }
+    elements.annotationControls?.querySelectorAll('[data-tool]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tool === state.annotationTool);
+    });
+    renderLayers();
+    log('Annotation tool: ' + (state.annotationTool || 'pan'));
+}
+
+/**
+ * Select tool: click an annotation to select it, double-click to edit its label
+ * @returns {boolean} Whether the click was handled
+ */
+function handleAnnotationLayerClick(info, event) {
+    if (state.annotationTool !== 'select' || !info.object) return false;
+    const annotation = info.object.properties;
+    state.selectedAnnotationId = annotation.id;
+    if (event.type === 'dblclick') {
+        // Keep the controller from zooming on the double-click
+        event.stopImmediatePropagation();
+        editAnnotationLabel(annotation.id);
+    }
+    renderLayers();
+    return true;
+}
+
+/**
+ * Clicks on the image (not on an annotation in select mode): add vertices with
+ * a drawing tool, or clear the selection
+ */
+function handleAnnotationClick(info, event) {
+    if (!state.annotationTool || !info.coordinate) return;
+
+    if (state.annotationTool === 'select') {
+        if (state.selectedAnnotationId !== null) {
+            state.selectedAnnotationId = null;
+            renderLayers();
+        }
+        return;
+    }
+
+    // Double-clicks finish polygons instead of zooming
+    if (event.type === 'dblclick') {
+        event.stopImmediatePropagation();
+    }
+
+    const point = [info.coordinate[0], info.coordinate[1]];
+    const shape = state.annotationTool;
+    const draft = state.annotationDraft;
+
+    if (shape === 'point') {
+        addAnnotation('point', [point]);
+    } else if (!draft) {
+        state.annotationDraft = { shape, coordinates: [point], cursor: null };
+    } else if (shape === 'polygon') {
+        const first = draft.coordinates[0];
+        const scale = Math.pow(2, state.viewState.zoom);
+        const nearFirst = Math.hypot(point[0] - first[0], point[1] - first[1]) * scale <= ANNOTATION_CLOSE_RADIUS_PX;
+        if (!nearFirst) {
+            draft.coordinates.push(point);
+        }
+        if ((nearFirst || event.type === 'dblclick') && draft.coordinates.length >= 3) {
+            finishAnnotationDraft();
+            return;
+        }
+    } else {
+        // Line and rectangle: the second click completes the shape
+        draft.coordinates.push(point);
+        finishAnnotationDraft();
+        return;
+    }
+    renderLayers();
+}
+
+/**
+ * Follow the mouse with the shape being drawn
+ * @param {number} screenX - Mouse X relative to the viewer
+ * @param {number} screenY - Mouse Y relative to the viewer
+ */
+function updateAnnotationDraftCursor(screenX, screenY) {
+    if (!state.annotationDraft || !state.viewState) return;
+    state.annotationDraft.cursor = screenToImage(screenX, screenY);
+    renderLayers();
+}
+
+/**
+ * Turn the shape being drawn into an annotation on the current Z/T
+ */
+function finishAnnotationDraft() {
+    const draft = state.annotationDraft;
+    state.annotationDraft = null;
+    if (!draft || !addAnnotation(draft.shape, draft.coordinates)) {
+        renderLayers();
+    }
+}
+
+/**
+ * Cancel drawing, or clear the selection if nothing is being drawn
+ */
+function cancelAnnotationDraft() {
+    if (state.annotationDraft) {
+        state.annotationDraft = null;
+    } else {
+        state.selectedAnnotationId = null;
+    }
+    renderLayers();
+}
+
+/**
+ * Add an annotation
+ * @param {string} shape - 'point' | 'line' | 'rectangle' | 'polygon'
+ * @param {Array} coordinates - [[x, y], ...] in image pixels (rectangle: two opposite corners)
+ * @param {Object} [options] - { z, t, label } (default: current Z/T)
+ * @returns {Object|null} The annotation, or null if the shape is invalid
+ */
+function addAnnotation(shape, coordinates, options = {}) {
+    const annotation = window.evostitch.zarrAnnotations.createAnnotation(shape, coordinates, {
+        z: state.currentZ,
+        t: state.currentT,
+        ...options
+    });
+    if (!annotation) return null;
+    state.annotations.push(annotation);
+    saveAnnotations();
+    renderLayers();
+    log(`Annotation added: ${shape} at Z=${annotation.z}, T=${annotation.t}`);
+    return annotation;
+}
+
+/**
+ * Remove an annotation
+ * @param {string} id
+ * @returns {boolean} Whether an annotation was removed
+ */
+function removeAnnotation(id) {
+    const idx = state.annotations.findIndex(a => a.id === id);
+    if (idx < 0) return false;
+    state.annotations.splice(idx, 1);
+    if (state.selectedAnnotationId === id) {
+        state.selectedAnnotationId = null;
+    }
+    saveAnnotations();
+    renderLayers();
+    return true;
+}
+
+/**
+ * Remove the selected annotation
+ */
+function deleteSelectedAnnotation() {
+    if (state.selectedAnnotationId !== null) {
+        removeAnnotation(state.selectedAnnotationId);
+    }
+}
+
+/**
+ * Prompt for an annotation's label
+ * @param {string} id
+ */
+function editAnnotationLabel(id) {
+    const annotation = findAnnotation(id);
+    if (!annotation) return;
+    const label = window.prompt('Annotation label', annotation.label);
+    if (label !== null) {
+        annotation.label = label.trim();
+        saveAnnotations();
+        renderLayers();
+    }
+}
+
+/**
+ * Get all annotations (copies)
+ * @returns {Array} [{ id, shape, coordinates, z, t, label }] in image pixels
+ */
+function getAnnotations() {
+    return state.annotations.map(a => ({ ...a, coordinates: a.coordinates.map(p => [...p]) }));
+}
+
+/**
+ * Remove all annotations for the dataset
+ */
+function clearAnnotations() {
+    state.annotations = [];
+    state.selectedAnnotationId = null;
+    state.annotationDraft = null;
+    saveAnnotations();
+    renderLayers();
+}
+
+/**
+ * Export annotations as GeoJSON (image pixel coordinates, µm measurements)
+ * @returns {Object} FeatureCollection
+ */
+function exportAnnotations() {
+    return window.evostitch.zarrAnnotations.toGeoJSON(state.annotations,
+        { x: state.pixelSizeX, y: state.pixelSizeY });
+}
+
+/**
+ * Import annotations from GeoJSON. Features without z/t properties go on the
+ * current plane.
+ * @param {Object|string} geojson - GeoJSON object or text
+ * @returns {Object} { added, skipped }
+ */
+function importAnnotations(geojson) {
+    const parsed = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+    const result = window.evostitch.zarrAnnotations.fromGeoJSON(parsed,
+        { z: state.currentZ, t: state.currentT });
+    state.annotations.push(...result.annotations);
+    saveAnnotations();
+    renderLayers();
+    log(`Imported ${result.annotations.length} annotations (${result.skipped} skipped)`);
+    return { added: result.annotations.length, skipped: result.skipped };
+}
+
+/**
+ * Download the annotations as a .geojson file named after the dataset
+ */
+function downloadAnnotations() {
+    const blob = new Blob([JSON.stringify(exportAnnotations(), null, 2)], { type: 'application/geo+json' });
+    window.evostitch.figureExport.download(blob, `${getDatasetName()}-annotations.geojson`);
+}
+
+/**
+ * Dataset name for downloaded files (last path segment of the store URL)
+ * @returns {string}
+ */
+function getDatasetName() {
+    if (state.plate && state.plateWell) {
+        const plateName = state.plate.name || state.plate.url.split('/').filter(Boolean).pop();
+        const { well, field } = state.plateWell;
+        return `${plateName}-${window.evostitch.zarrPlate.wellName(well)}-f${field + 1}`;
+    }
+    if (state.series) {
+        const containerName = state.seriesContainer.split('/').filter(Boolean).pop();
+        return state.seriesIndex > 0 ? `${containerName}-s${state.seriesIndex}` : containerName;
+    }
+    return (state.zarrStoreUrl || 'dataset').replace(/\/0\/?$/, '').split('/').filter(Boolean).pop();
+}
+
+/**
+ * Channel name from the omero metadata
+ * @param {number} c - Channel index
+ * @returns {string}
+ */
+function getChannelName(c) {
+    return state.metadata?.omero?.channels?.[c]?.label || `Channel ${c + 1}`;
+}
+
+
+/**
+ * Wire the annotation toolbar (tools, export, import)
+ */
+function setupAnnotationControls() {
+    const controls = elements.annotationControls;
+    if (!controls) return;
+
+    controls.querySelectorAll('[data-tool]').forEach(btn => {
+        btn.addEventListener('click', () => setAnnotationTool(btn.dataset.tool));
+    });
+    document.getElementById('annotation-export-btn')?.addEventListener('click', downloadAnnotations);
+
+    const input = elements.annotationImportInput;
+    document.getElementById('annotation-import-btn')?.addEventListener('click', () => input?.click());
+    input?.addEventListener('change', async () => {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+        try {
+            const { added, skipped } = importAnnotations(await file.text());
+            if (skipped > 0) {
+                showErrorBanner(`Imported ${added} annotations; skipped ${skipped} unsupported features`);
+            }
+        } catch (e) {
+            console.error('[evostitch] Annotation import failed:', e);
+            showErrorBanner('Annotation import failed: ' + e.message);
+        }
+    });
+}
+
+// ========== Measurements ==========
+
+/**
+ * Route clicks on the image: export region corners while drawing one, ruler
+ * points while measuring, else annotation tools
+ */
+function handleViewerClick(info, event) {
+    if (state.tiffRegionDraft) {
+        handleTiffRegionClick(info, event);
+    } else if (state.measureSession?.isActive()) {
+        handleMeasureClick(info, event);
+    } else {
+        handleAnnotationClick(info, event);
+    }
+}
+
+/**
+ * Ruler mode: clicks add points, a double-click finishes a polyline or area
+ */
+function handleMeasureClick(info, event) {
+    if (!info.coordinate) return;
+    if (event.type === 'dblclick') {
+        // Finish instead of zooming
+        event.stopImmediatePropagation();
+        state.measureSession.addPoint(info.coordinate);
+        state.measureSession.finish();
+        return;
+    }
+    state.measureSession.addPoint(info.coordinate);
+}
+
+/**
+ * Follow the mouse with the measurement being drawn
+ * @param {number} screenX - Mouse X relative to the viewer
+ * @param {number} screenY - Mouse Y relative to the viewer
+ */
+function updateMeasureCursor(screenX, screenY) {
+    if (!state.measureSession?.isActive() || !state.viewState) return;
+    state.measureSession.setCursor(screenToImage(screenX, screenY));
+}
+
+/**
+ * Build the ruler overlay: finished measurements with their values, and the
+ * one being drawn
+ * @returns {Array} deck.gl layers
+ */
+function buildMeasureLayers() {
+    const session = state.measureSession;
+    if (!session?.isActive()) return [];
+
+    const toGeometry = (mode, points) => {
+        if (points.length === 1) return { type: 'Point', coordinates: points[0] };
+        if (mode === 'area' && points.length >= 3) {
+            return { type: 'Polygon', coordinates: [[...points, points[0]]] };
+        }
+        return { type: 'LineString', coordinates: points };
+    };
+    const measurements = session.getMeasurements();
+    const features = measurements.map(m => ({ type: 'Feature', geometry: toGeometry(m.mode, m.points) }));
+    const draftPoints = session.getDraftPoints();
+    if (draftPoints.length > 0) {
+        features.push({ type: 'Feature', geometry: toGeometry(session.getMode(), draftPoints) });
+    }
+    const vertices = [...measurements.flatMap(m => m.points), ...draftPoints];
+
+    return [
+        new GeoJsonLayer({
+            id: 'measure-layer',
+            data: features,
+            stroked: true,
+            filled: true,
+            lineWidthUnits: 'pixels',
+            getLineWidth: 2,
+            pointRadiusUnits: 'pixels',
+            getPointRadius: 3,
+            getLineColor: MEASURE_COLOR,
+            getFillColor: [...MEASURE_COLOR, 40]
+        }),
+        new ScatterplotLayer({
+            id: 'measure-vertices',
+            data: vertices,
+            radiusUnits: 'pixels',
+            getRadius: 3,
+            getPosition: p => p,
+            getFillColor: MEASURE_COLOR
+        }),
+        new TextLayer({
+            id: 'measure-labels',
+            data: measurements,
+            getPosition: m => m.points[m.points.length - 1],
+            getText: m => window.evostitch.measureTools.format(m),
+            getColor: MEASURE_COLOR,
+            getSize: 13,
+            getTextAnchor: 'start',
+            getAlignmentBaseline: 'bottom',
+            getPixelOffset: [8, -6],
+            characterSet: 'auto',
+            fontFamily: 'IBM Plex Mono, monospace'
+        })
+    ];
+}
+
+/**
+ * Turn the ruler on with a tool, or off. Turning it on leaves annotation tools.
+ * @param {string|null} mode - 'distance' | 'polyline' | 'area' | 'angle', or null for off
+ */
+function setMeasureTool(mode) {
+    const session = state.measureSession;
+    if (!session) return;
+    if (mode) {
+        if (state.annotationTool) setAnnotationTool(null);
+        cancelTiffRegionDraw();
+        session.setMode(mode);
+        session.setActive(true);
+    } else {
+        session.setActive(false);
+    }
+    log('Measure tool: ' + (mode || 'off'));
+}
+
+/**
+ * Measurements in µm (pixel sizes from the OME-Zarr metadata, per axis)
+ * @returns {Array} [{ id, mode, points, value, unit, z, t }, ...]
+ */
+function getMeasurements() {
+    return state.measureSession?.getMeasurements() || [];
+}
+
+/**
+ * Create the ruler session and wire the measure button and results panel
+ */
+function setupMeasureTools() {
+    const tools = window.evostitch.measureTools;
+    let renderPanel = null;
+    state.measureSession = tools.createSession({
+        getPixelSize: () => ({ x: state.pixelSizeX, y: state.pixelSizeY }),
+        getPlane: () => (state.tCount > 1 ? { z: state.currentZ, t: state.currentT } : { z: state.currentZ }),
+        onChange: () => {
+            elements.measureBtn?.classList.toggle('active', state.measureSession.isActive());
+            renderPanel();
+            renderLayers();
+        }
+    });
+    renderPanel = tools.bindPanel(document.getElementById('measure-panel'), state.measureSession);
+    renderPanel();
+
+    elements.measureBtn?.addEventListener('click', () => {
+        setMeasureTool(state.measureSession.isActive() ? null : state.measureSession.getMode());
+    });
+}
+
+// ========== Orthogonal views ==========
+
+/**
+ * Panel geometry for the current view. Z is drawn at the main view's scale
+ * (pixelSizeZ against the X or Y pixel size); thin stacks are stretched to
+ * ORTHO_MIN_PANEL_PX and deep ones show a window of planes around the current Z.
+ * @returns {Object|null} { scale, viewMinX, viewMinY, xz, yz } where each panel
+ *   is { size, pxPerPlane, exaggeration, zStart, zEnd, range: { min, max } }
+ */
+function getOrthoLayout() {
+    if (!state.viewState || !elements.viewer) return null;
+    const width = elements.viewer.offsetWidth;
+    const height = elements.viewer.offsetHeight;
+    const scale = Math.pow(2, state.viewState.zoom);
+
+    const panel = (axisPixelSize) => {
+        let pxPerPlane = state.pixelSizeZ * scale / axisPixelSize;
+        let exaggeration = 1;
+        if (state.zCount * pxPerPlane < ORTHO_MIN_PANEL_PX) {
+            exaggeration = ORTHO_MIN_PANEL_PX / state.zCount / pxPerPlane;
+            pxPerPlane = ORTHO_MIN_PANEL_PX / state.zCount;
+        } else if (pxPerPlane > ORTHO_MAX_PANEL_PX) {
+            exaggeration = ORTHO_MAX_PANEL_PX / pxPerPlane;
+            pxPerPlane = ORTHO_MAX_PANEL_PX;
+        }
+        const planes = Math.min(state.zCount, Math.max(1, Math.floor(ORTHO_MAX_PANEL_PX / pxPerPlane)));
+        const zStart = Math.max(0, Math.min(state.zCount - planes, state.currentZ - Math.floor(planes / 2)));
+        return { size: Math.round(planes * pxPerPlane), pxPerPlane, exaggeration, zStart, zEnd: zStart + planes };
+    };
+
+    const xz = panel(state.pixelSizeX);
+    const yz = panel(state.pixelSizeY);
+    const viewMinX = state.viewState.target[0] - width / 2 / scale;
+    const viewMinY = state.viewState.target[1] - height / 2 / scale;
+    // XZ spans the viewer left of the YZ panel, YZ the viewer above the XZ panel
+    xz.range = { min: viewMinX, max: viewMinX + (width - yz.size) / scale };
+    yz.range = { min: viewMinY, max: viewMinY + (height - xz.size) / scale };
+    return { scale, viewMinX, viewMinY, xz, yz };
+}
+
+/**
+ * Follow the cursor: the slices pass through the image point under it
+ * @param {number} screenX - Mouse X relative to the viewer
+ * @param {number} screenY - Mouse Y relative to the viewer
+ */
+function updateOrthoPosition(screenX, screenY) {
+    if (!state.orthoEnabled || !state.viewState) return;
+    state.orthoPosition = screenToImage(screenX, screenY);
+    scheduleOrthoUpdate();
+}
+
+/**
+ * Re-read the slices once the cursor and view have settled
+ */
+function scheduleOrthoUpdate() {
+    if (!state.orthoEnabled) return;
+    if (state.orthoTimerId !== null) {
+        clearTimeout(state.orthoTimerId);
+    }
+    state.orthoTimerId = setTimeout(() => {
+        state.orthoTimerId = null;
+        updateOrthoViews();
+    }, ORTHO_SETTLE_MS);
+}
+
+/**
+ * Read the XZ and YZ slices through the cursor position for each visible
+ * channel (all planes in the panel's Z window, current T), then draw them.
+ * Slices whose line, range, Z window and T are unchanged are reused.
+ * @returns {Promise<void>}
+ */
+async function updateOrthoViews() {
+    const loaderData = state.loader?.data || state.loader;
+    const layout = getOrthoLayout();
+    if (!state.orthoEnabled || !loaderData || !layout) return;
+
+    state.orthoAbort?.abort();
+    const controller = new AbortController();
+    state.orthoAbort = controller;
+
+    const position = state.orthoPosition || [state.viewState.target[0], state.viewState.target[1]];
+    const orthoApi = window.evostitch.zarrOrtho;
+
+    await Promise.all(['xz', 'yz'].map(async (axis) => {
+        const panel = layout[axis];
+        const linePosition = Math.floor(axis === 'xz' ? position[1] : position[0]);
+        const key = [linePosition, Math.round(panel.range.min), Math.round(panel.range.max),
+            panel.zStart, panel.zEnd, state.currentT, panel.size].join('|');
+        const cached = state.orthoSlices[axis];
+        const channels = cached?.key === key ? cached.channels : [];
+
+        try {
+            for (let idx = 0; idx < state.channelSettings.length; idx++) {
+                if (!state.channelSettings[idx].visible || channels[idx]) continue;
+                channels[idx] = await orthoApi.readSlice(loaderData, {
+                    axis,
+                    position: linePosition,
+                    range: panel.range,
+                    zStart: panel.zStart,
+                    zEnd: panel.zEnd,
+                    selection: getChannelSelection(idx),
+                    // About one sample per screen pixel
+                    maxSamples: Math.max(1, Math.round((panel.range.max - panel.range.min) * layout.scale)),
+                    signal: controller.signal
+                });
+                if (controller.signal.aborted) return;
+            }
+        } catch (e) {
+            if (!controller.signal.aborted) {
+                log(`Ortho ${axis.toUpperCase()} read failed: ${e.message}`);
+            }
+            return;
+        }
+        state.orthoSlices[axis] = { key, position: linePosition, channels };
+    }));
+
+    if (!controller.signal.aborted) {
+        drawOrthoViews();
+    }
+}
+
+/**
+ * Composite the cached slices with the current channel contrast and
+ * colormaps into the panel canvases
+ */
+function drawOrthoViews() {
+    if (!state.orthoEnabled) return;
+    [['xz', elements.orthoXZ], ['yz', elements.orthoYZ]].forEach(([axis, panel]) => {
+        const canvas = panel?.querySelector('.ortho-canvas');
+        const cached = state.orthoSlices[axis];
+        if (!canvas || !cached) return;
+
+        const slices = [];
+        const settings = [];
+        state.channelSettings.forEach((s, idx) => {
+            if (s.visible && cached.channels[idx]) {
+                slices.push(cached.channels[idx]);
+                settings.push(s);
+            }
+        });
+        const rgba = window.evostitch.zarrOrtho.composite(slices, settings);
+        if (!rgba) {
+            canvas.width = 0;
+            return;
+        }
+        canvas.width = slices[0].width;
+        canvas.height = slices[0].height;
+        canvas.getContext('2d').putImageData(new ImageData(rgba, canvas.width, canvas.height), 0, 0);
+    });
+    positionOrthoViews();
+}
+
+/**
+ * Size the panels and place the slice images and markers for the current
+ * view, so the panels follow panning and zooming between reads
+ */
+function positionOrthoViews() {
+    if (!state.orthoEnabled) return;
+    const layout = getOrthoLayout();
+    if (!layout) return;
+
+    // Panel sizes also move the bottom and right-hand controls (see CSS)
+    document.body.style.setProperty('--ortho-xz-height', `${layout.xz.size}px`);
+    document.body.style.setProperty('--ortho-yz-width', `${layout.yz.size}px`);
+    elements.orthoXZ.style.height = `${layout.xz.size}px`;
+    elements.orthoXZ.style.right = `${layout.yz.size}px`;
+    elements.orthoYZ.style.width = `${layout.yz.size}px`;
+    elements.orthoYZ.style.bottom = `${layout.xz.size}px`;
+
+    [['xz', elements.orthoXZ], ['yz', elements.orthoYZ]].forEach(([axis, panel]) => {
+        const isXZ = axis === 'xz';
+        const geometry = layout[axis];
+        const cached = state.orthoSlices[axis];
+        const slice = cached?.channels.find(Boolean);
+        const canvas = panel.querySelector('.ortho-canvas');
+        canvas.style.display = slice ? '' : 'none';
+
+        if (slice) {
+            // Along the line: the slice's full-res extent on screen; across: its Z window
+            const lineStart = (slice.start * slice.downsample - (isXZ ? layout.viewMinX : layout.viewMinY)) * layout.scale;
+            const lineLength = (isXZ ? slice.width : slice.height) * slice.downsample * layout.scale;
+            const zOffset = (slice.zStart - geometry.zStart) * geometry.pxPerPlane;
+            const zLength = (slice.zEnd - slice.zStart) * geometry.pxPerPlane;
+            Object.assign(canvas.style, isXZ ?
+                { left: `${lineStart}px`, width: `${lineLength}px`, top: `${zOffset}px`, height: `${zLength}px` } :
+                { top: `${lineStart}px`, height: `${lineLength}px`, left: `${zOffset}px`, width: `${zLength}px` });
+        }
+
+        // Current Z, and where the other panel's slice crosses this one
+        const zMarker = panel.querySelector('.ortho-marker-z');
+        const zPos = `${(state.currentZ - geometry.zStart + 0.5) * geometry.pxPerPlane}px`;
+        zMarker.style[isXZ ? 'top' : 'left'] = zPos;
+
+        const crossMarker = panel.querySelector('.ortho-marker-cross');
+        const other = state.orthoSlices[isXZ ? 'yz' : 'xz'];
+        crossMarker.style.display = other ? '' : 'none';
+        if (other) {
+            const crossPos = ((other.position + 0.5) - (isXZ ? layout.viewMinX : layout.viewMinY)) * layout.scale;
+            crossMarker.style[isXZ ? 'left' : 'top'] = `${crossPos}px`;
+        }
+
+        const label = panel.querySelector('.ortho-label');
+        const um = cached ? cached.position * (isXZ ? state.pixelSizeY : state.pixelSizeX) : null;
+        label.textContent = (isXZ ? 'XZ' : 'YZ') +
+            (um !== null ? ` · ${isXZ ? 'Y' : 'X'} ${um.toFixed(1)} µm` : '') +
+            (Math.abs(geometry.exaggeration - 1) > 0.01 ? ` · Z ×${geometry.exaggeration.toFixed(1)}` : '');
+    });
+}
+
+/**
+ * Show or hide the orthogonal views (Z-stacks only)
+ * @param {boolean} enabled
+ */
+function setOrthoViews(enabled) {
+    state.orthoEnabled = !!enabled && state.zCount > 1;
+    document.body.classList.toggle('ortho-active', state.orthoEnabled);
+    elements.orthoBtn?.classList.toggle('active', state.orthoEnabled);
+    if (elements.orthoXZ) elements.orthoXZ.hidden = !state.orthoEnabled;
+    if (elements.orthoYZ) elements.orthoYZ.hidden = !state.orthoEnabled;
+
+    if (state.orthoEnabled) {
+        positionOrthoViews();
+        updateOrthoViews();
+    } else {
+        state.orthoAbort?.abort();
+        if (state.orthoTimerId !== null) {
+            clearTimeout(state.orthoTimerId);
+            state.orthoTimerId = null;
+        }
+        state.orthoSlices = { xz: null, yz: null };
+    }
+    log('Orthogonal views ' + (state.orthoEnabled ? 'on' : 'off'));
+}
+
+/**
+ * Click in a panel: center the main view on that X/Y and switch to that Z
+ * @param {string} axis - 'xz' | 'yz'
+ * @param {MouseEvent} e
+ */
+function handleOrthoClick(axis, e) {
+    const layout = getOrthoLayout();
+    const cached = state.orthoSlices[axis];
+    if (!layout || !cached) return;
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const px = e.clientX - rect.left;
+    const py = e.clientY - rect.top;
+    const geometry = layout[axis];
+    let x;
+    let y;
+    let z;
+    if (axis === 'xz') {
+        x = layout.viewMinX + px / layout.scale;
+        y = cached.position + 0.5;
+        z = geometry.zStart + Math.floor(py / geometry.pxPerPlane);
+    } else {
+        x = cached.position + 0.5;
+        y = layout.viewMinY + py / layout.scale;
+        z = geometry.zStart + Math.floor(px / geometry.pxPerPlane);
+    }
+
+    state.orthoPosition = [x, y];
+    state.viewState = { ...state.viewState, target: [x, y, 0] };
+    state.deck.setProps({ viewState: state.viewState });
+    updateScaleBar();
+    syncCompareView();
+    setZ(z);
+    positionOrthoViews();
+    scheduleOrthoUpdate();
+}
+
+/**
+ * Wire the ortho button and panel clicks
+ */
+function setupOrthoViews() {
+    elements.orthoBtn?.addEventListener('click', () => setOrthoViews(!state.orthoEnabled));
+    elements.orthoXZ?.addEventListener('click', (e) => handleOrthoClick('xz', e));
+    elements.orthoYZ?.addEventListener('click', (e) => handleOrthoClick('yz', e));
+}
+
+// ========== Z projection ==========
+
+/**
+ * Pixel sources the image layer, histograms and auto-contrast read: the
+ * projected sources while a projection is on, else the loader's
+ * @returns {Array|null}
+ */
+function getDisplayLoaderData() {
+    return state.projectedLoaderData || state.loader?.data || state.loader;
+}
+
+/**
+ * The loader's pixel sources behind the decoded tile cache, for sources
+ * derived from them (projection, depth map, focus peaking): the planes they
+ * read are shared with the image layer instead of fetched and decoded again
+ * @returns {Array|null}
+ */
+function getCachedLoaderData() {
+    return window.evostitch.zarrTileCache.wrapLoader(state.loader?.data || state.loader);
+}
+
+/**
+ * Set the Z projection (render mode). Each tile becomes the max, min or mean
+ * of that tile over ±radius planes around the current Z (or the whole stack),
+ * or its all-in-focus composite ('edf', computed in the compute worker). The
+ * planes are read through the loader like any other plane and warmed by the
+ * prefetch engine.
+ * @param {string|null} mode - 'max' | 'min' | 'mean' | 'edf', or null for the single plane
+ * @param {number} [radius] - Planes on each side of the current Z; Infinity for the full stack
+ */
+function setProjection(mode, radius) {
+    const projectionApi = window.evostitch.zarrProjection;
+    if (radius !== undefined) {
+        state.projection.radius = radius === Infinity ?
+            Infinity : Math.max(1, Math.min(state.zCount, Math.round(radius) || 1));
+    }
+
+    const enabled = state.zCount > 1 && projectionApi.MODES.includes(mode);
+    state.projectedLoaderData = enabled ?
+        projectionApi.createProjectedSources(getCachedLoaderData(), { mode, radius: state.projection.radius }) : null;
+    state.projection.mode = state.projectedLoaderData ? mode : null;
+
+    window.evostitch?.zarrPrefetch?.setZWindow(state.projection.mode ? state.projection.radius : 0);
+    updateProjectionUI();
+    updateLayer();
+    scheduleHistogramUpdate();
+    log('Projection: ' + (state.projection.mode ?
+        `${state.projection.mode}, ±${state.projection.radius} planes` : 'off'));
+}
+
+/**
+ * Step through off → max → min → mean → EDF (P key)
+ */
+function cycleProjectionMode() {
+    const modes = [null, ...window.evostitch.zarrProjection.MODES];
+    setProjection(modes[(modes.indexOf(state.projection.mode) + 1) % modes.length]);
+}
+
+/**
+ * Sync the projection controls and the Z-slider window with the state
+ */
+function updateProjectionUI() {
+    const { mode, radius } = state.projection;
+    if (elements.projectionMode) {
+        elements.projectionMode.value = mode || '';
+    }
+    if (elements.projectionAll) {
+        elements.projectionAll.checked = radius === Infinity;
+    }
+    if (elements.projectionRadius) {
+        elements.projectionRadius.max = state.zCount;
+        elements.projectionRadius.disabled = radius === Infinity;
+        if (radius !== Infinity) {
+            elements.projectionRadius.value = radius;
+        }
+    }
+    updateZWindow();
+}
+
+/**
+ * Show the projected planes on the Z-slider: a highlighted band on the track
+ * and the plane range next to it
+ */
+function updateZWindow() {
+    if (!elements.zSlider) return;
+    const { mode, radius } = state.projection;
+    if (elements.zWindowLabel) {
+        elements.zWindowLabel.hidden = !mode;
+    }
+    if (!mode) {
+        elements.zSlider.style.removeProperty('--z-track');
+        return;
+    }
+
+    const projectionApi = window.evostitch.zarrProjection;
+    const range = projectionApi.getWindow(state.currentZ, state.zCount, radius);
+    const span = Math.max(1, state.zCount - 1);
+    const start = (range.zStart / span * 100).toFixed(1);
+    const end = ((range.zEnd - 1) / span * 100).toFixed(1);
+    elements.zSlider.style.setProperty('--z-track', `linear-gradient(to right, #444 ${start}%, ` +
+        `var(--accent) ${start}%, var(--accent) ${end}%, #444 ${end}%)`);
+    if (elements.zWindowLabel) {
+        elements.zWindowLabel.textContent =
+            `${projectionApi.MODE_LABELS[mode]} ${range.zStart + 1}–${range.zEnd}`;
+    }
+}
+
+/**
+ * Wire the projection controls in the channel panel
+ */
+function setupProjectionControls() {
+    elements.projectionMode?.addEventListener('change', () => {
+        setProjection(elements.projectionMode.value || null);
+    });
+    elements.projectionRadius?.addEventListener('change', () => {
+        setProjection(state.projection.mode, Number(elements.projectionRadius.value));
+    });
+    elements.projectionAll?.addEventListener('change', () => {
+        const radius = elements.projectionAll.checked ? Infinity : Number(elements.projectionRadius?.value) || 5;
+        setProjection(state.projection.mode, radius);
+    });
+}
+
+// ========== Depth map ==========
+
+/**
+ * Selection the depth map is computed for: the first visible channel at the
+ * current timepoint (Z is irrelevant, every plane is analysed)
+ * @returns {Object} Viv selection
+ */
+function getDepthSelection() {
+    const visible = state.channelSettings.findIndex(settings => settings.visible);
+    return { ...getChannelSelection(Math.max(0, visible)), z: 0 };
+}
+
+/**
+ * Build the depth map overlay: best-focus plane per pixel through the
+ * colormap, from the first plane (LUT start) to the last (LUT end)
+ * @returns {Object|null} MultiscaleImageLayer, or null while the overlay is off
+ */
+function buildDepthLayer() {
+    if (!state.depthMap.enabled || !state.depthMapData) return null;
+    const colormaps = window.evostitch.zarrColormaps;
+    return new MultiscaleImageLayer({
+        id: 'depth-layer',
+        loader: state.depthMapData.sources,
+        selections: [getDepthSelection()],
+        contrastLimits: [[0, Math.max(1, state.depthMapData.zCount - 1)]],
+        colors: [[255, 255, 255]],
+        channelsVisible: [true],
+        dtype: 'Uint16',
+        extensions: channelLutExtensions,
+        channelLuts: colormaps.buildLutUniform([
+            { visible: true, colormap: window.evostitch.zarrDepthMap.CONFIG.colormap }
+        ]),
+        opacity: state.depthMap.opacity,
+        refinementStrategy: 'best-available'
+    });
+}
+
+/**
+ * Best-focus depth under a full-res pixel, once its depth tile has loaded
+ * @param {number} x - Full-res x
+ * @param {number} y - Full-res y
+ * @returns {number|null} Depth in µm, or null (overlay off or not computed yet)
+ */
+function getDepthAt(x, y) {
+    if (!state.depthMap.enabled || !state.depthMapData) return null;
+    const z = state.depthMapData.depthAt(x, y, getDepthSelection());
+    return z === null ? null : z * state.pixelSizeZ;
+}
+
+/**
+ * Depth suffix for the coordinate display
+ * @param {number} x - Full-res x
+ * @param {number} y - Full-res y
+ * @returns {string} e.g. ", Depth: 12.5 µm", or '' when unknown
+ */
+function formatDepthAt(x, y) {
+    const depth = getDepthAt(x, y);
+    return depth === null ? '' : `, Depth: ${depth.toFixed(1)} µm`;
+}
+
+/**
+ * Show or hide the depth map overlay (Z-stacks only). Each region is colored
+ * by the Z depth where it is sharpest across the whole stack.
+ * @param {boolean} enabled
+ * @param {number} [opacity] - Overlay opacity, 0-1
+ */
+function setDepthMap(enabled, opacity) {
+    if (opacity !== undefined) {
+        state.depthMap.opacity = Math.max(0, Math.min(1, Number(opacity) || 0));
+    }
+    state.depthMap.enabled = !!enabled && state.zCount > 1;
+    if (state.depthMap.enabled && !state.depthMapData) {
+        state.depthMapData = window.evostitch.zarrDepthMap.createDepthMap(getCachedLoaderData());
+        state.depthMap.enabled = !!state.depthMapData;
+    }
+
+    updateDepthMapUI();
+    state.depthLayer = buildDepthLayer();
+    renderLayers();
+    log('Depth map ' + (state.depthMap.enabled ? `on, opacity ${state.depthMap.opacity}` : 'off'));
+}
+
+/**
+ * Sync the depth map button and legend (color ramp, depth range, opacity)
+ * with the state
+ */
+function updateDepthMapUI() {
+    const { enabled, opacity } = state.depthMap;
+    elements.depthBtn?.classList.toggle('active', enabled);
+    const legend = elements.depthLegend;
+    if (!legend) return;
+    legend.hidden = !enabled;
+    if (!enabled) return;
+
+    const colormap = window.evostitch.zarrDepthMap.CONFIG.colormap;
+    legend.querySelector('.depth-legend-bar').style.background =
+        window.evostitch.zarrColormaps.getSwatchBackground(colormap);
+    legend.querySelector('.depth-legend-min').textContent = '0.0 µm';
+    legend.querySelector('.depth-legend-max').textContent =
+        `${(Math.max(0, state.zCount - 1) * state.pixelSizeZ).toFixed(1)} µm`;
+    legend.querySelector('.depth-legend-opacity').value = opacity;
+}
+
+/**
+ * Wire the depth map button and the legend's opacity slider
+ */
+function setupDepthMap() {
+    elements.depthBtn?.addEventListener('click', () => setDepthMap(!state.depthMap.enabled));
+    elements.depthLegend?.querySelector('.depth-legend-opacity')?.addEventListener('input', (e) => {
+        setDepthMap(state.depthMap.enabled, e.target.value);
+    });
+}
+
+// ========== Focus peaking ==========
+
+/**
+ * Build the focus peaking overlay for the first visible channel at the
+ * current Z and T: gradient energy tinted from the channel's contrast window
+ * threshold up, transparent (black) below it. Rebuilt by updateLayer(), so it
+ * follows Z-switches after the render-opt debounce and contrast changes
+ * without refetching tiles.
+ * @returns {Object|null} MultiscaleImageLayer, or null while peaking is off
+ */
+function buildPeakingLayer() {
+    if (!state.focusPeaking.enabled || !state.peakingSources) return null;
+    const peaking = window.evostitch.zarrFocusPeaking;
+    const visible = Math.max(0, state.channelSettings.findIndex(settings => settings.visible));
+    const settings = state.channelSettings[visible];
+    const channelLimits = settings ? [settings.min, settings.max] :
+        window.evostitch.zarrMetadata.getDefaultContrast(state.dtype, undefined, state.channelDataRanges[visible]);
+    return new MultiscaleImageLayer({
+        id: 'peaking-layer',
+        loader: state.peakingSources,
+        selections: [getChannelSelection(visible)],
+        contrastLimits: [peaking.getPeakingLimits(channelLimits, state.focusPeaking.threshold)],
+        colors: [peaking.CONFIG.color],
+        channelsVisible: [true],
+        dtype: 'Float32',
+        opacity: peaking.CONFIG.opacity,
+        transparentColor: [0, 0, 0],
+        useTransparentColor: true,
+        refinementStrategy: 'best-available'
+    });
+}
+
+/**
+ * Show or hide the focus peaking overlay (Z-stacks only): a tint over the
+ * in-focus edges of the current plane, from the local gradient energy of the
+ * decoded chunks. Reads the plane itself, not the projection.
+ * @param {boolean} enabled
+ * @param {number} [threshold] - Energy where the tint starts, as a fraction
+ *   of the channel's contrast window (null restores the default)
+ */
+function setFocusPeaking(enabled, threshold) {
+    if (threshold !== undefined) {
+        state.focusPeaking.threshold = threshold === null ? null : Math.max(0, Number(threshold) || 0);
+    }
+    state.focusPeaking.enabled = !!enabled && state.zCount > 1;
+    if (state.focusPeaking.enabled && !state.peakingSources) {
+        state.peakingSources = window.evostitch.zarrFocusPeaking.createPeakingSources(getCachedLoaderData());
+        state.focusPeaking.enabled = !!state.peakingSources;
+    }
+
+    elements.peakingBtn?.classList.toggle('active', state.focusPeaking.enabled);
+    state.peakingLayer = buildPeakingLayer();
+    renderLayers();
+    log('Focus peaking ' + (state.focusPeaking.enabled ? 'on' : 'off'));
+}
+
+// ========== Label images ==========
+
+/**
+ * List the label images of a dataset (labels/.zattrs) and show a toggle for
+ * each in the channel panel. Runs in the background after loadZarr().
+ * @param {string} url - Store URL
+ * @returns {Promise<void>}
+ */
+async function discoverLabels(url) {
+    const token = state.labelsToken;
+    const names = await window.evostitch.zarrLabels.fetchLabelNames(url);
+    if (token !== state.labelsToken) return;
+    state.labels = names.map(name => ({ name, enabled: false, loading: false, imageLabel: null, data: null }));
+    renderLabelControls();
+    if (names.length > 0) log(`Label images: ${names.join(', ')}`);
+}
+
+/**
+ * Drop the previous dataset's label images (their sources wrap its store)
+ */
+function resetLabels() {
+    state.labelsToken++;
+    state.labels = [];
+    state.labelLayers = [];
+    renderLabelControls();
+}
+
+/**
+ * Build one overlay per enabled label image at the current Z and T: the
+ * label colors as three additive channels (red, green, blue), with black
+ * (background) transparent. Rebuilt by updateLayer(), like the other overlays.
+ * @returns {Object[]} MultiscaleImageLayers
+ */
+function buildLabelLayers() {
+    const labelsApi = window.evostitch.zarrLabels;
+    const opacity = state.labelOpacity === null ? labelsApi.CONFIG.opacity : state.labelOpacity;
+    return state.labels.filter(entry => entry.enabled && entry.data).map(entry => {
+        const selection = entry.data.getSelection(state.currentZ, state.currentT);
+        return new MultiscaleImageLayer({
+            id: `label-layer-${entry.name}`,
+            loader: entry.data.sources,
+            selections: [0, 1, 2].map(component => ({ ...selection, [labelsApi.COMPONENT_KEY]: component })),
+            contrastLimits: [[0, 255], [0, 255], [0, 255]],
+            colors: [[255, 0, 0], [0, 255, 0], [0, 0, 255]],
+            channelsVisible: [true, true, true],
+            dtype: 'Uint8',
+            opacity,
+            transparentColor: [0, 0, 0],
+            useTransparentColor: true,
+            refinementStrategy: 'best-available'
+        });
+    });
+}
+
+/**
+ * Show or hide a label image. The first time it is shown, its multiscales
+ * are opened from labels/<name> and its 'image-label' colors and properties
+ * are read.
+ * @param {string} name - Label image name (from labels/.zattrs)
+ * @param {boolean} visible
+ * @returns {Promise<boolean>} Whether the label image is shown
+ */
+async function setLabelVisible(name, visible) {
+    const entry = state.labels.find(label => label.name === name);
+    if (!entry) return false;
+    entry.enabled = !!visible;
+
+    if (entry.enabled && !entry.data && !entry.loading) {
+        const token = state.labelsToken;
+        const labelsApi = window.evostitch.zarrLabels;
+        entry.loading = true;
+        renderLabelControls();
+        try {
+            const url = `${state.zarrStoreUrl.replace(/\/$/, '')}/labels/${name}`;
+            const result = await loadOmeZarr(url, { type: "multiscales" });
+            entry.imageLabel = labelsApi.parseImageLabel(
+                window.evostitch.zarrMetadata.unwrapOmeAttributes(result.metadata));
+            entry.data = labelsApi.createLabelSources(result.data || result, entry.imageLabel);
+        } catch (error) {
+            console.warn(`[evostitch] Failed to load label image ${name}:`, error);
+        }
+        if (token !== state.labelsToken) return false;
+        entry.loading = false;
+        entry.enabled = entry.enabled && !!entry.data;
+    }
+
+    state.labelLayers = buildLabelLayers();
+    renderLayers();
+    renderLabelControls();
+    log(`Label image ${name} ${entry.enabled ? 'shown' : 'hidden'}`);
+    return entry.enabled;
+}
+
+/**
+ * Set the label overlay opacity
+ * @param {number|null} opacity - 0-1 (null restores the default)
+ */
+function setLabelOpacity(opacity) {
+    state.labelOpacity = opacity === null ? null : Math.max(0, Math.min(1, Number(opacity) || 0));
+    if (elements.labelOpacity) {
+        elements.labelOpacity.value = state.labelOpacity === null
+            ? window.evostitch.zarrLabels.CONFIG.opacity : state.labelOpacity;
+    }
+    state.labelLayers = buildLabelLayers();
+    renderLayers();
+}
+
+/**
+ * Labels under a full-res pixel in the shown label images, once their tiles
+ * there have loaded
+ * @param {number} x - Full-res x
+ * @param {number} y - Full-res y
+ * @returns {Object[]} { name, id, properties } per label image with a label
+ *   (not background) there
+ */
+function getLabelsAt(x, y) {
+    const found = [];
+    state.labels.forEach(entry => {
+        if (!entry.enabled || !entry.data) return;
+        const id = entry.data.labelAt(x, y, entry.data.getSelection(state.currentZ, state.currentT));
+        if (id) {
+            found.push({ name: entry.name, id, properties: { ...entry.imageLabel.properties.get(id) } });
+        }
+    });
+    return found;
+}
+
+/**
+ * Label suffix for the coordinate display
+ * @param {number} x - Full-res x
+ * @param {number} y - Full-res y
+ * @returns {string} e.g. ", cells: 12 (class: nucleus)", or '' over background
+ */
+function formatLabelsAt(x, y) {
+    const labelsApi = window.evostitch.zarrLabels;
+    return getLabelsAt(x, y)
+        .map(label => `, ${label.name}: ${labelsApi.formatLabel(label.id, label.properties)}`)
+        .join('');
+}
+
+/**
+ * Fill the label toggles in the channel panel (hidden without label images)
+ */
+function renderLabelControls() {
+    if (!elements.labelControls || !elements.labelList) return;
+    elements.labelControls.hidden = state.labels.length === 0;
+    elements.labelList.innerHTML = '';
+    state.labels.forEach(entry => {
+        const toggle = document.createElement('label');
+        toggle.className = 'projection-label label-toggle';
+        toggle.title = entry.loading ? 'Loading…' : `Show the ${entry.name} label image`;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = entry.enabled;
+        checkbox.disabled = entry.loading;
+        checkbox.addEventListener('change', () => setLabelVisible(entry.name, checkbox.checked));
+
+        toggle.append(checkbox, entry.name);
+        elements.labelList.appendChild(toggle);
+    });
+}
+
+/**
+ * Wire the label opacity slider in the channel panel
+ */
+function setupLabelControls() {
+    if (elements.labelOpacity) {
+        elements.labelOpacity.value = window.evostitch.zarrLabels.CONFIG.opacity;
+    }
+    elements.labelOpacity?.addEventListener('input', (e) => setLabelOpacity(e.target.value));
+}
+
+// ========== Autofocus ==========
+
+/**
+ * Score every Z-plane of the current view with the focus metric and go to the
+ * sharpest (F key or the header button). Reads the first visible channel
+ * through the loader (not the projection): a coarse level for all planes,
+ * then a finer one around the focal peaks. The focus-score curve is shown in
+ * the autofocus panel. A new search cancels the one in flight.
+ * @returns {Promise<Object|null>} autofocus.findBestFocus() result, or null
+ *   (no Z-stack, nothing readable, or superseded)
+ */
+async function autofocus() {
+    const loaderData = state.loader?.data || state.loader;
+    const bounds = getViewportBounds();
+    if (state.zCount <= 1 || !loaderData || !bounds) return null;
+
+    state.autofocusAbort?.abort();
+    const controller = new AbortController();
+    state.autofocusAbort = controller;
+    const autofocusApi = window.evostitch.autofocus;
+    const reader = window.evostitch.zarrRegionReader;
+    const visible = state.channelSettings.findIndex(settings => settings.visible);
+    const channelSelection = getChannelSelection(Math.max(0, visible));
+    elements.autofocusBtn?.classList.add('active');
+    state.autofocusPanel.show('Scanning…', null, state.currentZ);
+
+    try {
+        const result = await autofocusApi.findBestFocus({
+            zCount: state.zCount,
+            scorePlane: async (z, maxPixels) => {
+                const region = await reader.readRegion(loaderData, {
+                    selection: { ...channelSelection, z },
+                    bounds,
+                    maxPixels,
+                    signal: controller.signal
+                });
+                return region ? autofocusApi.focusScore(region.data, region.width, region.height) : null;
+            },
+            onProgress: (progress) => {
+                if (controller.signal.aborted) return;
+                state.autofocusPanel.show(autofocusApi.formatProgress(progress), null, state.currentZ);
+            }
+        });
+        if (controller.signal.aborted) return null;
+
+        if (result) setZ(result.bestZ);
+        state.autofocusPanel.show(autofocusApi.formatResult(result), result, result ? result.bestZ : state.currentZ);
+        log('Autofocus: ' + autofocusApi.formatResult(result));
+        return result;
+    } catch (error) {
+        if (controller.signal.aborted) return null;
+        console.warn('[evostitch] ZarrViewer: autofocus failed:', error.message);
+        state.autofocusPanel.show('Autofocus failed', null, state.currentZ);
+        return null;
+    } finally {
+        if (state.autofocusAbort === controller) {
+            state.autofocusAbort = null;
+            elements.autofocusBtn?.classList.remove('active');
+        }
+    }
+}
+
+/**
+ * Wire the autofocus button and panel (clicking the curve goes to that plane)
+ */
+function setupAutofocus() {
+    state.autofocusPanel = window.evostitch.autofocus.bindPanel(elements.autofocusPanel, setZ);
+    elements.autofocusBtn?.addEventListener('click', () => autofocus());
+}
+
+// ========== Z playback ==========
+
+/**
+ * Draw a playback frame: switch Z without the render-opt debounce (the frame
+ * clock already paces switches, and the debounce would drop every frame
+ * above 20 fps)
+ * @param {number} z - Z-plane index
+ */
+function showPlaybackFrame(z) {
+    if (z === state.currentZ) return;
+    if (window.evostitch?.zarrPrefetch) {
+        window.evostitch.zarrPrefetch.onZChange(z);
+    }
+    executeZSwitch(z);
+}
+
+/**
+ * Sync the play button, mode, frame rate and preparation progress with the
+ * player status
+ * @param {Object} status - From player.getStatus()
+ */
+function updatePlaybackUI(status) {
+    if (elements.zPlayBtn) {
+        elements.zPlayBtn.innerHTML = status.playing ? '&#x23F8;' : '&#x25B6;';
+        elements.zPlayBtn.classList.toggle('active', status.playing);
+    }
+    if (elements.zPlayMode) elements.zPlayMode.value = status.mode;
+    if (elements.zPlayFps) elements.zPlayFps.value = String(status.fps);
+    if (elements.zPlayStatus) {
+        elements.zPlayStatus.hidden = !status.preparing;
+        const notes = [];
+        if (status.progress?.cold) notes.push(`${status.progress.cold} not cached`);
+        if (status.progress?.skipped) notes.push(`${status.progress.skipped} not prefetchable`);
+        elements.zPlayStatus.textContent = status.progress ?
+            `Preparing ${status.progress.done}/${status.progress.total}${notes.length ? ` (${notes.join(', ')})` : ''}…` : '';
+    }
+}
+
+/**
+ * Create the Z player and wire the play button, mode and frame rate controls
+ * and the end of arrow-key holds
+ */
+function setupPlayback() {
+    const prefetch = window.evostitch.zarrPrefetch;
+    state.player = window.evostitch.zarrPlayback.createPlayer({
+        getZ: () => state.currentZ,
+        getZCount: () => state.zCount,
+        showZ: showPlaybackFrame,
+        warmPlane: prefetch ? (z) => prefetch.warmPlane(z) : null,
+        onChange: updatePlaybackUI
+    });
+    updatePlaybackUI(state.player.getStatus());
+
+    elements.zPlayBtn?.addEventListener('click', () => state.player.toggle());
+    elements.zPlayMode?.addEventListener('change', (e) => state.player.setMode(e.target.value));
+    elements.zPlayFps?.addEventListener('change', (e) => state.player.setFps(e.target.value));
+    document.addEventListener('keyup', (e) => {
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') state.player.release();
+    });
+    window.addEventListener('blur', () => state.player.release());
+}
+
+/**
+ * Start or stop Z playback. Playback starts after warming every plane of the
+ * viewport (zarrPrefetch.warmPlane).
+ * @param {boolean} playing
+ * @param {Object} [options] - { fps, mode: 'loop' | 'bounce' }
+ */
+function setPlayback(playing, options = {}) {
+    if (!state.player) return;
+    if (options.fps !== undefined) state.player.setFps(options.fps);
+    if (options.mode !== undefined) state.player.setMode(options.mode);
+    if (playing) {
+        state.player.play();
+    } else {
+        state.player.pause();
+    }
+}
+
+// ========== Video export ==========
+
+/**
+ * Resolve once the current frame is fully drawn: the image layer's
+ * onViewportLoad has fired (or, when the view needed no new tiles, a few
+ * frames have passed) and every layer has its tiles loaded. Gives up after
+ * CONFIG.frameTimeoutMs so one failing tile cannot stall an export.
+ * @returns {Promise<void>}
+ */
+function waitForViewportLoad() {
+    const config = window.evostitch.zarrVideoExport.CONFIG;
+    return new Promise((resolve) => {
+        let viewportLoaded = false;
+        let frames = 0;
+        const started = performance.now();
+        const onLoad = () => { viewportLoaded = true; };
+        state.viewportLoadWaiters.add(onLoad);
+
+        const poll = () => {
+            frames++;
+            const loaded = [state.imageLayer, state.depthLayer, state.peakingLayer, ...state.labelLayers]
+                .filter(Boolean)
+                .every(layer => layer.isLoaded);
+            const timedOut = performance.now() - started > config.frameTimeoutMs;
+            if ((loaded && (viewportLoaded || frames >= config.settleFrames)) || timedOut) {
+                if (timedOut) log('Video export: frame recorded before its tiles loaded (timeout)');
+                state.viewportLoadWaiters.delete(onLoad);
+                resolve();
+                return;
+            }
+            requestAnimationFrame(poll);
+        };
+        requestAnimationFrame(poll);
+    });
+}
+
+/**
+ * Move the viewer to an export frame (tour view and/or Z-plane, without the
+ * Z debounce) and wait for its tiles
+ * @param {Object} frame - From zarrVideoExport.planFrames()
+ * @returns {Promise<void>}
+ */
+function showExportFrame(frame) {
+    if (frame.view) {
+        state.viewState = {
+            ...state.viewState,
+            target: [frame.view.target[0], frame.view.target[1], 0],
+            zoom: frame.view.zoom
+        };
+        state.deck.setProps({ viewState: state.viewState });
+        updateScaleBar();
+    }
+    showPlaybackFrame(frame.z);
+    return waitForViewportLoad();
+}
+
+/**
+ * Copy the deck canvas into the recorded canvas and burn in the overlays.
+ * Redraws first: the WebGL drawing buffer is only readable in the task that
+ * drew it.
+ * @param {HTMLCanvasElement} canvas - Recorded canvas
+ * @param {Object} burnIn - { scaleBar, label } booleans
+ */
+function drawExportFrame(canvas, burnIn) {
+    const source = state.deck.getCanvas();
+    state.deck.redraw('video-export');
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    window.evostitch.figureExport.drawOverlays(ctx,
+        getFigureOverlay(canvas.width / (source.clientWidth || canvas.width), burnIn));
+}
+
+/**
+ * Record a Z-sweep or a tour between two views as a WebM video. Every frame
+ * waits for its tiles (waitForViewportLoad) before it is recorded, so the
+ * video has no half-loaded frames however slow the network. Z playback is
+ * paused; a new export cancels the one in flight.
+ * @param {Object} [options]
+ * @param {string} [options.kind] - 'z' (default) or 'tour'
+ * @param {number} [options.zStart] - Z-sweep first plane (default 0)
+ * @param {number} [options.zEnd] - Z-sweep last plane (default the last)
+ * @param {Object} [options.from] - Tour start view { target: [x, y], zoom, z }
+ *   (default the one set in the export panel)
+ * @param {Object} [options.to] - Tour end view
+ * @param {number} [options.frames] - Tour frame count
+ * @param {number} [options.fps] - Frame rate
+ * @param {boolean} [options.scaleBar] - Burn in the scale bar (default true)
+ * @param {boolean} [options.label] - Burn in the Z / depth label (default true)
+ * @param {boolean} [options.download] - Download the video (default true)
+ * @param {Function} [options.onProgress] - ({ done, total }) after each frame
+ * @returns {Promise<Blob|null>} The video, or null (nothing to record, no
+ *   WebM recording in this browser, an image render in progress, cancelled
+ *   or failed)
+ */
+async function exportVideo(options = {}) {
+    const exporter = window.evostitch.zarrVideoExport;
+    const mimeType = exporter.pickMimeType();
+    if (!state.deck || !state.imageLayer || !mimeType || state.savingImage) return null;
+
+    const kind = options.kind === 'tour' ? 'tour' : 'z';
+    const clampZ = (z) => Math.max(0, Math.min(state.zCount - 1, Math.round(z) || 0));
+    const clampView = (view) => view && { target: view.target, zoom: view.zoom, z: clampZ(view.z) };
+    const frames = exporter.planFrames(kind === 'tour' ? {
+        kind,
+        from: clampView(options.from || state.videoTour.from),
+        to: clampView(options.to || state.videoTour.to),
+        frames: options.frames
+    } : {
+        kind,
+        zStart: clampZ(options.zStart !== undefined ? options.zStart : 0),
+        zEnd: clampZ(options.zEnd !== undefined ? options.zEnd : state.zCount - 1)
+    });
+    if (frames.length === 0) return null;
+
+    cancelVideoExport();
+    const controller = new AbortController();
+    state.videoExportAbort = controller;
+    state.player?.pause();
+
+    // Even dimensions: VP8/VP9 encoders reject odd frame sizes
+    const source = state.deck.getCanvas();
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width - (source.width % 2);
+    canvas.height = source.height - (source.height % 2);
+    const burnIn = { scaleBar: options.scaleBar !== false, label: options.label !== false };
+    updateVideoExportUI(`Frame 0/${frames.length}…`);
+
+    try {
+        const blob = await exporter.recordFrames({
+            frames,
+            showFrame: showExportFrame,
+            drawFrame: () => drawExportFrame(canvas, burnIn),
+            recorder: exporter.createFrameRecorder(canvas, { fps: options.fps || exporter.CONFIG.fps, mimeType }),
+            isCancelled: () => controller.signal.aborted,
+            onProgress: (progress) => {
+                updateVideoExportUI(`Frame ${progress.done}/${progress.total}…`);
+                if (options.onProgress) options.onProgress(progress);
+            }
+        });
+        if (!blob) {
+            if (state.videoExportAbort === controller) updateVideoExportUI('Cancelled');
+            return null;
+        }
+
+        const filename = `${getDatasetName()}-${kind === 'tour' ? 'tour' : 'z-sweep'}.webm`;
+        if (options.download !== false) window.evostitch.figureExport.download(blob, filename);
+        updateVideoExportUI(`Saved ${filename}`);
+        log('Video export: ' + frames.length + ' frames, ' + Math.round(blob.size / 1024) + ' KB');
+        return blob;
+    } catch (error) {
+        console.warn('[evostitch] ZarrViewer: video export failed:', error.message);
+        updateVideoExportUI('Export failed');
+        showErrorBanner('Video export failed: ' + error.message);
+        return null;
+    } finally {
+        if (state.videoExportAbort === controller) {
+            state.videoExportAbort = null;
+            updateVideoExportUI();
+        }
+    }
+}
+
+/**
+ * Stop the export in flight (nothing is saved)
+ */
+function cancelVideoExport() {
+    state.videoExportAbort?.abort();
+}
+
+/**
+ * Sync the export panel: buttons with the export in flight, the tour views
+ * set, and a status message
+ * @param {string} [status] - New status text (unchanged if omitted)
+ */
+function updateVideoExportUI(status) {
+    const panel = elements.videoExportPanel;
+    if (!panel) return;
+    const recording = !!state.videoExportAbort;
+    const isTour = panel.querySelector('.video-export-kind').value === 'tour';
+    panel.querySelector('.video-export-z').hidden = isTour;
+    panel.querySelector('.video-export-tour').hidden = !isTour;
+    panel.querySelector('.video-export-set-from').classList.toggle('active', !!state.videoTour.from);
+    panel.querySelector('.video-export-set-to').classList.toggle('active', !!state.videoTour.to);
+    panel.querySelector('.video-export-start-btn').disabled = recording ||
+        (isTour && !(state.videoTour.from && state.videoTour.to));
+    panel.querySelector('.video-export-cancel-btn').disabled = !recording;
+    elements.videoExportBtn?.classList.toggle('active', recording);
+    if (status !== undefined) panel.querySelector('.video-export-status').textContent = status;
+}
+
+/**
+ * Reset the export panel for a newly loaded dataset: full Z range, no tour
+ * views, Z-sweep only for Z-stacks
+ */
+function resetVideoExportPanel() {
+    const panel = elements.videoExportPanel;
+    state.videoTour = { from: null, to: null };
+    if (!panel) return;
+    const kind = panel.querySelector('.video-export-kind');
+    kind.querySelector('option[value="z"]').disabled = state.zCount <= 1;
+    if (state.zCount <= 1) kind.value = 'tour';
+    ['.video-export-z-start', '.video-export-z-end'].forEach((selector) => {
+        panel.querySelector(selector).max = state.zCount;
+    });
+    panel.querySelector('.video-export-z-start').value = 1;
+    panel.querySelector('.video-export-z-end').value = state.zCount;
+    updateVideoExportUI('');
+}
+
+/**
+ * Wire the export button and panel (Z range or tour views, frame rate,
+ * burn-in options)
+ */
+function setupVideoExport() {
+    const panel = elements.videoExportPanel;
+    if (!panel) return;
+    const field = (name) => panel.querySelector('.video-export-' + name);
+    const currentView = () => ({
+        target: [state.viewState.target[0], state.viewState.target[1]],
+        zoom: state.viewState.zoom,
+        z: state.currentZ
+    });
+
+    elements.videoExportBtn?.addEventListener('click', () => {
+        panel.hidden = !panel.hidden;
+        if (!panel.hidden && !window.evostitch.zarrVideoExport.pickMimeType()) {
+            updateVideoExportUI('WebM recording is not supported in this browser');
+        }
+    });
+    field('close-btn').addEventListener('click', () => { panel.hidden = true; });
+    field('kind').addEventListener('change', () => updateVideoExportUI(''));
+    field('set-from').addEventListener('click', () => {
+        state.videoTour.from = currentView();
+        updateVideoExportUI('Start view set');
+    });
+    field('set-to').addEventListener('click', () => {
+        state.videoTour.to = currentView();
+        updateVideoExportUI('End view set');
+    });
+    field('start-btn').addEventListener('click', () => {
+        exportVideo({
+            kind: field('kind').value,
+            zStart: parseInt(field('z-start').value, 10) - 1,
+            zEnd: parseInt(field('z-end').value, 10) - 1,
+            frames: parseInt(field('frames').value, 10),
+            fps: parseInt(field('fps').value, 10),
+            scaleBar: field('scale-bar').checked,
+            label: field('label').checked
+        });
+    });
+    field('cancel-btn').addEventListener('click', cancelVideoExport);
+    updateVideoExportUI();
+}
+
+// ========== Save image ==========
+
+/**
+ * Burned-in overlays for an exported frame or image of the current view
+ * @param {number} scale - Output pixels per CSS pixel
+ * @param {Object} burnIn - { scaleBar, label, legend } booleans
+ * @returns {Object} figureExport.drawOverlays() overlay
+ */
+function getFigureOverlay(scale, burnIn) {
+    const overlay = { scale, scaleBar: null, label: null, legend: null };
+    if (burnIn.scaleBar) overlay.scaleBar = getScaleBar();
+    if (burnIn.label && state.zCount > 1) {
+        overlay.label = `Z ${state.currentZ + 1}/${state.zCount} · ${(state.currentZ * state.pixelSizeZ).toFixed(1)} µm`;
+    }
+    if (burnIn.legend) {
+        const colormaps = window.evostitch.zarrColormaps;
+        overlay.legend = state.channelSettings
+            .map((settings, c) => settings.visible && {
+                name: getChannelName(c),
+                colors: colormaps.buildLut(settings.colormap, settings.color)
+            })
+            .filter(Boolean);
+    }
+    return overlay;
+}
+
+/**
+ * Render the current view at `scale` × the screen resolution, with the
+ * scale bar, Z depth and channel legend optionally burned in, and download
+ * it as PNG. Above 1× the view is drawn in scale × scale pieces, each
+ * zoomed in by log2(scale) so finer tiles load, and each waiting for its
+ * tiles (waitForViewportLoad) before it is copied. The view is restored
+ * afterwards.
+ * @param {Object} [options]
+ * @param {number} [options.scale] - Output resolution, × screen size (default 1;
+ *   reduced to fit figureExport.CONFIG.maxSide / maxPixels)
+ * @param {boolean} [options.scaleBar] - Burn in the scale bar (default true)
+ * @param {boolean} [options.label] - Burn in the Z depth (default true)
+ * @param {boolean} [options.legend] - Burn in the channel legend (default false)
+ * @param {boolean} [options.download] - Download the PNG (default true)
+ * @returns {Promise<Object|null>} { blob, filename, width, height }, or null
+ *   (nothing loaded, or a render or video export already drives the view)
+ */
+async function saveImage(options = {}) {
+    if (!state.deck || !state.imageLayer || state.savingImage || state.videoExportAbort) return null;
+    const figure = window.evostitch.figureExport;
+    const source = state.deck.getCanvas();
+    const scale = figure.clampScale(options.scale || 1, source.width, source.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width * scale;
+    canvas.height = source.height * scale;
+    const ctx = canvas.getContext('2d');
+
+    const view = state.viewState;
+    const viewWidth = source.clientWidth / Math.pow(2, view.zoom);    // Data pixels across the view
+    const viewHeight = source.clientHeight / Math.pow(2, view.zoom);
+    state.savingImage = true;
+    state.player?.pause();
+    elements.saveImageBtn?.classList.add('active');
+
+    try {
+        for (const piece of figure.planPieces(scale)) {
+            if (scale > 1) {
+                state.viewState = {
+                    ...view,
+                    target: [view.target[0] + piece.cx * viewWidth, view.target[1] + piece.cy * viewHeight, 0],
+                    zoom: view.zoom + Math.log2(scale)
+                };
+                state.deck.setProps({ viewState: state.viewState });
+            }
+            await waitForViewportLoad();
+            // Copy in the task that draws: the WebGL drawing buffer is not preserved
+            state.deck.redraw('save-image');
+            ctx.drawImage(source, piece.col * source.width, piece.row * source.height, source.width, source.height);
+        }
+    } finally {
+        if (scale > 1) {
+            state.viewState = view;
+            state.deck.setProps({ viewState: view });
+        }
+        state.savingImage = false;
+        elements.saveImageBtn?.classList.remove('active');
+    }
+
+    figure.drawOverlays(ctx, getFigureOverlay(canvas.width / (source.clientWidth || source.width), {
+        scaleBar: options.scaleBar !== false,
+        label: options.label !== false,
+        legend: !!options.legend
+    }));
+    const blob = await figure.toPng(canvas);
+    const plane = state.zCount > 1 ? `-z${state.currentZ + 1}` : '';
+    const filename = `${getDatasetName()}${plane}.png`;
+    if (options.download !== false) figure.download(blob, filename);
+    log(`Saved image ${canvas.width}×${canvas.height} (${scale}× screen)`);
+    return { blob, filename, width: canvas.width, height: canvas.height };
+}
+
+/**
+ * Wire the save-image button and panel (S key)
+ */
+function setupSaveImage() {
+    state.saveImagePanel = window.evostitch.figureExport.bindPanel(elements.saveImagePanel, async (options) => {
+        const saved = await saveImage(options);
+        return saved && `${saved.filename} (${saved.width}×${saved.height})`;
+    });
+    elements.saveImageBtn?.addEventListener('click', () => state.saveImagePanel.toggle());
+}
+
+// ========== OME-TIFF region export ==========
+
+/**
+ * Region in whole full-resolution pixels, clipped to the image
+ * @param {Object|null} bounds - { minX, maxX, minY, maxY } in full-res pixels
+ * @returns {Object|null} Snapped outward to whole pixels, or null if empty
+ */
+function toImageRegion(bounds) {
+    if (!bounds) return null;
+    const region = {
+        minX: Math.max(0, Math.floor(bounds.minX)),
+        maxX: Math.min(state.imageWidth || Infinity, Math.ceil(bounds.maxX)),
+        minY: Math.max(0, Math.floor(bounds.minY)),
+        maxY: Math.min(state.imageHeight || Infinity, Math.ceil(bounds.maxY))
+    };
+    return region.maxX > region.minX && region.maxY > region.minY ? region : null;
+}
+
+/**
+ * Bounds spanned by two opposite corners
+ * @param {number[]} a - [x, y] in full-res pixels
+ * @param {number[]} b - [x, y] in full-res pixels
+ * @returns {Object} { minX, maxX, minY, maxY }
+ */
+function cornersToBounds(a, b) {
+    return {
+        minX: Math.min(a[0], b[0]),
+        maxX: Math.max(a[0], b[0]),
+        minY: Math.min(a[1], b[1]),
+        maxY: Math.max(a[1], b[1])
+    };
+}
+
+/**
+ * Build the export region overlay while the export panel is open: the
+ * rectangle being drawn, or the region
+ * @returns {Array} deck.gl layers
+ */
+function buildTiffRegionLayers() {
+    if (!elements.tiffExportPanel || elements.tiffExportPanel.hidden) return [];
+    const draft = state.tiffRegionDraft;
+    const bounds = draft?.corner && draft.cursor ? cornersToBounds(draft.corner, draft.cursor) : state.tiffRegion;
+    if (!bounds) return [];
+    const ring = [
+        [bounds.minX, bounds.minY], [bounds.maxX, bounds.minY],
+        [bounds.maxX, bounds.maxY], [bounds.minX, bounds.maxY], [bounds.minX, bounds.minY]
+    ];
+    return [
+        new GeoJsonLayer({
+            id: 'tiff-region-layer',
+            data: [{ type: 'Feature', geometry: { type: 'Polygon', coordinates: [ring] }, properties: {} }],
+            stroked: true,
+            filled: true,
+            lineWidthUnits: 'pixels',
+            getLineWidth: 2,
+            getLineColor: TIFF_REGION_COLOR,
+            getFillColor: [...TIFF_REGION_COLOR, 30]
+        })
+    ];
+}
+
+/**
+ * Start drawing the export region: the next two clicks on the image set
+ * opposite corners. Leaves the annotation and ruler tools.
+ */
+function startTiffRegionDraw() {
+    if (state.annotationTool) setAnnotationTool(null);
+    if (state.measureSession?.isActive()) setMeasureTool(null);
+    state.tiffRegionDraft = { corner: null, cursor: null };
+    updateTiffExportUI('Click two opposite corners');
+}
+
+/**
+ * Region drawing: the first click sets a corner, the second the opposite one
+ */
+function handleTiffRegionClick(info, event) {
+    if (!info.coordinate) return;
+    // Double-clicks set corners instead of zooming
+    if (event.type === 'dblclick') {
+        event.stopImmediatePropagation();
+    }
+    const point = [info.coordinate[0], info.coordinate[1]];
+    const draft = state.tiffRegionDraft;
+    if (!draft.corner) {
+        draft.corner = point;
+        renderLayers();
+        return;
+    }
+    state.tiffRegionDraft = null;
+    setTiffRegion(cornersToBounds(draft.corner, point));
+}
+
+/**
+ * Follow the mouse with the region being drawn
+ * @param {number} screenX - Mouse X relative to the viewer
+ * @param {number} screenY - Mouse Y relative to the viewer
+ */
+function updateTiffRegionCursor(screenX, screenY) {
+    if (!state.tiffRegionDraft?.corner || !state.viewState) return;
+    state.tiffRegionDraft.cursor = screenToImage(screenX, screenY);
+    renderLayers();
+}
+
+/**
+ * Stop drawing the export region (the region set before is kept)
+ * @returns {boolean} Whether a region was being drawn
+ */
+function cancelTiffRegionDraw() {
+    if (!state.tiffRegionDraft) return false;
+    state.tiffRegionDraft = null;
+    updateTiffExportUI('');
+    renderLayers();
+    return true;
+}
+
+/**
+ * Set the region to export
+ * @param {Object|null} bounds - { minX, maxX, minY, maxY } in full-res pixels,
+ *   or null to clear
+ * @returns {Object|null} The region set (whole pixels, clipped to the image)
+ */
+function setTiffRegion(bounds) {
+    state.tiffRegion = toImageRegion(bounds);
+    updateTiffExportUI('');
+    renderLayers();
+    return state.tiffRegion;
+}
+
+/**
+ * What an export covers: the region at the chosen level, the channels and
+ * planes, and the file size
+ * @param {Object} options - As for exportTiff()
+ * @returns {Object|null} { loaderData, bounds, region, channels, planes, bytes },
+ *   or null (nothing loaded, or no region, channel or plane)
+ */
+function getTiffExportPlan(options) {
+    const loaderData = state.loader?.data || state.loader;
+    const bounds = toImageRegion(options.bounds || state.tiffRegion);
+    if (!Array.isArray(loaderData) || loaderData.length === 0 || !bounds) return null;
+
+    const tiff = window.evostitch.zarrTiffExport;
+    const level = Math.max(0, Math.min(loaderData.length - 1, Math.round(options.level) || 0));
+    const region = window.evostitch.zarrRegionReader.getLevelRegion(loaderData, bounds, level);
+    const channelCount = Math.max(1, state.channelSettings.length);
+    const visible = state.channelSettings.length > 0 ?
+        state.channelSettings.map((settings, c) => (settings.visible ? c : -1)).filter(c => c >= 0) : [0];
+    const channels = (options.channels || visible).filter(c => c >= 0 && c < channelCount);
+    const clampZ = (z) => Math.max(0, Math.min(state.zCount - 1, Math.round(z) || 0));
+    const planes = tiff.planPlanes(channels,
+        clampZ(options.zStart !== undefined ? options.zStart : 0),
+        clampZ(options.zEnd !== undefined ? options.zEnd : state.zCount - 1));
+    if (!region || planes.length === 0) return null;
+
+    return {
+        loaderData,
+        bounds,
+        region,
+        channels,
+        planes,
+        bytes: tiff.estimateBytes(region.width, region.height, planes.length, state.dtype)
+    };
+}
+
+/**
+ * Export a region as a multi-page OME-TIFF: the raw pixels of the chosen
+ * channels and Z range at one resolution level and the current timepoint,
+ * read plane by plane from the same Zarr chunks the viewer shows (not the
+ * projection or display colors). Physical sizes in the OME-XML are the
+ * dataset's pixel sizes times the level's downsample.
+ * @param {Object} [options]
+ * @param {Object} [options.bounds] - { minX, maxX, minY, maxY } in full-res
+ *   pixels (default the region set in the export panel)
+ * @param {number[]} [options.channels] - Channel indices (default the visible ones)
+ * @param {number} [options.zStart] - First plane (default 0)
+ * @param {number} [options.zEnd] - Last plane (default the last)
+ * @param {number} [options.level] - Resolution level (default 0, full resolution)
+ * @param {boolean} [options.download] - Download the file (default true)
+ * @param {Function} [options.onProgress] - ({ done, total }) after each plane
+ * @returns {Promise<Object|null>} { blob, filename, width, height, planes }, or
+ *   null (nothing to export, over zarrTiffExport.CONFIG.maxBytes, an export
+ *   already running, cancelled or failed)
+ */
+async function exportTiff(options = {}) {
+    const tiff = window.evostitch.zarrTiffExport;
+    const plan = getTiffExportPlan(options);
+    if (!plan || state.tiffExportAbort) return null;
+    if (!tiff.getPixelType(state.dtype)) {
+        updateTiffExportUI(`Unsupported pixel type ${state.dtype}`);
+        return null;
+    }
+    if (plan.bytes > tiff.CONFIG.maxBytes) {
+        updateTiffExportUI(`Too large: ${tiff.formatBytes(plan.bytes)} (limit ${tiff.formatBytes(tiff.CONFIG.maxBytes)})`);
+        return null;
+    }
+
+    const controller = new AbortController();
+    state.tiffExportAbort = controller;
+    const reader = window.evostitch.zarrRegionReader;
+    const { region } = plan;
+    updateTiffExportUI(`Plane 0/${plan.planes.length}…`);
+
+    try {
+        const planes = await tiff.readPlanes({
+            planes: plan.planes,
+            readPlane: async (plane) => {
+                const selection = getChannelSelection(plane.c);
+                if ('z' in selection) selection.z = plane.z;
+                const read = await reader.readRegion(plan.loaderData, {
+                    selection,
+                    bounds: plan.bounds,
+                    level: region.level,
+                    signal: controller.signal
+                });
+                if (!read) throw new Error('Region is outside the image');
+                return read.data;
+            },
+            isCancelled: () => controller.signal.aborted,
+            onProgress: (progress) => {
+                updateTiffExportUI(`Plane ${progress.done}/${progress.total}…`);
+                if (options.onProgress) options.onProgress(progress);
+            }
+        });
+        if (!planes) {
+            updateTiffExportUI('Cancelled');
+            return null;
+        }
+
+        const colormaps = window.evostitch.zarrColormaps;
+        const blob = tiff.writeOmeTiff(planes, {
+            name: getDatasetName(),
+            width: region.width,
+            height: region.height,
+            sizeZ: plan.planes.length / plan.channels.length,
+            channels: plan.channels.map(c => ({
+                name: getChannelName(c),
+                color: state.channelSettings[c] ? colormaps.hexToRgb(state.channelSettings[c].color) : null
+            })),
+            dtype: state.dtype,
+            physicalSize: {
+                x: state.pixelSizeX * region.downsample,
+                y: state.pixelSizeY * region.downsample,
+                z: state.pixelSizeZ
+            }
+        });
+        const levelSuffix = region.level > 0 ? `-level${region.level}` : '';
+        const filename = `${getDatasetName()}-x${plan.bounds.minX}-y${plan.bounds.minY}${levelSuffix}.ome.tif`;
+        if (options.download !== false) window.evostitch.figureExport.download(blob, filename);
+        updateTiffExportUI(`Saved ${filename} (${tiff.formatBytes(blob.size)})`);
+        log(`OME-TIFF export: ${region.width}×${region.height} px, ${planes.length} planes at level ${region.level}`);
+        return { blob, filename, width: region.width, height: region.height, planes: planes.length };
+    } catch (error) {
+        if (controller.signal.aborted) {
+            updateTiffExportUI('Cancelled');
+            return null;
+        }
+        console.warn('[evostitch] ZarrViewer: OME-TIFF export failed:', error.message);
+        updateTiffExportUI('Export failed');
+        showErrorBanner('OME-TIFF export failed: ' + error.message);
+        return null;
+    } finally {
+        if (state.tiffExportAbort === controller) {
+            state.tiffExportAbort = null;
+            updateTiffExportUI();
+        }
+    }
+}
+
+/**
+ * Stop the export in flight (nothing is saved)
+ */
+function cancelTiffExport() {
+    state.tiffExportAbort?.abort();
+}
+
+/**
+ * Export options chosen in the panel
+ * @returns {Object} { channels, zStart, zEnd, level } for exportTiff()
+ */
+function readTiffExportPanel() {
+    const panel = elements.tiffExportPanel;
+    const field = (name) => panel.querySelector('.tiff-export-' + name);
+    return {
+        channels: [...field('channels').querySelectorAll('input:checked')].map(input => parseInt(input.dataset.channel, 10)),
+        zStart: parseInt(field('z-start').value, 10) - 1,
+        zEnd: parseInt(field('z-end').value, 10) - 1,
+        level: parseInt(field('level').value, 10)
+    };
+}
+
+/**
+ * Sync the export panel: region size and file size, buttons with the export
+ * in flight, and a status message
+ * @param {string} [status] - New status text (unchanged if omitted)
+ */
+function updateTiffExportUI(status) {
+    const panel = elements.tiffExportPanel;
+    if (!panel) return;
+    const field = (name) => panel.querySelector('.tiff-export-' + name);
+    const tiff = window.evostitch.zarrTiffExport;
+    const exporting = !!state.tiffExportAbort;
+    const plan = getTiffExportPlan(readTiffExportPanel());
+    const tooLarge = !!plan && plan.bytes > tiff.CONFIG.maxBytes;
+
+    let size = state.tiffRegion ? 'Nothing to export' : 'No region: draw one or use the view';
+    if (plan) {
+        size = `${plan.region.width}×${plan.region.height} px · ${plan.channels.length} ch × ` +
+            `${plan.planes.length / plan.channels.length} Z · ${tiff.formatBytes(plan.bytes)}` +
+            (tooLarge ? ` (over ${tiff.formatBytes(tiff.CONFIG.maxBytes)})` : '');
+    }
+    field('size').textContent = size;
+    field('z').hidden = state.zCount <= 1;
+    field('draw-btn').classList.toggle('active', !!state.tiffRegionDraft);
+    field('start-btn').disabled = exporting || !plan || tooLarge;
+    field('cancel-btn').disabled = !exporting;
+    elements.tiffExportBtn?.classList.toggle('active', exporting);
+    if (status !== undefined) field('status').textContent = status;
+}
+
+/**
+ * Reset the export panel for a newly loaded dataset: no region, the visible
+ * channels, full Z range, the dataset's resolution levels
+ */
+function resetTiffExportPanel() {
+    state.tiffRegion = null;
+    state.tiffRegionDraft = null;
+    const panel = elements.tiffExportPanel;
+    if (!panel) return;
+    const field = (name) => panel.querySelector('.tiff-export-' + name);
+    const loaderData = state.loader?.data || state.loader;
+    const reader = window.evostitch.zarrRegionReader;
+
+    const levels = field('level');
+    levels.innerHTML = '';
+    (Array.isArray(loaderData) ? loaderData : []).forEach((source, level) => {
+        const downsample = reader.getImageSize(loaderData[0]).width / reader.getImageSize(source).width;
+        const option = document.createElement('option');
+        option.value = level;
+        option.textContent = `${level} (1:${Math.round(downsample)})`;
+        levels.appendChild(option);
+    });
+
+    const channels = field('channels');
+    channels.innerHTML = '';
+    (state.channelSettings.length > 0 ? state.channelSettings : [{ visible: true }]).forEach((settings, c) => {
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.dataset.channel = c;
+        input.checked = settings.visible;
+        const label = document.createElement('label');
+        label.append(input, ' ' + getChannelName(c));
+        channels.appendChild(label);
+    });
+
+    ['z-start', 'z-end'].forEach((name) => {
+        field(name).max = state.zCount;
+    });
+    field('z-start').value = 1;
+    field('z-end').value = state.zCount;
+    updateTiffExportUI('');
+}
+
+/**
+ * Show or hide the export panel (X key); the region is drawn on the image
+ * while the panel is shown
+ * @param {boolean} [shown] - Default: toggle
+ */
+function toggleTiffExportPanel(shown) {
+    const panel = elements.tiffExportPanel;
+    if (!panel) return;
+    panel.hidden = shown === undefined ? !panel.hidden : !shown;
+    if (panel.hidden) cancelTiffRegionDraw();
+    updateTiffExportUI();
+    renderLayers();
+}
+
+/**
+ * Wire the export button and panel (region, channels, Z range, level)
+ */
+function setupTiffExport() {
+    const panel = elements.tiffExportPanel;
+    if (!panel) return;
+    const field = (name) => panel.querySelector('.tiff-export-' + name);
+
+    elements.tiffExportBtn?.addEventListener('click', () => toggleTiffExportPanel());
+    field('close-btn').addEventListener('click', () => toggleTiffExportPanel(false));
+    field('draw-btn').addEventListener('click', () => {
+        if (!cancelTiffRegionDraw()) startTiffRegionDraw();
+    });
+    field('view-btn').addEventListener('click', () => setTiffRegion(getViewportBounds()));
+    // Channel checkboxes, Z range and level change the size
+    panel.addEventListener('change', () => updateTiffExportUI());
+    field('start-btn').addEventListener('click', () => exportTiff(readTiffExportPanel()));
+    field('cancel-btn').addEventListener('click', cancelTiffExport);
+    updateTiffExportUI();
+}
+
+// ========== HCS plate ==========
+
+/**
+ * Open a store: an HCS plate (NGFF 'plate' metadata at the root) opens its
+ * first well's first field, anything else loads as a single image
+ * @param {string} url - Store URL
+ * @returns {Promise<boolean>} True if an image loaded
+ */
+async function openStore(url) {
+    state.plate = await window.evostitch.zarrPlate.fetchPlate(url);
+    renderPlateGrid();
+    if (!state.plate) return loadZarr(url);
+
+    const first = state.plate.wells[0];
+    if (!first) {
+        if (elements.description) {
+            elements.description.textContent = 'Error: plate has no wells';
+        }
+        return false;
+    }
+    return loadPlateField(first, 0);
+}
+
+/**
+ * Field paths of a well, fetched once per well
+ * @param {Object} well - One of state.plate.wells
+ * @returns {Promise<string[]>}
+ */
+function getWellFields(well) {
+    if (!state.plateFields.has(well.path)) {
+        const fields = window.evostitch.zarrPlate.fetchWellFields(state.plate, well);
+        // A failed fetch is retried the next time the well is opened
+        fields.catch(() => state.plateFields.delete(well.path));
+        state.plateFields.set(well.path, fields);
+    }
+    return state.plateFields.get(well.path);
+}
+
+/**
+ * Load a field of a well with loadZarr(), keeping the current Z, timepoint
+ * and channel settings (visibility, contrast, colormap) where the new field
+ * has them. Only the first field opened restores the view link in the URL
+ * hash; later switches keep the current view instead.
+ * @param {Object} well - One of state.plate.wells
+ * @param {number} fieldIndex - Index into the well's fields (clamped)
+ * @returns {Promise<boolean>} True if the field loaded
+ */
+async function loadPlateField(well, fieldIndex) {
+    const plateApi = window.evostitch.zarrPlate;
+    const fields = await getWellFields(well);
+    if (fields.length === 0) {
+        if (elements.description) {
+            elements.description.textContent = `Error: well ${plateApi.wellName(well)} has no fields`;
+        }
+        return false;
+    }
+    const field = Math.max(0, Math.min(fields.length - 1, fieldIndex));
+    const kept = state.loader ? {
+        z: state.currentZ,
+        t: state.currentT,
+        channels: state.channelSettings.map(settings => ({ ...settings }))
+    } : null;
+
+    state.plateWell = { well, fields, field };
+    const loaded = await loadZarr(plateApi.joinUrl(state.plate.url, well.path, fields[field]),
+        { applyViewLink: !kept });
+    if (loaded && kept) {
+        applyViewLink({ z: kept.z, t: kept.t, channels: kept.channels });
+        const items = elements.channelList?.querySelectorAll('.channel-item') || [];
+        kept.channels.slice(0, state.channelSettings.length).forEach((previous, idx) => {
+            const settings = state.channelSettings[idx];
+            settings.colormap = previous.colormap;
+            settings.color = previous.color;
+            if (items[idx]) syncColormapControls(items[idx], settings);
+        });
+    }
+    if (loaded && elements.description) {
+        elements.description.textContent = `Well ${plateApi.wellName(well)}, field ${field + 1}/${fields.length} · ` +
+            elements.description.textContent.replace(/^Loaded: /, '');
+    }
+    updatePlateUI();
+    log(`Opened well ${well.path}, field ${fields[field]}`);
+    return loaded;
+}
+
+/**
+ * Open a well (and field) of the plate, keeping Z and channel settings
+ * @param {string} path - Well path, e.g. 'B/3'
+ * @param {number} [field=0] - Field index within the well
+ * @returns {Promise<boolean>} True if the field loaded
+ */
+async function openWell(path, field = 0) {
+    const well = state.plate?.wells.find(candidate => candidate.path === path);
+    if (!well || state.plateSwitching) return false;
+    state.plateSwitching = true;
+    updatePlateUI();
+    let loaded = false;
+    try {
+        loaded = await loadPlateField(well, field);
+    } finally {
+        state.plateSwitching = false;
+    }
+    if (loaded) {
+        updateLayer();
+        updateCoordinatesZOnly();
+    }
+    updatePlateUI();
+    return loaded;
+}
+
+/**
+ * Build the plate grid: row and column names around one cell per well
+ * position, each well holding its thumbnail canvas
+ */
+function renderPlateGrid() {
+    if (elements.plateBtn) elements.plateBtn.hidden = !state.plate;
+    const grid = elements.platePanel?.querySelector('.plate-grid');
+    if (!grid) return;
+    grid.innerHTML = '';
+    if (!state.plate) {
+        togglePlatePanel(false);
+        return;
+    }
+
+    const plateApi = window.evostitch.zarrPlate;
+    const plate = state.plate;
+    elements.platePanel.querySelector('.plate-title').textContent =
+        plate.name || plate.url.split('/').filter(Boolean).pop();
+    grid.style.gridTemplateColumns = `auto repeat(${plate.columns.length}, 1fr)`;
+    grid.appendChild(document.createElement('span'));
+    plate.columns.forEach(column => {
+        const header = document.createElement('span');
+        header.className = 'plate-axis';
+        header.textContent = column;
+        grid.appendChild(header);
+    });
+    plate.rows.forEach((row, rowIndex) => {
+        const header = document.createElement('span');
+        header.className = 'plate-axis';
+        header.textContent = row;
+        grid.appendChild(header);
+        plate.columns.forEach((column, columnIndex) => {
+            const well = plateApi.getWellAt(plate, rowIndex, columnIndex);
+            if (!well) {
+                const empty = document.createElement('span');
+                empty.className = 'plate-well plate-well-empty';
+                grid.appendChild(empty);
+                return;
+            }
+            const cell = document.createElement('button');
+            cell.className = 'plate-well';
+            cell.dataset.well = well.path;
+            cell.title = `Well ${plateApi.wellName(well)}`;
+            cell.appendChild(document.createElement('canvas'));
+            cell.addEventListener('click', () => openWell(well.path));
+            grid.appendChild(cell);
+        });
+    });
+    updatePlateUI();
+}
+
+/**
+ * Mark the open well and list its fields (buttons; the open one active)
+ */
+function updatePlateUI() {
+    const panel = elements.platePanel;
+    if (!panel || !state.plate) return;
+    const current = state.plateWell;
+    panel.querySelectorAll('.plate-well[data-well]').forEach(cell => {
+        cell.classList.toggle('active', cell.dataset.well === current?.well.path);
+        cell.disabled = state.plateSwitching;
+    });
+
+    const fields = panel.querySelector('.plate-fields');
+    fields.innerHTML = '';
+    if (!current) return;
+    const label = document.createElement('span');
+    label.textContent = `${window.evostitch.zarrPlate.wellName(current.well)} fields`;
+    fields.appendChild(label);
+    current.fields.forEach((path, idx) => {
+        const button = document.createElement('button');
+        button.textContent = String(idx + 1);
+        button.title = `Field ${idx + 1} (${path})`;
+        button.classList.toggle('active', idx === current.field);
+        button.disabled = state.plateSwitching;
+        button.addEventListener('click', () => openWell(current.well.path, idx));
+        fields.appendChild(button);
+    });
+}
+
+/**
+ * Read a well's thumbnail: every channel of its first field's coarsest level
+ * at the current Z and T
+ * @param {Object} well - One of state.plate.wells
+ * @param {AbortSignal} signal
+ * @returns {Promise<Object|null>} { channels: [{ data, width, height }] }, or null without fields
+ */
+async function readWellThumbnail(well, signal) {
+    const plateApi = window.evostitch.zarrPlate;
+    const reader = window.evostitch.zarrRegionReader;
+    const fields = await getWellFields(well);
+    if (fields.length === 0) return null;
+    const result = await loadOmeZarr(plateApi.joinUrl(state.plate.url, well.path, fields[0]), { type: "multiscales" });
+    const loaderData = result.data || result;
+    const source = loaderData[0];
+    const size = reader.getImageSize(source);
+    const cIndex = source.labels.indexOf('c');
+    const channelCount = cIndex >= 0 ? source.shape[cIndex] : 1;
+    const channels = [];
+    for (let c = 0; c < channelCount; c++) {
+        channels.push(await reader.readRegion(loaderData, {
+            selection: plateApi.getSelection(source, { c, z: state.currentZ, t: state.currentT }),
+            bounds: { minX: 0, maxX: size.width, minY: 0, maxY: size.height },
+            level: loaderData.length - 1,
+            signal
+        }));
+    }
+    return { channels };
+}
+
+/**
+ * Start reading the thumbnails of wells that have none yet (once per plate;
+ * reads continue while the panel is closed)
+ */
+function loadPlateThumbnails() {
+    if (!state.plate || state.plateThumbnailAbort) return;
+    const abort = new AbortController();
+    state.plateThumbnailAbort = abort;
+    window.evostitch.zarrPlate.loadThumbnails({
+        wells: state.plate.wells.filter(well => !state.plateThumbnails.has(well.path)),
+        readThumbnail: well => readWellThumbnail(well, abort.signal),
+        onThumbnail: (well, thumbnail) => {
+            state.plateThumbnails.set(well.path, thumbnail);
+            drawPlateThumbnail(well.path);
+        },
+        isCancelled: () => abort.signal.aborted
+    }).then(count => log(`Plate thumbnails: ${count} of ${state.plate?.wells.length} wells`));
+}
+
+/**
+ * Draw a well's thumbnail with the current channel settings
+ * @param {string} path - Well path
+ */
+function drawPlateThumbnail(path) {
+    const canvas = elements.platePanel?.querySelector(`.plate-well[data-well="${path}"] canvas`);
+    const thumbnail = state.plateThumbnails.get(path);
+    if (!canvas || !thumbnail) return;
+    const slices = [];
+    const settings = [];
+    state.channelSettings.forEach((s, idx) => {
+        if (s.visible && thumbnail.channels[idx]) {
+            slices.push(thumbnail.channels[idx]);
+            settings.push(s);
+        }
+    });
+    const rgba = window.evostitch.zarrOrtho.composite(slices, settings);
+    if (!rgba) {
+        canvas.width = 0;
+        return;
+    }
+    canvas.width = slices[0].width;
+    canvas.height = slices[0].height;
+    canvas.getContext('2d').putImageData(new ImageData(rgba, canvas.width, canvas.height), 0, 0);
+}
+
+/**
+ * Show or hide the plate overview; showing it starts the thumbnail reads
+ * and redraws the thumbnails with the current channel settings
+ * @param {boolean} [shown] - Omit to toggle
+ */
+function togglePlatePanel(shown) {
+    const panel = elements.platePanel;
+    if (!panel) return;
+    panel.hidden = !state.plate || (shown === undefined ? !panel.hidden : !shown);
+    elements.plateBtn?.classList.toggle('active', !panel.hidden);
+    if (panel.hidden) return;
+    loadPlateThumbnails();
+    state.plateThumbnails.forEach((thumbnail, path) => drawPlateThumbnail(path));
+}
+
+/**
+ * Wire the plate button and overview panel
+ */
+function setupPlate() {
+    elements.plateBtn?.addEventListener('click', () => togglePlatePanel());
+    elements.platePanel?.querySelector('.plate-close-btn')
+        ?.addEventListener('click', () => togglePlatePanel(false));
+}
+
+// ========== bioformats2raw series ==========
+
+/**
+ * List the series of the container a series URL belongs to and show the
+ * series picker if there is more than one
+ * @param {string} url - URL of the loaded series group, e.g. .../dataset/0/
+ */
+async function discoverSeries(url) {
+    const seriesApi = window.evostitch.zarrSeries;
+    const container = seriesApi.getContainerUrl(url);
+    if (!container) return;
+    try {
+        const series = await seriesApi.fetchSeries(container.url);
+        if (!series) return;
+        state.series = series;
+        state.seriesContainer = container.url;
+        const open = series.find(candidate => candidate.path === String(container.index));
+        state.seriesIndex = open ? open.index : container.index;
+    } catch (error) {
+        log('Series discovery failed: ' + error.message);
+    }
+    renderSeriesSelect();
+}
+
+/**
+ * Fill the series picker (hidden unless the container has several series)
+ */
+function renderSeriesSelect() {
+    const select = elements.seriesSelect;
+    if (!select) return;
+    select.hidden = !state.series || state.series.length < 2;
+    select.innerHTML = '';
+    if (select.hidden) return;
+    state.series.forEach(series => {
+        const option = document.createElement('option');
+        option.value = String(series.index);
+        option.textContent = window.evostitch.zarrSeries.describeSeries(series);
+        select.appendChild(option);
+    });
+    select.value = String(state.seriesIndex);
+    select.disabled = state.seriesSwitching;
+}
+
+/**
+ * Address bar query for a series: ?series=N for relative ?zarr= names, the
+ * series URL itself for full ?zarr= URLs
+ * @param {Object} series - One of state.series
+ * @returns {string} Query string with a leading '?'
+ */
+function getSeriesSearch(series) {
+    const seriesApi = window.evostitch.zarrSeries;
+    const params = new URLSearchParams(window.location.search);
+    const zarrParam = params.get('zarr');
+    if (zarrParam && zarrParam.startsWith('http')) {
+        params.set('zarr', seriesApi.getSeriesUrl(state.seriesContainer, series.path));
+        params.delete(seriesApi.SERIES_PARAM);
+    } else {
+        params.set(seriesApi.SERIES_PARAM, String(series.index));
+    }
+    return '?' + params.toString();
+}
+
+/**
+ * Open another series of the container. Once it has loaded, the address bar
+ * gets the new series and loses the view hash, which belongs to the previous
+ * series. If it fails to load, the picker goes back to the previous series.
+ * @param {number} index - Series index (see getSeries())
+ * @returns {Promise<boolean>} True if the series loaded
+ */
+async function openSeries(index) {
+    const series = state.series?.[index];
+    if (!series || state.seriesSwitching) return false;
+    const previousIndex = state.seriesIndex;
+    state.seriesSwitching = true;
+    state.seriesIndex = index;
+    renderSeriesSelect();
+
+    let loaded = false;
+    try {
+        loaded = await loadZarr(window.evostitch.zarrSeries.getSeriesUrl(state.seriesContainer, series.path),
+            { applyViewLink: false });
+    } finally {
+        state.seriesSwitching = false;
+        if (!loaded) state.seriesIndex = previousIndex;
+    }
+    if (loaded) {
+        history.replaceState(null, '', window.location.pathname + getSeriesSearch(series));
+        updateLayer();
+        updateCoordinatesZOnly();
+    }
+    renderSeriesSelect();
+    log(loaded ? `Opened series ${index} (${series.name})` : `Failed to open series ${index} (${series.name})`);
+    return loaded;
+}
+
+/**
+ * Wire the series picker
+ */
+function setupSeriesSelect() {
+    elements.seriesSelect?.addEventListener('change', event => {
+        openSeries(parseInt(event.target.value, 10));
+    });
+}
+
+// ========== Side-by-side compare ==========
+
+/**
+ * Main view pixel sizes
+ * @returns {Object} { x, y, z } µm
+ */
+function getMainPixelSize() {
+    return { x: state.pixelSizeX, y: state.pixelSizeY, z: state.pixelSizeZ };
+}
+
+/**
+ * Create the compare view's deck.gl instance. Pan and zoom there are
+ * converted to the main view (in µm) and go through its handler, which
+ * syncs the compare view back.
+ * @returns {boolean} True if the deck exists
+ */
+function initCompareDeck() {
+    if (state.compare.deck) return true;
+    const container = elements.compareViewer?.querySelector('.compare-canvas');
+    if (!container) return false;
+    state.compare.deck = new Deck({
+        parent: container,
+        views: [new OrthographicView({ id: 'ortho', controller: true })],
+        initialViewState: state.viewState,
+        onViewStateChange: ({ viewState }) => {
+            if (!state.compare.loaderData) return;
+            const mainViewState = window.evostitch.zarrCompare.syncViewState(
+                viewState, state.compare.pixelSize, getMainPixelSize());
+            state.deck.props.onViewStateChange({ viewState: mainViewState });
+        },
+        getCursor: ({ isDragging }) => (isDragging ? 'grabbing' : 'grab'),
+        layers: []
+    });
+    log('Compare deck initialized');
+    return true;
+}
+
+/**
+ * Show the main view's area in the compare view, at the same µm center and
+ * screen scale
+ */
+function syncCompareView() {
+    const compare = state.compare;
+    if (!compare.deck || !compare.loaderData || !state.viewState) return;
+    compare.deck.setProps({
+        viewState: window.evostitch.zarrCompare.syncViewState(state.viewState, getMainPixelSize(), compare.pixelSize)
+    });
+}
+
+/**
+ * Z-plane shown in the compare view: the main view's depth when synced
+ * @returns {number}
+ */
+function getCompareZ() {
+    const compare = state.compare;
+    if (!compare.syncZ) return compare.z;
+    return window.evostitch.zarrCompare.mapZ(state.currentZ, state.pixelSizeZ, compare.pixelSize.z, compare.zCount);
+}
+
+/**
+ * Rebuild the compare view's image layer at its Z-plane and the main view's
+ * timepoint, with channel settings following the main view
+ */
+function updateCompareLayer() {
+    const compare = state.compare;
+    if (!compare.deck || !compare.loaderData) return;
+    const zarrCompare = window.evostitch.zarrCompare;
+    const colormaps = window.evostitch.zarrColormaps;
+    const source = compare.loaderData[0];
+    const cIndex = compare.axes.indexOf('c');
+    const channelCount = cIndex >= 0 ? source.shape[cIndex] || 1 : 1;
+    const z = getCompareZ();
+    const t = Math.min(state.currentT, compare.tCount - 1);
+
+    const selections = [];
+    for (let c = 0; c < channelCount; c++) {
+        const sel = {};
+        compare.axes.forEach(axis => {
+            if (axis === 'x' || axis === 'y') return;
+            sel[axis] = axis === 'z' ? z : axis === 't' ? t : axis === 'c' ? c : 0;
+        });
+        selections.push(sel);
+    }
+
+    const settings = zarrCompare.getChannelSettings(state.channelSettings, {
+        channelCount,
+        dtype: compare.dtype,
+        mainDtype: state.dtype,
+        omero: compare.metadata?.omero
+    });
+    const lutProps = {};
+    if (colormaps.needsLut(settings)) {
+        lutProps.extensions = channelLutExtensions;
+        lutProps.channelLuts = colormaps.buildLutUniform(settings);
+    }
+
+    compare.deck.setProps({
+        layers: [new MultiscaleImageLayer({
+            ...lutProps,
+            id: 'compare-layer',
+            loader: compare.loaderData,
+            selections,
+            contrastLimits: settings.map(s => [s.min, s.max]),
+            colors: settings.map(s => colormaps.hexToRgb(s.color)),
+            channelsVisible: settings.map(s => s.visible),
+            dtype: compare.dtype,
+            refinementStrategy: 'best-available'
+        })]
+    });
+    updateCompareUI();
+}
+
+/**
+ * Open a dataset in the compare view, next to the main view. The value is
+ * kept in the URL (?compare=) so links reopen the comparison.
+ * @param {string} value - Dataset name (relative to the evostitch base) or full URL
+ * @returns {Promise<boolean>} True if the dataset loaded
+ */
+async function openCompare(value) {
+    const compare = state.compare;
+    if (!value || compare.loading || !state.loader) return false;
+    toggleCompare(true);
+    if (!initCompareDeck()) return false;
+
+    compare.loading = true;
+    updateCompareUI('Loading...');
+    try {
+        const result = await loadOmeZarr(resolveZarrParam(value), { type: "multiscales" });
+        const zarrMetadata = window.evostitch.zarrMetadata;
+        const loaderData = result.data || result;
+        const metadata = zarrMetadata.unwrapOmeAttributes(result.metadata);
+        const axes = zarrMetadata.getAxes(metadata);
+        const shape = loaderData[0].shape;
+        compare.param = value;
+        compare.metadata = metadata;
+        compare.axes = axes;
+        compare.dtype = zarrMetadata.detectDtype(loaderData, null);
+        compare.pixelSize = zarrMetadata.getPixelSizes(metadata, axes);
+        compare.zCount = axes.includes('z') ? shape[axes.indexOf('z')] : 1;
+        compare.tCount = axes.includes('t') ? shape[axes.indexOf('t')] : 1;
+        compare.loaderData = loaderData;
+        compare.z = window.evostitch.zarrCompare.mapZ(state.currentZ, state.pixelSizeZ, compare.pixelSize.z, compare.zCount);
+        log(`Compare: ${value}, ${compare.zCount} Z-planes, ${compare.pixelSize.x} µm/px`);
+    } catch (error) {
+        console.error('[evostitch] Failed to load comparison:', error);
+        compare.loading = false;
+        updateCompareUI('Error: ' + error.message);
+        return false;
+    }
+    compare.loading = false;
+    // Closed while loading
+    if (elements.compareViewer.hidden) {
+        compare.loaderData = null;
+        compare.param = null;
+        return false;
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    params.set(window.evostitch.zarrCompare.COMPARE_PARAM, value);
+    history.replaceState(null, '', window.location.pathname + '?' + params.toString() + window.location.hash);
+    syncCompareView();
+    updateCompareLayer();
+    return true;
+}
+
+/**
+ * Show or hide the compare view. Hiding it unloads the compared dataset
+ * and removes it from the URL.
+ * @param {boolean} [shown] - Omit to toggle
+ */
+function toggleCompare(shown) {
+    const pane = elements.compareViewer;
+    if (!pane) return;
+    pane.hidden = shown === undefined ? !pane.hidden : !shown;
+    elements.compareBtn?.classList.toggle('active', !pane.hidden);
+    if (!pane.hidden) {
+        updateCompareUI();
+        if (!state.compare.loaderData) pane.querySelector('.compare-url')?.focus();
+        return;
+    }
+
+    const compare = state.compare;
+    compare.loaderData = null;
+    compare.param = null;
+    compare.deck?.setProps({ layers: [] });
+    const params = new URLSearchParams(window.location.search);
+    const param = window.evostitch.zarrCompare.COMPARE_PARAM;
+    if (params.has(param)) {
+        params.delete(param);
+        const search = params.toString();
+        history.replaceState(null, '', window.location.pathname + (search ? '?' + search : '') + window.location.hash);
+    }
+}
+
+/**
+ * Let the compare view follow the main view's Z (by depth in µm), or keep
+ * its own Z-plane
+ * @param {boolean} enabled
+ */
+function setCompareSyncZ(enabled) {
+    const compare = state.compare;
+    if (compare.loaderData) compare.z = getCompareZ();
+    compare.syncZ = !!enabled;
+    updateCompareLayer();
+    updateCompareUI();
+}
+
+/**
+ * Z-plane of the compare view while Z is not synced
+ * @param {number} z - Clamped to the compared dataset's Z range
+ */
+function setCompareZ(z) {
+    const compare = state.compare;
+    compare.z = Math.max(0, Math.min(compare.zCount - 1, Math.round(z) || 0));
+    updateCompareLayer();
+}
+
+/**
+ * Compare view state for the console
+ * @returns {Object|null} { param, syncZ, z, zCount, pixelSize }, or null without a compared dataset
+ */
+function getCompare() {
+    const compare = state.compare;
+    if (!compare.loaderData) return null;
+    return {
+        param: compare.param,
+        syncZ: compare.syncZ,
+        z: getCompareZ(),
+        zCount: compare.zCount,
+        pixelSize: { ...compare.pixelSize }
+    };
+}
+
+/**
+ * Sync the compare bar's controls with the compare state
+ * @param {string} [status] - Status text (default: the dataset's Z-planes and pixel size)
+ */
+function updateCompareUI(status) {
+    const pane = elements.compareViewer;
+    if (!pane) return;
+    const compare = state.compare;
+    const field = (cls) => pane.querySelector(`.compare-${cls}`);
+    if (compare.param && document.activeElement !== field('url')) field('url').value = compare.param;
+    field('sync-z-input').checked = compare.syncZ;
+    const zInput = field('z');
+    zInput.disabled = compare.syncZ || !compare.loaderData || compare.zCount <= 1;
+    zInput.max = Math.max(0, compare.zCount - 1);
+    if (compare.loaderData) zInput.value = getCompareZ();
+    if (status === undefined) {
+        status = compare.loaderData
+            ? `${compare.zCount} Z · ${window.evostitch.measureTools.formatLength(compare.pixelSize.x)}/px`
+            : '';
+    }
+    field('status').textContent = status;
+}
+
+/**
+ * Wire the compare button and bar
+ */
+function setupCompare() {
+    const pane = elements.compareViewer;
+    elements.compareBtn?.addEventListener('click', () => toggleCompare());
+    if (!pane) return;
+    const field = (cls) => pane.querySelector(`.compare-${cls}`);
+    const open = () => openCompare(field('url').value.trim());
+    field('open-btn').addEventListener('click', open);
+    field('url').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') open();
+    });
+    field('sync-z-input').addEventListener('change', (e) => setCompareSyncZ(e.target.checked));
+    field('z').addEventListener('change', (e) => setCompareZ(parseInt(e.target.value, 10)));
+    field('close-btn').addEventListener('click', () => toggleCompare(false));
+}
+
 // Expose SW communication API
 window.evostitch = window.evostitch || {};
 window.evostitch.sw = {
@@ -1551,10 +5522,12 @@ window.evostitch.sw = {
 window.evostitch.zarrViewer = {
     init,
     setZ,
+    setT,
     zoomIn,
     zoomOut,
     resetView,
     getState,
+    getViewLink: () => window.evostitch.viewLink.buildUrl(getViewLinkState() || {}),
     setDebug: (enabled) => { CONFIG.debug = enabled; },
     loadZarr,
     updateLayer,
@@ -1568,7 +5541,79 @@ window.evostitch.zarrViewer = {
     getChannelSettings,
     setChannelVisible,
     setChannelContrast,
-    resetChannels
+    setChannelColormap,
+    autoContrast,
+    autoContrastChannel,
+    updateHistograms,
+    getHistogram,
+    resetChannels,
+    // Annotation API
+    getAnnotations,
+    addAnnotation,
+    removeAnnotation,
+    clearAnnotations,
+    exportAnnotations,
+    importAnnotations,
+    setAnnotationTool,
+    // Measurement API
+    setMeasureTool,
+    getMeasurements,
+    getMeasurementTable: () => state.measureSession?.toTable() || '',
+    // Orthogonal views API
+    setOrthoViews,
+    updateOrthoViews,
+    // Z projection API
+    setProjection,
+    getProjection: () => ({ ...state.projection }),
+    // Depth map API
+    setDepthMap,
+    getDepthAt,
+    // Focus peaking API
+    setFocusPeaking,
+    // Label images API
+    getLabels: () => state.labels.map(entry => ({ name: entry.name, enabled: entry.enabled })),
+    setLabelVisible,
+    setLabelOpacity,
+    getLabelsAt,
+    // Z playback API
+    setPlayback,
+    getPlaybackStatus: () => state.player?.getStatus() || null,
+    // Video export API
+    exportVideo,
+    cancelVideoExport,
+    // Save image API
+    saveImage,
+    // OME-TIFF export API
+    setTiffRegion,
+    getTiffRegion: () => (state.tiffRegion ? { ...state.tiffRegion } : null),
+    exportTiff,
+    cancelTiffExport,
+    // HCS plate API
+    getPlate: () => (state.plate ? {
+        name: state.plate.name,
+        rows: [...state.plate.rows],
+        columns: [...state.plate.columns],
+        wells: state.plate.wells.map(well => well.path),
+        well: state.plateWell?.well.path || null,
+        field: state.plateWell ? state.plateWell.field : null,
+        fields: state.plateWell ? [...state.plateWell.fields] : []
+    } : null),
+    openWell,
+    togglePlatePanel,
+    // Series API
+    getSeries: () => (state.series ? {
+        index: state.seriesIndex,
+        series: state.series.map(series => ({ ...series }))
+    } : null),
+    openSeries,
+    // Compare API
+    getCompare,
+    openCompare,
+    toggleCompare,
+    setCompareSyncZ,
+    setCompareZ,
+    // Autofocus API
+    autofocus
 };
 
 // Auto-initialize on DOM ready
@@ -0,0 +1,72 @@
+// Per-channel lookup table extension for Viv's XRLayer
+// Viv's ColorPaletteExtension maps each channel to a black → color ramp and
+// AdditiveColormapExtension applies a single colormap to the summed channels.
+// This extension gives every channel its own LUT (colormap or color ramp) and
+// adds the results, so e.g. one channel can be viridis while another is green.
+//
+// Props:
+//   channelLuts - flat array of MAX_CHANNELS * LUT_SIZE RGB triples in [0, 1]
+//                 (built by js/zarr-colormaps.js buildLutUniform)
+//   opacity     - layer opacity (as in ColorPaletteExtension)
+
+import { LayerExtension } from '@deck.gl/core';
+
+// Must match LUT_SIZE / MAX_CHANNELS in js/zarr-colormaps.js
+const LUT_SIZE = 16;
+const MAX_CHANNELS = 6;
+
+const fs = `uniform vec3 channelLuts[${MAX_CHANNELS * LUT_SIZE}];
+uniform float opacity;
+
+// Linearly interpolate the channel's LUT at a contrast-adjusted intensity
+vec3 sample_channel_lut(int channel, float intensity) {
+  float x = clamp(intensity, 0.0, 1.0) * float(${LUT_SIZE - 1});
+  int i = int(min(floor(x), float(${LUT_SIZE - 2})));
+  int base = channel * ${LUT_SIZE};
+  return mix(channelLuts[base + i], channelLuts[base + i + 1], x - float(i));
+}
+`;
+
+const DECKGL_MUTATE_COLOR = `vec3 rgb = sample_channel_lut(0, intensity0);
+rgb += sample_channel_lut(1, intensity1);
+rgb += sample_channel_lut(2, intensity2);
+rgb += sample_channel_lut(3, intensity3);
+rgb += sample_channel_lut(4, intensity4);
+rgb += sample_channel_lut(5, intensity5);
+rgba = vec4(min(rgb, vec3(1.0)), opacity);
+`;
+
+const channelLutModule = {
+    name: 'channel-lut-module',
+    fs,
+    inject: {
+        'fs:DECKGL_MUTATE_COLOR': DECKGL_MUTATE_COLOR
+    }
+};
+
+const EMPTY_LUTS = new Array(MAX_CHANNELS * LUT_SIZE * 3).fill(0);
+
+const defaultProps = {
+    channelLuts: { type: 'array', value: null, compare: true },
+    opacity: { type: 'number', value: 1, compare: true }
+};
+
+export class ChannelLutExtension extends LayerExtension {
+    getShaders() {
+        return {
+            ...super.getShaders(),
+            modules: [channelLutModule]
+        };
+    }
+
+    draw() {
+        const { channelLuts, opacity = defaultProps.opacity.value } = this.props;
+        this.state.model?.setUniforms({
+            channelLuts: channelLuts || EMPTY_LUTS,
+            opacity
+        });
+    }
+}
+
+ChannelLutExtension.extensionName = 'ChannelLutExtension';
+ChannelLutExtension.defaultProps = defaultProps;
@@ -11,5 +11,11 @@ export { MultiscaleImageLayer, ImageLayer } from '@vivjs/layers';
 // deck.gl exports
 export { Deck, OrthographicView } from '@deck.gl/core';
 
+// deck.gl layers for the annotation overlay
+export { GeoJsonLayer, ScatterplotLayer, TextLayer } from '@deck.gl/layers';
+
 // zarrita codec registry (for custom codec registration like JPEG)
 export { registry } from 'zarrita';
+
+// Per-channel colormap (LUT) rendering
+export { ChannelLutExtension } from './channel-lut-extension.js';
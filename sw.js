@@ -1,7 +1,7 @@
 // evostitch Service Worker - Tile caching for improved 3D performance
 // W1: Service Worker Caching
 
-const SW_VERSION = '1.4.1';
+const SW_VERSION = '1.5.0';
 const TILE_CACHE_NAME = `evostitch-tiles-v${SW_VERSION}`;
 const STATIC_CACHE_NAME = `evostitch-static-v${SW_VERSION}`;
 const ZARR_CACHE_NAME = `evostitch-zarr-v${SW_VERSION}`;
@@ -17,8 +17,12 @@ const R2_DOMAINS = [
     'data.evostitch.net'                              // Custom domain via Cloudflare (HTTP/2)
 ];
 
-// Zarr metadata file names
-const ZARR_META_FILES = ['.zarray', '.zattrs', '.zgroup'];
+// Zarr metadata file names (v2: .zarray/.zattrs/.zgroup, v3: zarr.json,
+// bioformats2raw containers: OME/METADATA.ome.xml listing the series)
+const ZARR_META_FILES = ['.zarray', '.zattrs', '.zgroup', 'zarr.json', 'METADATA.ome.xml'];
+
+// Query parameter used to key cached byte ranges (see rangeCacheFirstStrategy)
+const RANGE_CACHE_PARAM = 'evostitch-range';
 
 // Pattern to identify tile requests (DZI format: {name}_files/{level}/{x}_{y}.{ext})
 // Tiles come from R2 CDN and have _files/ in their path
@@ -38,8 +42,12 @@ function isDziRequest(url) {
 }
 
 // Determine if a URL is a zarr chunk request from R2
-// Zarr chunks use paths like: /{dataset}/0/{level}/{t}/{c}/{z}/{y}/{x}
-// or with dot separator: /{dataset}/0/{level}/{t}.{c}.{z}.{y}.{x}
+// Zarr chunks use paths like: /{dataset}/{series}/{level}/{t}/{c}/{z}/{y}/{x}
+// or with dot separator: /{dataset}/{series}/{level}/{t}.{c}.{z}.{y}.{x}
+// ({series} is the bioformats2raw series group: 0, 1, ...)
+// Zarr v3 (default chunk key encoding) adds a "c" prefix:
+// /{dataset}/{series}/{level}/c/{t}/{c}/{z}/{y}/{x} or /{dataset}/{series}/{level}/c.{t}.{c}.{z}.{y}.{x}
+// (for sharded arrays the same key names a shard, read with Range requests)
 function isZarrChunkRequest(url) {
     try {
         var parsed = new URL(url);
@@ -49,7 +57,7 @@ function isZarrChunkRequest(url) {
         var path = parsed.pathname;
         // Must have at least a dataset name and resolution level
         var segments = path.split('/').filter(function(s) { return s.length > 0; });
-        // Minimum: dataset/0/level/chunk_indices (at least 4 segments)
+        // Minimum: dataset/series/level/chunk_indices (at least 4 segments)
         if (segments.length < 4) return false;
         // Skip if it's a metadata file
         for (var i = 0; i < ZARR_META_FILES.length; i++) {
@@ -60,12 +68,18 @@ function isZarrChunkRequest(url) {
         if (DZI_URL_PATTERN.test(url)) return false;
         // The last segment(s) should be numeric or dot-separated numerics
         var lastSeg = segments[segments.length - 1];
-        // Check for dot-separated chunk indices (e.g., "0.0.0.0.0")
-        if (/^\d+(\.\d+)+$/.test(lastSeg)) return true;
+        // Check for dot-separated chunk indices (e.g., "0.0.0.0.0" or v3 "c.0.0.0.0.0")
+        if (/^(c\.)?\d+(\.\d+)+$/.test(lastSeg)) return true;
         // Check for slash-separated: last several segments are all numeric
-        // Resolution level (segments[2] for dataset/0/level/...) and beyond should be numeric
-        var numericStart = 2; // After dataset name and bioformats2raw "0"
+        // Resolution level (segments[2] for dataset/series/level/...) and beyond should be numeric,
+        // except a single v3 "c" key prefix segment
+        var numericStart = 2; // After dataset name and bioformats2raw series (any index)
+        var sawKeyPrefix = false;
         for (var j = numericStart; j < segments.length; j++) {
+            if (segments[j] === 'c' && !sawKeyPrefix) {
+                sawKeyPrefix = true;
+                continue;
+            }
             if (!/^\d+$/.test(segments[j])) return false;
         }
         return segments.length > numericStart;
@@ -159,12 +173,17 @@ self.addEventListener('fetch', function(event) {
     }
 
     // Strategy 3: Cache-first for zarr chunks (immutable binary blobs)
+    // Byte-range reads of Zarr v3 shards are cached per range
     if (isZarrChunkRequest(url)) {
+        if (event.request.headers.has('Range')) {
+            event.respondWith(rangeCacheFirstStrategy(event.request, ZARR_CACHE_NAME, MAX_ZARR_CACHE_ENTRIES));
+            return;
+        }
         event.respondWith(cacheFirstStrategy(event.request, ZARR_CACHE_NAME, MAX_ZARR_CACHE_ENTRIES));
         return;
     }
 
-    // Strategy 4: Cache-first for zarr metadata (.zarray, .zattrs, .zgroup)
+    // Strategy 4: Cache-first for zarr metadata (.zarray, .zattrs, .zgroup, zarr.json, METADATA.ome.xml)
     if (isZarrMetadataRequest(url)) {
         event.respondWith(cacheFirstStrategy(event.request, ZARR_CACHE_NAME, MAX_ZARR_CACHE_ENTRIES));
         return;
@@ -217,6 +236,47 @@ function cacheFirstStrategy(request, cacheName, maxEntries) {
     });
 }
 
+// Cache key for a byte-range request: the chunk URL plus the requested range.
+// Cache matching ignores URL fragments, so the range goes in the query string.
+function rangeCacheKey(request) {
+    var range = request.headers.get('Range').replace(/\s+/g, '');
+    var separator = request.url.indexOf('?') === -1 ? '?' : '&';
+    return request.url + separator + RANGE_CACHE_PARAM + '=' + encodeURIComponent(range);
+}
+
+// Cache-first strategy for byte-range requests (sharded Zarr v3 chunk reads)
+// cache.put() rejects 206 responses, so the bytes are stored as a 200 response
+// under a per-range key and replayed as 206 Partial Content on a hit.
+function rangeCacheFirstStrategy(request, cacheName, maxEntries) {
+    var cacheKey = rangeCacheKey(request);
+    return caches.open(cacheName).then(function(cache) {
+        return cache.match(cacheKey).then(function(cachedResponse) {
+            if (cachedResponse) {
+                return new Response(cachedResponse.body, {
+                    status: 206,
+                    statusText: 'Partial Content',
+                    headers: cachedResponse.headers
+                });
+            }
+
+            return fetch(request).then(function(networkResponse) {
+                // Only cache real partial content (a 200 means the server ignored Range)
+                if (networkResponse.status === 206) {
+                    var headers = networkResponse.headers;
+                    networkResponse.clone().arrayBuffer().then(function(body) {
+                        return cache.put(cacheKey, new Response(body, { status: 200, headers: headers }));
+                    }).then(function() {
+                        return trimCacheIfNeeded(cacheName, maxEntries);
+                    }).catch(function(e) {
+                        console.warn('[evostitch SW] Range cache update failed:', e);
+                    });
+                }
+                return networkResponse;
+            });
+        });
+    });
+}
+
 // Network-first strategy: try network, fall back to cache
 // Used for static assets that may be updated
 function networkFirstStrategy(request, cacheName) {
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+// Unit tests for autofocus.js - runs with plain Node.js
+// Usage: node tests/autofocus.test.js
+//
+// Tests the focus metric, peak detection and the coarse-to-fine search with a
+// mock plane scorer, and the autofocus wiring in both viewers.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const root = path.join(__dirname, '..');
+const source = fs.readFileSync(path.join(root, 'js', 'autofocus.js'), 'utf8');
+const zarrViewerSource = fs.readFileSync(path.join(root, 'js', 'zarr-viewer.js'), 'utf8');
+const dziViewerSource = fs.readFileSync(path.join(root, 'js', 'viewer.js'), 'utf8');
+const zarrHtml = fs.readFileSync(path.join(root, 'zarr-viewer.html'), 'utf8');
+const dziHtml = fs.readFileSync(path.join(root, 'viewer.html'), 'utf8');
+
+const sandbox = vm.createContext({ window: { evostitch: {} }, console });
+vm.runInContext(source, sandbox);
+const autofocus = sandbox.window.evostitch.autofocus;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// 8x8 plane: 0/100 checkerboard blended with flat 50 (sharpness 0 = flat, 1 = full contrast)
+function plane(sharpness) {
+    const data = new Float32Array(64);
+    for (let i = 0; i < 64; i++) {
+        const checker = ((i % 8) + Math.floor(i / 8)) % 2 * 100;
+        data[i] = 50 + (checker - 50) * sharpness;
+    }
+    return data;
+}
+
+console.log('autofocus.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.autofocus', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['focusScore', 'rgbaToGray', 'findPeaks', 'findBestFocus', 'drawCurve', 'bindPanel', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof autofocus[fn], 'function', fn + ' should be exported'));
+});
+
+test('both viewers load autofocus.js before the viewer and have the button and panel', () => {
+    [[zarrHtml, 'js/zarr-viewer.js'], [dziHtml, 'js/viewer.js']].forEach(([html, viewer]) => {
+        const pos = html.indexOf('js/autofocus.js');
+        assert.ok(pos > 0, 'autofocus.js should be in HTML');
+        assert.ok(pos < html.indexOf(viewer), 'Should load before ' + viewer);
+        ['id="autofocus-btn"', 'id="autofocus-panel"', 'class="autofocus-curve"']
+            .forEach(attr => assert.ok(html.includes(attr), 'HTML should have ' + attr));
+    });
+});
+
+// ========== Focus metric ==========
+
+console.log('\n--- Focus Metric ---');
+
+test('sharper planes score higher; flat planes score 0', () => {
+    const sharp = autofocus.focusScore(plane(1), 8, 8);
+    const soft = autofocus.focusScore(plane(0.3), 8, 8);
+    assert.ok(sharp > soft && soft > 0);
+    assert.strictEqual(autofocus.focusScore(plane(0), 8, 8), 0);
+    assert.strictEqual(autofocus.focusScore(plane(1), 2, 2), 0, 'No interior pixels');
+});
+
+test('NaN pixels are skipped', () => {
+    const data = plane(1);
+    const clean = autofocus.focusScore(data, 8, 8);
+    data[0] = NaN;  // Corner: only outside the interior
+    assert.strictEqual(autofocus.focusScore(data, 8, 8), clean);
+    data[9] = NaN;
+    assert.ok(Number.isFinite(autofocus.focusScore(data, 8, 8)));
+});
+
+test('rgbaToGray weights RGB and ignores alpha', () => {
+    const gray = autofocus.rgbaToGray(new Uint8ClampedArray([255, 255, 255, 0, 255, 0, 0, 255]));
+    assert.strictEqual(gray.length, 2);
+    assert.ok(Math.abs(gray[0] - 255) < 1e-3);
+    assert.ok(Math.abs(gray[1] - 0.299 * 255) < 1e-3);
+});
+
+// ========== Peaks ==========
+
+console.log('\n--- Peaks ---');
+
+test('findPeaks lists local maxima above the threshold, highest first', () => {
+    assert.deepStrictEqual(plain(autofocus.findPeaks([1, 5, 2, 3, 1, 8, 1])), [5, 1]);
+    assert.deepStrictEqual(plain(autofocus.findPeaks([1, 5, 2, 3, 1, 8, 1], 0)), [5, 1, 3]);
+});
+
+test('findPeaks counts plateaus and edges once and skips unread planes', () => {
+    assert.deepStrictEqual(plain(autofocus.findPeaks([9, 2, 6, 6, 1])), [0, 2]);
+    assert.deepStrictEqual(plain(autofocus.findPeaks([null, 4, null, 3])), [1, 3]);
+    assert.deepStrictEqual(plain(autofocus.findPeaks([null, null])), []);
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('zarr viewer reads the viewport of every plane and goes to the best with setZ()', () => {
+    const start = zarrViewerSource.indexOf('async function autofocus()');
+    const body = zarrViewerSource.substring(start, zarrViewerSource.indexOf('function setupAutofocus()'));
+    assert.ok(body.includes('reader.readRegion(loaderData, {'));
+    assert.ok(body.includes('if (result) setZ(result.bestZ);'));
+    assert.ok(zarrViewerSource.includes("case 'f':"), 'F key');
+    assert.ok(zarrViewerSource.includes('elements.autofocusBtn.hidden = state.zCount <= 1'));
+    assert.ok(zarrViewerSource.includes('    autofocus\n'), 'autofocus should be in the API');
+});
+
+test('DZI viewer reads DZI tiles of the viewport and goes to the best with setZPlane()', () => {
+    const start = dziViewerSource.indexOf('async function runAutofocus()');
+    const body = dziViewerSource.substring(start, dziViewerSource.indexOf('function toggleFullscreen()'));
+    assert.ok(body.includes('source.getTileUrl(level, tx, ty)'));
+    assert.ok(body.includes('if (result) goToPlane(result.bestZ);'));
+    assert.ok(/function goToPlane\(z\) \{\s*setZPlane\(z\);/.test(dziViewerSource));
+    assert.ok(dziViewerSource.includes("e.key === 'f' || e.key === 'F'"), 'F key');
+});
+
+test('DZI F key does not flip the canvas or take Ctrl/Cmd+F', () => {
+    const start = dziViewerSource.indexOf('function initAutofocus()');
+    const body = dziViewerSource.substring(start, dziViewerSource.indexOf('function goToPlane(z)'));
+    assert.ok(body.includes("claimCanvasKey('f');"), 'OpenSeadragon flip key is claimed');
+    assert.ok(body.includes('if (e.ctrlKey || e.metaKey || e.altKey) return;'));
+    assert.ok(dziViewerSource.includes('event.preventDefaultAction = true;'));
+});
+
+// ========== Search ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Search ---');
+
+    // Coarse scores peak at 3 and 8; the fine pass is sharpest at 9
+    const coarse = [1, 2, 5, 9, 4, 1, 2, 6, 8, 7, 1];
+    const fine = { 1: 1, 2: 3, 3: 7, 4: 2, 5: 1, 6: 2, 7: 5, 8: 8, 9: 10, 10: 4 };
+
+    await testAsync('scores all planes coarse, then refines around the top peaks', async () => {
+        const calls = [];
+        const progress = [];
+        const result = await autofocus.findBestFocus({
+            zCount: coarse.length,
+            scorePlane: (z, maxPixels) => {
+                calls.push([z, maxPixels]);
+                return Promise.resolve(maxPixels === autofocus.CONFIG.coarsePixels ? coarse[z] : fine[z]);
+            },
+            onProgress: p => progress.push(p.pass)
+        });
+        assert.strictEqual(result.bestZ, 9);
+        assert.deepStrictEqual(plain(result.peaks), [3, 8]);
+        assert.deepStrictEqual(plain(result.scores), coarse);
+        const fineCalls = calls.filter(c => c[1] === autofocus.CONFIG.finePixels).map(c => c[0]).sort((a, b) => a - b);
+        assert.deepStrictEqual(fineCalls, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10], '±2 around each peak, no duplicates');
+        assert.strictEqual(progress.filter(p => p === 'coarse').length, coarse.length);
+        assert.strictEqual(progress.filter(p => p === 'fine').length, 10);
+        assert.ok(autofocus.formatResult(result).startsWith('Best Z 10 · 2 focal peaks'));
+    });
+
+    await testAsync('unreadable planes are skipped; nothing readable gives null', async () => {
+        const result = await autofocus.findBestFocus({
+            zCount: 4,
+            scorePlane: z => Promise.resolve(z === 2 ? 5 : null)
+        });
+        assert.strictEqual(result.bestZ, 2);
+        assert.deepStrictEqual(plain(result.scores), [null, null, 5, null]);
+        const none = await autofocus.findBestFocus({ zCount: 3, scorePlane: () => Promise.resolve(null) });
+        assert.strictEqual(none, null);
+    });
+
+    await testAsync('reads at most CONFIG.concurrency planes at once', async () => {
+        let inFlight = 0;
+        let peak = 0;
+        await autofocus.findBestFocus({
+            zCount: 20,
+            scorePlane: z => {
+                inFlight++;
+                peak = Math.max(peak, inFlight);
+                return new Promise(resolve => setTimeout(resolve, 1)).then(() => {
+                    inFlight--;
+                    return z;
+                });
+            }
+        });
+        assert.strictEqual(peak, autofocus.CONFIG.concurrency);
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+// Unit tests for figure-export.js - runs with plain Node.js
+// Usage: node tests/figure-export.test.js
+//
+// Tests output scale limits, the piece grid of high-resolution renders, the
+// burned-in scale bar, label and channel legend on a mock 2D context, the
+// save-image panel on mock elements, and the wiring in both viewers.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const root = path.join(__dirname, '..');
+const source = fs.readFileSync(path.join(root, 'js', 'figure-export.js'), 'utf8');
+const zarrViewerSource = fs.readFileSync(path.join(root, 'js', 'zarr-viewer.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(root, 'js', 'viewer.js'), 'utf8');
+const zarrHtml = fs.readFileSync(path.join(root, 'zarr-viewer.html'), 'utf8');
+const viewerHtml = fs.readFileSync(path.join(root, 'viewer.html'), 'utf8');
+
+const sandbox = vm.createContext({ window: { evostitch: {} }, console });
+vm.runInContext(source, sandbox);
+const figure = sandbox.window.evostitch.figureExport;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Mock 2D context: records fillRect/fillText calls and fill colors
+function mockContext(width, height) {
+    const calls = [];
+    return {
+        canvas: { width, height },
+        calls,
+        save() {},
+        restore() {},
+        measureText: text => ({ width: text.length * 8 }),
+        fillRect(x, y, w, h) { calls.push(['rect', x, y, w, h, this.fillStyle]); },
+        fillText(text, x, y) { calls.push(['text', text, x, y]); }
+    };
+}
+
+// Mock element with querySelector over named children and click listeners
+function mockElement(props = {}) {
+    const listeners = {};
+    return Object.assign({
+        hidden: true,
+        textContent: '',
+        addEventListener(type, fn) { listeners[type] = fn; },
+        click() { return listeners.click(); }
+    }, props);
+}
+
+function mockPanel(children) {
+    return mockElement({
+        querySelector: selector => children[selector.replace('.save-image-', '')] || null
+    });
+}
+
+console.log('figure-export.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.figureExport', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['clampScale', 'planPieces', 'niceScaleBar', 'drawOverlays', 'toPng', 'download', 'bindPanel']
+        .forEach(fn => assert.strictEqual(typeof figure[fn], 'function', fn + ' should be exported'));
+});
+
+test('both viewers load figure-export.js before their viewer script', () => {
+    assert.ok(zarrHtml.indexOf('js/figure-export.js') > 0);
+    assert.ok(zarrHtml.indexOf('js/figure-export.js') < zarrHtml.indexOf('js/zarr-video-export.js'));
+    assert.ok(zarrHtml.indexOf('js/figure-export.js') < zarrHtml.indexOf('js/zarr-viewer.js'));
+    assert.ok(viewerHtml.indexOf('js/figure-export.js') > 0);
+    assert.ok(viewerHtml.indexOf('js/figure-export.js') < viewerHtml.indexOf('js/viewer.js'));
+    [zarrHtml, viewerHtml].forEach((html) => {
+        ['id="save-image-btn"', 'id="save-image-panel"', 'class="save-image-scale"', 'class="save-image-save-btn"']
+            .forEach(attr => assert.ok(html.includes(attr), 'HTML should have ' + attr));
+    });
+    assert.ok(zarrHtml.includes('class="save-image-legend"'), 'Channel legend in the zarr viewer');
+    assert.ok(!viewerHtml.includes('class="save-image-legend"'), 'DZI mosaics have no channels');
+});
+
+// ========== Resolution ==========
+
+console.log('\n--- Resolution ---');
+
+test('scale is an integer of at least 1', () => {
+    assert.strictEqual(figure.clampScale(2, 1000, 800), 2);
+    assert.strictEqual(figure.clampScale(2.7, 1000, 800), 2);
+    assert.strictEqual(figure.clampScale(0, 1000, 800), 1);
+    assert.strictEqual(figure.clampScale('x', 1000, 800), 1);
+});
+
+test('scale is reduced to fit the canvas limits', () => {
+    assert.strictEqual(figure.clampScale(4, 5000, 1000), 3, '4 × 5000 px exceeds maxSide');
+    assert.strictEqual(figure.clampScale(4, 4000, 4000), 2, '4 × 4000 px squared exceeds maxPixels');
+    assert.strictEqual(figure.clampScale(4, 20000, 100), 1, 'Never below 1');
+});
+
+test('pieces tile the view row by row, centered on each cell', () => {
+    assert.deepStrictEqual(plain(figure.planPieces(1)), [{ col: 0, row: 0, cx: 0, cy: 0 }]);
+    const pieces = plain(figure.planPieces(2));
+    assert.deepStrictEqual(pieces.map(p => [p.col, p.row]), [[0, 0], [1, 0], [0, 1], [1, 1]]);
+    assert.deepStrictEqual([pieces[0].cx, pieces[0].cy], [-0.25, -0.25]);
+    assert.deepStrictEqual([pieces[3].cx, pieces[3].cy], [0.25, 0.25]);
+    assert.strictEqual(figure.planPieces(4).length, 16);
+});
+
+// ========== Overlays ==========
+
+console.log('\n--- Overlays ---');
+
+test('scale bar picks a nice length near the target width', () => {
+    assert.deepStrictEqual(plain(figure.niceScaleBar(0.5, 100)), { um: 50, pixels: 100, label: '50 µm' });
+    assert.deepStrictEqual(plain(figure.niceScaleBar(20, 100)), { um: 2000, pixels: 100, label: '2 mm' });
+    assert.strictEqual(figure.niceScaleBar(1000, 100).um, 10000, 'Largest step when zoomed far out');
+});
+
+test('overlays are scaled to canvas pixels', () => {
+    const ctx = mockContext(800, 400);
+    figure.drawOverlays(ctx, { scale: 2, scaleBar: { pixels: 50, label: '10 µm' }, label: 'Z 3/9' });
+    const bar = ctx.calls.find(call => call[0] === 'rect' && call[4] === 8);
+    assert.ok(bar, 'Bar is 4 CSS pixels high');
+    assert.strictEqual(bar[3], 100, 'Bar width in canvas pixels');
+    assert.strictEqual(bar[2], 400 - 80 + 20, 'Bar sits at the bottom');
+    assert.ok(ctx.calls.some(call => call[0] === 'text' && call[1] === 'Z 3/9'));
+    assert.strictEqual(ctx.font, '26px monospace');
+});
+
+test('channel legend lists each channel with its color ramp at the top right', () => {
+    const ctx = mockContext(1000, 500);
+    figure.drawOverlays(ctx, {
+        scale: 1,
+        legend: [
+            { name: 'DAPI', colors: [[0, 0, 0], [0, 0, 255]] },
+            { name: 'GFP', colors: [[0, 255, 0]] }
+        ]
+    });
+    const names = ctx.calls.filter(call => call[0] === 'text').map(call => call[1]);
+    assert.deepStrictEqual(names, ['DAPI', 'GFP']);
+    const swatches = ctx.calls.filter(call => call[0] === 'rect' && call[5].startsWith('rgb('));
+    assert.deepStrictEqual(swatches.map(call => call[5]), ['rgb(0, 0, 0)', 'rgb(0, 0, 255)', 'rgb(0, 255, 0)']);
+    const background = ctx.calls[0];
+    assert.strictEqual(background[1] + background[3], 1000 - 16, 'Legend box is right-aligned');
+});
+
+test('no overlays draw nothing', () => {
+    const ctx = mockContext(400, 400);
+    figure.drawOverlays(ctx, { scale: 1, scaleBar: null, label: null, legend: [] });
+    assert.deepStrictEqual(ctx.calls, []);
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('zarr viewer draws the on-screen and burned-in scale bar from the same rule', () => {
+    const start = zarrViewerSource.indexOf('function updateScaleBarCore()');
+    const body = zarrViewerSource.substring(start, zarrViewerSource.indexOf('function updateScaleBar()'));
+    assert.ok(body.includes('const scaleBar = getScaleBar();'));
+    assert.ok(body.includes('figure.niceScaleBar(umPerScreenPixel, figure.CONFIG.scaleBarPixels)'));
+    assert.ok(!body.includes('niceValues'), 'No second copy of the nice values');
+});
+
+test('zarr viewer re-renders each piece zoomed in and waits for its tiles', () => {
+    const start = zarrViewerSource.indexOf('async function saveImage(');
+    const body = zarrViewerSource.substring(start, zarrViewerSource.indexOf('function setupSaveImage('));
+    assert.ok(body.includes('figure.planPieces(scale)'));
+    assert.ok(body.includes('zoom: view.zoom + Math.log2(scale)'), 'Finer tiles at higher scales');
+    const wait = body.indexOf('await waitForViewportLoad();');
+    const redraw = body.indexOf("state.deck.redraw('save-image');");
+    const copy = body.indexOf('ctx.drawImage(source');
+    assert.ok(wait >= 0 && wait < redraw && redraw < copy, 'Wait, redraw, then copy');
+    assert.ok(/finally \{\s*\n\s*if \(scale > 1\) \{\s*\n\s*state\.viewState = view;/.test(body), 'View is restored');
+    assert.ok(zarrViewerSource.includes('    saveImage,'), 'saveImage should be in the API');
+    assert.ok(zarrViewerSource.includes("case 's':"), 'S key');
+});
+
+test('DZI viewer shares the tile compositing of autofocus reads', () => {
+    const readStart = viewerSource.indexOf('async function readViewportGray(');
+    const read = viewerSource.substring(readStart, viewerSource.indexOf('async function drawLevelTiles('));
+    assert.ok(read.includes('await drawLevelTiles(ctx, source, level,'));
+    const start = viewerSource.indexOf('async function saveImage(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function toggleFullscreen('));
+    assert.ok(body.includes('await drawLevelTiles(ctx, source, level, rect, pixelScale);'));
+    assert.ok(body.includes('source.getLevelScale(level) < pixelScale'), 'Level matches the output resolution');
+    assert.ok(body.includes('getScaleBar()'), 'Same scale bar as on screen');
+    assert.ok(viewerSource.includes('scaleLine.style.width = `${Math.round(bar.pixels)}px`;'));
+});
+
+test('DZI S key does not pan the view or take Ctrl/Cmd/Alt+S', () => {
+    const start = viewerSource.indexOf('function initSaveImage()');
+    const body = viewerSource.substring(start, viewerSource.indexOf('async function saveImage('));
+    assert.ok(body.includes("claimCanvasKey('s');"), 'OpenSeadragon pan-down key is claimed');
+    assert.ok(body.includes("(e.key === 's' || e.key === 'S') && !e.ctrlKey && !e.metaKey && !e.altKey"));
+});
+
+// ========== Panel ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Panel ---');
+
+    await testAsync('panel passes its options to the save callback and shows the result', async () => {
+        const children = {
+            'scale': { value: '3' },
+            'scale-bar': { checked: true },
+            'label': { checked: false },
+            'legend': { checked: true },
+            'status': mockElement(),
+            'save-btn': mockElement({ disabled: false }),
+            'close-btn': mockElement()
+        };
+        const panel = mockPanel(children);
+        const received = [];
+        const controls = figure.bindPanel(panel, (options) => {
+            received.push(plain(options));
+            return Promise.resolve('figure.png (300×200)');
+        });
+
+        controls.toggle();
+        assert.strictEqual(panel.hidden, false);
+        children['save-btn'].click();
+        assert.strictEqual(children['save-btn'].disabled, true, 'No second save while rendering');
+        assert.strictEqual(children.status.textContent, 'Rendering…');
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepStrictEqual(received, [{ scale: 3, scaleBar: true, label: false, legend: true }]);
+        assert.strictEqual(children.status.textContent, 'Saved figure.png (300×200)');
+        assert.strictEqual(children['save-btn'].disabled, false);
+        children['close-btn'].click();
+        assert.strictEqual(panel.hidden, true);
+    });
+
+    await testAsync('a failed save is reported in the panel', async () => {
+        const children = {
+            'status': mockElement(),
+            'save-btn': mockElement({ disabled: false })
+        };
+        const warn = console.warn;
+        console.warn = () => {};
+        figure.bindPanel(mockPanel(children), () => Promise.reject(new Error('tile 404')));
+        children['save-btn'].click();
+        await new Promise(resolve => setImmediate(resolve));
+        console.warn = warn;
+        assert.strictEqual(children.status.textContent, 'Save failed');
+        assert.strictEqual(children['save-btn'].disabled, false);
+    });
+
+    await testAsync('PNG encoding rejects when the canvas is too large to encode', async () => {
+        const canvas = { width: 10, height: 10, toBlob: callback => callback(null) };
+        await assert.rejects(figure.toPng(canvas), /PNG encoding failed/);
+        const ok = { toBlob: (callback, type) => callback({ type }) };
+        assert.strictEqual((await figure.toPng(ok)).type, 'image/png');
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+// Unit tests for measure-tools.js - runs with plain Node.js
+// Usage: node tests/measure-tools.test.js
+//
+// Tests calibrated measurements (including anisotropic pixel sizes), display
+// formatting, the copyable results table, ruler sessions, and the ruler
+// wiring in both viewers.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'measure-tools.js'), 'utf8');
+const zarrViewerSource = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-viewer.js'), 'utf8');
+const dziViewerSource = fs.readFileSync(path.join(__dirname, '..', 'js', 'viewer.js'), 'utf8');
+const zarrHtml = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+const dziHtml = fs.readFileSync(path.join(__dirname, '..', 'viewer.html'), 'utf8');
+
+const sandbox = vm.createContext({ window: { evostitch: {} }, console });
+vm.runInContext(source, sandbox);
+const tools = sandbox.window.evostitch.measureTools;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// 0.5 µm/px in X, 2 µm/px in Y
+const ANISOTROPIC = { x: 0.5, y: 2 };
+
+function createSession(plane) {
+    let changes = 0;
+    const session = tools.createSession({
+        getPixelSize: () => ANISOTROPIC,
+        getPlane: () => plane || {},
+        onChange: () => { changes++; }
+    });
+    return { session, changes: () => changes };
+}
+
+console.log('measure-tools.js - Unit Tests');
+console.log('================================');
+
+// ========== File structure ==========
+
+console.log('\n--- File Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.measureTools', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['measure', 'format', 'toTable', 'createSession', 'bindPanel']
+        .forEach(fn => assert.strictEqual(typeof tools[fn], 'function', fn + ' should be exported'));
+});
+
+test('both viewers load measure-tools.js after view-link.js and have the ruler UI', () => {
+    [['zarr-viewer.html', zarrHtml, 'js/zarr-viewer.js'], ['viewer.html', dziHtml, 'js/viewer.js']]
+        .forEach(([name, html, viewerScript]) => {
+            const pos = html.indexOf('js/measure-tools.js');
+            assert.ok(pos > html.indexOf('js/view-link.js'), name + ' should load it after view-link.js (clipboard)');
+            assert.ok(pos < html.indexOf(viewerScript), name + ' should load it before the viewer');
+            assert.ok(html.includes('id="measure-btn"'), name + ' should have a measure button');
+            ['measure-mode', 'measure-copy-btn', 'measure-clear-btn', 'measure-results']
+                .forEach(cls => assert.ok(html.includes(`class="${cls}"`), name + ' panel should have .' + cls));
+        });
+});
+
+// ========== Measurements ==========
+
+console.log('\n--- Measurements (µm) ---');
+
+test('distance scales X and Y separately', () => {
+    // 6 px * 0.5 = 3 µm in X, 2 px * 2 = 4 µm in Y
+    assert.deepStrictEqual(plain(tools.measure('distance', [[0, 0], [6, 2]], ANISOTROPIC)), { value: 5, unit: 'µm' });
+});
+
+test('polyline sums its segments', () => {
+    const result = tools.measure('polyline', [[0, 0], [6, 2], [6, 4]], ANISOTROPIC);
+    assert.strictEqual(result.value, 9);
+});
+
+test('area uses calibrated sides', () => {
+    // 20 x 5 px = 10 x 10 µm
+    const result = tools.measure('area', [[0, 0], [20, 0], [20, 5], [0, 5]], ANISOTROPIC);
+    assert.deepStrictEqual(plain(result), { value: 100, unit: 'µm²' });
+});
+
+test('angle is measured in µm space', () => {
+    // 45° in pixels, but Y is 4x larger than X in µm: atan(4) ≈ 75.96°
+    const result = tools.measure('angle', [[10, 0], [0, 0], [10, 10]], ANISOTROPIC);
+    assert.strictEqual(result.unit, '°');
+    assert.ok(Math.abs(result.value - Math.atan(4) * 180 / Math.PI) < 1e-9);
+    assert.strictEqual(tools.measure('angle', [[1, 0], [0, 0], [-1, 0]], { x: 1, y: 1 }).value, 180);
+});
+
+test('too few points give no result', () => {
+    assert.strictEqual(tools.measure('distance', [[0, 0]], ANISOTROPIC), null);
+    assert.strictEqual(tools.measure('area', [[0, 0], [1, 1]], ANISOTROPIC), null);
+    assert.strictEqual(tools.measure('volume', [[0, 0], [1, 1]], ANISOTROPIC), null);
+});
+
+test('formats µm/mm, µm²/mm² and degrees', () => {
+    assert.strictEqual(tools.format({ value: 4.567, unit: 'µm' }), '4.57 µm');
+    assert.strictEqual(tools.format({ value: 123.45, unit: 'µm' }), '123.5 µm');
+    assert.strictEqual(tools.format({ value: 2500, unit: 'µm' }), '2.500 mm');
+    assert.strictEqual(tools.format({ value: 100, unit: 'µm²' }), '100.0 µm²');
+    assert.strictEqual(tools.format({ value: 2.5e6, unit: 'µm²' }), '2.5000 mm²');
+    assert.strictEqual(tools.format({ value: 75.96, unit: '°' }), '76.0°');
+});
+
+// ========== Sessions ==========
+
+console.log('\n--- Sessions ---');
+
+test('distance and angle finish on their last point', () => {
+    const { session } = createSession({ z: 3 });
+    session.setActive(true);
+    assert.strictEqual(session.addPoint([0, 0]), null);
+    const m = session.addPoint([6, 2]);
+    assert.strictEqual(m.value, 5);
+    assert.strictEqual(m.z, 3);
+    session.setMode('angle');
+    session.addPoint([1, 0]);
+    session.addPoint([0, 0]);
+    assert.ok(session.addPoint([0, 1]), 'Third point should finish the angle');
+    assert.strictEqual(session.getMeasurements().length, 2);
+});
+
+test('polylines and areas finish explicitly, once they have enough points', () => {
+    const { session } = createSession();
+    session.setActive(true);
+    session.setMode('area');
+    session.addPoint([0, 0]);
+    session.addPoint([20, 0]);
+    assert.strictEqual(session.finish(), null, 'Two points are not an area');
+    session.addPoint([20, 5]);
+    session.addPoint([0, 5]);
+    assert.strictEqual(session.finish().value, 100);
+    assert.deepStrictEqual(plain(session.getDraftPoints()), []);
+});
+
+test('a repeated point (double-click) is ignored', () => {
+    const { session } = createSession();
+    session.setMode('polyline');
+    session.addPoint([1, 1]);
+    session.addPoint([5, 5]);
+    session.addPoint([5, 5]);
+    assert.deepStrictEqual(plain(session.finish().points), [[1, 1], [5, 5]]);
+});
+
+test('the cursor previews the next point with a live result', () => {
+    const { session, changes } = createSession();
+    session.setCursor([9, 9]);
+    assert.strictEqual(changes(), 0, 'No preview before the first point');
+    session.addPoint([0, 0]);
+    session.setCursor([6, 2]);
+    assert.deepStrictEqual(plain(session.getDraftPoints()), [[0, 0], [6, 2]]);
+    assert.deepStrictEqual(plain(session.getDraftResult()), { mode: 'distance', value: 5, unit: 'µm' });
+});
+
+test('cancel, mode changes and deactivating drop the measurement being drawn', () => {
+    const { session } = createSession();
+    session.addPoint([0, 0]);
+    assert.strictEqual(session.cancel(), true);
+    assert.strictEqual(session.cancel(), false, 'Nothing left to cancel');
+    session.addPoint([0, 0]);
+    session.setMode('area');
+    assert.strictEqual(session.getDraftPoints().length, 0);
+    session.addPoint([0, 0]);
+    session.setActive(false);
+    assert.strictEqual(session.getDraftPoints().length, 0);
+});
+
+test('remove and clear measurements', () => {
+    const { session } = createSession();
+    session.addPoint([0, 0]);
+    const first = session.addPoint([1, 0]);
+    session.addPoint([0, 0]);
+    session.addPoint([2, 0]);
+    session.remove(first.id);
+    assert.strictEqual(session.getMeasurements().length, 1);
+    session.clear();
+    assert.strictEqual(session.getMeasurements().length, 0);
+});
+
+test('table is tab-separated with raw values, plane and points', () => {
+    const { session } = createSession({ z: 4, t: 1 });
+    session.addPoint([0, 0]);
+    session.addPoint([6, 2]);
+    session.setMode('area');
+    [[0, 0], [20, 0], [20, 5.4]].forEach(p => session.addPoint(p));
+    session.finish();
+    const lines = session.toTable().split('\n');
+    assert.strictEqual(lines[0], '#\tTool\tValue\tUnit\tZ\tT\tPoints (px)');
+    assert.strictEqual(lines[1], '1\tDistance\t5\tµm\t4\t1\t0,0 6,2');
+    assert.strictEqual(lines[2], '2\tArea\t54\tµm²\t4\t1\t0,0 20,0 20,5');
+    assert.strictEqual(tools.toTable([{ mode: 'angle', value: 90, unit: '°', points: [] }]).split('\n')[1],
+        '1\tAngle\t90\t°\t\t\t', 'No plane for 2D mosaics');
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('zarr viewer measures with per-axis pixel sizes and draws above annotations', () => {
+    assert.ok(zarrViewerSource.includes('getPixelSize: () => ({ x: state.pixelSizeX, y: state.pixelSizeY })'));
+    assert.ok(zarrViewerSource.includes('[state.imageLayer, state.depthLayer, state.peakingLayer, ...state.labelLayers, ...buildAnnotationLayers(), ...buildMeasureLayers(), ...buildTiffRegionLayers()]'));
+    assert.ok(zarrViewerSource.includes('onClick: handleViewerClick'), 'Clicks route to the ruler while measuring');
+    ['setMeasureTool,', 'getMeasurements,', 'getMeasurementTable:']
+        .forEach(fn => assert.ok(zarrViewerSource.includes('    ' + fn), fn + ' should be in the API'));
+});
+
+test('DZI viewer keeps X and Y pixel sizes and blocks click-to-zoom while measuring', () => {
+    assert.ok(dziViewerSource.includes('pixelSize = { x: metadata.scale.x, y: metadata.scale.y }'));
+    const start = dziViewerSource.indexOf('function initMeasureTools()');
+    const body = dziViewerSource.substring(start, dziViewerSource.indexOf('function elementToImage('));
+    assert.ok(body.includes("viewer.addHandler('canvas-click'"));
+    assert.ok(body.includes('event.preventDefaultAction = true'));
+    assert.ok(body.includes("viewer.addHandler('update-viewport', drawMeasureOverlay)"), 'Overlay follows pan/zoom');
+});
+
+test('DZI M key is kept from OpenSeadragon and leaves Ctrl/Cmd+M to the browser', () => {
+    const start = dziViewerSource.indexOf('function initMeasureTools()');
+    const body = dziViewerSource.substring(start, dziViewerSource.indexOf('function elementToImage('));
+    assert.ok(body.includes("claimCanvasKey('m');"), 'OpenSeadragon canvas key is claimed');
+    const guard = body.indexOf('if (e.ctrlKey || e.metaKey || e.altKey) return;');
+    assert.ok(guard > 0 && guard < body.indexOf("e.key === 'm'"), 'Modifier guard before the M key');
+});
+
+// ========== Summary ==========
+
+console.log('');
+console.log('================================');
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+    process.exit(1);
+}
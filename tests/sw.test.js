@@ -8,6 +8,7 @@
 const assert = require('assert');
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
 
 let passed = 0;
 let failed = 0;
@@ -24,6 +25,17 @@ function test(name, fn) {
     }
 }
 
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`✓ ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
 // Read SW source for static analysis
 const swPath = path.join(__dirname, '..', 'sw.js');
 const swSource = fs.readFileSync(swPath, 'utf8');
@@ -329,10 +341,122 @@ test('sw.js version bumped for W12 dual-domain', () => {
         `Version should be >= 1.4.0 for W12 dual-domain (got ${version})`);
 });
 
-// Summary
-console.log('\n---');
-console.log(`Passed: ${passed}, Failed: ${failed}`);
+// ========== Zarr v3 / sharding tests (behavioral) ==========
+
+// Load sw.js into a sandbox with a minimal ServiceWorkerGlobalScope and an
+// in-memory Cache Storage. Top-level function declarations become sandbox globals.
+function loadServiceWorker(fetchImpl) {
+    const store = new Map();
+    const cache = {
+        match: (req) => Promise.resolve(store.get(typeof req === 'string' ? req : req.url)),
+        put: (req, resp) => {
+            store.set(typeof req === 'string' ? req : req.url, resp);
+            return Promise.resolve();
+        },
+        delete: (req) => Promise.resolve(store.delete(typeof req === 'string' ? req : req.url)),
+        keys: () => Promise.resolve(Array.from(store.keys()).map(url => ({ url })))
+    };
+    const sandbox = vm.createContext({
+        self: { addEventListener: () => {} },
+        caches: { open: () => Promise.resolve(cache) },
+        fetch: fetchImpl || (() => Promise.reject(new Error('unexpected fetch'))),
+        URL, Response, Request, console: { log: () => {}, warn: () => {} }
+    });
+    vm.runInContext(swSource, sandbox);
+    return { sw: sandbox, store };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+const chunkBase = 'https://data.evostitch.net/mosaic_v3/0/2';
+
+test('sw.js treats zarr.json as zarr metadata', () => {
+    const { sw } = loadServiceWorker();
+    assert.ok(sw.isZarrMetadataRequest(chunkBase + '/zarr.json'), 'array zarr.json');
+    assert.ok(sw.isZarrMetadataRequest('https://data.evostitch.net/mosaic_v3/zarr.json'), 'group zarr.json');
+    assert.ok(!sw.isZarrChunkRequest(chunkBase + '/zarr.json'), 'zarr.json is not a chunk');
+});
+
+test('sw.js classifies Zarr v2 chunk keys', () => {
+    const { sw } = loadServiceWorker();
+    assert.ok(sw.isZarrChunkRequest(chunkBase + '/0/0/5/3/1'), 'slash separator');
+    assert.ok(sw.isZarrChunkRequest(chunkBase + '/0.0.5.3.1'), 'dot separator');
+});
+
+test('sw.js classifies Zarr v3 chunk keys with c/ prefix', () => {
+    const { sw } = loadServiceWorker();
+    assert.ok(sw.isZarrChunkRequest(chunkBase + '/c/0/0/5/3/1'), 'default encoding, / separator');
+    assert.ok(sw.isZarrChunkRequest(chunkBase + '/c.0.0.5.3.1'), 'default encoding, . separator');
+    assert.ok(sw.isZarrChunkRequest('https://data.evostitch.net/plain_v3/2/c/0/0/5/3/1'),
+        'store without bioformats2raw wrapper group');
+});
+
+test('sw.js rejects non-chunk paths that contain c segments', () => {
+    const { sw } = loadServiceWorker();
+    assert.ok(!sw.isZarrChunkRequest(chunkBase + '/c/c/0/0'), 'only one key prefix allowed');
+    assert.ok(!sw.isZarrChunkRequest(chunkBase + '/c/0/x/1'), 'non-numeric coordinate');
+    assert.ok(!sw.isZarrChunkRequest('https://example.com/mosaic_v3/0/2/c/0/0/5/3/1'), 'non-R2 host');
+});
 
-if (failed > 0) {
-    process.exit(1);
+test('sw.js version bumped for Zarr v3 support', () => {
+    const versionMatch = swSource.match(/const SW_VERSION\s*=\s*['"]([^'"]+)['"]/);
+    const parts = versionMatch[1].split('.').map(Number);
+    assert.ok(parts[0] > 1 || parts[1] >= 5, `Version should be >= 1.5.0 (got ${versionMatch[1]})`);
+});
+
+async function runAsyncTests() {
+    await testAsync('sw.js caches shard byte ranges and replays them as 206', async () => {
+        let fetchCount = 0;
+        const { sw, store } = loadServiceWorker(() => {
+            fetchCount++;
+            return Promise.resolve(new Response(new Uint8Array([1, 2, 3, 4]), {
+                status: 206,
+                headers: { 'Content-Range': 'bytes 100-103/5000' }
+            }));
+        });
+        const shardUrl = chunkBase + '/c/0/0/5/0/0';
+        const request = () => new Request(shardUrl, { headers: { Range: 'bytes=100-103' } });
+
+        const first = await sw.rangeCacheFirstStrategy(request(), 'zarr', 100);
+        assert.strictEqual(first.status, 206, 'network response passed through');
+        await flush();
+        assert.strictEqual(store.size, 1, 'range cached');
+        const key = Array.from(store.keys())[0];
+        assert.ok(key.startsWith(shardUrl + '?evostitch-range='), 'keyed by URL + range');
+
+        const second = await sw.rangeCacheFirstStrategy(request(), 'zarr', 100);
+        assert.strictEqual(fetchCount, 1, 'second read served from cache');
+        assert.strictEqual(second.status, 206, 'replayed as partial content');
+        assert.strictEqual(second.headers.get('Content-Range'), 'bytes 100-103/5000');
+        assert.deepStrictEqual(Array.from(new Uint8Array(await second.arrayBuffer())), [1, 2, 3, 4]);
+    });
+
+    await testAsync('sw.js keys different ranges of one shard separately', async () => {
+        const { sw, store } = loadServiceWorker(() => Promise.resolve(
+            new Response(new Uint8Array([0]), { status: 206, headers: { 'Content-Range': 'bytes 0-0/10' } })));
+        const shardUrl = chunkBase + '/c/0/0/5/0/0';
+        await sw.rangeCacheFirstStrategy(new Request(shardUrl, { headers: { Range: 'bytes=0-0' } }), 'zarr', 100);
+        await sw.rangeCacheFirstStrategy(new Request(shardUrl, { headers: { Range: 'bytes=-16' } }), 'zarr', 100);
+        await flush();
+        assert.strictEqual(store.size, 2, 'one entry per range');
+    });
+
+    await testAsync('sw.js does not cache full responses to Range requests', async () => {
+        const { sw, store } = loadServiceWorker(() => Promise.resolve(
+            new Response(new Uint8Array(10), { status: 200 })));
+        const response = await sw.rangeCacheFirstStrategy(
+            new Request(chunkBase + '/c/0/0/5/0/0', { headers: { Range: 'bytes=0-3' } }), 'zarr', 100);
+        await flush();
+        assert.strictEqual(response.status, 200, 'server response passed through');
+        assert.strictEqual(store.size, 0, 'ignored-Range response not cached under a range key');
+    });
 }
+
+runAsyncTests().then(() => {
+    // Summary
+    console.log('\n---');
+    console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
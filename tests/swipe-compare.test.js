@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+// Unit tests for swipe-compare.js - runs with plain Node.js
+// Usage: node tests/swipe-compare.test.js
+//
+// Tests the split clips, source select values, catalog filtering, DZI URLs
+// and physical widths of compared mosaics, dragging the divider on mock
+// elements, and the wiring in the DZI viewer.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const root = path.join(__dirname, '..');
+const source = fs.readFileSync(path.join(root, 'js', 'swipe-compare.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(root, 'js', 'viewer.js'), 'utf8');
+const viewerHtml = fs.readFileSync(path.join(root, 'viewer.html'), 'utf8');
+
+const sandbox = vm.createContext({ window: { evostitch: {} }, console });
+vm.runInContext(source, sandbox);
+const swipe = sandbox.window.evostitch.swipeCompare;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Mock element with pointer listeners, a class list and inline style
+function mockElement(rect) {
+    const listeners = {};
+    const classes = new Set();
+    return {
+        style: {},
+        captured: null,
+        classList: {
+            add: name => classes.add(name),
+            remove: name => classes.delete(name),
+            contains: name => classes.has(name)
+        },
+        addEventListener(type, fn) { listeners[type] = fn; },
+        setPointerCapture(id) { this.captured = id; },
+        getBoundingClientRect: () => rect,
+        dispatch(type, props) {
+            const event = Object.assign({
+                stopped: false,
+                prevented: false,
+                stopPropagation() { this.stopped = true; },
+                preventDefault() { this.prevented = true; }
+            }, props);
+            listeners[type](event);
+            return event;
+        }
+    };
+}
+
+console.log('swipe-compare.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.swipeCompare', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['clampPosition', 'splitClip', 'getSourceValue', 'parseSource', 'listMosaics', 'getMosaicDziUrl',
+        'getPhysicalWidth', 'bindDivider', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof swipe[fn], 'function', fn + ' should be exported'));
+});
+
+test('viewer.html loads swipe-compare.js before viewer.js and has the button and bar', () => {
+    assert.ok(viewerHtml.indexOf('js/swipe-compare.js') > 0);
+    assert.ok(viewerHtml.indexOf('js/swipe-compare.js') < viewerHtml.indexOf('js/viewer.js'));
+    ['id="swipe-btn"', 'id="swipe-panel"', 'class="swipe-left"', 'class="swipe-source"', 'class="swipe-status"',
+        'class="swipe-close-btn"']
+        .forEach(attr => assert.ok(viewerHtml.includes(attr), 'HTML should have ' + attr));
+});
+
+// ========== Clips ==========
+
+console.log('\n--- Clips ---');
+
+test('divider position is clamped to the viewer', () => {
+    assert.strictEqual(swipe.clampPosition(0.3), 0.3);
+    assert.strictEqual(swipe.clampPosition(-0.2), 0);
+    assert.strictEqual(swipe.clampPosition(1.5), 1);
+    assert.strictEqual(swipe.clampPosition('x'), swipe.CONFIG.defaultPosition);
+});
+
+test('an image is split at the divider column into left and right clips', () => {
+    assert.deepStrictEqual(plain(swipe.splitClip(400, 1000, 600)), {
+        left: { x: 0, y: 0, width: 400, height: 600 },
+        right: { x: 400, y: 0, width: 600, height: 600 }
+    });
+});
+
+test('a divider outside the image gives one side all of it', () => {
+    const leftOf = plain(swipe.splitClip(-250, 1000, 600));
+    assert.deepStrictEqual(leftOf.left, { x: 0, y: 0, width: 0, height: 600 });
+    assert.deepStrictEqual(leftOf.right, { x: 0, y: 0, width: 1000, height: 600 });
+    const rightOf = plain(swipe.splitClip(1800, 1000, 600));
+    assert.strictEqual(rightOf.left.width, 1000);
+    assert.strictEqual(rightOf.right.width, 0);
+});
+
+// ========== Sources ==========
+
+console.log('\n--- Sources ---');
+
+test('sources round-trip through select values', () => {
+    assert.strictEqual(swipe.getSourceValue({ type: 'plane', z: 3 }), 'z:3');
+    assert.strictEqual(swipe.getSourceValue({ type: 'mosaic', id: 'SCH-55-22B_50xt_global' }), 'mosaic:SCH-55-22B_50xt_global');
+    assert.deepStrictEqual(plain(swipe.parseSource('z:12')), { type: 'plane', z: 12 });
+    assert.deepStrictEqual(plain(swipe.parseSource('mosaic:a:b')), { type: 'mosaic', id: 'a:b' });
+    assert.strictEqual(swipe.parseSource('z:-1'), null);
+    assert.strictEqual(swipe.parseSource(''), null);
+});
+
+test('catalog lists the other DZI mosaics only', () => {
+    const catalog = {
+        mosaics: [
+            { id: 'open', title: 'Open mosaic' },
+            { id: 'other', title: 'Other' },
+            { id: 'zarr', title: 'Zarr', format: 'zarr', zarrUrl: 'store' },
+            { title: 'No ID' }
+        ]
+    };
+    assert.deepStrictEqual(swipe.listMosaics(catalog, 'open').map(m => m.id), ['other']);
+    assert.strictEqual(swipe.listMosaics(null, 'open').length, 0);
+    assert.strictEqual(swipe.listMosaics({}, 'open').length, 0);
+});
+
+test('compared mosaics open as in the viewer: named DZI in 2D, middle plane of a Z-stack', () => {
+    const base = 'https://tiles.example';
+    assert.strictEqual(swipe.getMosaicDziUrl(base, 'flat', { name: 'Flat scan' }), 'https://tiles.example/flat/Flat scan.dzi');
+    assert.strictEqual(swipe.getMosaicDziUrl(base, 'flat', {}), 'https://tiles.example/flat/flat.dzi');
+    assert.strictEqual(swipe.getMosaicDziUrl(base, 'stack', { zCount: 21 }), 'https://tiles.example/stack/z_10/mosaic.dzi');
+    assert.strictEqual(swipe.getMosaicDziUrl(base, 'stack', { zCount: 4 }), 'https://tiles.example/stack/z_01/mosaic.dzi');
+});
+
+test('compared mosaics are sized to match the open one in µm', () => {
+    assert.strictEqual(swipe.getPhysicalWidth({ physicalWidth: 3852 }, { physicalWidth: 7704 }), 0.5);
+    assert.strictEqual(swipe.getPhysicalWidth({ physicalWidth: 21361 }, { physicalWidth: 21361 }), 1);
+    assert.strictEqual(swipe.getPhysicalWidth({}, { physicalWidth: 7704 }), 1, 'Unknown size: same width');
+    assert.strictEqual(swipe.getPhysicalWidth({ physicalWidth: 100 }, null), 1);
+});
+
+// ========== Divider ==========
+
+console.log('\n--- Divider ---');
+
+test('dragging the divider reports its position within the container', () => {
+    const container = mockElement({ left: 100, width: 800 });
+    const divider = mockElement();
+    const positions = [];
+    const control = swipe.bindDivider(divider, container, position => positions.push(position));
+
+    control.setPosition(0.5);
+    assert.strictEqual(divider.style.left, '50%');
+
+    const down = divider.dispatch('pointerdown', { pointerId: 7 });
+    assert.ok(down.stopped && down.prevented, 'The press does not pan the viewer');
+    assert.strictEqual(divider.captured, 7);
+    assert.ok(divider.classList.contains('dragging'));
+
+    divider.dispatch('pointermove', { pointerId: 7, clientX: 300 });
+    divider.dispatch('pointermove', { pointerId: 7, clientX: 1200 });
+    assert.deepStrictEqual(positions, [0.25, 1]);
+    assert.strictEqual(divider.style.left, '100%');
+
+    divider.dispatch('pointerup', { pointerId: 7 });
+    assert.ok(!divider.classList.contains('dragging'));
+    divider.dispatch('pointermove', { pointerId: 7, clientX: 500 });
+    assert.strictEqual(positions.length, 2, 'No moves after release');
+});
+
+test('moves of other pointers are ignored', () => {
+    const divider = mockElement();
+    const positions = [];
+    swipe.bindDivider(divider, mockElement({ left: 0, width: 100 }), position => positions.push(position));
+    divider.dispatch('pointermove', { pointerId: 1, clientX: 50 });
+    divider.dispatch('pointerdown', { pointerId: 1 });
+    divider.dispatch('pointermove', { pointerId: 2, clientX: 50 });
+    assert.strictEqual(positions.length, 0);
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('DZI viewer clips the current plane and the compared image at the divider', () => {
+    assert.ok(viewerSource.includes('catalogMosaics = window.evostitch.swipeCompare.listMosaics(catalog, mosaicId);'));
+    assert.ok(viewerSource.includes("viewer.addHandler('viewport-change', updateSwipeClips);"));
+    assert.ok(viewerSource.includes('const clip = i === 0 ? clips.left : clips.right;'));
+    assert.ok(viewerSource.includes('item.setClip(new OpenSeadragon.Rect(clip.x, clip.y, clip.width, clip.height));'));
+    assert.ok(viewerSource.includes("e.key === 'w' || e.key === 'W'"), 'W key');
+});
+
+test('W key does not pan the view or take Ctrl/Cmd+W', () => {
+    const start = viewerSource.indexOf('function initSwipeCompare()');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function setSwipeActive(active)'));
+    assert.ok(body.includes("claimCanvasKey('w');"), 'OpenSeadragon pan-up key is claimed');
+    assert.ok(body.includes('if (e.ctrlKey || e.metaKey || e.altKey) return;'));
+});
+
+test('Z changes keep the new plane on the left of the divider', () => {
+    const start = viewerSource.indexOf('function setZPlane(newZ)');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function handleKeyboardZ(e)'));
+    assert.ok(body.includes('if (swipeActive) applySwipe();'));
+});
+
+test('compared mosaics are added after the planes and removed when replaced', () => {
+    const start = viewerSource.indexOf('async function loadSwipeMosaic(id, generation)');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function setSwipeStatus(text)'));
+    assert.ok(body.includes('viewer.addTiledImage({'));
+    assert.ok(body.includes('width: tools.getPhysicalWidth(entry, catalogEntry),'));
+    assert.ok(body.includes('if (generation !== swipeGeneration) {'), 'Superseded loads are dropped');
+    assert.ok(body.includes('viewer.world.removeItem(swipeItem);'));
+});
+
+// ========== Summary ==========
+
+console.log('');
+console.log('================================');
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// Unit tests for view-link.js - runs with plain Node.js
+// Usage: node tests/view-link.test.js
+//
+// Tests view state serialization round-trips, tolerant parsing of hand-edited
+// links, and the deep-link wiring in both viewers.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'view-link.js'), 'utf8');
+const zarrViewerSource = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-viewer.js'), 'utf8');
+const dziViewerSource = fs.readFileSync(path.join(__dirname, '..', 'js', 'viewer.js'), 'utf8');
+const zarrHtml = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+const dziHtml = fs.readFileSync(path.join(__dirname, '..', 'viewer.html'), 'utf8');
+
+// Load the IIFE into a sandbox with a minimal window on a zarr viewer URL
+const sandbox = vm.createContext({
+    URLSearchParams,
+    window: {
+        evostitch: {},
+        location: {
+            origin: 'https://example.org',
+            pathname: '/zarr-viewer.html',
+            search: '?zarr=fossil-42',
+            hash: '#x=10.5&y=20&zoom=-1.5&z=3'
+        }
+    }
+});
+vm.runInContext(source, sandbox);
+const viewLink = sandbox.window.evostitch.viewLink;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+console.log('view-link.js - Unit Tests');
+console.log('================================');
+
+// ========== File structure ==========
+
+console.log('\n--- File Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.viewLink', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['serialize', 'parse', 'hasPosition', 'read', 'buildUrl', 'copyText', 'bindCopyButton']
+        .forEach(fn => assert.strictEqual(typeof viewLink[fn], 'function', fn + ' should be exported'));
+});
+
+test('both viewers load view-link.js first and have a copy link button', () => {
+    [['zarr-viewer.html', zarrHtml, 'js/zarr-viewer.js'], ['viewer.html', dziHtml, 'js/viewer.js']]
+        .forEach(([name, html, viewerScript]) => {
+            const pos = html.indexOf('js/view-link.js');
+            assert.ok(pos > 0, name + ' should load view-link.js');
+            assert.ok(pos < html.indexOf(viewerScript), name + ' should load it before the viewer');
+            assert.ok(html.includes('id="copy-link-btn"'), name + ' should have a copy link button');
+        });
+});
+
+// ========== Serialize / parse ==========
+
+console.log('\n--- Serialize / Parse ---');
+
+test('serializes center, zoom, Z, T and channels', () => {
+    const hash = viewLink.serialize({
+        x: 1234.56, y: 78.04, zoom: -1.257, z: 12, t: 3,
+        channels: [{ visible: true, min: 100, max: 2000 }, { visible: false, min: 0, max: 65535 }]
+    });
+    assert.strictEqual(hash, 'x=1234.6&y=78&zoom=-1.26&z=12&t=3&ch=1:100:2000,0:0:65535');
+});
+
+test('round-trips through parse', () => {
+    const view = { x: 10.5, y: 20, zoom: -2.25, z: 0, t: 7, channels: [{ visible: false, min: 0.25, max: 0.75 }] };
+    assert.deepStrictEqual(plain(viewLink.parse(viewLink.serialize(view))), view);
+});
+
+test('leaves out missing fields', () => {
+    assert.strictEqual(viewLink.serialize({ x: 1, y: 2, zoom: 0 }), 'x=1&y=2&zoom=0');
+    assert.strictEqual(viewLink.serialize({ x: NaN, z: 4 }), 'z=4');
+});
+
+test('parses with or without the leading #', () => {
+    assert.deepStrictEqual(plain(viewLink.parse('#z=5')), { z: 5 });
+    assert.deepStrictEqual(plain(viewLink.parse('z=5')), { z: 5 });
+    assert.deepStrictEqual(plain(viewLink.parse('')), {});
+});
+
+test('drops invalid fields from hand-edited links', () => {
+    const view = plain(viewLink.parse('#x=abc&y=5&zoom=1&z=-2&t=1.9&ch=1:5'));
+    assert.deepStrictEqual(view, { y: 5, zoom: 1, t: 1 });
+    assert.strictEqual(viewLink.parse('#ch=1:10:5').channels, undefined, 'max must exceed min');
+});
+
+test('hasPosition requires x, y and zoom', () => {
+    assert.strictEqual(viewLink.hasPosition(viewLink.parse('#x=1&y=2&zoom=0')), true);
+    assert.strictEqual(viewLink.hasPosition(viewLink.parse('#x=1&y=2')), false);
+});
+
+test('read parses the page hash; buildUrl keeps path and dataset query', () => {
+    assert.deepStrictEqual(plain(viewLink.read()), { x: 10.5, y: 20, zoom: -1.5, z: 3 });
+    assert.strictEqual(viewLink.buildUrl({ x: 1, y: 2, zoom: 3 }),
+        'https://example.org/zarr-viewer.html?zarr=fossil-42#x=1&y=2&zoom=3');
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('zarr viewer restores the link in loadZarr and reports it in getState', () => {
+    const start = zarrViewerSource.indexOf('async function loadZarr(');
+    const body = zarrViewerSource.substring(start, zarrViewerSource.indexOf('function initOptimizationModules()'));
+    const applyPos = body.indexOf('applyViewLink(window.evostitch.viewLink.read())');
+    assert.ok(applyPos > 0, 'loadZarr should apply the linked view');
+    assert.ok(applyPos < body.indexOf('initOptimizationModules()'), 'Before prefetch starts at the current Z');
+    assert.ok(zarrViewerSource.includes('view: getViewLinkState()'), 'getState should include the view');
+});
+
+test('zarr viewer link state converts the center to µm and covers Z, T and channels', () => {
+    const start = zarrViewerSource.indexOf('function getViewLinkState()');
+    const body = zarrViewerSource.substring(start, zarrViewerSource.indexOf('function applyViewLink('));
+    assert.ok(body.includes('state.viewState.target[0] * state.pixelSizeX'), 'x in µm');
+    assert.ok(body.includes('state.viewState.target[1] * state.pixelSizeY'), 'y in µm');
+    ['state.currentZ', 'state.currentT', 'visible: s.visible, min: s.min, max: s.max']
+        .forEach(s => assert.ok(body.includes(s), s + ' should be linked'));
+});
+
+test('DZI viewer restores linked Z and position and binds the copy button', () => {
+    assert.ok(dziViewerSource.includes('Math.min(zCount - 1, linkedView.z)'), 'Should start at the linked Z');
+    assert.ok(dziViewerSource.includes('applyLinkedPosition(linkedView)'), 'Should restore center/zoom on open');
+    assert.ok(dziViewerSource.includes("bindCopyButton(document.getElementById('copy-link-btn'), getViewLinkState)"));
+});
+
+// ========== Summary ==========
+
+console.log('');
+console.log('================================');
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+    process.exit(1);
+}
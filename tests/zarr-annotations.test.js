@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+// Unit tests for zarr-annotations.js - runs with plain Node.js
+// Usage: node tests/zarr-annotations.test.js
+//
+// Tests the annotation model (shapes, vertex editing, µm measurements),
+// GeoJSON export/import, per-dataset localStorage persistence, and the
+// viewer's overlay wiring.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-annotations.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-viewer.js'), 'utf8');
+const bundleSource = fs.readFileSync(path.join(__dirname, '..', 'src', 'zarr-viewer-bundle.js'), 'utf8');
+const html = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+
+// Minimal localStorage
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        items
+    };
+}
+
+const storage = createStorage();
+const sandbox = vm.createContext({ window: { evostitch: {} }, localStorage: storage, console });
+vm.runInContext(source, sandbox);
+const annotations = sandbox.window.evostitch.zarrAnnotations;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+const PIXEL_SIZE = { x: 0.5, y: 2 };
+
+console.log('zarr-annotations.js - Unit Tests');
+console.log('================================');
+
+// ========== File structure ==========
+
+console.log('\n--- File Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.zarrAnnotations', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['createAnnotation', 'getVertices', 'moveVertex', 'onPlane', 'measure', 'toGeoJSON', 'fromGeoJSON', 'load', 'save']
+        .forEach(fn => assert.strictEqual(typeof annotations[fn], 'function', fn + ' should be exported'));
+});
+
+test('zarr-annotations.js loads before zarr-viewer.js; bundle exports the overlay layers', () => {
+    const pos = html.indexOf('js/zarr-annotations.js');
+    assert.ok(pos > 0, 'zarr-annotations.js should be in HTML');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+    assert.ok(bundleSource.includes("export { GeoJsonLayer, ScatterplotLayer, TextLayer } from '@deck.gl/layers'"));
+});
+
+// ========== Model ==========
+
+console.log('\n--- Model ---');
+
+test('creates each shape on a Z/T plane', () => {
+    const line = annotations.createAnnotation('line', [[0, 0], [10, 0]], { z: 4, t: 2, label: 'spine' });
+    assert.strictEqual(line.shape, 'line');
+    assert.strictEqual(line.z, 4);
+    assert.strictEqual(line.t, 2);
+    assert.strictEqual(line.label, 'spine');
+    assert.ok(line.id, 'Should get an id');
+    assert.notStrictEqual(annotations.createAnnotation('point', [[1, 1]]).id,
+        annotations.createAnnotation('point', [[1, 1]]).id, 'Ids should be unique');
+});
+
+test('rejects unknown shapes and too few vertices', () => {
+    assert.strictEqual(annotations.createAnnotation('circle', [[0, 0]]), null);
+    assert.strictEqual(annotations.createAnnotation('polygon', [[0, 0], [1, 1]]), null);
+    assert.strictEqual(annotations.createAnnotation('line', [[0, 0], ['a', 1]]), null);
+});
+
+test('rectangles are two corners drawn as four vertices', () => {
+    const rect = annotations.createAnnotation('rectangle', [[10, 20], [30, 60]]);
+    assert.deepStrictEqual(plain(annotations.getVertices(rect)), [[10, 20], [30, 20], [30, 60], [10, 60]]);
+});
+
+test('dragging a rectangle corner keeps the opposite corner fixed', () => {
+    const rect = annotations.createAnnotation('rectangle', [[10, 20], [30, 60]]);
+    annotations.moveVertex(rect, 1, [50, 0]);  // top-right corner
+    assert.deepStrictEqual(plain(annotations.getVertices(rect)), [[10, 60], [50, 60], [50, 0], [10, 0]]);
+});
+
+test('dragging a polygon vertex moves only that vertex', () => {
+    const poly = annotations.createAnnotation('polygon', [[0, 0], [10, 0], [10, 10]]);
+    annotations.moveVertex(poly, 2, [20, 20]);
+    assert.deepStrictEqual(plain(poly.coordinates), [[0, 0], [10, 0], [20, 20]]);
+});
+
+test('onPlane filters by Z and T', () => {
+    const list = [
+        annotations.createAnnotation('point', [[0, 0]], { z: 1, t: 0 }),
+        annotations.createAnnotation('point', [[0, 0]], { z: 1, t: 1 }),
+        annotations.createAnnotation('point', [[0, 0]], { z: 2, t: 0 })
+    ];
+    assert.strictEqual(annotations.onPlane(list, 1, 0).length, 1);
+});
+
+// ========== Measurements ==========
+
+console.log('\n--- Measurements (µm) ---');
+
+test('points and lines use anisotropic pixel sizes', () => {
+    const point = annotations.createAnnotation('point', [[10, 10]]);
+    assert.deepStrictEqual(plain(annotations.measure(point, PIXEL_SIZE)), { xUm: 5, yUm: 20 });
+    const line = annotations.createAnnotation('line', [[0, 0], [6, 2]]);  // 3 µm x 4 µm
+    assert.strictEqual(annotations.measure(line, PIXEL_SIZE).lengthUm, 5);
+});
+
+test('rectangle and polygon area and perimeter', () => {
+    const rect = annotations.createAnnotation('rectangle', [[0, 0], [20, 5]]);  // 10 µm x 10 µm
+    assert.deepStrictEqual(plain(annotations.measure(rect, PIXEL_SIZE)), { areaUm2: 100, perimeterUm: 40 });
+    const triangle = annotations.createAnnotation('polygon', [[0, 0], [4, 0], [0, 3]]);
+    assert.strictEqual(annotations.measure(triangle, { x: 1, y: 1 }).areaUm2, 6);
+});
+
+// ========== GeoJSON ==========
+
+console.log('\n--- GeoJSON ---');
+
+test('exports pixel geometries with plane, label and µm measurements', () => {
+    const geojson = plain(annotations.toGeoJSON([
+        annotations.createAnnotation('point', [[2, 4]], { z: 3, label: 'foram' }),
+        annotations.createAnnotation('rectangle', [[0, 0], [20, 5]], { z: 3, t: 1 })
+    ], PIXEL_SIZE));
+    assert.strictEqual(geojson.type, 'FeatureCollection');
+    const [point, rect] = geojson.features;
+    assert.deepStrictEqual(point.geometry, { type: 'Point', coordinates: [2, 4] });
+    assert.strictEqual(point.properties.label, 'foram');
+    assert.strictEqual(point.properties.xUm, 1);
+    assert.strictEqual(rect.geometry.type, 'Polygon');
+    assert.deepStrictEqual(rect.geometry.coordinates[0], [[0, 0], [20, 0], [20, 5], [0, 5], [0, 0]], 'Closed ring');
+    assert.deepStrictEqual([rect.properties.shape, rect.properties.z, rect.properties.t], ['rectangle', 3, 1]);
+    assert.strictEqual(rect.properties.areaUm2, 100);
+});
+
+test('export/import round-trips every shape', () => {
+    const original = [
+        annotations.createAnnotation('point', [[1, 2]], { z: 1 }),
+        annotations.createAnnotation('line', [[0, 0], [5, 5], [9, 1]], { z: 2, label: 'suture' }),
+        annotations.createAnnotation('rectangle', [[0, 0], [4, 8]], { t: 3 }),
+        annotations.createAnnotation('polygon', [[0, 0], [4, 0], [2, 3]], { z: 5 })
+    ];
+    const imported = annotations.fromGeoJSON(annotations.toGeoJSON(original, PIXEL_SIZE));
+    assert.strictEqual(imported.skipped, 0);
+    const strip = list => plain(list).map(({ id, ...rest }) => rest);
+    assert.deepStrictEqual(strip(imported.annotations), strip(original));
+});
+
+test('import defaults the plane, reads QuPath-style names and skips unsupported geometry', () => {
+    const result = annotations.fromGeoJSON([
+        { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]]] },
+            properties: { objectType: 'annotation', name: 'chamber' } },
+        { type: 'Feature', geometry: { type: 'MultiPolygon', coordinates: [] }, properties: {} },
+        { type: 'Feature', geometry: null, properties: {} }
+    ], { z: 7, t: 0 });
+    assert.strictEqual(result.annotations.length, 1);
+    assert.strictEqual(result.skipped, 2);
+    const [poly] = result.annotations;
+    assert.strictEqual(poly.shape, 'polygon', 'Rectangles need shape: rectangle');
+    assert.strictEqual(poly.label, 'chamber');
+    assert.strictEqual(poly.z, 7);
+    assert.strictEqual(poly.coordinates.length, 4, 'Closing vertex is dropped');
+});
+
+test('import rejects non-GeoJSON input', () => {
+    assert.throws(() => annotations.fromGeoJSON({ foo: 1 }), /GeoJSON/);
+});
+
+// ========== Persistence ==========
+
+console.log('\n--- Persistence ---');
+
+test('saves and loads per dataset', () => {
+    const list = [annotations.createAnnotation('point', [[1, 1]], { z: 2, label: 'a' })];
+    assert.strictEqual(annotations.save('https://example.org/a.zarr/0/', list), true);
+    assert.deepStrictEqual(plain(annotations.load('https://example.org/a.zarr/0/')), plain(list));
+    assert.deepStrictEqual(plain(annotations.load('https://example.org/b.zarr/0/')), []);
+});
+
+test('saving an empty list removes the entry; corrupt entries load as empty', () => {
+    annotations.save('ds', [annotations.createAnnotation('point', [[1, 1]])]);
+    annotations.save('ds', []);
+    assert.strictEqual(storage.getItem(annotations.CONFIG.storagePrefix + 'ds'), null);
+    storage.setItem(annotations.CONFIG.storagePrefix + 'bad', '{not json');
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.deepStrictEqual(plain(annotations.load('bad')), []);
+    } finally {
+        console.warn = originalWarn;
+    }
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('annotation layers render above the image layer', () => {
+    const start = viewerSource.indexOf('function renderLayers()');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function buildAnnotationLayers()'));
+    assert.ok(body.includes('[state.imageLayer, state.depthLayer, state.peakingLayer, ...state.labelLayers, ...buildAnnotationLayers(), '),
+        'Image (and depth map, focus peaking, labels) first, annotations on top');
+    assert.ok(/state\.imageLayer = layer;\s*\n\s*state\.depthLayer = buildDepthLayer\(\);\s*\n\s*state\.peakingLayer = buildPeakingLayer\(\);\s*\n\s*state\.labelLayers = buildLabelLayers\(\);\s*\n\s*renderLayers\(\);/.test(viewerSource),
+        'updateLayer should keep the image layer');
+});
+
+test('only annotations on the current Z/T are drawn', () => {
+    const start = viewerSource.indexOf('function buildAnnotationLayers()');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function getDraftAnnotation()'));
+    assert.ok(body.includes('onPlane(state.annotations, state.currentZ, state.currentT)'));
+    assert.ok(body.includes('event.stopImmediatePropagation()'), 'Vertex drags should not pan the view');
+});
+
+test('annotations load per dataset in loadZarr and export with µm pixel sizes', () => {
+    assert.ok(viewerSource.includes('state.annotations = window.evostitch.zarrAnnotations.load(url)'));
+    assert.ok(viewerSource.includes('{ x: state.pixelSizeX, y: state.pixelSizeY }'));
+    ['getAnnotations,', 'addAnnotation,', 'exportAnnotations,', 'importAnnotations,', 'setAnnotationTool']
+        .forEach(fn => assert.ok(viewerSource.includes('    ' + fn), fn + ' should be in the API'));
+});
+
+// ========== Summary ==========
+
+console.log('');
+console.log('================================');
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+// Unit tests for zarr-colormaps.js - runs with plain Node.js
+// Usage: node tests/zarr-colormaps.test.js
+//
+// Tests colormap tables, LUT sampling, the per-channel LUT uniform layout
+// shared with src/channel-lut-extension.js, and the viewer's channel panel wiring.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-colormaps.js'), 'utf8');
+const extensionSource = fs.readFileSync(path.join(__dirname, '..', 'src', 'channel-lut-extension.js'), 'utf8');
+const bundleSource = fs.readFileSync(path.join(__dirname, '..', 'src', 'zarr-viewer-bundle.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-viewer.js'), 'utf8');
+const html = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+
+// Load the IIFE into a sandbox with a minimal window
+const sandbox = vm.createContext({ window: { evostitch: {} } });
+vm.runInContext(source, sandbox);
+const colormaps = sandbox.window.evostitch.zarrColormaps;
+
+function channel(overrides) {
+    return Object.assign({ visible: true, colormap: 'color', color: 'FFFFFF' }, overrides);
+}
+
+console.log('zarr-colormaps.js - Unit Tests');
+console.log('================================');
+
+// ========== File structure ==========
+
+console.log('\n--- File Structure ---');
+
+test('uses IIFE pattern', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+});
+
+test('exposes window.evostitch.zarrColormaps', () => {
+    assert.ok(colormaps, 'Should attach to window.evostitch');
+    ['getColormapIds', 'isColormap', 'hexToRgb', 'rgbToHex', 'buildLut', 'buildLutUniform', 'needsLut']
+        .forEach(fn => assert.strictEqual(typeof colormaps[fn], 'function', fn + ' should be exported'));
+});
+
+test('zarr-colormaps.js loads before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-colormaps.js');
+    assert.ok(pos > 0, 'zarr-colormaps.js should be in HTML');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+});
+
+test('LUT layout matches the shader extension', () => {
+    assert.ok(extensionSource.includes(`const LUT_SIZE = ${colormaps.LUT_SIZE};`), 'LUT_SIZE should match');
+    assert.ok(extensionSource.includes(`const MAX_CHANNELS = ${colormaps.MAX_CHANNELS};`), 'MAX_CHANNELS should match');
+    assert.ok(bundleSource.includes('ChannelLutExtension'), 'Bundle should export ChannelLutExtension');
+});
+
+// ========== Colormaps ==========
+
+console.log('\n--- Colormaps ---');
+
+test('offers the requested colormaps', () => {
+    const ids = Array.from(colormaps.getColormapIds());
+    ['viridis', 'magma', 'inferno', 'fire', 'grays', 'inverted-grays']
+        .forEach(id => assert.ok(ids.includes(id), id + ' should be available'));
+    assert.ok(!ids.includes('color'), 'Solid color is not a colormap');
+});
+
+test('hexToRgb / rgbToHex round-trip omero colors', () => {
+    assert.deepStrictEqual(Array.from(colormaps.hexToRgb('00FF80')), [0, 255, 128]);
+    assert.deepStrictEqual(Array.from(colormaps.hexToRgb('#ff00ff')), [255, 0, 255]);
+    assert.strictEqual(colormaps.rgbToHex([0, 255, 128]), '00FF80');
+});
+
+test('hexToRgb falls back to white for missing or invalid colors', () => {
+    assert.deepStrictEqual(Array.from(colormaps.hexToRgb(undefined)), [255, 255, 255]);
+    assert.deepStrictEqual(Array.from(colormaps.hexToRgb('red')), [255, 255, 255]);
+});
+
+test('solid color LUT ramps from black to the color', () => {
+    const lut = colormaps.buildLut('color', '00FF00');
+    assert.strictEqual(lut.length, colormaps.LUT_SIZE);
+    assert.deepStrictEqual(Array.from(lut[0]), [0, 0, 0]);
+    assert.deepStrictEqual(Array.from(lut[lut.length - 1]), [0, 255, 0]);
+});
+
+test('grays and inverted grays are mirror images', () => {
+    const grays = colormaps.buildLut('grays');
+    const inverted = colormaps.buildLut('inverted-grays');
+    assert.deepStrictEqual(Array.from(grays[0]), [0, 0, 0]);
+    assert.deepStrictEqual(Array.from(inverted[0]), [255, 255, 255]);
+    grays.forEach((rgb, i) => {
+        assert.ok(Math.abs(rgb[0] + inverted[i][0] - 255) < 1e-9, 'Entry ' + i + ' should mirror');
+    });
+});
+
+test('viridis LUT spans the colormap endpoints', () => {
+    const lut = colormaps.buildLut('viridis');
+    assert.deepStrictEqual(Array.from(lut[0]), [68, 1, 84]);
+    assert.deepStrictEqual(Array.from(lut[lut.length - 1]), [253, 231, 37]);
+});
+
+test('fire LUT starts black and ends white', () => {
+    const lut = colormaps.buildLut('fire');
+    assert.deepStrictEqual(Array.from(lut[0]), [0, 0, 0]);
+    assert.deepStrictEqual(Array.from(lut[lut.length - 1]), [255, 255, 255]);
+});
+
+// ========== LUT uniform ==========
+
+console.log('\n--- LUT Uniform ---');
+
+test('uniform has MAX_CHANNELS * LUT_SIZE RGB entries in [0, 1]', () => {
+    const values = colormaps.buildLutUniform([channel({ colormap: 'magma' })]);
+    assert.strictEqual(values.length, colormaps.MAX_CHANNELS * colormaps.LUT_SIZE * 3);
+    assert.ok(values.every(v => v >= 0 && v <= 1), 'Values should be normalized');
+});
+
+test('channels get independent LUTs', () => {
+    const values = colormaps.buildLutUniform([
+        channel({ colormap: 'inverted-grays' }),
+        channel({ colormap: 'color', color: 'FF0000' })
+    ]);
+    const stride = colormaps.LUT_SIZE * 3;
+    assert.deepStrictEqual(Array.from(values.slice(0, 3)), [1, 1, 1], 'Channel 0 starts white');
+    const lastOfChannel1 = stride + (colormaps.LUT_SIZE - 1) * 3;
+    assert.deepStrictEqual(Array.from(values.slice(lastOfChannel1, lastOfChannel1 + 3)), [1, 0, 0], 'Channel 1 ends red');
+});
+
+test('hidden and missing channels contribute nothing', () => {
+    const values = colormaps.buildLutUniform([channel({ colormap: 'viridis', visible: false })]);
+    assert.ok(values.every(v => v === 0), 'All entries should be zero');
+});
+
+test('needsLut only when a visible channel uses a colormap', () => {
+    assert.strictEqual(colormaps.needsLut([channel(), channel({ color: 'FF0000' })]), false);
+    assert.strictEqual(colormaps.needsLut([channel(), channel({ colormap: 'fire' })]), true);
+    assert.strictEqual(colormaps.needsLut([channel({ colormap: 'fire', visible: false })]), false);
+});
+
+test('swatch previews colormaps as gradients and colors as solid', () => {
+    assert.ok(colormaps.getSwatchBackground('viridis').startsWith('linear-gradient('));
+    assert.strictEqual(colormaps.getSwatchBackground('color', '00ff00'), '#00FF00');
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('channel settings carry colormap and color with defaults', () => {
+    ['colormap:', 'color:', 'defaultColormap:', 'defaultColor:']
+        .forEach(key => assert.ok(viewerSource.includes(key), key + ' should be in channel settings'));
+});
+
+test('updateLayer takes colors from channel settings, not omero', () => {
+    const start = viewerSource.indexOf('function updateLayer()');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function updateZSlider()'));
+    assert.ok(body.includes('hexToRgb(settings.color)'), 'Should use settings.color');
+    assert.ok(body.includes('channelLutExtensions'), 'Should switch to the LUT extension');
+    assert.ok(body.includes('buildLutUniform(state.channelSettings)'), 'Should pass per-channel LUTs');
+});
+
+test('resetChannels restores colormap and color', () => {
+    const start = viewerSource.indexOf('function resetChannels()');
+    const body = viewerSource.substring(start, viewerSource.indexOf('// Expose SW communication API'));
+    assert.ok(body.includes('settings.colormap = settings.defaultColormap'), 'Should restore colormap');
+    assert.ok(body.includes('settings.color = settings.defaultColor'), 'Should restore color');
+    assert.ok(body.includes('syncColormapControls'), 'Should update the picker UI');
+});
+
+test('setChannelColormap is part of the public API', () => {
+    assert.ok(viewerSource.includes('function setChannelColormap('), 'Should define setChannelColormap');
+    assert.ok(/setChannelColormap,\n/.test(viewerSource), 'Should expose setChannelColormap');
+});
+
+// ========== Summary ==========
+
+console.log('');
+console.log('================================');
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+// Unit tests for zarr-compare.js - runs with plain Node.js
+// Usage: node tests/zarr-compare.test.js
+//
+// Checks the physical (µm) view sync between datasets of different pixel
+// sizes, Z mapping by depth, the compared dataset's channel settings, and
+// the compare wiring in zarr-viewer.js.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const rootDir = path.join(__dirname, '..');
+const jsDir = path.join(rootDir, 'js');
+const source = fs.readFileSync(path.join(jsDir, 'zarr-compare.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(jsDir, 'zarr-viewer.js'), 'utf8');
+const html = fs.readFileSync(path.join(rootDir, 'zarr-viewer.html'), 'utf8');
+
+const sandbox = vm.createContext({ window: { evostitch: {} }, console });
+['zarr-metadata.js', 'zarr-colormaps.js', 'zarr-compare.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(jsDir, file), 'utf8'), sandbox);
+});
+const compare = sandbox.window.evostitch.zarrCompare;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function near(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message || 'value'}: ${actual} != ${expected}`);
+}
+
+// The same section scanned at 20× and 50×
+const px20 = { x: 0.45, y: 0.45, z: 2 };
+const px50 = { x: 0.18, y: 0.18, z: 0.5 };
+
+console.log('zarr-compare.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.zarrCompare', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['toPhysicalView', 'fromPhysicalView', 'syncViewState', 'mapZ', 'getChannelSettings', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof compare[fn], 'function', fn + ' should be exported'));
+    assert.strictEqual(compare.COMPARE_PARAM, 'compare');
+});
+
+test('zarr-compare.js loads after its dependencies and before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-compare.js');
+    assert.ok(pos > html.indexOf('js/zarr-metadata.js'), 'Should load after zarr-metadata.js');
+    assert.ok(pos > html.indexOf('js/zarr-colormaps.js'), 'Should load after zarr-colormaps.js');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+});
+
+// ========== View sync ==========
+
+console.log('\n--- View Sync ---');
+
+test('toPhysicalView gives the center in µm and screen pixels per µm', () => {
+    const view = compare.toPhysicalView({ target: [1000, 2000, 0], zoom: 1 }, px20);
+    near(view.x, 450, 'x');
+    near(view.y, 900, 'y');
+    near(view.scale, 2 / 0.45, 'scale');
+});
+
+test('syncViewState keeps the physical center and scale across pixel sizes', () => {
+    const from = { target: [1000, 2000, 0], zoom: -1 };
+    const to = compare.syncViewState(from, px20, px50);
+    near(to.target[0], 1000 * 0.45 / 0.18, 'x in 50x pixels');
+    near(to.target[1], 2000 * 0.45 / 0.18, 'y in 50x pixels');
+    near(to.zoom, -1 + Math.log2(0.18 / 0.45), 'finer pixels need a lower zoom');
+    const a = compare.toPhysicalView(from, px20);
+    const b = compare.toPhysicalView(to, px50);
+    near(a.x, b.x, 'same x µm');
+    near(a.scale, b.scale, 'same µm per screen pixel');
+});
+
+test('syncViewState round-trips and keeps other view state properties', () => {
+    const from = { target: [123.5, 456.25, 0], zoom: 0.75, transitionDuration: 0 };
+    const back = compare.syncViewState(compare.syncViewState(from, px20, px50), px50, px20);
+    near(back.target[0], 123.5, 'x');
+    near(back.target[1], 456.25, 'y');
+    near(back.zoom, 0.75, 'zoom');
+    assert.strictEqual(back.transitionDuration, 0);
+    const same = compare.syncViewState(from, px20, px20);
+    near(same.zoom, 0.75, 'identical datasets share the view');
+});
+
+test('mapZ matches Z-planes by depth and clamps', () => {
+    assert.strictEqual(compare.mapZ(3, px20.z, px50.z, 40), 12, '6 µm deep');
+    assert.strictEqual(compare.mapZ(12, px50.z, px20.z, 10), 3);
+    assert.strictEqual(compare.mapZ(20, px20.z, px50.z, 21), 20, 'Clamped to the last plane');
+    assert.strictEqual(compare.mapZ(5, 1, 1, 1), 0, 'Single plane');
+});
+
+// ========== Channels ==========
+
+console.log('\n--- Channels ---');
+
+test('channels shared with the main view follow its settings', () => {
+    const main = [
+        { visible: false, min: 100, max: 2000, color: 'FF0000', colormap: 'color' },
+        { visible: true, min: 0, max: 500, color: '00FF00', colormap: 'viridis' }
+    ];
+    const settings = plain(compare.getChannelSettings(main, {
+        channelCount: 3, dtype: 'Uint16', mainDtype: 'Uint16',
+        omero: { channels: [{}, {}, { color: '0000FF', window: { start: 10, end: 300, min: 0, max: 65535 } }] }
+    }));
+    assert.deepStrictEqual(settings[0], { visible: false, min: 100, max: 2000, color: 'FF0000', colormap: 'color' });
+    assert.strictEqual(settings[1].colormap, 'viridis');
+    assert.deepStrictEqual(settings[2], { visible: true, min: 10, max: 300, color: '0000FF', colormap: 'color' },
+        'Extra channels use the compared dataset\'s omero metadata');
+});
+
+test('contrast is not shared between pixel types', () => {
+    const main = [{ visible: true, min: 100, max: 2000, color: 'FFFFFF', colormap: 'color' }];
+    const settings = plain(compare.getChannelSettings(main, { channelCount: 1, dtype: 'Uint8', mainDtype: 'Uint16' }));
+    assert.deepStrictEqual([settings[0].min, settings[0].max], [0, 255]);
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('the compare view has its own deck and image layer', () => {
+    const start = viewerSource.indexOf('function initCompareDeck(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function syncCompareView('));
+    assert.ok(body.includes('state.compare.deck = new Deck({'));
+    assert.ok(body.includes("elements.compareViewer?.querySelector('.compare-canvas')"));
+    assert.ok(viewerSource.includes("id: 'compare-layer',"));
+});
+
+test('pan and zoom sync in µm both ways', () => {
+    const start = viewerSource.indexOf('function initCompareDeck(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function syncCompareView('));
+    assert.ok(body.includes('viewState, state.compare.pixelSize, getMainPixelSize());'), 'Compare → main');
+    assert.ok(body.includes('state.deck.props.onViewStateChange({ viewState: mainViewState });'),
+        'Through the main view handler (zoom cap, prefetch, overlays)');
+    const handler = viewerSource.substring(viewerSource.indexOf('onViewStateChange:'), viewerSource.indexOf('onClick: handleViewerClick'));
+    assert.ok(handler.includes('syncCompareView();'), 'Main → compare on pan/zoom');
+    ['function zoomIn(', 'function zoomOut(', 'function resetView(', 'function applyViewLink(']
+        .forEach(marker => {
+            const fn = viewerSource.substring(viewerSource.indexOf(marker), viewerSource.indexOf(marker) + 1200);
+            assert.ok(fn.includes('syncCompareView();'), marker + ' should sync the compare view');
+        });
+});
+
+test('Z, T and channel changes reach the compare view through updateLayer()', () => {
+    const start = viewerSource.indexOf('function updateLayer(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function updateZSlider('));
+    assert.ok(body.includes('updateCompareLayer();'));
+    const z = viewerSource.substring(viewerSource.indexOf('function getCompareZ('), viewerSource.indexOf('function updateCompareLayer('));
+    assert.ok(z.includes('if (!compare.syncZ) return compare.z;'), 'Unsynced Z is the compare view\'s own');
+    assert.ok(z.includes('mapZ(state.currentZ, state.pixelSizeZ, compare.pixelSize.z, compare.zCount)'));
+});
+
+test('the comparison is linked with ?compare= and opened on load', () => {
+    assert.ok(viewerSource.includes('if (compareParam) openCompare(compareParam);'));
+    const start = viewerSource.indexOf('async function openCompare(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function toggleCompare('));
+    assert.ok(body.includes('await loadOmeZarr(resolveZarrParam(value), { type: "multiscales" })'));
+    assert.ok(body.includes('params.set(window.evostitch.zarrCompare.COMPARE_PARAM, value);'));
+});
+
+test('zarr viewer has the compare button, view, C key and API', () => {
+    ['id="compare-btn"', 'id="compare-viewer"', 'class="compare-canvas"', 'class="compare-url"',
+        'class="compare-sync-z-input"', 'class="compare-z"']
+        .forEach(attr => assert.ok(html.includes(attr), 'HTML should have ' + attr));
+    assert.ok(viewerSource.includes("case 'c':"), 'C key');
+    ['    getCompare,', '    openCompare,', '    toggleCompare,', '    setCompareSyncZ,', '    setCompareZ,']
+        .forEach(entry => assert.ok(viewerSource.includes(entry), entry.trim() + ' should be in the API'));
+});
+
+test('letter shortcuts leave Ctrl/Cmd/Alt combinations (copy, find, ...) to the browser', () => {
+    const start = viewerSource.indexOf('// Keyboard shortcuts for Z/T navigation and zoom');
+    const switchStart = viewerSource.indexOf('switch (e.key)', start);
+    const guard = viewerSource.substring(start, switchStart);
+    assert.ok(guard.includes('if (e.ctrlKey || e.metaKey || e.altKey) return;'));
+    // Every letter shortcut is handled by that one switch, after the guard
+    const handler = viewerSource.substring(switchStart, viewerSource.indexOf('\n    });', switchStart));
+    const letters = (handler.match(/case '[a-z]':/g) || []).map(c => c.charAt(6));
+    ['p', 'e', 'd', 'k', 'g', 'c', 'm'].forEach(key =>
+        assert.ok(letters.includes(key), `${key.toUpperCase()} key should be in the guarded switch`));
+    assert.strictEqual((viewerSource.match(/case '[a-z]':/g) || []).length, letters.length,
+        'No letter shortcut outside the guarded switch');
+});
+
+// ========== Summary ==========
+
+console.log('');
+console.log('================================');
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+    process.exit(1);
+}
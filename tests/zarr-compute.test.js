@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+// Unit tests for zarr-compute.js and zarr-compute-worker.js - runs with plain Node.js
+// Usage: node tests/zarr-compute.test.js
+//
+// Runs the worker script in a sandbox with a mock `self`, and the client
+// against a mock Worker that forwards messages to it, plus the main-thread
+// fallback when workers are unavailable or fail.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const mathSource = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-image-math.js'), 'utf8');
+const clientSource = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-compute.js'), 'utf8');
+const workerSource = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-compute-worker.js'), 'utf8');
+const html = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+
+// Worker global scope: importScripts runs zarr-image-math.js against `self`
+function createWorkerScope() {
+    const posted = [];
+    const scope = {
+        postMessage(data, transfer) { posted.push({ data, transfer }); }
+    };
+    scope.self = scope;
+    scope.importScripts = (url) => {
+        assert.strictEqual(url, 'zarr-image-math.js');
+        vm.runInContext(mathSource, context);
+    };
+    const context = vm.createContext(scope);
+    vm.runInContext(workerSource, context);
+    return { scope, posted };
+}
+
+// Mock Worker that runs zarr-compute-worker.js and answers asynchronously
+function createMockWorkerClass(log) {
+    return class MockWorker {
+        constructor(url) {
+            log.created.push(url);
+            this.worker = createWorkerScope();
+            this.terminated = false;
+        }
+        postMessage(data, transfer) {
+            log.transfers.push(transfer);
+            setTimeout(() => {
+                this.worker.scope.onmessage({ data });
+                const reply = this.worker.posted.shift();
+                this.onmessage({ data: reply.data });
+            }, 0);
+        }
+        terminate() {
+            this.terminated = true;
+        }
+    };
+}
+
+// Window with imageMath + zarrCompute loaded (Worker optional)
+function createClient(WorkerClass) {
+    const win = { evostitch: {} };
+    const context = vm.createContext({ window: win, console, Worker: WorkerClass });
+    vm.runInContext(mathSource, context);
+    vm.runInContext(clientSource, context);
+    return win.evostitch.zarrCompute;
+}
+
+console.log('zarr-compute.js - Unit Tests');
+console.log('================================');
+
+// ========== File structure ==========
+
+console.log('\n--- File Structure ---');
+
+test('client uses IIFE pattern and exposes window.evostitch.zarrCompute', () => {
+    assert.ok(clientSource.includes('(function() {'), 'Should use IIFE');
+    assert.ok(clientSource.includes("'use strict'"), 'Should use strict mode');
+    const compute = createClient(undefined);
+    ['run', 'histogram', 'focusStack', 'gradientEnergy', 'getStats', 'destroy', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof compute[fn], 'function', fn + ' should be exported'));
+});
+
+test('zarr-compute.js loads after zarr-image-math.js and before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-compute.js');
+    assert.ok(pos > 0, 'zarr-compute.js should be in HTML');
+    assert.ok(pos > html.indexOf('js/zarr-image-math.js'), 'Should load after zarr-image-math.js');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+    assert.ok(!html.includes('js/zarr-compute-worker.js'), 'Worker is started by the client, not a script tag');
+});
+
+// ========== Worker ==========
+
+console.log('\n--- Worker ---');
+
+test('worker answers histogram jobs and transfers the counts', () => {
+    const { scope, posted } = createWorkerScope();
+    scope.onmessage({ data: { id: 7, op: 'histogram', params: { data: Uint8Array.from([0, 255]), bins: 2 } } });
+    assert.strictEqual(posted.length, 1);
+    assert.strictEqual(posted[0].data.id, 7);
+    assert.strictEqual(posted[0].data.success, true);
+    assert.deepStrictEqual(Array.from(posted[0].data.result.counts), [1, 1]);
+    assert.strictEqual(posted[0].transfer[0], posted[0].data.result.counts.buffer);
+});
+
+test('worker answers focusStack jobs and transfers the composite and depth map', () => {
+    const { scope, posted } = createWorkerScope();
+    const planes = [Uint8Array.from([5, 5, 5, 5]), Uint8Array.from([0, 9, 0, 9])];
+    scope.onmessage({ data: { id: 2, op: 'focusStack', params: { planes, width: 2, height: 2, radius: 1 } } });
+    const result = posted[0].data.result;
+    assert.deepStrictEqual(Array.from(result.data), [0, 9, 0, 9]);
+    assert.deepStrictEqual(Array.from(result.depth), [1, 1, 1, 1]);
+    assert.strictEqual(posted[0].transfer.length, 2);
+    assert.strictEqual(posted[0].transfer[0], result.data.buffer);
+    assert.strictEqual(posted[0].transfer[1], result.depth.buffer);
+});
+
+test('worker answers gradientEnergy jobs and transfers the energy', () => {
+    const { scope, posted } = createWorkerScope();
+    const plane = Uint8Array.from([0, 4, 0, 4]);
+    scope.onmessage({ data: { id: 3, op: 'gradientEnergy', params: { plane, width: 2, height: 2, radius: 0 } } });
+    const result = posted[0].data.result;
+    assert.deepStrictEqual(Array.from(result), [4, 0, 4, 0]);
+    assert.strictEqual(posted[0].transfer[0], result.buffer);
+});
+
+test('worker reports unknown ops as failures', () => {
+    const { scope, posted } = createWorkerScope();
+    scope.onmessage({ data: { id: 1, op: 'nope', params: {} } });
+    assert.strictEqual(posted[0].data.success, false);
+    assert.ok(posted[0].data.error.includes('nope'));
+});
+
+// ========== Client ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Client ---');
+
+    await testAsync('histogram runs in the worker and transfers the pixel buffer', async () => {
+        const log = { created: [], transfers: [] };
+        const compute = createClient(createMockWorkerClass(log));
+        const data = Uint16Array.from([0, 10, 20, 30]);
+        const hist = await compute.histogram(data, 2, { min: 0, max: 40 });
+        assert.deepStrictEqual(Array.from(hist.counts), [2, 2]);
+        assert.strictEqual(hist.total, 4);
+        assert.deepStrictEqual(log.created, ['js/zarr-compute-worker.js']);
+        assert.strictEqual(log.transfers[0][0], data.buffer);
+        const stats = compute.getStats();
+        assert.strictEqual(stats.workerJobs, 1);
+        assert.strictEqual(stats.pendingJobs, 0);
+        assert.strictEqual(stats.usingWorker, true);
+    });
+
+    await testAsync('concurrent jobs resolve to their own results', async () => {
+        const compute = createClient(createMockWorkerClass({ created: [], transfers: [] }));
+        const results = await Promise.all([
+            compute.histogram(Uint8Array.from([1, 1, 1]), 1),
+            compute.histogram(Uint8Array.from([5]), 1)
+        ]);
+        assert.strictEqual(results[0].total, 3);
+        assert.strictEqual(results[1].total, 1);
+    });
+
+    await testAsync('falls back to the main thread without Worker support', async () => {
+        const compute = createClient(undefined);
+        const hist = await compute.histogram(Uint8Array.from([0, 255]), 2);
+        assert.deepStrictEqual(Array.from(hist.counts), [1, 1]);
+        assert.strictEqual(compute.getStats().fallbackJobs, 1);
+        assert.strictEqual(compute.getStats().usingWorker, false);
+    });
+
+    await testAsync('worker error rejects pending jobs and switches to the fallback', async () => {
+        let instance = null;
+        class FailingWorker {
+            constructor() { instance = this; }
+            postMessage() {
+                setTimeout(() => this.onerror({ message: 'script failed to load' }), 0);
+            }
+            terminate() { this.terminated = true; }
+        }
+        const compute = createClient(FailingWorker);
+        await assert.rejects(compute.histogram(new Uint8Array(4), 2), /script failed to load/);
+        assert.strictEqual(instance.terminated, true);
+        const hist = await compute.histogram(Uint8Array.from([3]), 2);
+        assert.strictEqual(hist.total, 1);
+        assert.strictEqual(compute.getStats().fallbackJobs, 1);
+    });
+
+    await testAsync('focusStack copies the planes instead of transferring them', async () => {
+        const log = { created: [], transfers: [] };
+        const compute = createClient(createMockWorkerClass(log));
+        const plane = Uint8Array.from([1, 2, 3, 4]);
+        const result = await compute.focusStack([plane], 2, 2);
+        assert.deepStrictEqual(Array.from(result.data), [1, 2, 3, 4]);
+        assert.strictEqual(log.transfers[0].length, 0, 'Decoded tiles may be shared with the loader');
+    });
+
+    await testAsync('rejects unknown ops on the fallback path', async () => {
+        const compute = createClient(undefined);
+        await assert.rejects(compute.run('nope', {}), /Unknown op/);
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// Unit tests for zarr-depth-map.js - runs with plain Node.js
+// Usage: node tests/zarr-depth-map.test.js
+//
+// Computes depth tiles from a mock Viv pixel source whose planes are sharp in
+// different regions (zarr-compute.js falls back to the main thread here),
+// checks hover lookups across levels and selections, and the depth map wiring
+// in zarr-viewer.js.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const jsDir = path.join(__dirname, '..', 'js');
+const source = fs.readFileSync(path.join(jsDir, 'zarr-depth-map.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(jsDir, 'zarr-viewer.js'), 'utf8');
+const html = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+
+// No Worker in the sandbox: zarr-compute.js stacks on the main thread
+const sandbox = vm.createContext({ window: { evostitch: {} }, console });
+['zarr-image-math.js', 'zarr-region-reader.js', 'zarr-compute.js', 'zarr-depth-map.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(jsDir, file), 'utf8'), sandbox);
+});
+const depthMap = sandbox.window.evostitch.zarrDepthMap;
+
+// Mock Viv pixel source, 16x16 image in 8x8 tiles, 3 planes. Plane z has a
+// 0/200 checkerboard in the columns [z * 5, z * 5 + 5) (z = 2 to the edge)
+// and is flat elsewhere. Records tile requests.
+function mockSource(size, requests) {
+    return {
+        labels: ['t', 'c', 'z', 'y', 'x'],
+        shape: [2, 1, 3, size, size],
+        tileSize: 8,
+        dtype: 'Uint8',
+        getTile({ x, y, selection }) {
+            requests.push({ x, y, selection });
+            const data = new Uint8Array(64);
+            for (let row = 0; row < 8; row++) {
+                for (let col = 0; col < 8; col++) {
+                    const gx = x * 8 + col;
+                    const sharp = Math.min(2, Math.floor(gx / 5)) === selection.z;
+                    data[row * 8 + col] = sharp ? ((gx + row) % 2) * 200 : 100;
+                }
+            }
+            return Promise.resolve({ data, width: 8, height: 8 });
+        }
+    };
+}
+
+console.log('zarr-depth-map.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.zarrDepthMap', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['createDepthMap', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof depthMap[fn], 'function', fn + ' should be exported'));
+});
+
+test('zarr-depth-map.js loads after its dependencies and before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-depth-map.js');
+    assert.ok(pos > html.indexOf('js/zarr-compute.js'), 'Should load after zarr-compute.js');
+    assert.ok(pos > html.indexOf('js/zarr-region-reader.js'), 'Should load after zarr-region-reader.js');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+});
+
+test('sources without a z axis give no depth map', () => {
+    const flat = Object.assign(mockSource(16, []), { labels: ['c', 'y', 'x'], shape: [1, 16, 16] });
+    assert.strictEqual(depthMap.createDepthMap([flat]), null);
+    assert.strictEqual(depthMap.createDepthMap([]), null);
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('depth overlay is drawn between the image and the annotations', () => {
+    assert.ok(viewerSource.includes('state.imageLayer, state.depthLayer, state.peakingLayer, ...state.labelLayers, ...buildAnnotationLayers()'));
+    const start = viewerSource.indexOf('function buildDepthLayer()');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function getDepthAt('));
+    assert.ok(body.includes('opacity: state.depthMap.opacity'), 'Opacity is adjustable');
+    assert.ok(body.includes('state.depthMapData.zCount - 1'), 'Colormap spans the stack');
+});
+
+test('hover reports the depth in µm in the coordinate display', () => {
+    const start = viewerSource.indexOf('function updateCoordinatesCore(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function updateCoordinates('));
+    assert.ok(body.includes('formatDepthAt(clampedX, clampedY)'));
+    assert.ok(viewerSource.includes('return z === null ? null : z * state.pixelSizeZ;'));
+});
+
+test('zarr viewer has the toggle and legend, and exposes the API', () => {
+    ['id="depth-btn"', 'id="depth-legend"', 'class="depth-legend-bar"', 'class="depth-legend-opacity"']
+        .forEach(attr => assert.ok(html.includes(attr), 'HTML should have ' + attr));
+    assert.ok(viewerSource.includes('elements.depthBtn.hidden = state.zCount <= 1'));
+    assert.ok(viewerSource.includes('    setDepthMap,'), 'setDepthMap should be in the API');
+});
+
+// ========== Depth tiles ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Depth Tiles ---');
+
+    await testAsync('dtype is overridden on sources where it is a getter (Viv ZarrPixelSource)', async () => {
+        const { dtype, ...props } = mockSource(16, []);
+        const vivSource = Object.assign(Object.create({ get dtype() { return dtype; } }), props);
+        const map = depthMap.createDepthMap([vivSource]);
+        assert.strictEqual(map.sources[0].dtype, 'Uint16');
+        assert.strictEqual(vivSource.dtype, 'Uint8', 'The source keeps its dtype');
+    });
+
+    await testAsync('depth tiles hold the sharpest plane of every pixel', async () => {
+        const requests = [];
+        const map = depthMap.createDepthMap([mockSource(16, requests)]);
+        const source = map.sources[0];
+        assert.strictEqual(source.dtype, 'Uint16');
+        assert.strictEqual(source.tileSize, 8, 'Other properties are inherited');
+
+        const tile = await source.getTile({ x: 0, y: 0, selection: { t: 1, c: 0, z: 2 } });
+        assert.strictEqual(tile.data.constructor.name, 'Uint16Array');
+        assert.deepStrictEqual(requests.map(r => r.selection.z).sort(), [0, 1, 2], 'Every plane is read');
+        assert.ok(requests.every(r => r.selection.t === 1), 'Other axes pass through');
+        // Row 4: columns 0-1 are sharp in plane 0, column 7 in plane 1
+        assert.strictEqual(tile.data[4 * 8 + 0], 0);
+        assert.strictEqual(tile.data[4 * 8 + 7], 1);
+    });
+
+    await testAsync('depthAt reads the computed tiles for the same selection', async () => {
+        const map = depthMap.createDepthMap([mockSource(16, [])]);
+        const selection = { t: 0, c: 0, z: 0 };
+        assert.strictEqual(map.depthAt(15, 4, selection), null, 'Nothing computed yet');
+        await map.sources[0].getTile({ x: 1, y: 0, selection });
+        assert.strictEqual(map.depthAt(15, 4, { t: 0, c: 0, z: 7 }), 2, 'Z does not matter');
+        assert.strictEqual(map.depthAt(15, 4, { t: 1, c: 0, z: 0 }), null, 'Other timepoint');
+        assert.strictEqual(map.depthAt(3, 4, selection), null, 'Other tile');
+        assert.strictEqual(map.depthAt(40, 4, selection), null, 'Outside the image');
+    });
+
+    await testAsync('depthAt falls back to coarser levels', async () => {
+        const map = depthMap.createDepthMap([mockSource(16, []), mockSource(8, [])]);
+        const selection = { t: 0, c: 0 };
+        await map.sources[1].getTile({ x: 0, y: 0, selection });
+        // Full-res x = 2 is level-1 x = 1, in plane 0's sharp columns
+        assert.strictEqual(map.depthAt(2, 2, selection), 0);
+    });
+
+    await testAsync('keeps at most CONFIG.maxCachedTiles tiles', async () => {
+        const saved = depthMap.CONFIG.maxCachedTiles;
+        depthMap.CONFIG.maxCachedTiles = 1;
+        try {
+            const map = depthMap.createDepthMap([mockSource(16, [])]);
+            await map.sources[0].getTile({ x: 0, y: 0, selection: {} });
+            await map.sources[0].getTile({ x: 1, y: 0, selection: {} });
+            assert.strictEqual(map.depthAt(3, 4, {}), null, 'Oldest tile evicted');
+            assert.notStrictEqual(map.depthAt(12, 4, {}), null);
+        } finally {
+            depthMap.CONFIG.maxCachedTiles = saved;
+        }
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
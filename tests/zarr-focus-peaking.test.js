@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+// Unit tests for zarr-focus-peaking.js - runs with plain Node.js
+// Usage: node tests/zarr-focus-peaking.test.js
+//
+// Computes gradient energy tiles from a mock Viv pixel source (zarr-compute.js
+// falls back to the main thread here), checks the overlay contrast limits and
+// the focus peaking wiring in zarr-viewer.js.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const jsDir = path.join(__dirname, '..', 'js');
+const source = fs.readFileSync(path.join(jsDir, 'zarr-focus-peaking.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(jsDir, 'zarr-viewer.js'), 'utf8');
+const html = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+
+// No Worker in the sandbox: zarr-compute.js computes on the main thread
+const sandbox = vm.createContext({ window: { evostitch: {} }, console });
+['zarr-image-math.js', 'zarr-compute.js', 'zarr-focus-peaking.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(jsDir, file), 'utf8'), sandbox);
+});
+const peaking = sandbox.window.evostitch.zarrFocusPeaking;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Mock Viv pixel source with 4x4 tiles: plane z = 0 is a 0/100 checkerboard,
+// other planes are flat. Records the selection of each tile request.
+function mockSource(requests) {
+    return {
+        labels: ['t', 'c', 'z', 'y', 'x'],
+        shape: [1, 2, 3, 4, 4],
+        tileSize: 4,
+        dtype: 'Uint8',
+        getTile({ selection }) {
+            requests.push(selection);
+            const data = new Uint8Array(16);
+            for (let i = 0; i < 16; i++) {
+                data[i] = selection.z === 0 ? ((i % 4) + Math.floor(i / 4)) % 2 * 100 : 50;
+            }
+            return Promise.resolve({ data, width: 4, height: 4 });
+        }
+    };
+}
+
+console.log('zarr-focus-peaking.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.zarrFocusPeaking', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['createPeakingSources', 'getPeakingLimits', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof peaking[fn], 'function', fn + ' should be exported'));
+});
+
+test('zarr-focus-peaking.js loads after zarr-compute.js and before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-focus-peaking.js');
+    assert.ok(pos > html.indexOf('js/zarr-compute.js'), 'Should load after zarr-compute.js');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+});
+
+test('no sources give no peaking sources', () => {
+    assert.strictEqual(peaking.createPeakingSources([]), null);
+    assert.strictEqual(peaking.createPeakingSources(null), null);
+});
+
+// ========== Contrast limits ==========
+
+console.log('\n--- Contrast Limits ---');
+
+test('tint starts at the threshold fraction of the contrast window', () => {
+    assert.deepStrictEqual(plain(peaking.getPeakingLimits([100, 1100], 0.1)), [100, 200]);
+    const threshold = peaking.CONFIG.threshold;
+    assert.deepStrictEqual(plain(peaking.getPeakingLimits([0, 1000])), [threshold * 1000, threshold * 2000]);
+    assert.deepStrictEqual(plain(peaking.getPeakingLimits([0, 1000], null)), [threshold * 1000, threshold * 2000]);
+});
+
+test('an empty contrast window does not give zero limits', () => {
+    const [low, high] = peaking.getPeakingLimits([5, 5]);
+    assert.ok(low > 0 && high > low);
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('overlay is rebuilt with the image layer, so it follows the debounced Z-switch', () => {
+    assert.ok(/state\.peakingLayer = buildPeakingLayer\(\);\s*\n\s*renderLayers\(\);/.test(viewerSource));
+    const start = viewerSource.indexOf('function executeZSwitch(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function scheduleSwitchLoadingIndicator('));
+    assert.ok(body.includes('updateLayer();'), 'Z-switches (after the render-opt debounce) rebuild the layers');
+});
+
+test('overlay reads the current plane and hides low-energy regions', () => {
+    const start = viewerSource.indexOf('function buildPeakingLayer()');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function setFocusPeaking('));
+    assert.ok(body.includes('selections: [getChannelSelection(visible)]'), 'Current Z and T');
+    assert.ok(body.includes('useTransparentColor: true'));
+    assert.ok(body.includes("dtype: 'Float32'"));
+});
+
+test('zarr viewer has the toggle and exposes the API', () => {
+    assert.ok(html.includes('id="peaking-btn"'), 'HTML should have the peaking button');
+    assert.ok(viewerSource.includes("case 'k':"), 'K key');
+    assert.ok(viewerSource.includes('elements.peakingBtn.hidden = state.zCount <= 1'));
+    assert.ok(viewerSource.includes('    setFocusPeaking,'), 'setFocusPeaking should be in the API');
+});
+
+// ========== Energy tiles ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Energy Tiles ---');
+
+    await testAsync('dtype is overridden on sources where it is a getter (Viv ZarrPixelSource)', async () => {
+        const { dtype, ...props } = mockSource([]);
+        const vivSource = Object.assign(Object.create({ get dtype() { return dtype; } }), props);
+        const [energySource] = peaking.createPeakingSources([vivSource]);
+        assert.strictEqual(energySource.dtype, 'Float32');
+        assert.strictEqual(vivSource.dtype, 'Uint8', 'The source keeps its dtype');
+    });
+
+    await testAsync('energy tiles are computed from the requested plane', async () => {
+        const requests = [];
+        const [energySource] = peaking.createPeakingSources([mockSource(requests)]);
+        assert.strictEqual(energySource.dtype, 'Float32');
+        assert.strictEqual(energySource.tileSize, 4, 'Other properties are inherited');
+
+        const sharp = await energySource.getTile({ x: 0, y: 0, selection: { t: 0, c: 1, z: 0 } });
+        assert.strictEqual(sharp.data.constructor.name, 'Float32Array');
+        assert.deepStrictEqual([sharp.width, sharp.height], [4, 4]);
+        assert.ok(sharp.data[5] > 50, 'Checkerboard plane has high energy');
+        assert.deepStrictEqual(plain(requests), [{ t: 0, c: 1, z: 0 }], 'Only the requested plane is read');
+
+        const flat = await energySource.getTile({ x: 0, y: 0, selection: { t: 0, c: 1, z: 2 } });
+        assert.deepStrictEqual(Array.from(flat.data), new Array(16).fill(0));
+    });
+
+    await testAsync('energy tiles come from the compute worker client', async () => {
+        const [energySource] = peaking.createPeakingSources([mockSource([])]);
+        const before = sandbox.window.evostitch.zarrCompute.getStats().fallbackJobs;
+        await energySource.getTile({ x: 0, y: 0, selection: { z: 0 } });
+        assert.strictEqual(sandbox.window.evostitch.zarrCompute.getStats().fallbackJobs, before + 1);
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
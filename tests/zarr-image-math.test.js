@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+// Unit tests for zarr-image-math.js - runs with plain Node.js
+// Usage: node tests/zarr-image-math.test.js
+//
+// Tests percentile and histogram computation for integer and float pixel
+// arrays and the viewer's auto-contrast and histogram wiring.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-image-math.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-viewer.js'), 'utf8');
+const html = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+
+// Load the IIFE into a sandbox with a minimal window
+const sandbox = vm.createContext({ window: { evostitch: {} } });
+vm.runInContext(source, sandbox);
+const imageMath = sandbox.window.evostitch.imageMath;
+
+// 0..n-1 in the given array type
+function ramp(ArrayType, n) {
+    const data = new ArrayType(n);
+    for (let i = 0; i < n; i++) data[i] = i;
+    return data;
+}
+
+console.log('zarr-image-math.js - Unit Tests');
+console.log('================================');
+
+// ========== File structure ==========
+
+console.log('\n--- File Structure ---');
+
+test('uses IIFE pattern', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+});
+
+test('exposes window.evostitch.imageMath', () => {
+    assert.strictEqual(typeof imageMath.computePercentiles, 'function');
+    assert.strictEqual(typeof imageMath.percentileRange, 'function');
+    assert.strictEqual(typeof imageMath.focusStack, 'function');
+    assert.strictEqual(typeof imageMath.gradientEnergy, 'function');
+});
+
+test('zarr-image-math.js loads before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-image-math.js');
+    assert.ok(pos > 0, 'zarr-image-math.js should be in HTML');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+});
+
+// ========== Percentiles ==========
+
+console.log('\n--- Percentiles ---');
+
+test('uint8: min, median, max of a ramp', () => {
+    const values = imageMath.computePercentiles(ramp(Uint8Array, 256), [0, 50, 100]);
+    assert.deepStrictEqual(Array.from(values), [0, 128, 255]);
+});
+
+test('uint16: 0.1%-99.9% ignores sparse outliers', () => {
+    const data = new Uint16Array(10000).fill(1000);
+    for (let i = 0; i < 5; i++) data[i] = 0;          // dark outliers
+    for (let i = 5; i < 10; i++) data[i] = 65535;     // saturated outliers
+    const range = imageMath.percentileRange(data, 0.1, 99.9);
+    assert.strictEqual(range.min, 1000);
+    assert.strictEqual(range.max, 1000);
+});
+
+test('uint16: percentiles of a ramp', () => {
+    const range = imageMath.percentileRange(ramp(Uint16Array, 10001), 0.1, 99.9);
+    assert.strictEqual(range.min, 10);
+    assert.strictEqual(range.max, 9990);
+});
+
+test('int16: negative values are counted correctly', () => {
+    const data = Int16Array.from([-300, -200, -100, 0, 100]);
+    assert.deepStrictEqual(Array.from(imageMath.computePercentiles(data, [0, 50, 100])), [-300, -100, 100]);
+});
+
+test('percentiles can be requested in any order', () => {
+    const values = imageMath.computePercentiles(ramp(Uint8Array, 101), [90, 10]);
+    assert.deepStrictEqual(Array.from(values), [90, 10]);
+});
+
+test('float32: sorts values and ignores NaN', () => {
+    const data = Float32Array.from([0.5, NaN, 0.25, 1, NaN, 0]);
+    const range = imageMath.percentileRange(data, 0, 100);
+    assert.strictEqual(range.min, 0);
+    assert.strictEqual(range.max, 1);
+    assert.strictEqual(imageMath.computePercentiles(data, [50])[0], 0.5);
+});
+
+test('empty or all-NaN data has no range', () => {
+    assert.strictEqual(imageMath.percentileRange(new Uint16Array(0), 0.1, 99.9), null);
+    assert.strictEqual(imageMath.percentileRange(Float32Array.from([NaN]), 0.1, 99.9), null);
+});
+
+// ========== Histograms ==========
+
+console.log('\n--- Histograms ---');
+
+test('bins the data extent into equal-width bins', () => {
+    const hist = imageMath.computeHistogram(ramp(Uint16Array, 100), 10);
+    assert.strictEqual(hist.min, 0);
+    assert.strictEqual(hist.max, 99);
+    assert.strictEqual(hist.total, 100);
+    assert.strictEqual(hist.counts.length, 10);
+    assert.strictEqual(hist.counts.reduce((a, b) => a + b, 0), 100);
+    assert.strictEqual(hist.counts[9], 10, 'Maximum value falls in the last bin');
+});
+
+test('domain widens the binned range to include contrast limits', () => {
+    const hist = imageMath.computeHistogram(Uint16Array.from([100, 200]), 4, { min: 0, max: 400 });
+    assert.strictEqual(hist.min, 0);
+    assert.strictEqual(hist.max, 400);
+    assert.deepStrictEqual(Array.from(hist.counts), [0, 1, 1, 0]);
+});
+
+test('float data ignores NaN; constant data gets a unit-wide domain', () => {
+    const hist = imageMath.computeHistogram(Float32Array.from([NaN, 0.5, NaN]), 2);
+    assert.strictEqual(hist.total, 1);
+    assert.strictEqual(hist.min, 0.5);
+    assert.strictEqual(hist.max, 1.5);
+});
+
+test('empty data yields zero counts', () => {
+    const hist = imageMath.computeHistogram(new Uint8Array(0), 8);
+    assert.strictEqual(hist.total, 0);
+    assert.strictEqual(hist.counts.length, 8);
+});
+
+// ========== Focus stacking ==========
+
+console.log('\n--- Focus Stacking ---');
+
+// 8x8 plane: a 0/100 checkerboard in the columns [x0, x1), flat 50 elsewhere
+function stripe(x0, x1) {
+    const plane = new Uint8Array(64);
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            plane[y * 8 + x] = x >= x0 && x < x1 ? ((x + y) % 2) * 100 : 50;
+        }
+    }
+    return plane;
+}
+
+test('takes each region from the plane where it is sharp', () => {
+    // Plane 0 is sharp on the left, plane 1 on the right
+    const result = imageMath.focusStack([stripe(0, 4), stripe(4, 8)], 8, 8, 1);
+    assert.strictEqual(result.data.constructor.name, 'Uint8Array');
+    assert.strictEqual(result.depth[3 * 8 + 0], 0);
+    assert.strictEqual(result.depth[3 * 8 + 7], 1);
+    assert.strictEqual(result.data[3 * 8 + 7], ((7 + 3) % 2) * 100);
+    assert.strictEqual(result.data[3 * 8 + 0], ((0 + 3) % 2) * 100);
+});
+
+test('flat regions keep the lowest plane; NaN counts as flat', () => {
+    const flat = new Float32Array(16).fill(7);
+    const withNaN = new Float32Array(16).fill(NaN);
+    const result = imageMath.focusStack([flat, withNaN], 4, 4);
+    assert.deepStrictEqual(Array.from(result.depth), new Array(16).fill(0));
+    assert.deepStrictEqual(Array.from(result.data), new Array(16).fill(7));
+});
+
+test('gradient energy is high on sharp edges and low on blurred ones', () => {
+    // Left half: 0/100 checkerboard; right half: flat
+    const energy = imageMath.gradientEnergy(stripe(0, 4), 8, 8, 1);
+    assert.strictEqual(energy.constructor.name, 'Float32Array');
+    assert.ok(energy[3 * 8 + 1] > 40, 'Checkerboard is sharp');
+    assert.strictEqual(energy[3 * 8 + 7], 0, 'Flat region');
+    // A ramp of 10 per pixel has gradient 10 everywhere inside
+    const ramp = Float32Array.from({ length: 16 }, (_, i) => (i % 4) * 10);
+    assert.ok(Math.abs(imageMath.gradientEnergy(ramp, 4, 4, 0)[5] - 10) < 1e-6);
+});
+
+test('gradient energy counts NaN as 0', () => {
+    const plane = new Float32Array(16).fill(NaN);
+    assert.deepStrictEqual(Array.from(imageMath.gradientEnergy(plane, 4, 4)), new Array(16).fill(0));
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('viewer uses 0.1%-99.9% percentiles', () => {
+    assert.ok(viewerSource.includes('AUTO_CONTRAST_LOW_PERCENTILE = 0.1'), 'Low percentile should be 0.1');
+    assert.ok(viewerSource.includes('AUTO_CONTRAST_HIGH_PERCENTILE = 99.9'), 'High percentile should be 99.9');
+});
+
+test('autoContrastChannel samples the viewport at the current plane and applies via setChannelContrast', () => {
+    const start = viewerSource.indexOf('async function autoContrastChannel(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function autoContrast()'));
+    assert.ok(body.includes('getViewportBounds()'), 'Should sample the current viewport');
+    assert.ok(body.includes('getChannelSelection(channelIndex)'), 'Should read the current Z/T for the channel');
+    assert.ok(body.includes('readRegion('), 'Should read decoded pixels');
+    assert.ok(body.includes('setChannelContrast(channelIndex, min, max)'), 'Should apply through setChannelContrast');
+});
+
+test('each channel has an Auto button and "a" auto-contrasts all channels', () => {
+    assert.ok(viewerSource.includes("autoBtn.textContent = 'Auto'"), 'Should add an Auto button');
+    assert.ok(/case 'a':\s*\n\s*case 'A':\s*\n\s*autoContrast\(\);/.test(viewerSource), 'Should bind the a key');
+});
+
+test('keyboard shortcuts are not taken from text fields', () => {
+    const start = viewerSource.indexOf('// Keyboard shortcuts for Z/T navigation and zoom');
+    const guard = viewerSource.substring(start, viewerSource.indexOf('switch (e.key)', start));
+    ['INPUT', 'TEXTAREA', 'SELECT'].forEach(tag => assert.ok(guard.includes(`e.target.tagName === '${tag}'`), tag));
+    assert.ok(guard.includes('e.target.isContentEditable'), 'contenteditable');
+});
+
+test('setChannelContrast keeps the sliders in sync', () => {
+    const start = viewerSource.indexOf('function setChannelContrast(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function getViewportBounds()'));
+    assert.ok(body.includes('syncContrastSliders('), 'Should update slider UI');
+});
+
+test('histogram markers stay in sync with the B/C sliders', () => {
+    const start = viewerSource.indexOf('function syncContrastSliders(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function createHistogram('));
+    assert.ok(body.includes('syncHistogramMarkers(item, settings)'), 'Slider sync should move markers');
+    assert.ok(viewerSource.includes('sliders.appendChild(createHistogram(settings'), 'Each channel should get a histogram');
+});
+
+test('histograms recompute when the view settles or Z/T changes', () => {
+    ['function executeZSwitch(', 'function executeTSwitch('].forEach(marker => {
+        const start = viewerSource.indexOf(marker);
+        const body = viewerSource.substring(start, start + 1500);
+        assert.ok(body.includes('scheduleHistogramUpdate()'), marker + ' should schedule an update');
+    });
+    const start = viewerSource.indexOf('onViewStateChange:');
+    assert.ok(viewerSource.substring(start, start + 1500).includes('scheduleHistogramUpdate()'), 'Pan/zoom should schedule an update');
+});
+
+test('histograms are binned through zarrCompute (off the main thread)', () => {
+    const start = viewerSource.indexOf('async function updateHistograms(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function getHistogram('));
+    assert.ok(body.includes('zarrCompute.histogram('), 'Should bin in the worker');
+    assert.ok(body.includes('generation !== state.histogramGeneration'), 'Should drop stale results');
+});
+
+// ========== Summary ==========
+
+console.log('');
+console.log('================================');
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+    process.exit(1);
+}
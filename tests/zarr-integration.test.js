@@ -42,6 +42,7 @@ function testAsync(name, fn) {
 const jsDir = path.join(__dirname, '..', 'js');
 const prefetchSrc = fs.readFileSync(path.join(jsDir, 'zarr-prefetch.js'), 'utf8');
 const renderOptSrc = fs.readFileSync(path.join(jsDir, 'zarr-render-opt.js'), 'utf8');
+const metadataSrc = fs.readFileSync(path.join(jsDir, 'zarr-metadata.js'), 'utf8');
 
 // ---------- Simulated browser environment ----------
 
@@ -505,11 +506,193 @@ test('zarr-viewer.js passes viewport callbacks to prefetch init (source check)',
     assert.ok(initBlock.includes('getContainerSize:'), 'Should pass getContainerSize to prefetch init');
 });
 
-// ========== Summary ==========
+// ========== Zarr v3 Chunk URLs ==========
 
 console.log('');
-console.log('====================================================');
-console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
-if (failed > 0) {
-    process.exit(1);
+console.log('--- Zarr v3 Chunk URLs ---');
+
+// Load zarr-metadata + zarr-prefetch with a fetch stub that serves one array
+// metadata document per level and records every chunk URL requested.
+// respondChunk(url), if given, returns the chunk response (a promise).
+function loadWithStore(metadataByFile, respondChunk) {
+    const env = createBrowserEnv();
+    const requested = [];
+    const fetchStub = (url) => {
+        const file = url.substring(url.lastIndexOf('/') + 1);
+        if (file === '.zarray' || file === 'zarr.json') {
+            const doc = metadataByFile[file];
+            return Promise.resolve({ ok: !!doc, status: doc ? 200 : 404, json: () => Promise.resolve(doc) });
+        }
+        requested.push(url);
+        if (respondChunk) return respondChunk(url);
+        return Promise.resolve({ ok: true, headers: { get: () => null } });
+    };
+    const sandbox = vm.createContext({
+        window: env.window,
+        setTimeout: env.setTimeout,
+        clearTimeout: env.clearTimeout,
+        performance: env.performance,
+        console: env.console,
+        fetch: fetchStub,
+        AbortController: env.AbortController,
+        Promise: Promise
+    });
+    vm.runInContext(metadataSrc, sandbox);
+    vm.runInContext(prefetchSrc, sandbox);
+    return { ns: env.window.evostitch, requested };
 }
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+const storeUrl = 'https://data.evostitch.net/mosaic_v3/0';
+const v3Array = {
+    zarr_format: 3,
+    node_type: 'array',
+    shape: [1, 1, 8, 512, 512],
+    data_type: 'uint8',
+    chunk_grid: { name: 'regular', configuration: { chunk_shape: [1, 1, 1, 512, 512] } },
+    chunk_key_encoding: { name: 'default', configuration: { separator: '/' } },
+    codecs: [{ name: 'bytes' }, { name: 'zstd', configuration: { level: 0 } }]
+};
+
+async function runAsyncTests() {
+    await testAsync('prefetch builds c/-prefixed chunk URLs for Zarr v3 arrays', async () => {
+        const { ns, requested } = loadWithStore({ 'zarr.json': v3Array });
+        ns.zarrPrefetch.init({
+            zarrStoreUrl: storeUrl, zCount: 8, levelCount: 1, zarrFormat: 3,
+            axes: ['t', 'c', 'z', 'y', 'x']
+        });
+        for (let i = 0; i < 5; i++) await flush();
+
+        ns.zarrPrefetch.warmPlane(3);
+        assert.deepStrictEqual(requested, [storeUrl + '/0/c/0/0/3/0/0']);
+        const stats = ns.zarrPrefetch.getStats();
+        assert.strictEqual(stats.zarrFormat, 3);
+        assert.strictEqual(stats.chunkKeyPrefix, 'c/');
+    });
+
+    await testAsync('prefetch falls back to zarr.json when .zarray is missing', async () => {
+        const { ns, requested } = loadWithStore({ 'zarr.json': v3Array });
+        ns.zarrPrefetch.init({ zarrStoreUrl: storeUrl, zCount: 8, levelCount: 1, axes: ['t', 'c', 'z', 'y', 'x'] });
+        for (let i = 0; i < 5; i++) await flush();
+
+        ns.zarrPrefetch.warmPlane(2);
+        assert.deepStrictEqual(requested, [storeUrl + '/0/c/0/0/2/0/0']);
+    });
+
+    await testAsync('prefetch keeps Zarr v2 chunk URLs unchanged', async () => {
+        const { ns, requested } = loadWithStore({
+            '.zarray': { zarr_format: 2, shape: [1, 1, 8, 512, 512], chunks: [1, 1, 1, 512, 512],
+                dtype: '|u1', dimension_separator: '/', compressor: null, filters: null }
+        });
+        ns.zarrPrefetch.init({ zarrStoreUrl: storeUrl, zCount: 8, levelCount: 1, axes: ['t', 'c', 'z', 'y', 'x'] });
+        for (let i = 0; i < 5; i++) await flush();
+
+        ns.zarrPrefetch.warmPlane(3);
+        assert.deepStrictEqual(requested, [storeUrl + '/0/0/0/3/0/0']);
+    });
+
+    await testAsync('prefetch skips sharded levels (Viv reads shards with byte ranges)', async () => {
+        const sharded = Object.assign({}, v3Array, {
+            chunk_grid: { name: 'regular', configuration: { chunk_shape: [1, 1, 4, 512, 512] } },
+            codecs: [{ name: 'sharding_indexed', configuration: {
+                chunk_shape: [1, 1, 1, 256, 256],
+                codecs: [{ name: 'bytes' }],
+                index_codecs: [{ name: 'bytes' }, { name: 'crc32c' }]
+            } }]
+        });
+        const { ns, requested } = loadWithStore({ 'zarr.json': sharded });
+        ns.zarrPrefetch.init({ zarrStoreUrl: storeUrl, zCount: 8, levelCount: 1, zarrFormat: 3,
+            axes: ['t', 'c', 'z', 'y', 'x'] });
+        for (let i = 0; i < 5; i++) await flush();
+
+        const warmed = await ns.zarrPrefetch.warmPlane(3);
+        assert.deepStrictEqual(requested, [], 'No whole-shard prefetch requests');
+        assert.strictEqual(warmed, null, 'Reported as not prefetchable, not as a failed warm-up');
+    });
+
+    // 16 chunks per plane (4 × 4 of 512 px); chunk responses wait for release()
+    const v2Tiled = {
+        '.zarray': { zarr_format: 2, shape: [1, 1, 8, 2048, 2048], chunks: [1, 1, 1, 512, 512],
+            dtype: '|u1', dimension_separator: '/', compressor: null, filters: null }
+    };
+    function heldChunks(failing) {
+        const held = [];
+        const respond = (url) => new Promise(resolve => held.push(() =>
+            resolve({ ok: url !== failing, status: url === failing ? 500 : 200, headers: { get: () => null } })));
+        const release = async () => {
+            while (held.length > 0) {
+                held.splice(0).forEach(fn => fn());
+                for (let i = 0; i < 5; i++) await flush();
+            }
+        };
+        return { held, respond, release };
+    }
+
+    await testAsync('warmPlane queues chunks beyond the free slots and fetches all of them', async () => {
+        const chunks = heldChunks();
+        const { ns, requested } = loadWithStore(v2Tiled, chunks.respond);
+        ns.zarrPrefetch.init({ zarrStoreUrl: storeUrl, zCount: 8, levelCount: 1, axes: ['t', 'c', 'z', 'y', 'x'] });
+        for (let i = 0; i < 5; i++) await flush();
+
+        let result = null;
+        ns.zarrPrefetch.warmPlane(3).then(r => { result = r; });
+        assert.strictEqual(requested.length, 4, 'CONFIG.maxConcurrent fetches at once');
+        await chunks.release();
+        assert.strictEqual(result, true);
+        assert.strictEqual(new Set(requested).size, 16, 'Every chunk of the plane, once');
+    });
+
+    await testAsync('warmPlane awaits chunks already in flight instead of skipping them', async () => {
+        const chunks = heldChunks();
+        const { ns, requested } = loadWithStore(v2Tiled, chunks.respond);
+        ns.zarrPrefetch.init({ zarrStoreUrl: storeUrl, zCount: 8, levelCount: 1, axes: ['t', 'c', 'z', 'y', 'x'] });
+        for (let i = 0; i < 5; i++) await flush();
+
+        const results = [];
+        ns.zarrPrefetch.warmPlane(5).then(r => results.push(r));
+        ns.zarrPrefetch.warmPlane(5).then(r => results.push(r));
+        await flush();
+        assert.deepStrictEqual(results, [], 'Neither resolves before its chunks are fetched');
+        await chunks.release();
+        assert.deepStrictEqual(results, [true, true]);
+        assert.strictEqual(requested.length, 16, 'No duplicate fetches');
+    });
+
+    await testAsync('a partly fetched plane is warmed again, fetching only the missing chunks', async () => {
+        const failing = new Set([storeUrl + '/0/0/0/4/2/3']);
+        const { ns, requested } = loadWithStore(v2Tiled, (url) => Promise.resolve(
+            { ok: !failing.has(url), status: failing.has(url) ? 500 : 200, headers: { get: () => null } }));
+        ns.zarrPrefetch.init({ zarrStoreUrl: storeUrl, zCount: 8, levelCount: 1, axes: ['t', 'c', 'z', 'y', 'x'] });
+        for (let i = 0; i < 5; i++) await flush();
+
+        assert.strictEqual(await ns.zarrPrefetch.warmPlane(4), false);
+        assert.strictEqual(ns.zarrPrefetch.getPrefetchState(4), 'cached', 'Tracked as prefetched after one chunk');
+        failing.clear();
+        requested.length = 0;
+        assert.strictEqual(await ns.zarrPrefetch.warmPlane(4), true);
+        assert.deepStrictEqual(requested, [storeUrl + '/0/0/0/4/2/3']);
+    });
+
+    await testAsync('warmPlane resolves false when a chunk fails', async () => {
+        const chunks = heldChunks(storeUrl + '/0/0/0/2/1/1');
+        const { ns } = loadWithStore(v2Tiled, chunks.respond);
+        ns.zarrPrefetch.init({ zarrStoreUrl: storeUrl, zCount: 8, levelCount: 1, axes: ['t', 'c', 'z', 'y', 'x'] });
+        for (let i = 0; i < 5; i++) await flush();
+
+        let result = null;
+        ns.zarrPrefetch.warmPlane(2).then(r => { result = r; });
+        await chunks.release();
+        assert.strictEqual(result, false);
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('====================================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
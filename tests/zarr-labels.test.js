@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+// Unit tests for zarr-labels.js - runs with plain Node.js
+// Usage: node tests/zarr-labels.test.js
+//
+// Discovers label images through a mocked fetch(), parses 'image-label'
+// colors and properties, colors label tiles from a mock Viv pixel source and
+// looks up labels under the cursor; checks the labels wiring in zarr-viewer.js.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const jsDir = path.join(__dirname, '..', 'js');
+const source = fs.readFileSync(path.join(jsDir, 'zarr-labels.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(jsDir, 'zarr-viewer.js'), 'utf8');
+const html = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+
+// fetch() serves the documents in `documents` (by URL) and records requests
+const documents = {};
+const fetched = [];
+function mockFetch(url) {
+    fetched.push(url);
+    if (!documents.hasOwnProperty(url)) return Promise.resolve({ ok: false, status: 404 });
+    return Promise.resolve({ ok: true, json: () => Promise.resolve(documents[url]) });
+}
+
+const sandbox = vm.createContext({ window: { evostitch: {} }, console, fetch: mockFetch });
+['zarr-metadata.js', 'zarr-region-reader.js', 'zarr-labels.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(jsDir, file), 'utf8'), sandbox);
+});
+const labels = sandbox.window.evostitch.zarrLabels;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Mock label pyramid: 8x8 at level 0, 4x4 at level 1, 4 px tiles. Level 0
+// holds label 1 in the left half and 2 in the right half of row 0-3, 0 below;
+// level 1 is all 7. Records the selection of each tile request.
+function mockPyramid(requests) {
+    function level(size, fill) {
+        return {
+            labels: ['t', 'c', 'z', 'y', 'x'],
+            shape: [2, 1, 3, size, size],
+            tileSize: 4,
+            dtype: 'Uint32',
+            getTile({ x, y, selection }) {
+                requests.push({ x, y, selection });
+                const data = new Uint32Array(16);
+                for (let i = 0; i < 16; i++) data[i] = fill(x * 4 + (i % 4), y * 4 + Math.floor(i / 4));
+                return Promise.resolve({ data, width: 4, height: 4 });
+            }
+        };
+    }
+    return [level(8, (px, py) => (py < 4 ? (px < 4 ? 1 : 2) : 0)), level(4, () => 7)];
+}
+
+console.log('zarr-labels.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.zarrLabels', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['fetchLabelNames', 'parseImageLabel', 'labelColor', 'colorize', 'createLabelSources', 'formatLabel', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof labels[fn], 'function', fn + ' should be exported'));
+});
+
+test('zarr-labels.js loads after its dependencies and before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-labels.js');
+    assert.ok(pos > html.indexOf('js/zarr-metadata.js'), 'Should load after zarr-metadata.js');
+    assert.ok(pos > html.indexOf('js/zarr-region-reader.js'), 'Should load after zarr-region-reader.js');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+});
+
+test('no sources give no label sources', () => {
+    assert.strictEqual(labels.createLabelSources([], labels.parseImageLabel({})), null);
+    assert.strictEqual(labels.createLabelSources(null, labels.parseImageLabel({})), null);
+});
+
+// ========== image-label metadata ==========
+
+console.log('\n--- image-label Metadata ---');
+
+const imageLabel = labels.parseImageLabel({
+    'image-label': {
+        version: '0.4',
+        colors: [
+            { 'label-value': 1, rgba: [255, 0, 0, 255] },
+            { 'label-value': 2, rgba: [0, 0, 255, 0] },
+            { 'label-value': 3, rgba: [0, 0, 0, 255] },
+            { rgba: [1, 2, 3, 4] }
+        ],
+        properties: [
+            { 'label-value': 1, class: 'nucleus', 'area (pixels)': 1200 },
+            { class: 'no label-value' }
+        ]
+    }
+});
+
+test('parseImageLabel reads colors and properties by label value', () => {
+    assert.strictEqual(imageLabel.colors.size, 3, 'Entries without a label-value are skipped');
+    assert.deepStrictEqual(plain(imageLabel.colors.get(1)), [255, 0, 0, 255]);
+    assert.strictEqual(imageLabel.properties.size, 1);
+    assert.deepStrictEqual(plain(imageLabel.properties.get(1)), { class: 'nucleus', 'area (pixels)': 1200 });
+});
+
+test('parseImageLabel accepts attributes without image-label', () => {
+    const empty = labels.parseImageLabel({ multiscales: [] });
+    assert.strictEqual(empty.colors.size, 0);
+    assert.strictEqual(empty.properties.size, 0);
+});
+
+test('labelColor uses image-label colors, hides background and transparent labels', () => {
+    assert.deepStrictEqual(plain(labels.labelColor(1, imageLabel.colors)), [255, 0, 0]);
+    assert.strictEqual(labels.labelColor(0, imageLabel.colors), null, 'Background');
+    assert.strictEqual(labels.labelColor(2, imageLabel.colors), null, 'Alpha 0');
+    assert.deepStrictEqual(plain(labels.labelColor(3, imageLabel.colors)), [1, 1, 1], 'Black stays visible');
+});
+
+test('labels without a color get distinct, visible generated colors', () => {
+    const generated = [4, 5, 6, 7, 8].map(id => plain(labels.labelColor(id, imageLabel.colors)));
+    generated.forEach(color => assert.ok(color[0] + color[1] + color[2] > 0, 'Not transparent'));
+    assert.strictEqual(new Set(generated.map(String)).size, generated.length, 'Neighbouring IDs differ');
+    assert.deepStrictEqual(plain(labels.labelColor(4, null)), generated[0], 'Stable per ID');
+});
+
+test('colorize splits label colors into red, green and blue planes', () => {
+    const [r, g, b] = labels.colorize(new Uint16Array([0, 1, 2, 1]), imageLabel.colors);
+    assert.deepStrictEqual(Array.from(r), [0, 255, 0, 255]);
+    assert.deepStrictEqual(Array.from(g), [0, 0, 0, 0]);
+    assert.deepStrictEqual(Array.from(b), [0, 0, 0, 0]);
+});
+
+test('formatLabel lists the label properties', () => {
+    assert.strictEqual(labels.formatLabel(1, imageLabel.properties.get(1)), '1 (class: nucleus, area (pixels): 1200)');
+    assert.strictEqual(labels.formatLabel(5, undefined), '5');
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('label images are discovered on load and reset per dataset', () => {
+    const start = viewerSource.indexOf('async function loadZarr(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function initOptimizationModules('));
+    assert.ok(body.includes('discoverLabels(url);'), 'loadZarr lists the label images');
+    assert.ok(body.includes('resetLabels();'), 'loadZarr drops the previous label images');
+});
+
+test('label layers render above the image and follow Z and T', () => {
+    assert.ok(viewerSource.includes('state.peakingLayer, ...state.labelLayers, ...buildAnnotationLayers()'));
+    assert.ok(/state\.labelLayers = buildLabelLayers\(\);\s*\n\s*renderLayers\(\);/.test(viewerSource));
+    const start = viewerSource.indexOf('function buildLabelLayers()');
+    const body = viewerSource.substring(start, viewerSource.indexOf('async function setLabelVisible('));
+    assert.ok(body.includes('getSelection(state.currentZ, state.currentT)'), 'Current Z and T');
+    assert.ok(body.includes('useTransparentColor: true'), 'Background is transparent');
+});
+
+test('zarr viewer has the toggles, hover text and API', () => {
+    assert.ok(html.includes('id="label-controls"'), 'HTML should have the label controls');
+    assert.ok(html.includes('id="label-opacity"'), 'HTML should have the opacity slider');
+    assert.ok(viewerSource.includes('${formatLabelsAt(clampedX, clampedY)}'), 'Coordinate display shows labels');
+    ['    setLabelVisible,', '    setLabelOpacity,', '    getLabelsAt,']
+        .forEach(entry => assert.ok(viewerSource.includes(entry), entry.trim() + ' should be in the API'));
+});
+
+// ========== Discovery and tiles ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Discovery ---');
+
+    await testAsync('fetchLabelNames reads labels/.zattrs (NGFF 0.4)', async () => {
+        documents['https://example.org/a.zarr/labels/.zattrs'] = { labels: ['cells', 'nuclei', 7] };
+        const names = await labels.fetchLabelNames('https://example.org/a.zarr/');
+        assert.deepStrictEqual(plain(names), ['cells', 'nuclei']);
+    });
+
+    await testAsync('fetchLabelNames falls back to labels/zarr.json (NGFF 0.5)', async () => {
+        documents['https://example.org/b.zarr/labels/zarr.json'] = {
+            zarr_format: 3, node_type: 'group', attributes: { ome: { version: '0.5', labels: ['masks'] } }
+        };
+        const names = await labels.fetchLabelNames('https://example.org/b.zarr');
+        assert.deepStrictEqual(plain(names), ['masks']);
+    });
+
+    await testAsync('fetchLabelNames gives no names without a labels group', async () => {
+        fetched.length = 0;
+        const names = await labels.fetchLabelNames('https://example.org/c.zarr');
+        assert.deepStrictEqual(plain(names), []);
+        assert.deepStrictEqual(fetched, ['https://example.org/c.zarr/labels/.zattrs', 'https://example.org/c.zarr/labels/zarr.json']);
+    });
+
+    console.log('\n--- Label Tiles ---');
+
+    await testAsync('each label tile is fetched once for its three color planes', async () => {
+        const requests = [];
+        const data = labels.createLabelSources(mockPyramid(requests), imageLabel);
+        const [source] = data.sources;
+        assert.strictEqual(source.dtype, 'Uint8');
+        assert.strictEqual(source.tileSize, 4, 'Other properties are inherited');
+
+        const selection = data.getSelection(1, 1);
+        const planes = await Promise.all([0, 1, 2].map(rgb =>
+            source.getTile({ x: 0, y: 0, selection: { ...selection, rgb } })));
+        assert.strictEqual(requests.length, 1, 'One fetch for the three planes');
+        assert.deepStrictEqual(plain(requests[0].selection), { t: 1, c: 0, z: 1 }, 'Color component is not passed on');
+        assert.strictEqual(planes[0].data.constructor.name, 'Uint8Array');
+        assert.deepStrictEqual([planes[0].data[0], planes[1].data[0], planes[2].data[0]], [255, 0, 0]);
+    });
+
+    await testAsync('dtype is overridden on sources where it is a getter (Viv ZarrPixelSource)', async () => {
+        const [level0] = mockPyramid([]);
+        const { dtype, ...props } = level0;
+        const vivSource = Object.assign(Object.create({ get dtype() { return dtype; } }), props);
+        const data = labels.createLabelSources([vivSource], imageLabel);
+        assert.strictEqual(data.sources[0].dtype, 'Uint8');
+        assert.strictEqual(vivSource.dtype, 'Uint32', 'The source keeps its dtype');
+    });
+
+    await testAsync('getSelection clamps the image plane to the label image', async () => {
+        const data = labels.createLabelSources(mockPyramid([]), imageLabel);
+        assert.deepStrictEqual(plain(data.getSelection(10, 0)), { t: 0, c: 0, z: 2 });
+    });
+
+    await testAsync('labelAt reads the finest loaded tile under a full-res pixel', async () => {
+        const data = labels.createLabelSources(mockPyramid([]), imageLabel);
+        const selection = data.getSelection(0, 0);
+        assert.strictEqual(data.labelAt(1, 1, selection), null, 'Nothing loaded yet');
+
+        await data.sources[1].getTile({ x: 0, y: 0, selection: { ...selection, rgb: 0 } });
+        assert.strictEqual(data.labelAt(5, 1, selection), 7, 'Coarse level');
+
+        await data.sources[0].getTile({ x: 1, y: 0, selection: { ...selection, rgb: 2 } });
+        assert.strictEqual(data.labelAt(5, 1, selection), 2, 'Finest level wins');
+        assert.strictEqual(data.labelAt(1, 1, selection), 7, 'Falls back where level 0 is not loaded');
+        assert.strictEqual(data.labelAt(20, 1, selection), null, 'Outside the image');
+    });
+
+    await testAsync('failed tile fetches are retried', async () => {
+        let calls = 0;
+        const pyramid = mockPyramid([]);
+        const getTile = pyramid[0].getTile;
+        pyramid[0].getTile = (args) => (++calls === 1 ? Promise.reject(new Error('aborted')) : getTile(args));
+        const data = labels.createLabelSources(pyramid, imageLabel);
+        const args = { x: 0, y: 0, selection: { t: 0, c: 0, z: 0, rgb: 0 } };
+        await assert.rejects(data.sources[0].getTile(args));
+        const tile = await data.sources[0].getTile(args);
+        assert.strictEqual(tile.data[0], 255);
+        assert.strictEqual(calls, 2);
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
@@ -0,0 +1,452 @@
+#!/usr/bin/env node
+// Unit tests for zarr-metadata.js - runs with plain Node.js
+// Usage: node tests/zarr-metadata.test.js
+//
+// Tests dtype detection (Viv loader + .zarray fallback), slider ranges and
+// default contrast limits for uint8, uint16 and float32 stores, and Zarr v2/v3
+// array metadata parsing (chunk key encoding, codec chains, sharding).
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const srcPath = path.join(__dirname, '..', 'js', 'zarr-metadata.js');
+const source = fs.readFileSync(srcPath, 'utf8');
+const viewerSource = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-viewer.js'), 'utf8');
+const html = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+
+// Load the IIFE into a sandbox with a minimal window
+function loadModule() {
+    const sandbox = vm.createContext({ window: { evostitch: {} } });
+    vm.runInContext(source, sandbox);
+    return sandbox.window.evostitch.zarrMetadata;
+}
+
+const meta = loadModule();
+
+// Mock stores: Viv pixel sources (level 0 first) and matching .zarray JSON
+const stores = {
+    uint8: {
+        loader: [{ dtype: 'Uint8', shape: [1, 1, 10, 512, 512] }],
+        zarray: { dtype: '|u1', shape: [1, 1, 10, 512, 512], chunks: [1, 1, 1, 512, 512] }
+    },
+    uint16: {
+        loader: [{ dtype: 'Uint16', shape: [1, 2, 10, 512, 512] }],
+        zarray: { dtype: '<u2', shape: [1, 2, 10, 512, 512], chunks: [1, 1, 1, 512, 512] }
+    },
+    float32: {
+        loader: [{ dtype: 'Float32', shape: [1, 1, 10, 512, 512] }],
+        zarray: { dtype: '<f4', shape: [1, 1, 10, 512, 512], chunks: [1, 1, 1, 512, 512] }
+    }
+};
+
+console.log('zarr-metadata.js - Unit Tests');
+console.log('================================');
+
+// ========== File structure ==========
+
+console.log('\n--- File Structure ---');
+
+test('uses IIFE pattern', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+});
+
+test('exposes window.evostitch.zarrMetadata', () => {
+    assert.ok(meta, 'Should attach to window.evostitch');
+    ['normalizeDtype', 'detectDtype', 'getDtypeInfo', 'needsDataRange', 'getChannelRange',
+        'getDefaultContrast']
+        .forEach(fn => assert.strictEqual(typeof meta[fn], 'function', fn + ' should be exported'));
+});
+
+test('zarr-metadata.js loads before zarr-viewer.js', () => {
+    const metaPos = html.indexOf('js/zarr-metadata.js');
+    const viewerPos = html.indexOf('js/zarr-viewer.js');
+    assert.ok(metaPos > 0, 'zarr-metadata.js should be in HTML');
+    assert.ok(metaPos < viewerPos, 'Should load before zarr-viewer.js');
+});
+
+// ========== normalizeDtype ==========
+
+console.log('\n--- normalizeDtype ---');
+
+test('accepts Viv dtype names', () => {
+    assert.strictEqual(meta.normalizeDtype('Uint8'), 'Uint8');
+    assert.strictEqual(meta.normalizeDtype('Float32'), 'Float32');
+});
+
+test('accepts zarr v2 typestrs with any byte order', () => {
+    assert.strictEqual(meta.normalizeDtype('|u1'), 'Uint8');
+    assert.strictEqual(meta.normalizeDtype('<u2'), 'Uint16');
+    assert.strictEqual(meta.normalizeDtype('>u2'), 'Uint16');
+    assert.strictEqual(meta.normalizeDtype('<u4'), 'Uint32');
+    assert.strictEqual(meta.normalizeDtype('<i2'), 'Int16');
+    assert.strictEqual(meta.normalizeDtype('<f4'), 'Float32');
+    assert.strictEqual(meta.normalizeDtype('<f8'), 'Float64');
+});
+
+test('accepts zarr v3 data_type names', () => {
+    assert.strictEqual(meta.normalizeDtype('uint8'), 'Uint8');
+    assert.strictEqual(meta.normalizeDtype('uint16'), 'Uint16');
+    assert.strictEqual(meta.normalizeDtype('float32'), 'Float32');
+});
+
+test('returns null for unsupported or missing dtypes', () => {
+    assert.strictEqual(meta.normalizeDtype('<c8'), null);
+    assert.strictEqual(meta.normalizeDtype('bool'), null);
+    assert.strictEqual(meta.normalizeDtype(''), null);
+    assert.strictEqual(meta.normalizeDtype(undefined), null);
+});
+
+// ========== detectDtype ==========
+
+console.log('\n--- detectDtype ---');
+
+Object.keys(stores).forEach(name => {
+    const expected = { uint8: 'Uint8', uint16: 'Uint16', float32: 'Float32' }[name];
+
+    test(`${name} store: detected from loader`, () => {
+        assert.strictEqual(meta.detectDtype(stores[name].loader, null), expected);
+    });
+
+    test(`${name} store: falls back to .zarray when loader has no dtype`, () => {
+        assert.strictEqual(meta.detectDtype([{ shape: [1] }], stores[name].zarray), expected);
+    });
+});
+
+test('loader dtype takes precedence over .zarray', () => {
+    assert.strictEqual(meta.detectDtype(stores.uint8.loader, stores.uint16.zarray), 'Uint8');
+});
+
+test('defaults to Uint16 when nothing is detectable', () => {
+    assert.strictEqual(meta.detectDtype(null, null), 'Uint16');
+    assert.strictEqual(meta.detectDtype([], {}), 'Uint16');
+});
+
+// ========== Ranges and default contrast ==========
+
+console.log('\n--- Ranges and Default Contrast ---');
+
+test('uint8 store: slider 0-255, step 1, full-range default', () => {
+    const dtype = meta.detectDtype(stores.uint8.loader);
+    const range = meta.getChannelRange(dtype);
+    assert.deepStrictEqual([range.min, range.max, range.step], [0, 255, 1]);
+    assert.deepStrictEqual(Array.from(meta.getDefaultContrast(dtype)), [0, 255]);
+});
+
+test('uint8 store: OME window beyond the dtype range is clamped', () => {
+    const contrast = meta.getDefaultContrast('Uint8', { start: 10, end: 65535 });
+    assert.deepStrictEqual(Array.from(contrast), [10, 255]);
+});
+
+test('uint16 store: slider 0-65535, OME window used as default', () => {
+    const dtype = meta.detectDtype(stores.uint16.loader);
+    const range = meta.getChannelRange(dtype, { start: 100, end: 4000 });
+    assert.deepStrictEqual([range.min, range.max, range.step], [0, 65535, 1]);
+    assert.deepStrictEqual(Array.from(meta.getDefaultContrast(dtype, { start: 100, end: 4000 })), [100, 4000]);
+});
+
+test('float32 store: slider range from OME window min/max, fractional step', () => {
+    const dtype = meta.detectDtype(stores.float32.loader);
+    const win = { min: -1, max: 3, start: 0, end: 2 };
+    const range = meta.getChannelRange(dtype, win);
+    assert.strictEqual(range.min, -1);
+    assert.strictEqual(range.max, 3);
+    assert.ok(range.step > 0 && range.step < 1, 'Float step should be fractional');
+    assert.deepStrictEqual(Array.from(meta.getDefaultContrast(dtype, win)), [0, 2]);
+});
+
+test('float32 store: defaults to 0-1 without OME window', () => {
+    const range = meta.getChannelRange('Float32');
+    assert.strictEqual(range.min, 0);
+    assert.strictEqual(range.max, 1);
+    assert.deepStrictEqual(Array.from(meta.getDefaultContrast('Float32')), [0, 1]);
+});
+
+test('float32 store: start/end widen the range when min/max are absent', () => {
+    const range = meta.getChannelRange('Float32', { start: 0, end: 250.5 });
+    assert.strictEqual(range.max, 250.5);
+});
+
+test('float32 without OME window: range and default contrast from the pixel values', () => {
+    const data = { min: -12.5, max: 840.25 };
+    assert.ok(meta.needsDataRange('Float32'));
+    assert.ok(!meta.needsDataRange('Float32', { start: 0, end: 250.5 }), 'A window is enough');
+    const range = meta.getChannelRange('Float32', undefined, data);
+    assert.deepStrictEqual([range.min, range.max], [-12.5, 840.25]);
+    assert.ok(range.step > 0 && range.step < 1);
+    assert.deepStrictEqual(Array.from(meta.getDefaultContrast('Float32', undefined, data)), [-12.5, 840.25]);
+    assert.strictEqual(meta.getChannelRange('Float32', { min: -1, max: 3 }, data).max, 3, 'The window wins');
+});
+
+test('int32: range from the pixel values instead of ±2^31, or from the OME window min/max', () => {
+    assert.ok(meta.needsDataRange('Int32'));
+    assert.ok(meta.needsDataRange('Uint32', { start: 0, end: 100 }));
+    assert.ok(!meta.needsDataRange('Int32', { min: -50, max: 5000 }));
+    assert.ok(!meta.needsDataRange('Uint16'), '8/16-bit ranges stay the dtype range');
+
+    const range = meta.getChannelRange('Int32', undefined, { min: -3.5, max: 70000.2 });
+    assert.deepStrictEqual([range.min, range.max, range.step], [-4, 70001, 1]);
+    assert.deepStrictEqual(Array.from(meta.getDefaultContrast('Int32', { start: 100, end: 4000 }, { min: 0, max: 70000 })),
+        [100, 4000]);
+    const windowed = meta.getChannelRange('Int32', { min: -50, max: 5000 }, { min: 0, max: 10 });
+    assert.deepStrictEqual([windowed.min, windowed.max], [-50, 5000]);
+    assert.deepStrictEqual(Array.from(meta.getDefaultContrast('Int32')), [-2147483648, 2147483647],
+        'Full range when nothing could be sampled');
+    const flat = meta.getChannelRange('Uint32', undefined, { min: 7, max: 7 });
+    assert.deepStrictEqual([flat.min, flat.max], [7, 8], 'Constant data still gives a usable slider');
+    const uint16 = meta.getChannelRange('Uint16', undefined, { min: 5, max: 10 });
+    assert.deepStrictEqual([uint16.min, uint16.max], [0, 65535]);
+});
+
+test('inverted OME window falls back to full range', () => {
+    assert.deepStrictEqual(Array.from(meta.getDefaultContrast('Uint8', { start: 200, end: 100 })), [0, 255]);
+});
+
+// ========== Array metadata (Zarr v2 / v3) ==========
+
+console.log('\n--- Array Metadata ---');
+
+const v3Sharded = {
+    zarr_format: 3,
+    node_type: 'array',
+    shape: [1, 2, 10, 4096, 4096],
+    data_type: 'uint16',
+    chunk_grid: { name: 'regular', configuration: { chunk_shape: [1, 1, 1, 2048, 2048] } },
+    chunk_key_encoding: { name: 'default', configuration: { separator: '/' } },
+    codecs: [{
+        name: 'sharding_indexed',
+        configuration: {
+            chunk_shape: [1, 1, 1, 512, 512],
+            codecs: [{ name: 'bytes', configuration: { endian: 'little' } }, { name: 'zstd' }],
+            index_codecs: [{ name: 'bytes' }, { name: 'crc32c' }],
+            index_location: 'end'
+        }
+    }],
+    attributes: {}
+};
+
+test('parses Zarr v2 .zarray', () => {
+    const parsed = meta.parseArrayMetadata(Object.assign({ zarr_format: 2, dimension_separator: '/',
+        compressor: { id: 'imagecodecs_jpeg', level: 95 }, filters: null }, stores.uint8.zarray));
+    assert.strictEqual(parsed.zarrFormat, 2);
+    assert.strictEqual(parsed.separator, '/');
+    assert.strictEqual(parsed.keyPrefix, '');
+    assert.strictEqual(parsed.sharded, false);
+    assert.deepStrictEqual(Array.from(meta.getCodecIds(parsed)), ['imagecodecs_jpeg']);
+});
+
+test('Zarr v2 separator defaults to "."', () => {
+    const parsed = meta.parseArrayMetadata(stores.uint16.zarray);
+    assert.strictEqual(parsed.separator, '.');
+    assert.strictEqual(meta.chunkKey(parsed, [0, 1, 2, 3, 4]), '0.1.2.3.4');
+});
+
+test('parses Zarr v3 zarr.json with default chunk key encoding', () => {
+    const parsed = meta.parseArrayMetadata(Object.assign({}, v3Sharded, {
+        codecs: [{ name: 'bytes' }, { name: 'gzip', configuration: { level: 5 } }]
+    }));
+    assert.strictEqual(parsed.zarrFormat, 3);
+    assert.strictEqual(parsed.keyPrefix, 'c/');
+    assert.strictEqual(parsed.sharded, false);
+    assert.strictEqual(meta.normalizeDtype(parsed.dtype), 'Uint16');
+    assert.strictEqual(meta.chunkKey(parsed, [0, 1, 2, 3, 4]), 'c/0/1/2/3/4');
+});
+
+test('Zarr v3 "v2" chunk key encoding has no prefix', () => {
+    const parsed = meta.parseArrayMetadata(Object.assign({}, v3Sharded, {
+        chunk_key_encoding: { name: 'v2', configuration: { separator: '.' } }, codecs: [{ name: 'bytes' }]
+    }));
+    assert.strictEqual(meta.chunkKey(parsed, [0, 1, 2]), '0.1.2');
+});
+
+test('Zarr v3 default encoding with "." separator', () => {
+    const parsed = meta.parseArrayMetadata(Object.assign({}, v3Sharded, {
+        chunk_key_encoding: { name: 'default', configuration: { separator: '.' } }
+    }));
+    assert.strictEqual(meta.chunkKey(parsed, [0, 1, 2]), 'c.0.1.2');
+});
+
+test('detects sharding: chunks are shards, inner chunk shape kept', () => {
+    const parsed = meta.parseArrayMetadata(v3Sharded);
+    assert.strictEqual(parsed.sharded, true);
+    assert.deepStrictEqual(Array.from(parsed.chunks), [1, 1, 1, 2048, 2048]);
+    assert.deepStrictEqual(Array.from(parsed.innerChunks), [1, 1, 1, 512, 512]);
+});
+
+test('getCodecIds includes codecs nested in the shard', () => {
+    const ids = Array.from(meta.getCodecIds(meta.parseArrayMetadata(v3Sharded)));
+    assert.deepStrictEqual(ids, ['sharding_indexed', 'bytes', 'zstd', 'bytes', 'crc32c']);
+});
+
+test('v3 group metadata is not array metadata', () => {
+    assert.strictEqual(meta.parseArrayMetadata({ zarr_format: 3, node_type: 'group', attributes: {} }), null);
+    assert.strictEqual(meta.parseArrayMetadata(null), null);
+});
+
+test('unwrapOmeAttributes handles NGFF 0.5 and 0.4 attributes', () => {
+    const multiscales = [{ axes: ['z', 'y', 'x'] }];
+    assert.strictEqual(meta.unwrapOmeAttributes({ ome: { version: '0.5', multiscales } }).multiscales, multiscales);
+    assert.strictEqual(meta.unwrapOmeAttributes({ multiscales }).multiscales, multiscales);
+    assert.strictEqual(meta.unwrapOmeAttributes(undefined), null);
+});
+
+test('getAxes and getPixelSizes read the first multiscale image', () => {
+    const metadata = {
+        multiscales: [{
+            axes: [{ name: 'c', type: 'channel' }, { name: 'z', type: 'space' }, { name: 'y' }, { name: 'x' }],
+            datasets: [{ path: '0', coordinateTransformations: [{ type: 'scale', scale: [1, 2.5, 0.45, 0.45] }] }]
+        }]
+    };
+    const axes = meta.getAxes(metadata);
+    assert.deepStrictEqual(Array.from(axes), ['c', 'z', 'y', 'x']);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(meta.getPixelSizes(metadata, axes))), { x: 0.45, y: 0.45, z: 2.5 });
+    assert.deepStrictEqual(Array.from(meta.getAxes({ multiscales: [{ axes: ['z', 'y', 'x'] }] })), ['z', 'y', 'x']);
+    assert.deepStrictEqual(Array.from(meta.getAxes(null)), ['t', 'c', 'z', 'y', 'x'], 'Default axes');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(meta.getPixelSizes(null, ['y', 'x']))), { x: 1, y: 1, z: 1 });
+});
+
+// Run fetchArrayMetadata against a stub fetch in a fresh sandbox
+function loadWithFetch(documents, requested) {
+    const sandbox = vm.createContext({
+        window: { evostitch: {} },
+        fetch: (url) => {
+            requested.push(url);
+            const doc = documents[url];
+            return Promise.resolve({ ok: !!doc, status: doc ? 200 : 404, json: () => Promise.resolve(doc) });
+        }
+    });
+    vm.runInContext(source, sandbox);
+    return sandbox.window.evostitch.zarrMetadata;
+}
+
+async function runAsyncTests() {
+    await testAsync('fetchArrayMetadata falls back from .zarray to zarr.json', async () => {
+        const requested = [];
+        const m = loadWithFetch({ 'https://x/store/0/zarr.json': v3Sharded }, requested);
+        const parsed = await m.fetchArrayMetadata('https://x/store/0/');
+        assert.strictEqual(parsed.zarrFormat, 3);
+        assert.deepStrictEqual(requested, ['https://x/store/0/.zarray', 'https://x/store/0/zarr.json']);
+    });
+
+    await testAsync('fetchArrayMetadata tries zarr.json first when format 3 is known', async () => {
+        const requested = [];
+        const m = loadWithFetch({ 'https://x/store/0/zarr.json': v3Sharded }, requested);
+        await m.fetchArrayMetadata('https://x/store/0', { zarrFormat: 3 });
+        assert.deepStrictEqual(requested, ['https://x/store/0/zarr.json']);
+    });
+
+    await testAsync('fetchArrayMetadata resolves null when neither document exists', async () => {
+        const m = loadWithFetch({}, []);
+        assert.strictEqual(await m.fetchArrayMetadata('https://x/store/0'), null);
+    });
+
+    await testAsync('fetchGroupAttributes reads .zattrs, then zarr.json attributes (unwrapped)', async () => {
+        const requested = [];
+        const plate = { rows: [{ name: 'A' }], columns: [{ name: '1' }], wells: [] };
+        const m = loadWithFetch({
+            'https://x/plate/.zattrs': { plate },
+            'https://x/v3/zarr.json': { zarr_format: 3, node_type: 'group', attributes: { ome: { version: '0.5', plate } } }
+        }, requested);
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(await m.fetchGroupAttributes('https://x/plate/'))), { plate });
+        const v3 = await m.fetchGroupAttributes('https://x/v3');
+        assert.strictEqual(v3.version, '0.5');
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(v3.plate)), plate);
+        assert.deepStrictEqual(requested, ['https://x/plate/.zattrs', 'https://x/v3/.zattrs', 'https://x/v3/zarr.json']);
+        assert.strictEqual(await m.fetchGroupAttributes('https://x/missing'), null);
+    });
+
+    await testAsync('the format of a read group is tried first below it, without a .zarray/.zattrs 404', async () => {
+        const requested = [];
+        const group = { zarr_format: 3, node_type: 'group', attributes: { ome: { version: '0.5', multiscales: [] } } };
+        const m = loadWithFetch({
+            'https://x/store/zarr.json': group,
+            'https://x/store/A/1/zarr.json': group,
+            'https://x/store/0/zarr.json': v3Sharded
+        }, requested);
+        assert.strictEqual(m.getKnownFormat('https://x/store/0'), null, 'Unknown before the group is read');
+        await m.fetchGroupAttributes('https://x/store/');
+        assert.strictEqual(m.getKnownFormat('https://x/store/'), 3);
+        assert.strictEqual(m.getKnownFormat('https://x/store/0'), 3, 'Arrays below the group');
+        assert.strictEqual(m.getKnownFormat('https://x/other/0'), null);
+
+        requested.length = 0;
+        await m.fetchArrayMetadata('https://x/store/0', { zarrFormat: m.getKnownFormat('https://x/store/0') });
+        await m.fetchGroupAttributes('https://x/store/A/1');
+        assert.deepStrictEqual(requested, ['https://x/store/0/zarr.json', 'https://x/store/A/1/zarr.json']);
+    });
+}
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('preflight tries the store format detected at group level first', () => {
+    const start = viewerSource.indexOf('async function preflightCodecCheck(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function showErrorBanner('));
+    assert.ok(body.includes('const zarrFormat = window.evostitch.zarrMetadata.getKnownFormat(url);'));
+    assert.ok(body.includes('fetchArrayMetadata(arrayUrl, { zarrFormat })'));
+});
+
+test('viewer no longer hard-codes Uint16 layer dtype', () => {
+    assert.ok(!viewerSource.includes("dtype: 'Uint16',\n        refinementStrategy"),
+        'Layer dtype should not be hard-coded');
+    assert.ok(viewerSource.includes('dtype: state.dtype'), 'Layer should use detected dtype');
+});
+
+test('viewer channel sliders use dtype ranges', () => {
+    assert.ok(!viewerSource.includes("createSliderRow('B', 0, 65535"), 'B slider should not be 0-65535');
+    assert.ok(!viewerSource.includes("createSliderRow('C', 0, 65535"), 'C slider should not be 0-65535');
+    assert.ok(viewerSource.includes('zarrMetadata.getChannelRange'), 'Should use getChannelRange');
+});
+
+test('viewer samples float and 32-bit channel ranges before building the sliders', () => {
+    const load = viewerSource.substring(viewerSource.indexOf('async function loadZarr('),
+        viewerSource.indexOf('function initOptimizationModules('));
+    const read = load.indexOf('state.channelDataRanges = await readChannelDataRanges(metadata);');
+    assert.ok(read > 0 && read < load.indexOf('updateChannelControls(metadata);'));
+    const start = viewerSource.indexOf('async function readChannelDataRanges(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function updateChannelControls('));
+    assert.ok(body.includes('zarrMetadata.needsDataRange(state.dtype, channels[c]?.window)'), 'Only where needed');
+    assert.ok(body.includes('maxPixels: CHANNEL_RANGE_MAX_PIXELS'), 'Low-resolution read');
+    assert.ok(body.includes('percentileRange(region.data, 0, 100)'), 'Full min/max, nothing clipped');
+    assert.ok(viewerSource.includes('zarrMetadata.getChannelRange(state.dtype, ch.window, dataRange)'));
+});
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+// Unit tests for zarr-ortho.js - runs with plain Node.js
+// Usage: node tests/zarr-ortho.test.js
+//
+// Reads XZ / YZ slices from mock Viv pixel sources whose pixel value encodes
+// its (x, y, z) position, checks level choice and channel compositing, and
+// the orthoview wiring in zarr-viewer.js.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const jsDir = path.join(__dirname, '..', 'js');
+const source = fs.readFileSync(path.join(jsDir, 'zarr-ortho.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(jsDir, 'zarr-viewer.js'), 'utf8');
+const html = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+
+const sandbox = vm.createContext({ window: { evostitch: {} }, console });
+['zarr-region-reader.js', 'zarr-colormaps.js', 'zarr-ortho.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(jsDir, file), 'utf8'), sandbox);
+});
+const ortho = sandbox.window.evostitch.zarrOrtho;
+
+// Mock Viv pixel source: value at (x, y, z) = z * 1000000 + y * 1000 + x,
+// recording tile requests
+function mockSource(width, height, depth, tileSize, requests) {
+    return {
+        labels: ['t', 'c', 'z', 'y', 'x'],
+        shape: [1, 1, depth, height, width],
+        tileSize,
+        getTile({ x, y, selection }) {
+            requests.push({ x, y, selection });
+            const w = Math.min(tileSize, width - x * tileSize);
+            const h = Math.min(tileSize, height - y * tileSize);
+            const data = new Uint32Array(w * h);
+            for (let row = 0; row < h; row++) {
+                for (let col = 0; col < w; col++) {
+                    data[row * w + col] = selection.z * 1000000 + (y * tileSize + row) * 1000 + (x * tileSize + col);
+                }
+            }
+            return Promise.resolve({ data, width: w, height: h });
+        }
+    };
+}
+
+// Two-level pyramid: 800x600 and 400x300, 10 planes, 100 px tiles
+function mockPyramid(requests) {
+    return [mockSource(800, 600, 10, 100, requests), mockSource(400, 300, 10, 100, requests)];
+}
+
+function value(x, y, z) {
+    return z * 1000000 + y * 1000 + x;
+}
+
+console.log('zarr-ortho.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.zarrOrtho', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['pickLineLevel', 'readSlice', 'composite', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof ortho[fn], 'function', fn + ' should be exported'));
+});
+
+test('zarr-ortho.js loads after its dependencies and before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-ortho.js');
+    assert.ok(pos > html.indexOf('js/zarr-region-reader.js'), 'Should load after zarr-region-reader.js');
+    assert.ok(pos > html.indexOf('js/zarr-colormaps.js'), 'Should load after zarr-colormaps.js');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+});
+
+// ========== Level selection ==========
+
+console.log('\n--- Level Selection ---');
+
+test('pickLineLevel keeps full resolution when the line fits the budget', () => {
+    const picked = ortho.pickLineLevel(mockPyramid([]), 500, 512);
+    assert.strictEqual(picked.level, 0);
+    assert.strictEqual(picked.downsample, 1);
+});
+
+test('pickLineLevel coarsens long lines, falling back to the coarsest level', () => {
+    assert.strictEqual(ortho.pickLineLevel(mockPyramid([]), 800, 512).level, 1);
+    assert.strictEqual(ortho.pickLineLevel(mockPyramid([]), 800, 100).level, 1);
+});
+
+// ========== Compositing ==========
+
+console.log('\n--- Compositing ---');
+
+test('composite windows each channel and adds them', () => {
+    const slices = [
+        { data: new Uint16Array([0, 50, 100, 200]), width: 2, height: 2 },
+        { data: new Uint16Array([100, 100, 0, 0]), width: 2, height: 2 }
+    ];
+    const rgba = ortho.composite(slices, [
+        { min: 0, max: 100, colormap: 'color', color: 'FF0000' },
+        { min: 0, max: 100, colormap: 'color', color: '00FF00' }
+    ]);
+    assert.deepStrictEqual(Array.from(rgba.slice(0, 4)), [0, 255, 0, 255]);
+    assert.deepStrictEqual(Array.from(rgba.slice(4, 8)).map(v => Math.round(v / 10)), [13, 26, 0, 26]);
+    assert.deepStrictEqual(Array.from(rgba.slice(8, 12)), [255, 0, 0, 255]);
+    assert.deepStrictEqual(Array.from(rgba.slice(12, 16)), [255, 0, 0, 255], 'Values above max saturate');
+});
+
+test('composite maps NaN and values below the black point to the LUT start', () => {
+    const rgba = ortho.composite([{ data: new Float32Array([NaN, -5]), width: 2, height: 1 }],
+        [{ min: 0, max: 1, colormap: 'inverted-grays' }]);
+    assert.deepStrictEqual(Array.from(rgba), [255, 255, 255, 255, 255, 255, 255, 255]);
+    assert.strictEqual(ortho.composite([], []), null);
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('zarr viewer has the ortho panels and a toggle for Z-stacks', () => {
+    ['id="ortho-btn"', 'id="ortho-xz"', 'id="ortho-yz"', 'class="ortho-canvas"']
+        .forEach(attr => assert.ok(html.includes(attr), 'HTML should have ' + attr));
+    assert.ok(viewerSource.includes('elements.orthoBtn.hidden = state.zCount <= 1'));
+    assert.ok(viewerSource.includes('    setOrthoViews,'), 'setOrthoViews should be in the API');
+});
+
+test('Z is scaled by pixelSizeZ and the panels follow the view', () => {
+    const start = viewerSource.indexOf('function getOrthoLayout()');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function updateOrthoPosition('));
+    assert.ok(body.includes('state.pixelSizeZ * scale / axisPixelSize'));
+    const handler = viewerSource.substring(viewerSource.indexOf('onViewStateChange:'), start);
+    assert.ok(handler.includes('positionOrthoViews();'), 'Panels should be repositioned on pan/zoom');
+});
+
+test('clicking a panel sets X, Y and Z in the main view', () => {
+    const start = viewerSource.indexOf('function handleOrthoClick(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function setupOrthoViews('));
+    assert.ok(body.includes('target: [x, y, 0]'));
+    assert.ok(body.includes('setZ(z);'));
+});
+
+// ========== Slice reads ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Slice Reads ---');
+
+    await testAsync('XZ slices stack the row from each plane, top to bottom', async () => {
+        const requests = [];
+        const slice = await ortho.readSlice(mockPyramid(requests), {
+            axis: 'xz', position: 250.7, range: { min: 90, max: 310 },
+            zStart: 2, zEnd: 5, selection: { t: 0, c: 0, z: 0 }
+        });
+        assert.deepStrictEqual([slice.width, slice.height], [220, 3]);
+        assert.deepStrictEqual([slice.level, slice.start, slice.zStart, slice.zEnd], [0, 90, 2, 5]);
+        assert.strictEqual(slice.data[0], value(90, 250, 2));
+        assert.strictEqual(slice.data[219], value(309, 250, 2));
+        assert.strictEqual(slice.data[2 * 220 + 10], value(100, 250, 4));
+        // One tile row, four tile columns (0-3), per plane
+        assert.strictEqual(requests.length, 12);
+        assert.deepStrictEqual(requests.map(r => r.selection.z).sort(), [2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4]);
+        assert.ok(requests.every(r => r.selection.t === 0 && r.selection.c === 0));
+    });
+
+    await testAsync('YZ slices put each plane in its own column', async () => {
+        const slice = await ortho.readSlice(mockPyramid([]), {
+            axis: 'yz', position: 42, range: { min: 0, max: 600 },
+            zStart: 0, zEnd: 10, selection: { z: 0 }, maxSamples: 300
+        });
+        // 600 px does not fit 300 samples: level 1, x = 21
+        assert.deepStrictEqual([slice.width, slice.height, slice.level, slice.downsample], [10, 300, 1, 2]);
+        assert.strictEqual(slice.data[0], value(21, 0, 0));
+        assert.strictEqual(slice.data[9], value(21, 0, 9));
+        assert.strictEqual(slice.data[150 * 10 + 3], value(21, 150, 3));
+    });
+
+    await testAsync('lines are clipped to the image and missed lines resolve null', async () => {
+        const clipped = await ortho.readSlice(mockPyramid([]), {
+            axis: 'xz', position: 10, range: { min: -100, max: 50 }, zStart: 0, zEnd: 1, selection: {}
+        });
+        assert.deepStrictEqual([clipped.start, clipped.width], [0, 50]);
+        const outside = await ortho.readSlice(mockPyramid([]), {
+            axis: 'yz', position: 900, range: { min: 0, max: 600 }, zStart: 0, zEnd: 1, selection: {}
+        });
+        assert.strictEqual(outside, null);
+        const noPlanes = await ortho.readSlice(mockPyramid([]), {
+            axis: 'xz', position: 10, range: { min: 0, max: 50 }, zStart: 3, zEnd: 3, selection: {}
+        });
+        assert.strictEqual(noPlanes, null);
+    });
+
+    await testAsync('reads at most CONFIG.concurrency planes at once', async () => {
+        let inFlight = 0;
+        let peak = 0;
+        const base = mockSource(100, 100, 20, 100, []);
+        const slow = Object.assign({}, base, {
+            getTile(args) {
+                inFlight++;
+                peak = Math.max(peak, inFlight);
+                return new Promise(resolve => setTimeout(resolve, 1)).then(() => {
+                    inFlight--;
+                    return base.getTile(args);
+                });
+            }
+        });
+        const slice = await ortho.readSlice([slow], {
+            axis: 'xz', position: 5, range: { min: 0, max: 100 }, zStart: 0, zEnd: 20, selection: {}
+        });
+        assert.strictEqual(slice.height, 20);
+        assert.strictEqual(peak, ortho.CONFIG.concurrency);
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
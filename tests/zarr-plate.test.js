@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+// Unit tests for zarr-plate.js - runs with plain Node.js
+// Usage: node tests/zarr-plate.test.js
+//
+// Parses NGFF plate and well metadata (0.4 and 0.5 layouts, through a mocked
+// fetch()), checks field selections and the thumbnail queue, and the plate
+// wiring in zarr-viewer.js.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const jsDir = path.join(__dirname, '..', 'js');
+const source = fs.readFileSync(path.join(jsDir, 'zarr-plate.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(jsDir, 'zarr-viewer.js'), 'utf8');
+const html = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+
+// fetch() serves the documents in `documents` (by URL)
+const documents = {};
+function mockFetch(url) {
+    if (!documents.hasOwnProperty(url)) return Promise.resolve({ ok: false, status: 404 });
+    return Promise.resolve({ ok: true, json: () => Promise.resolve(documents[url]) });
+}
+
+const sandbox = vm.createContext({ window: { evostitch: {} }, console, fetch: mockFetch });
+['zarr-metadata.js', 'zarr-plate.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(jsDir, file), 'utf8'), sandbox);
+});
+const plates = sandbox.window.evostitch.zarrPlate;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// 2 x 3 plate with three of six wells
+const plateAttrs = {
+    plate: {
+        name: 'screen-1',
+        rows: [{ name: 'A' }, { name: 'B' }],
+        columns: [{ name: '1' }, { name: '2' }, { name: '3' }],
+        wells: [
+            { path: 'A/1', rowIndex: 0, columnIndex: 0 },
+            { path: 'A/3', rowIndex: 0, columnIndex: 2 },
+            { path: 'B/2', rowIndex: 1, columnIndex: 1 }
+        ],
+        field_count: 2
+    }
+};
+
+console.log('zarr-plate.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.zarrPlate', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['joinUrl', 'parsePlate', 'parseWell', 'fetchPlate', 'fetchWellFields', 'getWellAt', 'getSelection',
+        'wellName', 'loadThumbnails', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof plates[fn], 'function', fn + ' should be exported'));
+});
+
+test('zarr-plate.js loads after zarr-metadata.js and before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-plate.js');
+    assert.ok(pos > html.indexOf('js/zarr-metadata.js'), 'Should load after zarr-metadata.js');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+});
+
+// ========== Metadata ==========
+
+console.log('\n--- Metadata ---');
+
+test('parsePlate reads rows, columns and wells', () => {
+    const plate = plates.parsePlate(plateAttrs);
+    assert.strictEqual(plate.name, 'screen-1');
+    assert.deepStrictEqual(plain(plate.rows), ['A', 'B']);
+    assert.deepStrictEqual(plain(plate.columns), ['1', '2', '3']);
+    assert.strictEqual(plate.fieldCount, 2);
+    assert.deepStrictEqual(plain(plate.wells[2]), { path: 'B/2', row: 'B', column: '2', rowIndex: 1, columnIndex: 1 });
+});
+
+test('parsePlate places wells without indices (NGFF 0.3) from their path', () => {
+    const plate = plates.parsePlate({
+        plate: {
+            rows: [{ name: 'A' }, { name: 'B' }],
+            columns: [{ name: '01' }, { name: '02' }],
+            wells: [{ path: 'B/02' }, { path: 'C/01' }, { nope: true }]
+        }
+    });
+    assert.strictEqual(plate.wells.length, 1, 'Wells outside the grid are dropped');
+    assert.deepStrictEqual([plate.wells[0].rowIndex, plate.wells[0].columnIndex], [1, 1]);
+    assert.strictEqual(plate.fieldCount, null);
+});
+
+test('parsePlate returns null for images', () => {
+    assert.strictEqual(plates.parsePlate({ multiscales: [] }), null);
+    assert.strictEqual(plates.parsePlate(null), null);
+});
+
+test('parseWell lists field paths in order', () => {
+    const fields = plates.parseWell({ well: { images: [{ path: '0', acquisition: 1 }, { path: '1' }, {}] } });
+    assert.deepStrictEqual(plain(fields), ['0', '1']);
+    assert.deepStrictEqual(plain(plates.parseWell({})), []);
+});
+
+test('getWellAt and wellName address wells by grid position', () => {
+    const plate = plates.parsePlate(plateAttrs);
+    assert.strictEqual(plates.getWellAt(plate, 0, 2).path, 'A/3');
+    assert.strictEqual(plates.getWellAt(plate, 1, 0), null, 'Empty position');
+    assert.strictEqual(plates.wellName(plate.wells[2]), 'B2');
+});
+
+test('joinUrl joins store and Zarr paths', () => {
+    assert.strictEqual(plates.joinUrl('https://x/plate.zarr/', 'B/2', '0'), 'https://x/plate.zarr/B/2/0');
+    assert.strictEqual(plates.joinUrl('https://x/plate.zarr', '/A/1/'), 'https://x/plate.zarr/A/1');
+});
+
+test('getSelection clamps a plane to the field axes', () => {
+    const source = { labels: ['t', 'c', 'z', 'y', 'x'], shape: [1, 3, 5, 100, 100] };
+    assert.deepStrictEqual(plain(plates.getSelection(source, { c: 2, z: 9, t: 4 })), { t: 0, c: 2, z: 4 });
+    const flat = { labels: ['c', 'y', 'x'], shape: [2, 10, 10] };
+    assert.deepStrictEqual(plain(plates.getSelection(flat, { c: 1, z: 3, t: 0 })), { c: 1 });
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('stores are opened through the plate check', () => {
+    assert.ok(viewerSource.includes('const loaded = await openStore(zarrUrl);'), 'init opens plates or images');
+    const start = viewerSource.indexOf('async function openStore(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function getWellFields('));
+    assert.ok(body.includes('return loadZarr(url);'), 'Images load as before');
+    assert.ok(body.includes('return loadPlateField(first, 0);'), 'Plates open their first well');
+});
+
+test('switching wells keeps Z, T and channel settings', () => {
+    const start = viewerSource.indexOf('async function loadPlateField(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('async function openWell('));
+    assert.ok(body.includes('z: state.currentZ'));
+    assert.ok(body.includes('t: state.currentT'));
+    assert.ok(body.includes('channels: state.channelSettings.map('));
+    assert.ok(body.includes('applyViewLink({ z: kept.z, t: kept.t, channels: kept.channels });'));
+    assert.ok(body.includes('settings.colormap = previous.colormap;'), 'Colormaps are kept too');
+});
+
+test('only the first field restores the view link from the URL hash', () => {
+    const start = viewerSource.indexOf('async function loadPlateField(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('async function openWell('));
+    assert.ok(body.includes('{ applyViewLink: !kept }'), 'Well/field switches do not re-read the hash');
+});
+
+test('thumbnails come from the coarsest level of the first field', () => {
+    const start = viewerSource.indexOf('async function readWellThumbnail(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function loadPlateThumbnails('));
+    assert.ok(body.includes('fields[0]'));
+    assert.ok(body.includes('level: loaderData.length - 1'));
+    assert.ok(viewerSource.includes('window.evostitch.zarrOrtho.composite(slices, settings)'));
+});
+
+test('zarr viewer has the plate button, panel, G key and API', () => {
+    assert.ok(html.includes('id="plate-btn"'), 'HTML should have the plate button');
+    assert.ok(html.includes('id="plate-panel"'), 'HTML should have the plate panel');
+    assert.ok(viewerSource.includes("case 'g':"), 'G key');
+    ['    openWell,', '    togglePlatePanel', '    getPlate: ']
+        .forEach(entry => assert.ok(viewerSource.includes(entry), entry.trim() + ' should be in the API'));
+});
+
+// ========== Fetch and thumbnails ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Fetch ---');
+
+    await testAsync('fetchPlate reads the plate from the store root', async () => {
+        documents['https://x/plate.zarr/.zattrs'] = plateAttrs;
+        const plate = await plates.fetchPlate('https://x/plate.zarr/');
+        assert.strictEqual(plate.url, 'https://x/plate.zarr');
+        assert.strictEqual(plate.wells.length, 3);
+        assert.strictEqual(await plates.fetchPlate('https://x/image.zarr'), null, 'Not a plate');
+    });
+
+    await testAsync('fetchPlate reads NGFF 0.5 plates from zarr.json', async () => {
+        documents['https://x/v3.zarr/zarr.json'] = {
+            zarr_format: 3, node_type: 'group', attributes: { ome: { version: '0.5', plate: plateAttrs.plate } }
+        };
+        const plate = await plates.fetchPlate('https://x/v3.zarr');
+        assert.strictEqual(plate.name, 'screen-1');
+    });
+
+    await testAsync('fetchWellFields reads the well group', async () => {
+        documents['https://x/plate.zarr/B/2/.zattrs'] = { well: { images: [{ path: '0' }, { path: '1' }] } };
+        const plate = await plates.fetchPlate('https://x/plate.zarr');
+        assert.deepStrictEqual(plain(await plates.fetchWellFields(plate, plate.wells[2])), ['0', '1']);
+        assert.deepStrictEqual(plain(await plates.fetchWellFields(plate, plate.wells[0])), [], 'Missing well group');
+    });
+
+    console.log('\n--- Thumbnails ---');
+
+    await testAsync('loadThumbnails reads every well with limited concurrency', async () => {
+        const plate = plates.parsePlate(plateAttrs);
+        let active = 0;
+        let maxActive = 0;
+        const seen = [];
+        const count = await plates.loadThumbnails({
+            wells: plate.wells.concat(plate.wells, plate.wells),
+            readThumbnail: (well) => {
+                active++;
+                maxActive = Math.max(maxActive, active);
+                return new Promise(resolve => setTimeout(() => {
+                    active--;
+                    resolve({ path: well.path });
+                }, 1));
+            },
+            onThumbnail: (well, thumbnail) => seen.push(thumbnail.path)
+        });
+        assert.strictEqual(count, 9);
+        assert.strictEqual(seen.length, 9);
+        assert.ok(maxActive <= plates.CONFIG.thumbnailConcurrency, 'At most CONFIG.thumbnailConcurrency at once');
+    });
+
+    await testAsync('a failed well gives a null thumbnail; cancelling stops the queue', async () => {
+        const plate = plates.parsePlate(plateAttrs);
+        const results = [];
+        await plates.loadThumbnails({
+            wells: plate.wells,
+            readThumbnail: (well) => (well.path === 'A/3' ? Promise.reject(new Error('404')) : Promise.resolve(well.path)),
+            onThumbnail: (well, thumbnail) => results.push([well.path, thumbnail])
+        });
+        assert.deepStrictEqual(results.sort(), [['A/1', 'A/1'], ['A/3', null], ['B/2', 'B/2']]);
+
+        let reads = 0;
+        const count = await plates.loadThumbnails({
+            wells: plate.wells,
+            readThumbnail: () => { reads++; return Promise.resolve({}); },
+            isCancelled: () => true
+        });
+        assert.strictEqual(count, 0);
+        assert.strictEqual(reads, 0);
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+// Unit tests for zarr-playback.js - runs with plain Node.js
+// Usage: node tests/zarr-playback.test.js
+//
+// Tests loop/bounce frame order, the preparation phase and the player (play,
+// pause, frame rate, arrow-key holds) on a fake clock, and the playback wiring
+// in zarr-viewer.js.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const root = path.join(__dirname, '..');
+const source = fs.readFileSync(path.join(root, 'js', 'zarr-playback.js'), 'utf8');
+const prefetchSource = fs.readFileSync(path.join(root, 'js', 'zarr-prefetch.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(root, 'js', 'zarr-viewer.js'), 'utf8');
+const html = fs.readFileSync(path.join(root, 'zarr-viewer.html'), 'utf8');
+
+// Fake clock: timers run when advance() passes their due time
+const clock = {
+    now: 0,
+    timers: [],
+    nextId: 1,
+    setTimeout(fn, ms) {
+        const id = clock.nextId++;
+        clock.timers.push({ id, fn, due: clock.now + (ms || 0) });
+        return id;
+    },
+    clearTimeout(id) {
+        clock.timers = clock.timers.filter(t => t.id !== id);
+    },
+    async advance(ms) {
+        const end = clock.now + ms;
+        for (;;) {
+            await flush();
+            const due = clock.timers.filter(t => t.due <= end).sort((a, b) => a.due - b.due)[0];
+            if (!due) break;
+            clock.timers = clock.timers.filter(t => t !== due);
+            clock.now = due.due;
+            due.fn();
+        }
+        clock.now = end;
+        await flush();
+    }
+};
+
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+const sandbox = vm.createContext({
+    window: { evostitch: {} },
+    console,
+    setTimeout: clock.setTimeout,
+    clearTimeout: clock.clearTimeout
+});
+vm.runInContext(source, sandbox);
+const playback = sandbox.window.evostitch.zarrPlayback;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Player over a mock viewer with `zCount` planes; records shown frames
+function mockPlayer(zCount, warmPlane) {
+    const viewer = { z: 0, frames: [], statuses: [] };
+    viewer.player = playback.createPlayer({
+        getZ: () => viewer.z,
+        getZCount: () => zCount,
+        showZ: (z) => {
+            viewer.z = z;
+            viewer.frames.push(z);
+        },
+        warmPlane,
+        onChange: status => viewer.statuses.push(status)
+    });
+    return viewer;
+}
+
+console.log('zarr-playback.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.zarrPlayback', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['nextFrame', 'playOrder', 'prepare', 'clampFps', 'createPlayer', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof playback[fn], 'function', fn + ' should be exported'));
+    assert.deepStrictEqual(plain(playback.MODES), ['loop', 'bounce']);
+});
+
+test('zarr-playback.js loads after zarr-prefetch.js and before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-playback.js');
+    assert.ok(pos > html.indexOf('js/zarr-prefetch.js'), 'Should load after zarr-prefetch.js');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+    ['id="z-play-btn"', 'id="z-play-mode"', 'id="z-play-fps"', 'id="z-play-status"']
+        .forEach(attr => assert.ok(html.includes(attr), 'HTML should have ' + attr));
+});
+
+// ========== Frames ==========
+
+console.log('\n--- Frames ---');
+
+test('loop wraps from the last plane to the first', () => {
+    assert.deepStrictEqual(plain(playback.nextFrame(2, 1, 4, 'loop')), { z: 3, direction: 1 });
+    assert.deepStrictEqual(plain(playback.nextFrame(3, 1, 4, 'loop')), { z: 0, direction: 1 });
+    assert.deepStrictEqual(plain(playback.nextFrame(0, -1, 4, 'loop')), { z: 3, direction: -1 });
+});
+
+test('bounce reverses at either end', () => {
+    assert.deepStrictEqual(plain(playback.nextFrame(3, 1, 4, 'bounce')), { z: 2, direction: -1 });
+    assert.deepStrictEqual(plain(playback.nextFrame(0, -1, 4, 'bounce')), { z: 1, direction: 1 });
+    assert.deepStrictEqual(plain(playback.nextFrame(0, 1, 1, 'bounce')), { z: 0, direction: 1 });
+});
+
+test('play order starts at the current plane and wraps', () => {
+    assert.deepStrictEqual(plain(playback.playOrder(2, 4)), [2, 3, 0, 1]);
+});
+
+test('frame rate is clamped', () => {
+    assert.strictEqual(playback.clampFps(0), playback.CONFIG.minFps);
+    assert.strictEqual(playback.clampFps(500), playback.CONFIG.maxFps);
+    assert.strictEqual(playback.clampFps('15'), 15);
+    assert.strictEqual(playback.clampFps('fast'), playback.CONFIG.fps);
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('warmPlane reports when the viewport chunks of a plane are fetched', () => {
+    const start = prefetchSource.indexOf('function warmPlane(');
+    const body = prefetchSource.substring(start, prefetchSource.indexOf('function onViewportChange('));
+    assert.ok(body.includes('getViewportTileRange(levels[l])'), 'Warms the viewport');
+    assert.ok(body.includes('return Promise.all(fetches)'), 'Resolves when the fetches settle');
+    assert.ok(body.includes('results.every(Boolean)'), 'True only if every chunk was fetched');
+});
+
+test('zarr viewer plays through the player and holds arrow keys', () => {
+    assert.ok(viewerSource.includes('warmPlane: prefetch ? (z) => prefetch.warmPlane(z) : null'));
+    assert.ok(viewerSource.includes('state.player?.hold(direction);'), 'Arrow keydown starts a hold');
+    assert.ok(viewerSource.includes("if (e.key === 'ArrowUp' || e.key === 'ArrowDown') state.player.release();"));
+    assert.ok(viewerSource.includes("case ' ':"), 'Space toggles playback');
+    const start = viewerSource.indexOf('function showPlaybackFrame(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function updatePlaybackUI('));
+    assert.ok(body.includes('executeZSwitch(z);'), 'Frames bypass the Z debounce');
+    assert.ok(viewerSource.includes('    setPlayback,'), 'setPlayback should be in the API');
+});
+
+// ========== Player ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Player ---');
+
+    await testAsync('prepares every plane before the first frame, then plays at the frame rate', async () => {
+        const warmed = [];
+        const viewer = mockPlayer(4, (z) => {
+            warmed.push(z);
+            return new Promise(resolve => clock.setTimeout(() => resolve(true), 100));
+        });
+        viewer.z = 1;
+        viewer.player.play();
+        assert.strictEqual(viewer.player.getStatus().preparing, true);
+        await clock.advance(350);
+        assert.deepStrictEqual(viewer.frames, [], 'No frames while preparing');
+        assert.deepStrictEqual(plain(viewer.player.getStatus().progress), { done: 3, total: 4, cold: 0, skipped: 0 });
+        await clock.advance(50);
+        assert.deepStrictEqual(warmed, [1, 2, 3, 0]);
+        assert.strictEqual(viewer.player.getStatus().preparing, false);
+
+        await clock.advance(1000);  // 10 fps
+        assert.deepStrictEqual(viewer.frames, [2, 3, 0, 1, 2, 3, 0, 1, 2, 3]);
+        viewer.player.pause();
+        await clock.advance(1000);
+        assert.strictEqual(viewer.frames.length, 10, 'No frames after pause');
+    });
+
+    await testAsync('bounce mode and frame rate changes apply while playing', async () => {
+        const viewer = mockPlayer(3);
+        viewer.player.setMode('bounce');
+        viewer.player.setFps(20);
+        viewer.player.play();
+        await clock.advance(250);
+        assert.deepStrictEqual(viewer.frames, [1, 2, 1, 0, 1]);
+        viewer.player.setMode('sideways');
+        assert.strictEqual(viewer.player.getStatus().mode, 'bounce', 'Unknown modes are ignored');
+        viewer.player.pause();
+    });
+
+    await testAsync('pausing during preparation cancels it', async () => {
+        const warmed = [];
+        const viewer = mockPlayer(5, (z) => {
+            warmed.push(z);
+            return new Promise(resolve => clock.setTimeout(resolve, 100));
+        });
+        viewer.player.play();
+        await clock.advance(150);
+        viewer.player.toggle();
+        await clock.advance(2000);
+        assert.deepStrictEqual(warmed, [0, 1]);
+        assert.deepStrictEqual(viewer.frames, []);
+        assert.strictEqual(viewer.player.getStatus().playing, false);
+    });
+
+    await testAsync('a plane that never finishes warming times out', async () => {
+        const viewer = mockPlayer(2, () => new Promise(() => {}));
+        viewer.player.play();
+        await clock.advance(playback.CONFIG.prepareTimeoutMs * 2 + 150);
+        assert.deepStrictEqual(viewer.frames, [1]);
+        assert.strictEqual(viewer.player.getStatus().coldPlanes, 2, 'Timed-out planes are cold');
+        viewer.player.pause();
+    });
+
+    await testAsync('a plane that fails to warm is retried, then counted as cold', async () => {
+        const warmed = [];
+        const viewer = mockPlayer(3, (z) => {
+            warmed.push(z);
+            return Promise.resolve(z !== 1);
+        });
+        viewer.player.play();
+        await clock.advance(0);
+        assert.deepStrictEqual(warmed, [0, 1, 1, 2], 'One retry per failed plane');
+        const last = viewer.statuses.filter(s => s.progress).pop();
+        assert.deepStrictEqual(plain(last.progress), { done: 3, total: 3, cold: 1, skipped: 0 });
+        assert.strictEqual(viewer.player.getStatus().coldPlanes, 1);
+        await clock.advance(100);
+        assert.deepStrictEqual(viewer.frames, [1], 'Playback still starts');
+        viewer.player.pause();
+    });
+
+    await testAsync('planes with nothing to prefetch are skipped, not retried or counted as cold', async () => {
+        const warmed = [];
+        const viewer = mockPlayer(3, (z) => {
+            warmed.push(z);
+            return Promise.resolve(null);
+        });
+        viewer.player.play();
+        await clock.advance(0);
+        assert.deepStrictEqual(warmed, [0, 1, 2], 'No retries');
+        const status = viewer.player.getStatus();
+        assert.strictEqual(status.coldPlanes, 0);
+        assert.strictEqual(status.skippedPlanes, 3);
+        viewer.player.pause();
+    });
+
+    await testAsync('holding a key steps after the hold delay until release or the end', async () => {
+        const viewer = mockPlayer(6);
+        viewer.player.hold(1);
+        await clock.advance(playback.CONFIG.holdDelayMs - 1);
+        assert.deepStrictEqual(viewer.frames, [], 'A tap is a single step (done by the viewer)');
+        await clock.advance(201);
+        assert.deepStrictEqual(viewer.frames, [1, 2, 3]);
+        viewer.player.release();
+        await clock.advance(1000);
+        assert.deepStrictEqual(viewer.frames, [1, 2, 3]);
+
+        viewer.player.hold(1);
+        await clock.advance(5000);
+        assert.deepStrictEqual(viewer.frames, [1, 2, 3, 4, 5], 'Stops at the last plane');
+        assert.strictEqual(viewer.player.getStatus().holding, false);
+    });
+
+    await testAsync('holding a key stops playback', async () => {
+        const viewer = mockPlayer(4);
+        viewer.player.play();
+        await clock.advance(100);
+        viewer.player.hold(-1);
+        assert.strictEqual(viewer.player.getStatus().playing, false);
+        viewer.player.release();
+    });
+
+    await testAsync('single-plane stacks do not play', async () => {
+        const viewer = mockPlayer(1);
+        viewer.player.play();
+        assert.strictEqual(viewer.player.getStatus().playing, false);
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
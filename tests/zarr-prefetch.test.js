@@ -136,6 +136,11 @@ test('Public API has onZChange function', () => {
     assert.ok(prefetchSource.includes('onZChange: onZChange'), 'Should expose onZChange');
 });
 
+test('Public API has onTChange function', () => {
+    assert.ok(prefetchSource.includes('onTChange: onTChange'),
+        'Should expose onTChange');
+});
+
 test('Public API has getPrefetchState function', () => {
     assert.ok(prefetchSource.includes('function getPrefetchState('), 'Should have getPrefetchState function');
     assert.ok(prefetchSource.includes('getPrefetchState: getPrefetchState'), 'Should expose getPrefetchState');
@@ -263,6 +268,16 @@ test('Fast navigation includes one plane behind for reversal', () => {
         'Should include plane behind for direction reversal');
 });
 
+test('Projection window prefetches every plane in the window plus the adjacent ones', () => {
+    const predictSection = prefetchSource.substring(
+        prefetchSource.indexOf('function predictPlanesToPrefetch'),
+        prefetchSource.indexOf('function executePrefetch')
+    );
+    assert.ok(predictSection.includes('state.zWindow + CONFIG.adjacentRadius'),
+        'Should cover the window and the planes it moves onto next');
+    assert.ok(prefetchSource.includes('setZWindow: setZWindow'), 'Should expose setZWindow');
+});
+
 test('Prediction respects Z bounds', () => {
     const predictSection = prefetchSource.substring(
         prefetchSource.indexOf('function predictPlanesToPrefetch'),
@@ -429,6 +444,64 @@ test('URL generation handles chunk-based Z indexing', () => {
         'Should calculate Z chunk index from plane index');
 });
 
+test('URL generation uses the requested timepoint chunk', () => {
+    const section = prefetchSource.substring(
+        prefetchSource.indexOf('function getChunkUrlsForZ'),
+        prefetchSource.indexOf('function getViewportTileRange')
+    );
+    assert.ok(section.includes('t = state.currentT'),
+        'Should default to the current timepoint');
+    assert.ok(section.includes("if (axis === 't') coords.push(tChunk)"),
+        'Should push the T chunk index instead of a hard-coded 0');
+});
+
+// ========== Time axis tests ==========
+
+console.log('\nTime Axis');
+
+test('CONFIG has tAdjacentRadius', () => {
+    assert.ok(prefetchSource.includes('tAdjacentRadius:'),
+        'Should define tAdjacentRadius');
+});
+
+test('State tracks current T and T count', () => {
+    assert.ok(prefetchSource.includes('currentT: 0'), 'Should track currentT');
+    assert.ok(prefetchSource.includes('tCount: 1'), 'Should track tCount');
+});
+
+test('onTChange resets per-timepoint tracking and reschedules', () => {
+    const section = prefetchSource.substring(
+        prefetchSource.indexOf('function onTChange'),
+        prefetchSource.indexOf('function schedulePrefetch')
+    );
+    assert.ok(section.includes('state.currentT = newT'), 'Should update currentT');
+    assert.ok(section.includes('prefetchedPlanes.clear()'),
+        'Should clear prefetched planes (they belong to the old timepoint)');
+    assert.ok(section.includes('abortStalePrefetches()'), 'Should abort stale fetches');
+    assert.ok(section.includes('schedulePrefetch()'), 'Should schedule prefetch');
+});
+
+test('predictTimepointsToPrefetch respects T bounds', () => {
+    const section = prefetchSource.substring(
+        prefetchSource.indexOf('function predictTimepointsToPrefetch'),
+        prefetchSource.indexOf('function executePrefetch')
+    );
+    assert.ok(section.includes('state.tCount <= 1'), 'Should skip datasets without T');
+    assert.ok(section.includes('state.currentT + r < state.tCount'), 'Should check upper bound');
+    assert.ok(section.includes('state.currentT - r >= 0'), 'Should check lower bound');
+});
+
+test('executePrefetch warms neighboring timepoints at current Z', () => {
+    const section = prefetchSource.substring(
+        prefetchSource.indexOf('function executePrefetch'),
+        prefetchSource.indexOf('function choosePrefetchLevels')
+    );
+    assert.ok(section.includes('predictTimepointsToPrefetch()'),
+        'Should predict timepoints');
+    assert.ok(section.includes('prefetchPlane(state.currentZ, levelsToFetch[m], tileRanges[levelsToFetch[m]], t)'),
+        'Should prefetch current Z at neighboring timepoints');
+});
+
 // ========== Stats tests ==========
 
 console.log('\nStatistics');
@@ -736,20 +809,24 @@ test('warmPlane validates bounds', () => {
     assert.ok(section.includes('z >= state.zCount'), 'Should check upper bound');
 });
 
-test('warmPlane skips already prefetched', () => {
+test('warmPlane skips already fetched chunks', () => {
     const section = prefetchSource.substring(
         prefetchSource.indexOf('function warmPlane'),
         prefetchSource.indexOf('function getStats')
     );
-    assert.ok(section.includes('prefetchedPlanes.has(z)'), 'Should skip if already prefetched');
+    assert.ok(section.includes('!state.fetchedChunks.has(url)'), 'Should skip chunks fetched before');
+    assert.ok(!section.includes('if (state.prefetchedPlanes.has(z)) return'),
+        'A plane with some chunks prefetched is not taken as warm');
 });
 
-test('warmPlane calls prefetchPlane', () => {
+test('warmPlane fetches every chunk, waiting for free slots', () => {
     const section = prefetchSource.substring(
         prefetchSource.indexOf('function warmPlane'),
         prefetchSource.indexOf('function getStats')
     );
-    assert.ok(section.includes('prefetchPlane(z'), 'Should call prefetchPlane');
+    assert.ok(section.includes('startFetch(urls[index], z)'), 'Should start chunk fetches');
+    assert.ok(section.includes('return waitForSlot().then(startNext);'), 'Should queue when slots are full');
+    assert.ok(section.includes('fetches.push(inFlight.promise);'), 'Should await chunks in flight');
 });
 
 // ========== Viewport filtering tests (W10) ==========
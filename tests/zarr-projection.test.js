@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// Unit tests for zarr-projection.js - runs with plain Node.js
+// Usage: node tests/zarr-projection.test.js
+//
+// Tests projection windows, max/min/mean reduction per dtype, projected pixel
+// sources against a mock Viv pixel source, and the projection wiring in
+// zarr-viewer.js.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-projection.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-viewer.js'), 'utf8');
+const html = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+
+// zarr-compute.js without Worker support computes EDF on the main thread
+const sandbox = vm.createContext({ window: { evostitch: {} }, console });
+['zarr-image-math.js', 'zarr-compute.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'), sandbox);
+});
+vm.runInContext(source, sandbox);
+const projection = sandbox.window.evostitch.zarrProjection;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Mock Viv pixel source with 2x1 tiles: pixel 0 = z, pixel 1 = 10 - z.
+// Records the selection of each tile request.
+function mockSource(depth, requests) {
+    return {
+        labels: ['t', 'c', 'z', 'y', 'x'],
+        shape: [1, 1, depth, 1, 2],
+        tileSize: 2,
+        dtype: 'Uint16',
+        getTile({ selection }) {
+            requests.push(selection);
+            return Promise.resolve({ data: new Uint16Array([selection.z, 10 - selection.z]), width: 2, height: 1 });
+        }
+    };
+}
+
+console.log('zarr-projection.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.zarrProjection', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['getWindow', 'project', 'createProjectedSources', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof projection[fn], 'function', fn + ' should be exported'));
+    assert.deepStrictEqual(plain(projection.MODES), ['max', 'min', 'mean', 'edf']);
+});
+
+test('zarr-projection.js loads before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-projection.js');
+    assert.ok(pos > 0, 'zarr-projection.js should be in HTML');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+});
+
+// ========== Windows ==========
+
+console.log('\n--- Windows ---');
+
+test('window is ±radius around Z, clamped to the stack', () => {
+    assert.deepStrictEqual(plain(projection.getWindow(5, 20, 2)), { zStart: 3, zEnd: 8 });
+    assert.deepStrictEqual(plain(projection.getWindow(1, 20, 3)), { zStart: 0, zEnd: 5 });
+    assert.deepStrictEqual(plain(projection.getWindow(18, 20, 3)), { zStart: 15, zEnd: 20 });
+});
+
+test('an infinite radius covers the full stack', () => {
+    assert.deepStrictEqual(plain(projection.getWindow(7, 20, Infinity)), { zStart: 0, zEnd: 20 });
+});
+
+// ========== Reduction ==========
+
+console.log('\n--- Reduction ---');
+
+const planes = [new Uint8Array([1, 9, 4]), new Uint8Array([3, 2, 4]), new Uint8Array([2, 5, 5])];
+
+test('max and min keep the dtype', () => {
+    const max = projection.project(planes, 'max');
+    assert.strictEqual(max.constructor.name, 'Uint8Array');
+    assert.deepStrictEqual(Array.from(max), [3, 9, 5]);
+    assert.deepStrictEqual(Array.from(projection.project(planes, 'min')), [1, 2, 4]);
+});
+
+test('integer means are rounded, float means are not', () => {
+    assert.deepStrictEqual(Array.from(projection.project(planes, 'mean')), [2, 5, 4]);
+    const mean = projection.project([new Float32Array([1, 0.5]), new Float32Array([2, 0])], 'mean');
+    assert.deepStrictEqual(Array.from(mean), [1.5, 0.25]);
+});
+
+test('max does not overflow or mix up signed values', () => {
+    const max = projection.project([new Int16Array([-5, 32767]), new Int16Array([-7, 0])], 'max');
+    assert.deepStrictEqual(Array.from(max), [-5, 32767]);
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('image layer, histograms and auto-contrast read the projected sources', () => {
+    assert.ok(viewerSource.includes('return state.projectedLoaderData || state.loader?.data || state.loader;'));
+    ['function updateLayer()', 'async function updateHistograms()', 'async function autoContrastChannel(']
+        .forEach(fn => {
+            const start = viewerSource.indexOf(fn);
+            assert.ok(viewerSource.substring(start, start + 400).includes('getDisplayLoaderData()'), fn);
+        });
+});
+
+test('projection warms its window through the prefetch engine and shows it on the Z-slider', () => {
+    const start = viewerSource.indexOf('function setProjection(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function cycleProjectionMode('));
+    assert.ok(body.includes('zarrPrefetch?.setZWindow('));
+    assert.ok(viewerSource.includes("elements.zSlider.style.setProperty('--z-track'"));
+    assert.ok(html.includes('id="z-window"'), 'Window label next to the Z-slider');
+    assert.ok(viewerSource.includes('    setProjection,'), 'setProjection should be in the API');
+});
+
+// ========== Projected sources ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Projected Sources ---');
+
+    await testAsync('projected tiles reduce the window around selection.z', async () => {
+        const requests = [];
+        const [projected] = projection.createProjectedSources([mockSource(10, requests)], { mode: 'max', radius: 2 });
+        const tile = await projected.getTile({ x: 0, y: 0, selection: { t: 0, c: 1, z: 4 } });
+        assert.deepStrictEqual(Array.from(tile.data), [6, 8]);
+        assert.deepStrictEqual([tile.width, tile.height], [2, 1]);
+        assert.deepStrictEqual(requests.map(r => r.z).sort(), [2, 3, 4, 5, 6]);
+        assert.ok(requests.every(r => r.c === 1 && r.t === 0), 'Other axes pass through');
+    });
+
+    await testAsync('full-stack projection ignores the selected plane', async () => {
+        const requests = [];
+        const [projected] = projection.createProjectedSources([mockSource(6, requests)], { mode: 'mean', radius: Infinity });
+        const tile = await projected.getTile({ x: 0, y: 0, selection: { z: 1 } });
+        assert.strictEqual(requests.length, 6);
+        assert.deepStrictEqual(Array.from(tile.data), [3, 8]);  // mean(0..5) = 2.5 → 3
+    });
+
+    await testAsync('all-in-focus tiles come from the compute worker', async () => {
+        const requests = [];
+        const [projected] = projection.createProjectedSources([mockSource(4, requests)], { mode: 'edf', radius: Infinity });
+        const before = sandbox.window.evostitch.zarrCompute.getStats().fallbackJobs;
+        const tile = await projected.getTile({ x: 0, y: 0, selection: { z: 0 } });
+        assert.strictEqual(requests.length, 4);
+        assert.strictEqual(tile.data.length, 2);
+        assert.strictEqual(sandbox.window.evostitch.zarrCompute.getStats().fallbackJobs, before + 1);
+    });
+
+    await testAsync('projected sources keep the source properties', async () => {
+        const sources = projection.createProjectedSources([mockSource(3, []), mockSource(3, [])], { mode: 'min', radius: 1 });
+        assert.strictEqual(sources.length, 2);
+        assert.strictEqual(sources[0].dtype, 'Uint16');
+        assert.strictEqual(sources[0].tileSize, 2);
+        assert.deepStrictEqual(plain(sources[1].shape), [1, 1, 3, 1, 2]);
+    });
+
+    await testAsync('unknown modes and sources without a z axis give no projection', async () => {
+        assert.strictEqual(projection.createProjectedSources([mockSource(3, [])], { mode: 'sum', radius: 1 }), null);
+        const flat = Object.assign(mockSource(3, []), { labels: ['c', 'y', 'x'], shape: [1, 1, 2] });
+        assert.strictEqual(projection.createProjectedSources([flat], { mode: 'max', radius: 1 }), null);
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
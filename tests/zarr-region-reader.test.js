@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// Unit tests for zarr-region-reader.js - runs with plain Node.js
+// Usage: node tests/zarr-region-reader.test.js
+//
+// Tests resolution level selection and tile stitching against mock Viv pixel
+// sources whose pixel value encodes its (x, y) position.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'zarr-region-reader.js'), 'utf8');
+const html = fs.readFileSync(path.join(__dirname, '..', 'zarr-viewer.html'), 'utf8');
+
+const sandbox = vm.createContext({ window: { evostitch: {} }, console });
+vm.runInContext(source, sandbox);
+const reader = sandbox.window.evostitch.zarrRegionReader;
+
+// Mock Viv pixel source: value at (x, y) = y * 1000 + x, recording tile requests
+function mockSource(width, height, tileSize, requests) {
+    return {
+        labels: ['t', 'c', 'z', 'y', 'x'],
+        shape: [1, 2, 5, height, width],
+        tileSize,
+        getTile({ x, y, selection }) {
+            requests.push({ x, y, selection });
+            const w = Math.min(tileSize, width - x * tileSize);
+            const h = Math.min(tileSize, height - y * tileSize);
+            const data = new Uint32Array(w * h);
+            for (let row = 0; row < h; row++) {
+                for (let col = 0; col < w; col++) {
+                    data[row * w + col] = (y * tileSize + row) * 1000 + (x * tileSize + col);
+                }
+            }
+            return Promise.resolve({ data, width: w, height: h });
+        }
+    };
+}
+
+// Three-level pyramid: 1000x600, 500x300, 250x150, 100 px tiles
+function mockPyramid(requests) {
+    return [mockSource(1000, 600, 100, requests), mockSource(500, 300, 100, requests), mockSource(250, 150, 100, requests)];
+}
+
+console.log('zarr-region-reader.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+});
+
+test('zarr-region-reader.js loads before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-region-reader.js');
+    assert.ok(pos > 0, 'zarr-region-reader.js should be in HTML');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+});
+
+// ========== Level selection ==========
+
+console.log('\n--- Level Selection ---');
+
+test('getImageSize reads x/y from labels', () => {
+    const size = reader.getImageSize(mockSource(1000, 600, 100, []));
+    assert.strictEqual(size.width, 1000);
+    assert.strictEqual(size.height, 600);
+});
+
+test('pickLevel keeps full resolution when the region fits the budget', () => {
+    const picked = reader.pickLevel(mockPyramid([]), { minX: 0, maxX: 200, minY: 0, maxY: 200 }, 50000);
+    assert.strictEqual(picked.level, 0);
+    assert.strictEqual(picked.downsample, 1);
+});
+
+test('pickLevel coarsens large regions', () => {
+    const picked = reader.pickLevel(mockPyramid([]), { minX: 0, maxX: 1000, minY: 0, maxY: 600 }, 200000);
+    assert.strictEqual(picked.level, 1);
+    assert.strictEqual(picked.downsample, 2);
+});
+
+test('pickLevel falls back to the coarsest level', () => {
+    const picked = reader.pickLevel(mockPyramid([]), { minX: 0, maxX: 1000, minY: 0, maxY: 600 }, 10);
+    assert.strictEqual(picked.level, 2);
+    assert.strictEqual(picked.downsample, 4);
+});
+
+test('getLevelRegion gives the clipped region in level pixels', () => {
+    const region = reader.getLevelRegion(mockPyramid([]), { minX: 101, maxX: 1200, minY: -50, maxY: 299 }, 1);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(region)),
+        { level: 1, downsample: 2, x: 50, y: 0, width: 450, height: 150 });
+    assert.strictEqual(reader.getLevelRegion(mockPyramid([]), { minX: 2000, maxX: 2100, minY: 0, maxY: 10 }, 0), null);
+});
+
+// ========== Region reads ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Region Reads ---');
+
+    await testAsync('stitches tiles across tile boundaries', async () => {
+        const requests = [];
+        const region = await reader.readRegion(mockPyramid(requests), {
+            selection: { t: 0, c: 1, z: 3 },
+            bounds: { minX: 150, maxX: 250, minY: 90, maxY: 120 },
+            maxPixels: 1e6
+        });
+        assert.strictEqual(region.level, 0);
+        assert.deepStrictEqual([region.x, region.y, region.width, region.height], [150, 90, 100, 30]);
+        assert.strictEqual(requests.length, 4, 'Should fetch the 2x2 tiles covering the region');
+        for (let row = 0; row < region.height; row++) {
+            for (let col = 0; col < region.width; col++) {
+                const expected = (90 + row) * 1000 + (150 + col);
+                assert.strictEqual(region.data[row * region.width + col], expected, `pixel ${col},${row}`);
+            }
+        }
+    });
+
+    await testAsync('passes the selection through to every tile fetch', async () => {
+        const requests = [];
+        await reader.readRegion(mockPyramid(requests), {
+            selection: { t: 2, c: 1, z: 4 },
+            bounds: { minX: 0, maxX: 150, minY: 0, maxY: 50 }
+        });
+        assert.ok(requests.length > 0);
+        requests.forEach(r => assert.deepStrictEqual({ ...r.selection }, { t: 2, c: 1, z: 4 }));
+    });
+
+    await testAsync('clips viewports that extend past the image and reads edge tiles', async () => {
+        const region = await reader.readRegion(mockPyramid([]), {
+            selection: {},
+            bounds: { minX: 900, maxX: 1400, minY: -200, maxY: 50 },
+            maxPixels: 1e6
+        });
+        assert.deepStrictEqual([region.x, region.y, region.width, region.height], [900, 0, 100, 50]);
+        assert.strictEqual(region.data[region.data.length - 1], 49 * 1000 + 999);
+    });
+
+    await testAsync('reads downsampled levels in level coordinates', async () => {
+        const region = await reader.readRegion(mockPyramid([]), {
+            selection: {},
+            bounds: { minX: 0, maxX: 1000, minY: 0, maxY: 600 },
+            maxPixels: 200000
+        });
+        assert.strictEqual(region.level, 1);
+        assert.deepStrictEqual([region.width, region.height], [500, 300]);
+        assert.strictEqual(region.data[299 * 500 + 499], 299 * 1000 + 499);
+    });
+
+    await testAsync('resolves null for viewports outside the image', async () => {
+        const region = await reader.readRegion(mockPyramid([]), {
+            selection: {},
+            bounds: { minX: -500, maxX: -10, minY: 0, maxY: 100 }
+        });
+        assert.strictEqual(region, null);
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
@@ -124,6 +124,18 @@ test('exports isZPending function', () => {
     assert.ok(source.includes('isZPending: isZPending'), 'Should export isZPending');
 });
 
+test('exports updateT function', () => {
+    assert.ok(source.includes('updateT: updateT'), 'Should export updateT');
+});
+
+test('exports cancelPendingT function', () => {
+    assert.ok(source.includes('cancelPendingT: cancelPendingT'), 'Should export cancelPendingT');
+});
+
+test('exports isTPending function', () => {
+    assert.ok(source.includes('isTPending: isTPending'), 'Should export isTPending');
+});
+
 test('exports getMaxZoom function', () => {
     assert.ok(source.includes('getMaxZoom: getMaxZoom'), 'Should export getMaxZoom');
 });
@@ -445,6 +457,56 @@ test('cancelPendingZ prevents debounced Z from committing', () => {
     assert.strictEqual(committedZ, null, 'Should not commit after cancel');
 });
 
+test('updateT debounces multiple rapid calls', () => {
+    const { api, env } = loadModule();
+    let committedT = null;
+    const commit = (t) => { committedT = t; };
+
+    api.updateT(1, {}, commit);
+    api.updateT(2, {}, commit);
+    api.updateT(4, {}, commit);
+
+    assert.strictEqual(api.isTPending(), true, 'Should be pending after updateT');
+    assert.strictEqual(committedT, null, 'Should not commit before timeout');
+
+    env.flushTimers();
+
+    assert.strictEqual(committedT, 4, 'Should commit final T=4');
+    const stats = api.getStats();
+    assert.strictEqual(stats.tSwitchCount, 3, 'All 3 T requests counted');
+    assert.strictEqual(stats.tSwitchDebouncedCount, 2, '2 intermediate values debounced');
+});
+
+test('updateT and updateZ debounce independently', () => {
+    const { api, env } = loadModule();
+    let committedZ = null;
+    let committedT = null;
+
+    api.updateZ(7, {}, (z) => { committedZ = z; });
+    api.updateT(3, {}, (t) => { committedT = t; });
+
+    assert.strictEqual(api.isZPending(), true, 'Z should still be pending');
+    assert.strictEqual(api.isTPending(), true, 'T should be pending');
+
+    env.flushTimers();
+
+    assert.strictEqual(committedZ, 7, 'Pending Z should not be dropped by a T change');
+    assert.strictEqual(committedT, 3, 'T should commit');
+    assert.strictEqual(api.getStats().zSwitchDebouncedCount, 0, 'No Z values dropped');
+});
+
+test('cancelPendingT prevents debounced T from committing', () => {
+    const { api, env } = loadModule();
+    let committedT = null;
+    api.updateT(2, {}, (t) => { committedT = t; });
+
+    api.cancelPendingT();
+    assert.strictEqual(api.isTPending(), false, 'Should not be pending after cancel');
+
+    env.flushTimers();
+    assert.strictEqual(committedT, null, 'Should not commit after cancel');
+});
+
 test('calculateMaxZoom returns reasonable value', () => {
     const { api } = loadModule();
     const loaderData = [
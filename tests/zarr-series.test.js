@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+// Unit tests for zarr-series.js - runs with plain Node.js
+// Usage: node tests/zarr-series.test.js
+//
+// Parses OME-XML and bioformats2raw container metadata (through a mocked
+// fetch()), checks series URLs and picker labels, and the series wiring in
+// zarr-viewer.js, sw.js and catalog.js.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const rootDir = path.join(__dirname, '..');
+const jsDir = path.join(rootDir, 'js');
+const source = fs.readFileSync(path.join(jsDir, 'zarr-series.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(jsDir, 'zarr-viewer.js'), 'utf8');
+const catalogSource = fs.readFileSync(path.join(jsDir, 'catalog.js'), 'utf8');
+const html = fs.readFileSync(path.join(rootDir, 'zarr-viewer.html'), 'utf8');
+
+// fetch() serves the documents in `documents` (by URL): objects as JSON, strings as text
+const documents = {};
+function mockFetch(url) {
+    if (!documents.hasOwnProperty(url)) return Promise.resolve({ ok: false, status: 404 });
+    const body = documents[url];
+    return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve(typeof body === 'string' ? JSON.parse(body) : body),
+        text: () => Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body))
+    });
+}
+
+const sandbox = vm.createContext({ window: { evostitch: {} }, console, fetch: mockFetch, URLSearchParams });
+['zarr-metadata.js', 'zarr-series.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(jsDir, file), 'utf8'), sandbox);
+});
+const series = sandbox.window.evostitch.zarrSeries;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Two series as written by bioformats2raw (namespaced and self-closing elements included)
+const omeXml = '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<OME xmlns="http://www.openmicroscopy.org/Schemas/OME/2016-06">' +
+    '<Image ID="Image:0" Name="Overview &amp; label">' +
+    '<Pixels DimensionOrder="XYCZT" ID="Pixels:0" SizeC="3" SizeT="1" SizeX="1024" SizeY="768" SizeZ="1" Type="uint8">' +
+    '<Channel ID="Channel:0:0"/></Pixels></Image>' +
+    '<Image ID="Image:1" Name="Tile scan"><AcquisitionDate>2024-01-01</AcquisitionDate>' +
+    '<Pixels ID="Pixels:1" SizeC="3" SizeT="1" SizeX="4096" SizeY="3072" SizeZ="21" Type="uint16"/></Image>' +
+    '</OME>';
+
+console.log('zarr-series.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.zarrSeries', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['parseSeriesIndex', 'isContainer', 'getContainerUrl', 'getSeriesUrl', 'parseOmeXml', 'buildSeriesList',
+        'fetchSeries', 'describeSeries', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof series[fn], 'function', fn + ' should be exported'));
+    assert.strictEqual(series.SERIES_PARAM, 'series');
+});
+
+test('zarr-series.js loads after zarr-metadata.js and before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-series.js');
+    assert.ok(pos > html.indexOf('js/zarr-metadata.js'), 'Should load after zarr-metadata.js');
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'), 'Should load before zarr-viewer.js');
+});
+
+// ========== Metadata ==========
+
+console.log('\n--- Metadata ---');
+
+test('parseOmeXml reads image names and pixel sizes in order', () => {
+    const images = plain(series.parseOmeXml(omeXml));
+    assert.strictEqual(images.length, 2);
+    assert.deepStrictEqual(images[0], {
+        id: 'Image:0', name: 'Overview & label', sizeX: 1024, sizeY: 768, sizeZ: 1, sizeC: 3, sizeT: 1, type: 'uint8'
+    });
+    assert.strictEqual(images[1].name, 'Tile scan');
+    assert.strictEqual(images[1].sizeZ, 21);
+    assert.strictEqual(images[1].type, 'uint16');
+});
+
+test('parseOmeXml accepts namespace prefixes and images without pixels', () => {
+    const images = plain(series.parseOmeXml(
+        '<ome:OME><ome:Image ID="Image:0" Name="a"><ome:Pixels SizeX="10" SizeY="20"/></ome:Image>' +
+        '<ome:Image ID="Image:1"/><ome:ImageRef ID="Image:0"/></ome:OME>'));
+    assert.strictEqual(images.length, 2, 'ImageRef is not an image');
+    assert.deepStrictEqual([images[0].sizeX, images[0].sizeY, images[0].sizeZ], [10, 20, null]);
+    assert.strictEqual(images[1].name, null);
+    assert.deepStrictEqual(plain(series.parseOmeXml('')), []);
+});
+
+test('buildSeriesList prefers the OME series paths, then one series per image', () => {
+    const images = series.parseOmeXml(omeXml);
+    const listed = plain(series.buildSeriesList({ series: ['0', '1'] }, images));
+    assert.deepStrictEqual(listed.map(s => [s.index, s.path, s.name]), [[0, '0', 'Overview & label'], [1, '1', 'Tile scan']]);
+
+    const numbered = plain(series.buildSeriesList(null, images));
+    assert.deepStrictEqual(numbered.map(s => s.path), ['0', '1']);
+
+    const bare = plain(series.buildSeriesList(null, []));
+    assert.deepStrictEqual(bare, [{
+        index: 0, path: '0', name: 'Series 0', sizeX: null, sizeY: null, sizeZ: null, sizeC: null, sizeT: null, type: null
+    }]);
+});
+
+test('isContainer checks for the bioformats2raw layout', () => {
+    assert.strictEqual(series.isContainer({ 'bioformats2raw.layout': 3 }), true);
+    assert.strictEqual(series.isContainer({ multiscales: [] }), false);
+    assert.strictEqual(series.isContainer(null), false);
+});
+
+// ========== URLs ==========
+
+console.log('\n--- URLs ---');
+
+test('parseSeriesIndex reads ?series= and defaults to 0', () => {
+    assert.strictEqual(series.parseSeriesIndex('?zarr=mosaic&series=3'), 3);
+    assert.strictEqual(series.parseSeriesIndex('?zarr=mosaic'), 0);
+    assert.strictEqual(series.parseSeriesIndex('?series=-1'), 0, 'Negative');
+    assert.strictEqual(series.parseSeriesIndex('?series=abc'), 0, 'Not a number');
+    assert.strictEqual(series.parseSeriesIndex(''), 0);
+});
+
+test('getContainerUrl and getSeriesUrl move between container and series groups', () => {
+    assert.deepStrictEqual(plain(series.getContainerUrl('https://cdn/mosaic/12/')), { url: 'https://cdn/mosaic', index: 12 });
+    assert.deepStrictEqual(plain(series.getContainerUrl('https://cdn/mosaic/0')), { url: 'https://cdn/mosaic', index: 0 });
+    assert.strictEqual(series.getContainerUrl('https://cdn/plain.zarr'), null);
+    assert.strictEqual(series.getSeriesUrl('https://cdn/mosaic/', '2'), 'https://cdn/mosaic/2/');
+    assert.strictEqual(series.getSeriesUrl('https://cdn/mosaic', 0), 'https://cdn/mosaic/0/');
+});
+
+test('describeSeries shows the name and non-trivial dimensions', () => {
+    const list = series.buildSeriesList(null, series.parseOmeXml(omeXml));
+    assert.strictEqual(series.describeSeries(list[0]), '0: Overview & label (1024 × 768, 3 C)');
+    assert.strictEqual(series.describeSeries(list[1]), '1: Tile scan (4096 × 3072, 21 Z, 3 C)');
+    assert.strictEqual(series.describeSeries(series.buildSeriesList(null, [])[0]), '0: Series 0');
+});
+
+// ========== Viewer, service worker and catalog ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('relative ?zarr= names open the ?series= group instead of always /0/', () => {
+    const start = viewerSource.indexOf('function getZarrUrl(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function initDeck('));
+    assert.ok(!body.includes("'/0/'"), 'No fixed series 0');
+    assert.ok(body.includes('zarrSeries.parseSeriesIndex(window.location.search)'));
+});
+
+test('series are discovered after loading and switched through loadZarr()', () => {
+    assert.ok(viewerSource.includes('if (!state.plate) discoverSeries(zarrUrl);'), 'init lists the series');
+    const start = viewerSource.indexOf('async function openSeries(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function setupSeriesSelect('));
+    assert.ok(body.includes('history.replaceState(null, \'\', window.location.pathname + getSeriesSearch(series));'),
+        'The series goes into the URL, without the old view hash');
+    assert.ok(body.includes('await loadZarr(window.evostitch.zarrSeries.getSeriesUrl(state.seriesContainer, series.path),'));
+});
+
+test('a new series opens at Z/T 0 without the previous series\' view link', () => {
+    const start = viewerSource.indexOf('async function openSeries(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function setupSeriesSelect('));
+    assert.ok(body.includes('{ applyViewLink: false }'), 'The old hash is not applied');
+    const load = viewerSource.substring(viewerSource.indexOf('async function loadZarr('),
+        viewerSource.indexOf('function initOptimizationModules('));
+    assert.ok(/state\.currentZ = 0;\s*state\.currentT = 0;/.test(load), 'Z and T start at 0 for a new dataset');
+    assert.ok(load.includes('if (options.applyViewLink !== false) {\n            applyViewLink(window.evostitch.viewLink.read());'));
+});
+
+test('a series that fails to load leaves the address bar and picker on the previous one', () => {
+    const start = viewerSource.indexOf('async function openSeries(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function setupSeriesSelect('));
+    assert.ok(body.includes('if (!loaded) state.seriesIndex = previousIndex;'), 'Index is rolled back');
+    assert.ok(body.indexOf('history.replaceState(') > body.indexOf('if (loaded) {'), 'URL changes after the load only');
+});
+
+test('zarr viewer has the series picker and API', () => {
+    assert.ok(html.includes('id="series-select"'), 'HTML should have the series picker');
+    ['    getSeries: ', '    openSeries,']
+        .forEach(entry => assert.ok(viewerSource.includes(entry), entry.trim() + ' should be in the API'));
+});
+
+test('sw.js caches chunks and OME-XML of any series', () => {
+    const swSource = fs.readFileSync(path.join(rootDir, 'sw.js'), 'utf8');
+    const swSandbox = vm.createContext({ self: { addEventListener: () => {} }, URL, console });
+    vm.runInContext(swSource, swSandbox);
+    assert.ok(swSandbox.isZarrChunkRequest('https://data.evostitch.net/mosaic/3/0/0/0/5/3/1'), 'Series 3, v2 chunk');
+    assert.ok(swSandbox.isZarrChunkRequest('https://data.evostitch.net/mosaic/12/2/c/0/0/5/3/1'), 'Series 12, v3 chunk');
+    assert.ok(swSandbox.isZarrMetadataRequest('https://data.evostitch.net/mosaic/OME/METADATA.ome.xml'), 'Series list');
+    assert.ok(!swSandbox.isZarrChunkRequest('https://data.evostitch.net/mosaic/OME/METADATA.ome.xml'));
+});
+
+test('catalog links pass a series other than 0', () => {
+    assert.ok(catalogSource.includes('card.href += `&series=${mosaic.series}`;'));
+});
+
+// ========== Fetch ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Fetch ---');
+
+    await testAsync('fetchSeries lists the series of a Zarr v2 container', async () => {
+        documents['https://x/mosaic/.zattrs'] = { 'bioformats2raw.layout': 3 };
+        documents['https://x/mosaic/OME/.zattrs'] = { series: ['0', '1'] };
+        documents['https://x/mosaic/OME/METADATA.ome.xml'] = omeXml;
+        const list = plain(await series.fetchSeries('https://x/mosaic/'));
+        assert.deepStrictEqual(list.map(s => s.name), ['Overview & label', 'Tile scan']);
+        assert.strictEqual(list[1].sizeX, 4096);
+    });
+
+    await testAsync('fetchSeries reads Zarr v3 containers and tolerates a missing OME-XML', async () => {
+        documents['https://x/v3/zarr.json'] = { zarr_format: 3, node_type: 'group', attributes: { ome: { 'bioformats2raw.layout': 3 } } };
+        const list = plain(await series.fetchSeries('https://x/v3'));
+        assert.deepStrictEqual(list.map(s => [s.path, s.name]), [['0', 'Series 0']]);
+    });
+
+    await testAsync('fetchSeries returns null for stores that are not containers', async () => {
+        documents['https://x/image.zarr/.zattrs'] = { multiscales: [] };
+        assert.strictEqual(await series.fetchSeries('https://x/image.zarr'), null);
+        assert.strictEqual(await series.fetchSeries('https://x/missing.zarr'), null);
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+// Unit tests for zarr-tiff-export.js - runs with plain Node.js
+// Usage: node tests/zarr-tiff-export.test.js
+//
+// Tests plane order, the OME-XML, the TIFF layout (parsed back from the
+// written file), plane reads with progress and cancelling, and the export
+// wiring in zarr-viewer.js.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const root = path.join(__dirname, '..');
+const source = fs.readFileSync(path.join(root, 'js', 'zarr-tiff-export.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(root, 'js', 'zarr-viewer.js'), 'utf8');
+const html = fs.readFileSync(path.join(root, 'zarr-viewer.html'), 'utf8');
+
+const sandbox = vm.createContext({ window: { evostitch: {} }, console, TextEncoder, Blob });
+vm.runInContext(source, sandbox);
+const tiff = sandbox.window.evostitch.zarrTiffExport;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Parse a little-endian TIFF: every IFD as { tag: [values] }, plus the
+// ImageDescription text and each page's strip bytes
+async function parseTiff(blob) {
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    assert.strictEqual(String.fromCharCode(view.getUint8(0), view.getUint8(1)), 'II');
+    assert.strictEqual(view.getUint16(2, true), 42);
+    const pages = [];
+    let offset = view.getUint32(4, true);
+    while (offset !== 0) {
+        const count = view.getUint16(offset, true);
+        const tags = {};
+        for (let i = 0; i < count; i++) {
+            const at = offset + 2 + i * 12;
+            const type = view.getUint16(at + 2, true);
+            tags[view.getUint16(at, true)] = {
+                type,
+                count: view.getUint32(at + 4, true),
+                value: type === 3 ? view.getUint16(at + 8, true) : view.getUint32(at + 8, true)
+            };
+        }
+        const strip = new Uint8Array(buffer, tags[273].value, tags[279].value);
+        pages.push({ tags, order: Object.keys(tags).map(Number), strip });
+        offset = view.getUint32(offset + 2 + count * 12, true);
+    }
+    const description = pages[0].tags[270];
+    const text = new TextDecoder().decode(new Uint8Array(buffer, description.value, description.count - 1));
+    return { pages, text, size: buffer.byteLength };
+}
+
+const IMAGE = {
+    name: 'embryo <A&B>',
+    width: 4,
+    height: 3,
+    sizeZ: 3,
+    channels: [{ name: 'DAPI', color: [0, 0, 255] }, { name: 'GFP', color: [0, 255, 0] }],
+    dtype: 'Uint16',
+    physicalSize: { x: 0.65, y: 0.65, z: 2 }
+};
+
+console.log('zarr-tiff-export.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.zarrTiffExport', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['getPixelType', 'planPlanes', 'estimateBytes', 'formatBytes', 'buildOmeXml', 'writeOmeTiff', 'readPlanes', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof tiff[fn], 'function', fn + ' should be exported'));
+});
+
+test('zarr-tiff-export.js loads after zarr-region-reader.js and before zarr-viewer.js', () => {
+    const pos = html.indexOf('js/zarr-tiff-export.js');
+    assert.ok(pos > html.indexOf('js/zarr-region-reader.js'));
+    assert.ok(pos < html.indexOf('js/zarr-viewer.js'));
+    ['id="tiff-export-btn"', 'id="tiff-export-panel"', 'class="tiff-export-draw-btn"', 'class="tiff-export-level"',
+        'class="tiff-export-row tiff-export-channels"', 'class="tiff-export-start-btn"']
+        .forEach(attr => assert.ok(html.includes(attr), 'HTML should have ' + attr));
+});
+
+// ========== Planes ==========
+
+console.log('\n--- Planes ---');
+
+test('planes run through Z for each channel (XYZCT)', () => {
+    assert.deepStrictEqual(plain(tiff.planPlanes([2, 0], 4, 5)),
+        [{ c: 2, z: 4 }, { c: 2, z: 5 }, { c: 0, z: 4 }, { c: 0, z: 5 }]);
+    assert.deepStrictEqual(plain(tiff.planPlanes([1], 3, 1)), [{ c: 1, z: 1 }, { c: 1, z: 2 }, { c: 1, z: 3 }]);
+    assert.deepStrictEqual(plain(tiff.planPlanes([], 0, 9)), []);
+});
+
+test('pixel types map to OME types and sizes', () => {
+    assert.deepStrictEqual(plain(tiff.getPixelType('Uint16')), { type: 'uint16', bytes: 2, sampleFormat: 1 });
+    assert.deepStrictEqual(plain(tiff.getPixelType('Int8')), { type: 'int8', bytes: 1, sampleFormat: 2 });
+    assert.deepStrictEqual(plain(tiff.getPixelType('Float32')), { type: 'float', bytes: 4, sampleFormat: 3 });
+    assert.strictEqual(tiff.getPixelType('Complex64'), null);
+    assert.strictEqual(tiff.estimateBytes(1000, 500, 6, 'Uint16'), 6000000);
+    assert.strictEqual(tiff.formatBytes(6000000), '5.7 MB');
+    assert.strictEqual(tiff.formatBytes(100), '1 KB');
+    assert.strictEqual(tiff.formatBytes(3 * 1024 * 1024 * 1024), '3.00 GB');
+});
+
+// ========== OME-XML ==========
+
+console.log('\n--- OME-XML ---');
+
+test('OME-XML carries sizes, pixel type and physical sizes in µm', () => {
+    const xml = tiff.buildOmeXml(IMAGE);
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?><OME xmlns="http://www.openmicroscopy.org/Schemas/OME/2016-06"'));
+    assert.ok(xml.includes('DimensionOrder="XYZCT" Type="uint16" SizeX="4" SizeY="3" SizeZ="3" SizeC="2" SizeT="1"'));
+    assert.ok(xml.includes('PhysicalSizeX="0.65" PhysicalSizeXUnit="µm"'));
+    assert.ok(xml.includes('PhysicalSizeY="0.65" PhysicalSizeYUnit="µm"'));
+    assert.ok(xml.includes('PhysicalSizeZ="2" PhysicalSizeZUnit="µm"'));
+    assert.ok(xml.includes('BigEndian="false"'));
+    assert.ok(xml.includes('<TiffData IFD="0" PlaneCount="6"/>'));
+});
+
+test('channels have names and signed RGBA colors; text is escaped', () => {
+    const xml = tiff.buildOmeXml(IMAGE);
+    assert.ok(xml.includes('<Channel ID="Channel:0:0" Name="DAPI" SamplesPerPixel="1" Color="65535"/>'));
+    assert.ok(xml.includes('<Channel ID="Channel:0:1" Name="GFP" SamplesPerPixel="1" Color="16711935"/>'));
+    const red = tiff.buildOmeXml({ ...IMAGE, channels: [{ name: 'x', color: [255, 0, 0] }] });
+    assert.ok(red.includes('Color="-16776961"'), 'Red packs to a negative int32');
+    assert.ok(xml.includes('Name="embryo &lt;A&amp;B&gt;"'));
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('clicks draw the region before the ruler and annotation tools', () => {
+    const start = viewerSource.indexOf('function handleViewerClick(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function handleMeasureClick('));
+    assert.ok(body.indexOf('handleTiffRegionClick(info, event)') < body.indexOf('handleMeasureClick(info, event)'));
+    assert.ok(viewerSource.includes('...buildMeasureLayers(), ...buildTiffRegionLayers()'));
+    assert.ok(viewerSource.includes("case 'x':"), 'X key');
+    assert.ok(viewerSource.includes('if (cancelTiffRegionDraw()) break;'), 'Esc stops drawing first');
+});
+
+test('planes are read from the loader at the chosen level with level-scaled pixel sizes', () => {
+    const start = viewerSource.indexOf('async function exportTiff(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('function cancelTiffExport('));
+    assert.ok(body.includes('reader.readRegion(plan.loaderData, {'));
+    assert.ok(body.includes('level: region.level,'));
+    assert.ok(body.includes('x: state.pixelSizeX * region.downsample,'));
+    assert.ok(body.includes('y: state.pixelSizeY * region.downsample,'));
+    assert.ok(body.includes('z: state.pixelSizeZ'));
+    const planStart = viewerSource.indexOf('function getTiffExportPlan(');
+    const plan = viewerSource.substring(planStart, viewerSource.indexOf('async function exportTiff('));
+    assert.ok(plan.includes('const loaderData = state.loader?.data || state.loader;'), 'Raw data, not the projection');
+    assert.ok(plan.includes('getLevelRegion(loaderData, bounds, level)'));
+});
+
+test('zarr viewer exposes the export API and resets it on dataset load', () => {
+    ['    setTiffRegion,', '    exportTiff,', '    cancelTiffExport,'].forEach(entry => assert.ok(viewerSource.includes(entry), entry));
+    assert.ok(viewerSource.includes('        cancelTiffExport();\n        resetTiffExportPanel();'));
+});
+
+// ========== Writing ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Writing ---');
+
+    await testAsync('writes one page per plane with the pixels in page order', async () => {
+        const planes = tiff.planPlanes([0, 1], 0, 2).map((plane) => {
+            const data = new Uint16Array(12);
+            data.forEach((_, i) => { data[i] = plane.c * 1000 + plane.z * 100 + i; });
+            return data;
+        });
+        const parsed = await parseTiff(tiff.writeOmeTiff(planes, IMAGE));
+
+        assert.strictEqual(parsed.pages.length, 6);
+        assert.strictEqual(parsed.text, tiff.buildOmeXml(IMAGE), 'OME-XML in the first page');
+        parsed.pages.forEach((page, i) => {
+            assert.deepStrictEqual(page.order, [...page.order].sort((a, b) => a - b), 'Tags in ascending order');
+            assert.strictEqual(page.tags[256].value, 4);
+            assert.strictEqual(page.tags[257].value, 3);
+            assert.strictEqual(page.tags[258].value, 16);
+            assert.strictEqual(page.tags[259].value, 1, 'Uncompressed');
+            assert.strictEqual(page.tags[278].value, 3, 'One strip');
+            assert.strictEqual(page.tags[339].value, 1, 'Unsigned');
+            assert.strictEqual(page.tags[270] !== undefined, i === 0, 'Description on the first page only');
+            const pixels = new Uint16Array(page.strip.slice().buffer);
+            assert.deepStrictEqual(Array.from(pixels), Array.from(planes[i]));
+            assert.strictEqual(page.tags[273].value % 2, 0, 'Word-aligned strips');
+        });
+        assert.strictEqual(parsed.size, parsed.pages[5].tags[273].value + 24, 'Pixels end the file');
+    });
+
+    await testAsync('float pixels are marked as IEEE floats', async () => {
+        const image = { ...IMAGE, sizeZ: 1, channels: [{ name: 'ratio', color: null }], dtype: 'Float32' };
+        const parsed = await parseTiff(tiff.writeOmeTiff([new Float32Array([0.5, 1, 2, 4, 8, 16, 0, 0, 0, 0, 0, 0])], image));
+        assert.strictEqual(parsed.pages[0].tags[258].value, 32);
+        assert.strictEqual(parsed.pages[0].tags[339].value, 3);
+        assert.ok(parsed.text.includes('Type="float"'));
+        assert.ok(!parsed.text.includes('Color='), 'No color without one');
+        assert.strictEqual(new Float32Array(parsed.pages[0].strip.slice().buffer)[0], 0.5);
+    });
+
+    await testAsync('refuses files past the 4 GB TIFF limit and unsupported types', async () => {
+        assert.throws(() => tiff.writeOmeTiff([new Uint8Array(0)], { ...IMAGE, width: 70000, height: 70000, dtype: 'Uint8' }),
+            /4 GB TIFF limit/);
+        assert.throws(() => tiff.writeOmeTiff([new Uint8Array(12)], { ...IMAGE, dtype: 'Complex64' }), /Unsupported pixel type/);
+        assert.throws(() => tiff.writeOmeTiff([], IMAGE), /No planes/);
+    });
+
+    console.log('\n--- Reading ---');
+
+    await testAsync('reads planes one at a time in order, with progress', async () => {
+        let inFlight = 0;
+        const progress = [];
+        const data = await tiff.readPlanes({
+            planes: tiff.planPlanes([0, 1], 0, 1),
+            readPlane: async (plane) => {
+                inFlight++;
+                assert.strictEqual(inFlight, 1, 'One read at a time');
+                await new Promise(resolve => setImmediate(resolve));
+                inFlight--;
+                return `c${plane.c}z${plane.z}`;
+            },
+            onProgress: p => progress.push(plain(p))
+        });
+        assert.deepStrictEqual(plain(data), ['c0z0', 'c0z1', 'c1z0', 'c1z1']);
+        assert.deepStrictEqual(progress.map(p => p.done), [1, 2, 3, 4]);
+    });
+
+    await testAsync('cancelling stops reading without planes; a failed read rejects', async () => {
+        const read = [];
+        let cancelled = false;
+        const data = await tiff.readPlanes({
+            planes: tiff.planPlanes([0], 0, 5),
+            readPlane: (plane) => {
+                read.push(plane.z);
+                if (plane.z === 1) cancelled = true;
+                return Promise.resolve(plane.z);
+            },
+            isCancelled: () => cancelled
+        });
+        assert.strictEqual(data, null);
+        assert.deepStrictEqual(read, [0, 1]);
+        await assert.rejects(tiff.readPlanes({
+            planes: [{ c: 0, z: 0 }],
+            readPlane: () => Promise.reject(new Error('chunk 404'))
+        }), /chunk 404/);
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
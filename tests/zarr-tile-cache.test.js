@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+// Unit tests for zarr-tile-cache.js - runs with plain Node.js
+// Usage: node tests/zarr-tile-cache.test.js
+//
+// Tests the memory budget, tile keys, LRU eviction by bytes, wrapped pixel
+// sources on mock Viv sources (hits, misses, failed reads, projected sources
+// built on them), statistics, and the wiring in zarr-viewer.js.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const root = path.join(__dirname, '..');
+const source = fs.readFileSync(path.join(root, 'js', 'zarr-tile-cache.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(root, 'js', 'zarr-viewer.js'), 'utf8');
+const zarrHtml = fs.readFileSync(path.join(root, 'zarr-viewer.html'), 'utf8');
+
+const sandbox = vm.createContext({ window: { evostitch: {} }, console, Promise });
+vm.runInContext(source, sandbox);
+const cache = sandbox.window.evostitch.zarrTileCache;
+vm.runInContext(fs.readFileSync(path.join(root, 'js', 'zarr-projection.js'), 'utf8'), sandbox);
+const projection = sandbox.window.evostitch.zarrProjection;
+const defaultBudget = cache.CONFIG.maxBytes;
+
+// Mock Viv pixel source: counts getTile() calls, tiles of `bytes` bytes
+function mockSource(bytes = 1024, options = {}) {
+    const calls = [];
+    return {
+        calls,
+        shape: [1, 3, 21, 4096, 4096],
+        labels: ['t', 'c', 'z', 'y', 'x'],
+        tileSize: 512,
+        dtype: 'Uint16',
+        getTile(args) {
+            calls.push(args);
+            if (options.fail) return Promise.reject(new Error('aborted'));
+            return Promise.resolve({ data: new Uint8Array(bytes), width: 16, height: 16 });
+        }
+    };
+}
+
+function reset(maxBytes = defaultBudget) {
+    cache.CONFIG.maxBytes = maxBytes;
+    cache.clear();
+    cache.resetStats();
+}
+
+console.log('zarr-tile-cache.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.zarrTileCache', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['getDefaultBudget', 'tileKey', 'tileBytes', 'get', 'set', 'wrapLoader', 'clear', 'resetStats', 'getStats', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof cache[fn], 'function', fn + ' should be exported'));
+});
+
+test('zarr-viewer.html loads zarr-tile-cache.js before the viewer module', () => {
+    assert.ok(zarrHtml.indexOf('js/zarr-tile-cache.js') > 0);
+    assert.ok(zarrHtml.indexOf('js/zarr-tile-cache.js') < zarrHtml.indexOf('js/zarr-viewer.js'));
+});
+
+// ========== Budget and keys ==========
+
+console.log('\n--- Budget and keys ---');
+
+test('budget follows the reported device memory', () => {
+    const mb = 1024 * 1024;
+    assert.strictEqual(cache.getDefaultBudget(1), 64 * mb);
+    assert.strictEqual(cache.getDefaultBudget(2), 64 * mb);
+    assert.strictEqual(cache.getDefaultBudget(4), 128 * mb);
+    assert.strictEqual(cache.getDefaultBudget(8), 256 * mb);
+    assert.strictEqual(cache.getDefaultBudget(undefined), 256 * mb, 'Unreported: desktop budget');
+    assert.strictEqual(defaultBudget, 256 * mb);
+});
+
+test('tiles are keyed by loader, level, t, c, z, x and y', () => {
+    assert.strictEqual(cache.tileKey(1, 0, { t: 0, c: 2, z: 14 }, 3, 5), '1:0/0/2/14/3/5');
+    assert.strictEqual(cache.tileKey(2, 3, { z: 7 }, 0, 1), '2:3/0/0/7/0/1', 'Missing axes are 0');
+    assert.notStrictEqual(cache.tileKey(1, 0, { z: 1 }, 0, 0), cache.tileKey(1, 0, { z: 2 }, 0, 0));
+});
+
+test('tile size is the byte length of its data', () => {
+    assert.strictEqual(cache.tileBytes({ data: new Uint16Array(512 * 512) }), 512 * 512 * 2);
+    assert.strictEqual(cache.tileBytes({ data: [1, 2, 3] }), 24, 'Plain arrays: 8 bytes per value');
+    assert.strictEqual(cache.tileBytes(null), 0);
+});
+
+// ========== LRU ==========
+
+console.log('\n--- LRU ---');
+
+test('least recently used tiles are evicted beyond the budget', () => {
+    reset(3000);
+    cache.set('a', { data: new Uint8Array(1000) });
+    cache.set('b', { data: new Uint8Array(1000) });
+    cache.set('c', { data: new Uint8Array(1000) });
+    assert.ok(cache.get('a'), 'Touch a: b is now the oldest');
+    cache.set('d', { data: new Uint8Array(1000) });
+    assert.strictEqual(cache.get('b'), null);
+    assert.ok(cache.get('a') && cache.get('c') && cache.get('d'));
+    const stats = cache.getStats();
+    assert.strictEqual(stats.entries, 3);
+    assert.strictEqual(stats.bytes, 3000);
+    assert.strictEqual(stats.evictions, 1);
+});
+
+test('replacing a tile updates the byte count; oversized tiles are not kept', () => {
+    reset(3000);
+    cache.set('a', { data: new Uint8Array(1000) });
+    cache.set('a', { data: new Uint8Array(500) });
+    assert.strictEqual(cache.getStats().bytes, 500);
+    cache.set('huge', { data: new Uint8Array(4000) });
+    assert.strictEqual(cache.get('huge'), null);
+    assert.ok(cache.get('a'), 'Existing tiles are not evicted for it');
+});
+
+test('clear drops the tiles but keeps the counts', () => {
+    reset();
+    cache.set('a', { data: new Uint8Array(10) });
+    cache.clear();
+    const stats = cache.getStats();
+    assert.strictEqual(stats.entries, 0);
+    assert.strictEqual(stats.bytes, 0);
+    assert.strictEqual(stats.hitRate, null, 'No requests yet');
+});
+
+// ========== Wrapped loader ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Wrapped loader ---');
+
+    await testAsync('a return to a plane is served from memory without calling the loader', async () => {
+        reset();
+        const level0 = mockSource();
+        const level1 = mockSource();
+        const sources = cache.wrapLoader([level0, level1]);
+        const z5 = { x: 1, y: 2, selection: { t: 0, c: 0, z: 5 } };
+        const z6 = { x: 1, y: 2, selection: { t: 0, c: 0, z: 6 } };
+
+        const first = await sources[0].getTile(z5);
+        await sources[0].getTile(z6);
+        const again = await sources[0].getTile(z5);
+        assert.strictEqual(again, first, 'Same decoded tile');
+        assert.strictEqual(level0.calls.length, 2, 'Loader called for z=5 and z=6 only');
+
+        await sources[1].getTile(z5);
+        assert.strictEqual(level1.calls.length, 1, 'Levels are cached separately');
+
+        const stats = cache.getStats();
+        assert.strictEqual(stats.hits, 1);
+        assert.strictEqual(stats.misses, 3);
+        assert.strictEqual(stats.hitRate, 0.25);
+    });
+
+    await testAsync('wrapped sources inherit the source properties and keep their identity', async () => {
+        reset();
+        const loaderData = [mockSource()];
+        const sources = cache.wrapLoader(loaderData);
+        assert.strictEqual(sources[0].tileSize, 512);
+        assert.strictEqual(sources[0].dtype, 'Uint16');
+        assert.deepStrictEqual(Array.from(sources[0].labels), ['t', 'c', 'z', 'y', 'x']);
+        assert.strictEqual(cache.wrapLoader(loaderData), sources, 'One wrapped array per loader');
+        assert.notStrictEqual(cache.wrapLoader([mockSource()]), sources);
+        assert.deepStrictEqual(cache.wrapLoader([]), []);
+        assert.strictEqual(cache.wrapLoader(null), null);
+    });
+
+    await testAsync('different loaders do not share tiles', async () => {
+        reset();
+        const a = mockSource();
+        const b = mockSource();
+        const args = { x: 0, y: 0, selection: { z: 0 } };
+        await cache.wrapLoader([a])[0].getTile(args);
+        await cache.wrapLoader([b])[0].getTile(args);
+        assert.strictEqual(b.calls.length, 1);
+    });
+
+    await testAsync('failed or aborted reads reject and are retried next time', async () => {
+        reset();
+        const failing = mockSource(1024, { fail: true });
+        const sources = cache.wrapLoader([failing]);
+        const args = { x: 0, y: 0, selection: { z: 0 }, signal: {} };
+        await assert.rejects(sources[0].getTile(args), /aborted/);
+        await assert.rejects(sources[0].getTile(args), /aborted/);
+        assert.strictEqual(failing.calls.length, 2);
+        assert.strictEqual(failing.calls[0].signal, args.signal, 'Abort signal is passed on');
+        assert.strictEqual(cache.getStats().entries, 0);
+    });
+
+    await testAsync('sources derived from the wrapped loader read their planes from the cache', async () => {
+        reset();
+        const level0 = mockSource();
+        const sources = cache.wrapLoader([level0]);
+        await sources[0].getTile({ x: 0, y: 0, selection: { t: 0, c: 0, z: 5 } });
+
+        const [projected] = projection.createProjectedSources(sources, { mode: 'max', radius: 1 });
+        await projected.getTile({ x: 0, y: 0, selection: { t: 0, c: 0, z: 5 } });
+        assert.deepStrictEqual(level0.calls.map(args => args.selection.z), [5, 4, 6],
+            'Only the planes not shown yet are read from the loader');
+        assert.strictEqual(cache.getStats().hits, 1);
+    });
+
+    await testAsync('resetting the stats keeps the cached tiles', async () => {
+        reset();
+        const sources = cache.wrapLoader([mockSource()]);
+        const args = { x: 0, y: 0, selection: { z: 0 } };
+        await sources[0].getTile(args);
+        cache.resetStats();
+        await sources[0].getTile(args);
+        const stats = cache.getStats();
+        assert.strictEqual(stats.hits, 1);
+        assert.strictEqual(stats.misses, 0);
+        assert.strictEqual(stats.hitRate, 1);
+    });
+}
+
+// ========== Viewer integration ==========
+
+function runIntegrationTests() {
+    console.log('\n--- Viewer Integration ---');
+
+    test('zarr-viewer.js passes the wrapped loader to the image layer', () => {
+        const start = viewerSource.indexOf('function updateLayer()');
+        const body = viewerSource.substring(start, viewerSource.indexOf('state.imageLayer = layer;'));
+        assert.ok(body.includes('loader: window.evostitch.zarrTileCache.wrapLoader(loaderData),'));
+    });
+
+    test('projection, depth map and focus peaking are built on the wrapped loader', () => {
+        assert.ok(/function getCachedLoaderData\(\) \{\s*return window\.evostitch\.zarrTileCache\.wrapLoader\(state\.loader\?\.data \|\| state\.loader\);/
+            .test(viewerSource));
+        ['projectionApi.createProjectedSources(getCachedLoaderData(),',
+            'window.evostitch.zarrDepthMap.createDepthMap(getCachedLoaderData())',
+            'window.evostitch.zarrFocusPeaking.createPeakingSources(getCachedLoaderData())'
+        ].forEach(call => assert.ok(viewerSource.includes(call), call));
+    });
+
+    test('getPerfStats() reports the tile cache; clearPerfStats() resets its counts', () => {
+        const start = viewerSource.indexOf('function getPerfStats()');
+        const body = viewerSource.substring(start, viewerSource.indexOf('function logPerfSummary()'));
+        assert.ok(body.includes('const tileCache = window.evostitch.zarrTileCache.getStats();'));
+        assert.strictEqual(body.split(/\btileCache\n/).length - 1, 2, 'In both returns');
+        assert.ok(/function clearPerfStats\(\) \{[\s\S]*?zarrTileCache\.resetStats\(\);/.test(viewerSource));
+    });
+
+    test('opening a dataset drops the tiles of the previous one', () => {
+        assert.ok(/state\.loader = result;\s*\/\/[^\n]*\n\s*window\.evostitch\.zarrTileCache\.clear\(\);/.test(viewerSource));
+    });
+}
+
+runAsyncTests().then(() => {
+    runIntegrationTests();
+
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+// Unit tests for zarr-video-export.js - runs with plain Node.js
+// Usage: node tests/zarr-video-export.test.js
+//
+// Tests frame planning for Z-sweeps and tours, the frame recorder over a mock
+// MediaRecorder and canvas stream, and the export wiring in zarr-viewer.js.
+// The burned-in overlays are tested in figure-export.test.js.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  PASS  ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function testAsync(name, fn) {
+    return fn().then(() => {
+        console.log(`  PASS  ${name}`);
+        passed++;
+    }).catch((error) => {
+        console.log(`  FAIL  ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    });
+}
+
+const root = path.join(__dirname, '..');
+const source = fs.readFileSync(path.join(root, 'js', 'zarr-video-export.js'), 'utf8');
+const viewerSource = fs.readFileSync(path.join(root, 'js', 'zarr-viewer.js'), 'utf8');
+const html = fs.readFileSync(path.join(root, 'zarr-viewer.html'), 'utf8');
+
+// Mock MediaRecorder: logs calls and emits one chunk per recorded frame.
+// Only 'video/webm;codecs=vp8' and 'video/webm' are "supported".
+const events = [];
+
+class MockMediaRecorder {
+    constructor(stream, options) {
+        this.stream = stream;
+        this.options = options;
+        this.state = 'inactive';
+        MockMediaRecorder.last = this;
+    }
+    static isTypeSupported(type) {
+        return type === 'video/webm;codecs=vp8' || type === 'video/webm';
+    }
+    start() { this.state = 'recording'; events.push('start'); }
+    pause() { this.state = 'paused'; events.push('pause'); }
+    resume() { this.state = 'recording'; events.push('resume'); }
+    stop() {
+        this.state = 'inactive';
+        events.push('stop');
+        this.ondataavailable({ data: { size: 3 } });
+        if (this.onstop) this.onstop();
+    }
+}
+
+function mockCanvas() {
+    const track = {
+        requestFrame() { events.push('frame'); },
+        stop() { events.push('track-stop'); }
+    };
+    return {
+        captureStream(fps) {
+            events.push('capture ' + fps);
+            return { getVideoTracks: () => [track], getTracks: () => [track] };
+        }
+    };
+}
+
+const sandbox = vm.createContext({
+    window: { evostitch: {}, MediaRecorder: MockMediaRecorder },
+    console,
+    setTimeout,
+    Blob: class Blob {
+        constructor(parts, options) {
+            this.parts = parts;
+            this.type = options.type;
+        }
+    }
+});
+vm.runInContext(source, sandbox);
+const exporter = sandbox.window.evostitch.zarrVideoExport;
+
+// Plain copy of a sandbox object (cross-realm arrays/objects)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+console.log('zarr-video-export.js - Unit Tests');
+console.log('================================');
+
+// ========== Structure ==========
+
+console.log('\n--- Structure ---');
+
+test('uses IIFE pattern and exposes window.evostitch.zarrVideoExport', () => {
+    assert.ok(source.includes('(function() {'), 'Should use IIFE');
+    assert.ok(source.includes("'use strict'"), 'Should use strict mode');
+    ['pickMimeType', 'interpolateView', 'planFrames', 'createFrameRecorder', 'recordFrames', 'setDebug']
+        .forEach(fn => assert.strictEqual(typeof exporter[fn], 'function', fn + ' should be exported'));
+});
+
+test('zarr-video-export.js loads before zarr-viewer.js', () => {
+    assert.ok(html.indexOf('js/zarr-video-export.js') > 0);
+    assert.ok(html.indexOf('js/zarr-video-export.js') < html.indexOf('js/zarr-viewer.js'));
+    ['id="video-export-btn"', 'id="video-export-panel"', 'class="video-export-kind"', 'class="video-export-start-btn"']
+        .forEach(attr => assert.ok(html.includes(attr), 'HTML should have ' + attr));
+});
+
+test('picks the first supported WebM encoding', () => {
+    assert.strictEqual(exporter.pickMimeType(), 'video/webm;codecs=vp8');
+});
+
+// ========== Frames ==========
+
+console.log('\n--- Frames ---');
+
+test('a Z-sweep has one frame per plane, in either direction', () => {
+    assert.deepStrictEqual(plain(exporter.planFrames({ kind: 'z', zStart: 1, zEnd: 3 })), [{ z: 1 }, { z: 2 }, { z: 3 }]);
+    assert.deepStrictEqual(plain(exporter.planFrames({ kind: 'z', zStart: 2, zEnd: 0 })), [{ z: 2 }, { z: 1 }, { z: 0 }]);
+    assert.deepStrictEqual(plain(exporter.planFrames({ kind: 'z', zStart: 4, zEnd: 4 })), [{ z: 4 }]);
+});
+
+test('a tour interpolates position, zoom and Z from the start to the end view', () => {
+    const frames = plain(exporter.planFrames({
+        kind: 'tour',
+        from: { target: [0, 100], zoom: -2, z: 0 },
+        to: { target: [400, 100], zoom: 2, z: 4 },
+        frames: 5
+    }));
+    assert.strictEqual(frames.length, 5);
+    assert.deepStrictEqual(frames[0].view, { target: [0, 100], zoom: -2, z: 0 });
+    assert.deepStrictEqual(frames[2].view, { target: [200, 100], zoom: 0, z: 2 });
+    assert.deepStrictEqual(frames[4], { z: 4, view: { target: [400, 100], zoom: 2, z: 4 } });
+});
+
+test('a tour without both views has no frames', () => {
+    assert.deepStrictEqual(plain(exporter.planFrames({ kind: 'tour', from: { target: [0, 0], zoom: 0, z: 0 } })), []);
+});
+
+test('frame count is capped', () => {
+    const frames = exporter.planFrames({ kind: 'z', zStart: 0, zEnd: exporter.CONFIG.maxFrames + 10 });
+    assert.strictEqual(frames.length, exporter.CONFIG.maxFrames);
+});
+
+// ========== Viewer integration ==========
+
+console.log('\n--- Viewer Integration ---');
+
+test('frames wait for the current onViewportLoad', () => {
+    const start = viewerSource.indexOf('onViewportLoad: () => {');
+    const body = viewerSource.substring(start, viewerSource.indexOf('state.imageLayer = layer;'));
+    const stale = body.indexOf('if (generation !== state.zSwitchGeneration)');
+    const waiters = body.indexOf('state.viewportLoadWaiters.forEach(waiter => waiter());');
+    assert.ok(stale >= 0 && waiters > stale, 'Waiters run after the stale-generation check');
+
+    const wait = viewerSource.substring(viewerSource.indexOf('function waitForViewportLoad('),
+        viewerSource.indexOf('function showExportFrame('));
+    assert.ok(wait.includes('.every(layer => layer.isLoaded)'), 'Overlays must be loaded too');
+    assert.ok(wait.includes('config.frameTimeoutMs'), 'A frame cannot stall the export');
+});
+
+test('frames are composited in the task that redraws the deck', () => {
+    const start = viewerSource.indexOf('function drawExportFrame(');
+    const body = viewerSource.substring(start, viewerSource.indexOf('async function exportVideo('));
+    assert.ok(body.indexOf("state.deck.redraw('video-export');") < body.indexOf('ctx.drawImage(source'));
+    assert.ok(body.includes('figureExport.drawOverlays(ctx'), 'Overlays come from figure-export.js');
+});
+
+test('zarr viewer exposes the export API and stops it on dataset load', () => {
+    assert.ok(viewerSource.includes('    exportVideo,'), 'exportVideo should be in the API');
+    assert.ok(viewerSource.includes('    cancelVideoExport,'), 'cancelVideoExport should be in the API');
+    assert.ok(viewerSource.includes('        cancelVideoExport();\n        resetVideoExportPanel();'));
+});
+
+// ========== Recording ==========
+
+async function runAsyncTests() {
+    console.log('\n--- Recording ---');
+
+    await testAsync('records one frame per planned frame, paused while frames load', async () => {
+        events.length = 0;
+        const shown = [];
+        const progress = [];
+        const recorder = exporter.createFrameRecorder(mockCanvas(), { fps: 50, mimeType: 'video/webm' });
+        assert.strictEqual(MockMediaRecorder.last.options.mimeType, 'video/webm');
+
+        const blob = await exporter.recordFrames({
+            frames: exporter.planFrames({ kind: 'z', zStart: 0, zEnd: 1 }),
+            showFrame: (frame) => {
+                shown.push(frame.z);
+                events.push('show ' + frame.z);
+                return Promise.resolve();
+            },
+            drawFrame: frame => events.push('draw ' + frame.z),
+            recorder,
+            onProgress: p => progress.push(plain(p))
+        });
+
+        assert.deepStrictEqual(shown, [0, 1]);
+        assert.deepStrictEqual(progress, [{ done: 1, total: 2 }, { done: 2, total: 2 }]);
+        assert.deepStrictEqual(events, [
+            'capture 0', 'start', 'pause',
+            'show 0', 'draw 0', 'resume', 'frame', 'pause',
+            'show 1', 'draw 1', 'resume', 'frame', 'pause',
+            'stop', 'track-stop'
+        ]);
+        assert.strictEqual(blob.type, 'video/webm');
+        assert.strictEqual(blob.parts.length, 1);
+    });
+
+    await testAsync('cancelling stops the recorder without a video', async () => {
+        events.length = 0;
+        let cancelled = false;
+        const blob = await exporter.recordFrames({
+            frames: exporter.planFrames({ kind: 'z', zStart: 0, zEnd: 5 }),
+            showFrame: (frame) => {
+                if (frame.z === 1) cancelled = true;
+                return Promise.resolve();
+            },
+            drawFrame: frame => events.push('draw ' + frame.z),
+            recorder: exporter.createFrameRecorder(mockCanvas(), { fps: 50, mimeType: 'video/webm' }),
+            isCancelled: () => cancelled
+        });
+        assert.strictEqual(blob, null);
+        assert.deepStrictEqual(events.filter(e => e.startsWith('draw')), ['draw 0']);
+        assert.ok(events.includes('track-stop'));
+    });
+
+    await testAsync('a failing frame stops the recorder and rejects', async () => {
+        events.length = 0;
+        await assert.rejects(exporter.recordFrames({
+            frames: [{ z: 0 }],
+            showFrame: () => Promise.reject(new Error('tile error')),
+            drawFrame: () => {},
+            recorder: exporter.createFrameRecorder(mockCanvas(), { fps: 50, mimeType: 'video/webm' })
+        }), /tile error/);
+        assert.ok(events.includes('track-stop'));
+    });
+}
+
+runAsyncTests().then(() => {
+    // ========== Summary ==========
+
+    console.log('');
+    console.log('================================');
+    console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+});